@@ -0,0 +1,47 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 ProtocolParser 재동기화 시 버려진 손상 데이터를 보관하는 격리 테이블을 생성합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] TCP 격리 로그 마이그레이션 시작...');
+
+    pgm.createTable('tcp_quarantine_logs', {
+        id: { type: 'bigserial', primaryKey: true },
+        endpoint: { type: 'text', notNull: true }, // 손상 데이터를 수신한 중앙 시스템 접속 대상 (host:port)
+        reason: { type: 'text', notNull: true }, // 손상 감지 사유 (헤더 오류 메시지)
+        discarded_length: { type: 'integer', notNull: true }, // 실제로 버려진 바이트 수
+        raw_data: { type: 'bytea', notNull: true }, // 버려진 바이트 (최대 QUARANTINE_MAX_BYTES까지만 보관)
+        created_at: { type: 'timestamptz', notNull: true, default: pgm.func('now()') },
+    });
+    pgm.createIndex('tcp_quarantine_logs', ['created_at']);
+    console.log('✅ [CentralService][Migrate] "tcp_quarantine_logs" 테이블과 인덱스 생성 성공.');
+
+    console.log('✅ [CentralService][Migrate] TCP 격리 로그 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] TCP 격리 로그 마이그레이션 롤백 시작...');
+
+    pgm.dropTable('tcp_quarantine_logs', { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "tcp_quarantine_logs" 테이블 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] TCP 격리 로그 마이그레이션 롤백 완료.');
+
+};
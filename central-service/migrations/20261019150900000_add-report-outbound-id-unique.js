@@ -0,0 +1,54 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 "report_transmit_logs"의 발신 ID(outbound_id)에 유일 제약 조건을 추가합니다.
+ * 같은 발신 ID로 기록하려 하면 실패하므로, 발신 ID를 만든 쪽에서 새 발신 ID로 다시 시도합니다.
+ * 이미 중복된 발신 ID는 가장 먼저 기록된 로그만 남기고 나머지에 '_D<로그 ID>'를 붙여 구분합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 보고 발신 ID 유일 제약 조건 마이그레이션 시작...');
+
+    pgm.sql(`
+        UPDATE report_transmit_logs r
+        SET outbound_id = r.outbound_id || '_D' || r.id
+        WHERE EXISTS (
+            SELECT 1
+            FROM report_transmit_logs earlier
+            WHERE earlier.outbound_id = r.outbound_id AND earlier.id < r.id
+        );
+    `);
+    console.log('✅ [CentralService][Migrate] "report_transmit_logs" 중복 발신 ID 구분 성공.');
+
+    pgm.addConstraint('report_transmit_logs', 'report_transmit_logs_outbound_id_key', {
+        unique: ['outbound_id'],
+    });
+    console.log('✅ [CentralService][Migrate] "report_transmit_logs" outbound_id 유일 제약 조건 추가 성공.');
+
+    console.log('✅ [CentralService][Migrate] 보고 발신 ID 유일 제약 조건 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 보고 발신 ID 유일 제약 조건 마이그레이션 롤백 시작...');
+
+    pgm.dropConstraint('report_transmit_logs', 'report_transmit_logs_outbound_id_key', { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "report_transmit_logs" outbound_id 유일 제약 조건 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] 보고 발신 ID 유일 제약 조건 마이그레이션 롤백 완료.');
+
+};
@@ -0,0 +1,80 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 중앙 시스템 수신 메시지의 발신자별 transMsgSeq 추적(누락/순서 뒤바뀜 감지) 테이블을 생성합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 수신 시퀀스 추적 마이그레이션 시작...');
+
+    // --- 1. 발신자별 마지막 수신 시퀀스 ---
+    pgm.createTable('tcp_sequence_states', {
+        sender: { type: 'text', primaryKey: true }, // CAP 발신자(sender)
+        last_seq: { type: 'integer', notNull: true }, // 지금까지 수신한 가장 큰 transMsgSeq
+        last_inbound_id: { type: 'text' }, // last_seq를 가진 메시지의 transMsgId
+        created_at: { type: 'timestamptz', notNull: true, default: pgm.func('now()') },
+        updated_at: { type: 'timestamptz' },
+    });
+    pgm.createTrigger('tcp_sequence_states', 'trigger_update_timestamp', {
+        when: 'BEFORE', operation: 'UPDATE', level: 'ROW', function: 'update_timestamp',
+    });
+    console.log('✅ [CentralService][Migrate] "tcp_sequence_states" 테이블과 트리거 생성 성공.');
+
+    // --- 2. 누락된 시퀀스 (Gap) ---
+    pgm.createTable('tcp_sequence_gaps', {
+        id: { type: 'bigserial', primaryKey: true },
+        sender: { type: 'text', notNull: true },
+        missing_seq: { type: 'integer', notNull: true }, // 수신하지 못한 transMsgSeq
+        detected_inbound_id: { type: 'text' }, // Gap을 발견하게 한 메시지의 transMsgId
+        status: { type: 'text', notNull: true, default: 'OPEN', check: "status IN ('OPEN', 'FILLED')" },
+        detected_at: { type: 'timestamptz', notNull: true, default: pgm.func('now()') },
+        alarmed_at: { type: 'timestamptz' }, // 타임아웃 경과로 운영 경보를 발생시킨 시각
+        filled_at: { type: 'timestamptz' }, // 누락되었던 메시지가 늦게 도착한 시각
+        filled_inbound_id: { type: 'text' }, // 늦게 도착한 메시지의 transMsgId
+    });
+    pgm.createConstraint('tcp_sequence_gaps', 'unique_tcp_sequence_gap', {
+        unique: ['sender', 'missing_seq'],
+    });
+    pgm.createIndex('tcp_sequence_gaps', ['status', 'detected_at']);
+    console.log('✅ [CentralService][Migrate] "tcp_sequence_gaps" 테이블과 제약조건, 인덱스 생성 성공.');
+
+    // --- 3. 수신 로그별 순서 판정 결과 (감사용) ---
+    pgm.addColumns('tcp_receive_logs', {
+        sender: { type: 'text' },
+        sequence_status: { type: 'text', check: "sequence_status IN ('FIRST', 'IN_ORDER', 'GAP_DETECTED', 'LATE', 'STALE', 'RESET')" },
+    });
+    console.log('✅ [CentralService][Migrate] "tcp_receive_logs" 시퀀스 판정 컬럼 추가 성공.');
+
+    console.log('✅ [CentralService][Migrate] 수신 시퀀스 추적 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 수신 시퀀스 추적 마이그레이션 롤백 시작...');
+
+    pgm.dropColumns('tcp_receive_logs', ['sender', 'sequence_status'], { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "tcp_receive_logs" 시퀀스 판정 컬럼 삭제 성공.');
+
+    pgm.dropTable('tcp_sequence_gaps', { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "tcp_sequence_gaps" 테이블 삭제 성공.');
+
+    pgm.dropTable('tcp_sequence_states', { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "tcp_sequence_states" 테이블 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] 수신 시퀀스 추적 마이그레이션 롤백 완료.');
+
+};
@@ -0,0 +1,49 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 재난 정보의 갱신(Update)/취소(Cancel)를 원본 재난 정보와 연결하는 생애주기(lifecycle) 컬럼을 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 생애주기 마이그레이션 시작...');
+
+    pgm.addColumns('disaster_publish_logs', {
+        msg_type: { type: 'text', notNull: true, default: 'Alert', check: "msg_type IN ('Alert', 'Update', 'Cancel')" }, // CAP msgType
+        // 생애주기의 최초 재난 정보(Alert) identifier. Alert는 자기 자신, Update/Cancel은 참조한 원본의 root_identifier
+        root_identifier: { type: 'text' },
+        // CAP references에서 참조한 재난 정보 identifier 목록
+        referenced_identifiers: { type: 'text[]', notNull: true, default: '{}' },
+    });
+    pgm.sql('UPDATE disaster_publish_logs SET root_identifier = identifier WHERE root_identifier IS NULL;');
+    pgm.alterColumn('disaster_publish_logs', 'root_identifier', { notNull: true });
+    pgm.createIndex('disaster_publish_logs', ['root_identifier', 'created_at']);
+    console.log('✅ [CentralService][Migrate] "disaster_publish_logs" 생애주기 컬럼과 인덱스 추가 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 생애주기 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 생애주기 마이그레이션 롤백 시작...');
+
+    pgm.dropIndex('disaster_publish_logs', ['root_identifier', 'created_at'], { ifExists: true });
+    pgm.dropColumns('disaster_publish_logs', ['msg_type', 'root_identifier', 'referenced_identifiers'], { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "disaster_publish_logs" 생애주기 컬럼 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 생애주기 마이그레이션 롤백 완료.');
+
+};
@@ -0,0 +1,52 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 재난 정보 만료 시각(CAP info.expires)과 만료(EXPIRED) 상태를 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 만료 마이그레이션 시작...');
+
+    pgm.addColumns('disaster_publish_logs', {
+        expires_at: { type: 'timestamptz' }, // 재난 정보 만료 시각 (info.expires 중 가장 늦은 시각, 없으면 만료되지 않음)
+    });
+    pgm.dropConstraint('disaster_publish_logs', 'disaster_publish_logs_status_check', { ifExists: true });
+    pgm.addConstraint('disaster_publish_logs', 'disaster_publish_logs_status_check', {
+        check: "status IN ('PENDING', 'SENT', 'SUCCESS', 'FAILED', 'EXPIRED')",
+    });
+    pgm.createIndex('disaster_publish_logs', ['status', 'expires_at']);
+    console.log('✅ [CentralService][Migrate] "disaster_publish_logs" expires_at 컬럼과 EXPIRED 상태, 인덱스 추가 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 만료 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 만료 마이그레이션 롤백 시작...');
+
+    pgm.dropIndex('disaster_publish_logs', ['status', 'expires_at'], { ifExists: true });
+    pgm.sql("UPDATE disaster_publish_logs SET status = 'FAILED' WHERE status = 'EXPIRED';");
+    pgm.dropConstraint('disaster_publish_logs', 'disaster_publish_logs_status_check', { ifExists: true });
+    pgm.addConstraint('disaster_publish_logs', 'disaster_publish_logs_status_check', {
+        check: "status IN ('PENDING', 'SENT', 'SUCCESS', 'FAILED')",
+    });
+    pgm.dropColumns('disaster_publish_logs', ['expires_at'], { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "disaster_publish_logs" expires_at 컬럼과 EXPIRED 상태 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 만료 마이그레이션 롤백 완료.');
+
+};
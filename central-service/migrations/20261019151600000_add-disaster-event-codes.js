@@ -0,0 +1,42 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 여러 info 블록을 가진 재난 정보를 eventCode별로 발행할 수 있도록 eventCode 목록(event_codes)을 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 eventCode 목록 마이그레이션 시작...');
+
+    pgm.addColumns('disaster_publish_logs', {
+        event_codes: { type: 'text[]', notNull: true, default: '{}' }, // 모든 info의 서로 다른 eventCode 목록 (event_code는 첫 번째 eventCode)
+    });
+    pgm.sql('UPDATE disaster_publish_logs SET event_codes = ARRAY[event_code];');
+    console.log('✅ [CentralService][Migrate] "disaster_publish_logs" event_codes 컬럼 추가 및 기존 데이터 채우기 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 eventCode 목록 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 eventCode 목록 마이그레이션 롤백 시작...');
+
+    pgm.dropColumns('disaster_publish_logs', ['event_codes'], { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "disaster_publish_logs" event_codes 컬럼 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 eventCode 목록 마이그레이션 롤백 완료.');
+
+};
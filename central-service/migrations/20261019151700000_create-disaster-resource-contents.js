@@ -0,0 +1,47 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 재난 정보(CAP) 첨부 파일의 base64 내용(derefUri)을 인박스/아웃박스 로그와 분리하여
+ * 내용 해시(SHA-256) 기준으로 한 번만 보관하는 "disaster_resource_contents" 테이블을 생성합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 첨부 파일 내용 마이그레이션 시작...');
+
+    pgm.createTable('disaster_resource_contents', {
+        content_hash: { type: 'text', primaryKey: true }, // 내용의 SHA-256 (CAP resource의 derefUriHash)
+        content: { type: 'bytea', notNull: true },
+        size: { type: 'integer', notNull: true }, // 내용 크기 (바이트)
+        created_at: { type: 'timestamptz', notNull: true, default: pgm.func('now()') },
+        last_used_at: { type: 'timestamptz', notNull: true, default: pgm.func('now()') }, // 같은 내용을 마지막으로 수신한 시각 (보관 기간 기준)
+    });
+    pgm.createIndex('disaster_resource_contents', ['last_used_at']);
+    console.log('✅ [CentralService][Migrate] "disaster_resource_contents" 테이블과 인덱스 생성 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 첨부 파일 내용 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 첨부 파일 내용 마이그레이션 롤백 시작...');
+
+    pgm.dropTable('disaster_resource_contents', { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "disaster_resource_contents" 테이블 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 첨부 파일 내용 마이그레이션 롤백 완료.');
+
+};
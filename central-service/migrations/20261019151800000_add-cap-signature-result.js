@@ -0,0 +1,42 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 수신한 재난 정보(CAP)의 전자서명(XML-DSig) 검증 결과를 "tcp_receive_logs"에 기록할 수 있도록 컬럼을 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 전자서명 검증 결과 마이그레이션 시작...');
+
+    pgm.addColumns('tcp_receive_logs', {
+        signature_status: { type: 'text', check: "signature_status IN ('NOT_CHECKED', 'UNSIGNED', 'VALID', 'INVALID')" }, // 전자서명 검증 결과
+        signature_detail: { type: 'text' }, // 서명자(인증서 Subject) 또는 검증 실패 사유
+    });
+    console.log('✅ [CentralService][Migrate] "tcp_receive_logs" signature_status, signature_detail 컬럼 추가 성공.');
+
+    console.log('✅ [CentralService][Migrate] 전자서명 검증 결과 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 전자서명 검증 결과 마이그레이션 롤백 시작...');
+
+    pgm.dropColumns('tcp_receive_logs', ['signature_status', 'signature_detail'], { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "tcp_receive_logs" signature_status, signature_detail 컬럼 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] 전자서명 검증 결과 마이그레이션 롤백 완료.');
+
+};
@@ -0,0 +1,86 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 재난 정보(CAP) Event Code 목록을 관리하는 "event_code_catalog" 테이블을 생성하고,
+ * 기존 설정 파일(VALID_EVENT_CODES)에 있던 코드 목록으로 초기 데이터를 채웁니다.
+ * 코드명, 분류, 기본 심각도는 운영 중에 채워 넣습니다.
+ */
+exports.shorthands = undefined;
+
+// 기존 config.tcp.protocol.VALID_EVENT_CODES 목록
+const INITIAL_EVENT_CODES = [
+    'EQI', 'EQW', 'EEW', 'FEI', 'TSA', 'TSL', 'TSW', 'TSC', 'TSO', 'TSR', 'TSI', 'VOI', 'VOA',
+    'VOL', 'VOW', 'VOC', 'VOO', 'VOR', 'FLA', 'FLL', 'FLG', 'FLW', 'FLC', 'FLN', 'FLS', 'HWA',
+    'HWG', 'HWL', 'HWW', 'HWN', 'HWC', 'HWE', 'HWS', 'HRA', 'HRG', 'HRL', 'HRW', 'HRN', 'HRC',
+    'HRE', 'HRS', 'CWA', 'CWG', 'CWL', 'CWW', 'CWN', 'CWC', 'CWE', 'CWS', 'HAA', 'HAG', 'HAL',
+    'HAW', 'HAN', 'HAC', 'HAE', 'HAS', 'SSA', 'SSG', 'SSL', 'SSW', 'SSN', 'SSC', 'SSE', 'SSS',
+    'WWA', 'WWG', 'WWL', 'WWW', 'WWN', 'WWC', 'WWE', 'WWS', 'TPA', 'TPG', 'TPL', 'TPW', 'TPN',
+    'TPC', 'TPE', 'TPS', 'HSA', 'HSG', 'HSL', 'HSW', 'HSN', 'HSC', 'HSE', 'HSS', 'YSW', 'YSN',
+    'YSC', 'YSE', 'YSS', 'HTA', 'HTG', 'HTL', 'HTW', 'HTN', 'HTC', 'HTE', 'HTS', 'HFA', 'HFG',
+    'HFL', 'HFW', 'HFN', 'HFC', 'HFE', 'HFS', 'THW', 'THS', 'DRW', 'DRS', 'NSD', 'NSW', 'NSV',
+    'NSS', 'AVA', 'AVW', 'AVC', 'AVS', 'NHW', 'NHS', 'MFA', 'MFW', 'MFV', 'MFC', 'MFE', 'MFS',
+    'CPW', 'CAW', 'CCW', 'CNW', 'CDC', 'GFD', 'GFS', 'NDA', 'NDW', 'NDS', 'ASD', 'ASW', 'ASV',
+    'ASS', 'GRW', 'GRS', 'FDA', 'FDW', 'FDE', 'FDS', 'CWD', 'CWI', 'CHD', 'CHC', 'CHE', 'CHS',
+    'DEW', 'DES', 'DEC', 'LDW', 'LDA', 'POA', 'POW', 'POS', 'POD', 'GAD', 'COD', 'RWD', 'RWS',
+    'RWC', 'RWI', 'SWD', 'SWS', 'SWC', 'BCW', 'BCS', 'ISD', 'MSD', 'MSS', 'MAE', 'MPD', 'MPS',
+    'FND', 'FNE', 'FNS', 'DOW', 'DOE', 'DOS', 'DBA', 'DBW', 'DBS', 'RVD', 'DWW', 'DFD', 'DFS',
+    'TEW', 'TES', 'FHD', 'FHV', 'FHS', 'FRW', 'FRV', 'FRC', 'FRS', 'WHD', 'RLD', 'RLE', 'RLS',
+    'RHW', 'RHS', 'NRD', 'NRS', 'CME', 'CMC', 'CAE', 'CAC', 'SHW', 'SHS', 'LAW', 'NPT', 'DIS', 'DIM',
+];
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] Event Code 카탈로그 마이그레이션 시작...');
+
+    pgm.createTable('event_code_catalog', {
+        code: { type: 'text', primaryKey: true }, // CAP info.eventCode 값
+        name_ko: { type: 'text' }, // 코드명 (한국어)
+        name_en: { type: 'text' }, // 코드명 (영어)
+        category: { // CAP info.category 값
+            type: 'text',
+            check: "category IN ('Geo', 'Met', 'Safety', 'Security', 'Rescue', 'Fire', 'Health', 'Env', 'Transport', 'Infra', 'CBRNE', 'Other')",
+        },
+        default_severity: { // CAP info.severity 기본값
+            type: 'text',
+            check: "default_severity IN ('Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown')",
+        },
+        is_active: { type: 'boolean', notNull: true, default: true }, // false이면 수신 시 프로파일 해석 오류(220)로 처리
+        created_at: { type: 'timestamptz', notNull: true, default: pgm.func('now()') },
+        updated_at: { type: 'timestamptz' },
+    });
+    pgm.createTrigger('event_code_catalog', 'trigger_update_timestamp', {
+        when: 'BEFORE', operation: 'UPDATE', level: 'ROW', function: 'update_timestamp',
+    });
+    console.log('✅ [CentralService][Migrate] "event_code_catalog" 테이블과 트리거 생성 성공.');
+
+    pgm.sql(`
+        INSERT INTO event_code_catalog (code)
+        VALUES ${INITIAL_EVENT_CODES.map((code) => `('${code}')`).join(', ')};
+    `);
+    console.log(`✅ [CentralService][Migrate] "event_code_catalog" 초기 데이터 ${INITIAL_EVENT_CODES.length}건 입력 성공.`);
+
+    console.log('✅ [CentralService][Migrate] Event Code 카탈로그 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] Event Code 카탈로그 마이그레이션 롤백 시작...');
+
+    pgm.dropTable('event_code_catalog', { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "event_code_catalog" 테이블 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] Event Code 카탈로그 마이그레이션 롤백 완료.');
+
+};
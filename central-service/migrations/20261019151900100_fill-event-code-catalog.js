@@ -0,0 +1,91 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 초기 데이터로 코드만 입력된 "event_code_catalog"에 재난 유형별 코드명, 분류, 기본 심각도를 채웁니다.
+ * 코드명은 재난 유형명(예: 호우)이며, 이미 값이 있는 항목은 바꾸지 않습니다.
+ * 특보 단계(주의보/경보 등)별 코드명과 이 목록에 없는 코드는 관리 스크립트(npm run event-code -- set)로 채웁니다.
+ */
+exports.shorthands = undefined;
+
+// 재난 유형별 코드 목록 (코드는 20261019151900000_create-event-code-catalog의 초기 데이터)
+const EVENT_CODE_TYPES = [
+    { nameKo: '지진', nameEn: 'Earthquake', category: 'Geo', severity: 'Severe', codes: ['EQI', 'EQW'] },
+    { nameKo: '지진 조기경보', nameEn: 'Earthquake Early Warning', category: 'Geo', severity: 'Extreme', codes: ['EEW'] },
+    { nameKo: '지진해일', nameEn: 'Tsunami', category: 'Geo', severity: 'Extreme', codes: ['TSA', 'TSL', 'TSW', 'TSC', 'TSO', 'TSR', 'TSI'] },
+    { nameKo: '화산', nameEn: 'Volcano', category: 'Geo', severity: 'Severe', codes: ['VOI', 'VOA', 'VOL', 'VOW', 'VOC', 'VOO', 'VOR'] },
+    { nameKo: '홍수', nameEn: 'Flood', category: 'Met', severity: 'Severe', codes: ['FLA', 'FLL', 'FLG', 'FLW', 'FLC', 'FLN', 'FLS'] },
+    { nameKo: '강풍', nameEn: 'High Wind', category: 'Met', severity: 'Moderate', codes: ['HWA', 'HWG', 'HWL', 'HWW', 'HWN', 'HWC', 'HWE', 'HWS'] },
+    { nameKo: '호우', nameEn: 'Heavy Rain', category: 'Met', severity: 'Severe', codes: ['HRA', 'HRG', 'HRL', 'HRW', 'HRN', 'HRC', 'HRE', 'HRS'] },
+    { nameKo: '한파', nameEn: 'Cold Wave', category: 'Met', severity: 'Moderate', codes: ['CWA', 'CWG', 'CWL', 'CWW', 'CWN', 'CWC', 'CWE', 'CWS'] },
+    { nameKo: '폭풍해일', nameEn: 'Storm Surge', category: 'Met', severity: 'Severe', codes: ['SSA', 'SSG', 'SSL', 'SSW', 'SSN', 'SSC', 'SSE', 'SSS'] },
+    { nameKo: '풍랑', nameEn: 'High Seas', category: 'Met', severity: 'Moderate', codes: ['WWA', 'WWG', 'WWL', 'WWW', 'WWN', 'WWC', 'WWE', 'WWS'] },
+    { nameKo: '태풍', nameEn: 'Typhoon', category: 'Met', severity: 'Severe', codes: ['TPA', 'TPG', 'TPL', 'TPW', 'TPN', 'TPC', 'TPE', 'TPS'] },
+    { nameKo: '대설', nameEn: 'Heavy Snow', category: 'Met', severity: 'Moderate', codes: ['HSA', 'HSG', 'HSL', 'HSW', 'HSN', 'HSC', 'HSE', 'HSS'] },
+    { nameKo: '황사', nameEn: 'Yellow Dust', category: 'Met', severity: 'Moderate', codes: ['YSW', 'YSN', 'YSC', 'YSE', 'YSS'] },
+    { nameKo: '폭염', nameEn: 'Heat Wave', category: 'Met', severity: 'Moderate', codes: ['HTA', 'HTG', 'HTL', 'HTW', 'HTN', 'HTC', 'HTE', 'HTS'] },
+];
+
+/**
+ * 재난 유형별 코드 목록을 (code, name_ko, name_en, category, default_severity) VALUES 목록으로 변환합니다.
+ * @returns {string}
+ */
+function toValues() {
+    return EVENT_CODE_TYPES
+        .flatMap(({ nameKo, nameEn, category, severity, codes }) =>
+            codes.map((code) => `('${code}', '${nameKo}', '${nameEn}', '${category}', '${severity}')`))
+        .join(',\n            ');
+}
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] Event Code 카탈로그 코드명 입력 마이그레이션 시작...');
+
+    pgm.sql(`
+        UPDATE event_code_catalog AS c
+        SET name_ko = COALESCE(c.name_ko, v.name_ko),
+            name_en = COALESCE(c.name_en, v.name_en),
+            category = COALESCE(c.category, v.category),
+            default_severity = COALESCE(c.default_severity, v.default_severity)
+        FROM (VALUES
+            ${toValues()}
+        ) AS v (code, name_ko, name_en, category, default_severity)
+        WHERE c.code = v.code;
+    `);
+    console.log(`✅ [CentralService][Migrate] "event_code_catalog" 재난 유형 ${EVENT_CODE_TYPES.length}개의 코드명, 분류, 기본 심각도 입력 성공.`);
+
+    console.log('✅ [CentralService][Migrate] Event Code 카탈로그 코드명 입력 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] Event Code 카탈로그 코드명 입력 마이그레이션 롤백 시작...');
+
+    // 이 마이그레이션이 입력한 값과 같은 항목만 되돌립니다. (관리 스크립트로 바꾼 값은 유지)
+    pgm.sql(`
+        UPDATE event_code_catalog AS c
+        SET name_ko = NULLIF(c.name_ko, v.name_ko),
+            name_en = NULLIF(c.name_en, v.name_en),
+            category = NULLIF(c.category, v.category),
+            default_severity = NULLIF(c.default_severity, v.default_severity)
+        FROM (VALUES
+            ${toValues()}
+        ) AS v (code, name_ko, name_en, category, default_severity)
+        WHERE c.code = v.code;
+    `);
+    console.log('✅ [CentralService][Migrate] "event_code_catalog" 코드명, 분류, 기본 심각도 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] Event Code 카탈로그 코드명 입력 마이그레이션 롤백 완료.');
+
+};
@@ -0,0 +1,61 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 재난 정보의 CAP status(Actual, Exercise, System, Test, Draft)를 "disaster_publish_logs"에 기록하고,
+ * 훈련/시험(Actual이 아닌) 재난 정보만 모아 보는 "drill_publish_history" 뷰를 생성합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 CAP status 마이그레이션 시작...');
+
+    // --- 1. CAP status 컬럼 ---
+    pgm.addColumns('disaster_publish_logs', {
+        alert_status: { type: 'text', notNull: true, default: 'Actual', check: "alert_status IN ('Actual', 'Exercise', 'System', 'Test', 'Draft')" },
+    });
+    // 기존 재난 정보는 원본 CAP의 status로 채웁니다.
+    pgm.sql(`
+        UPDATE disaster_publish_logs
+        SET alert_status = raw_message->'capInfo'->'alert'->>'status'
+        WHERE raw_message->'capInfo'->'alert'->>'status' IN ('Exercise', 'System', 'Test', 'Draft');
+    `);
+    pgm.createIndex('disaster_publish_logs', ['alert_status', 'created_at']);
+    console.log('✅ [CentralService][Migrate] "disaster_publish_logs" alert_status 컬럼 및 인덱스 추가 성공.');
+
+    // --- 2. 훈련/시험 재난 정보 발행 이력 뷰 ---
+    pgm.createView('drill_publish_history', {}, `
+        SELECT id, identifier, alert_status, event_code, event_codes, msg_type, root_identifier, routing_key, status, created_at, updated_at
+        FROM disaster_publish_logs
+        WHERE alert_status <> 'Actual'
+    `);
+    console.log('✅ [CentralService][Migrate] "drill_publish_history" 뷰 생성 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 CAP status 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 CAP status 마이그레이션 롤백 시작...');
+
+    pgm.dropView('drill_publish_history', { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "drill_publish_history" 뷰 삭제 성공.');
+
+    pgm.dropColumns('disaster_publish_logs', ['alert_status'], { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "disaster_publish_logs" alert_status 컬럼 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 CAP status 마이그레이션 롤백 완료.');
+
+};
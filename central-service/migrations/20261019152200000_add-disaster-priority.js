@@ -0,0 +1,43 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 재난 정보를 긴급성/심각성에 따른 우선순위 순서로 발행할 수 있도록 "disaster_publish_logs"에 우선순위를 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 우선순위 마이그레이션 시작...');
+
+    pgm.addColumns('disaster_publish_logs', {
+        priority: { type: 'smallint', notNull: true, default: 0 }, // 0(최저) ~ 9(최고), capService.getPriority() 참고
+    });
+    // 발행 워커는 미발행(PENDING) 재난 정보를 우선순위가 높은 순, 같은 우선순위는 먼저 수신한 순으로 조회합니다.
+    pgm.createIndex('disaster_publish_logs', ['status', { name: 'priority', sort: 'DESC' }, 'created_at']);
+    console.log('✅ [CentralService][Migrate] "disaster_publish_logs" priority 컬럼 및 인덱스 추가 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 우선순위 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 우선순위 마이그레이션 롤백 시작...');
+
+    pgm.dropColumns('disaster_publish_logs', ['priority'], { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "disaster_publish_logs" priority 컬럼 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 우선순위 마이그레이션 롤백 완료.');
+
+};
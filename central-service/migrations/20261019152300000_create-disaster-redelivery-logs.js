@@ -0,0 +1,68 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 같은 CAP identifier로 재전송된 재난 정보를 원본 재난 정보에 연결하여 기록하는 "disaster_redelivery_logs" 테이블을 생성하고,
+ * 내용이 바뀌어 재발행한 횟수를 "disaster_publish_logs"의 revision으로 기록합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 재전송 이력 마이그레이션 시작...');
+
+    // --- 1. 재발행 횟수 ---
+    // 최초 발행은 0이며, 같은 identifier의 내용이 바뀌어 재발행할 때마다 1씩 증가합니다.
+    pgm.addColumns('disaster_publish_logs', {
+        revision: { type: 'integer', notNull: true, default: 0 },
+    });
+    console.log('✅ [CentralService][Migrate] "disaster_publish_logs" revision 컬럼 추가 성공.');
+
+    // --- 2. 재전송 이력 ---
+    pgm.createTable('disaster_redelivery_logs', {
+        id: { type: 'bigserial', primaryKey: true },
+        disaster_publish_log_id: { type: 'bigint', notNull: true, references: 'disaster_publish_logs', onDelete: 'CASCADE' }, // 원본 재난 정보
+        tcp_receive_log_id: { type: 'bigint', notNull: true, references: 'tcp_receive_logs', onDelete: 'NO ACTION' }, // 재전송된 메시지
+        previous_tcp_receive_log_id: { type: 'bigint', notNull: true, references: 'tcp_receive_logs', onDelete: 'NO ACTION' }, // 재전송 시점의 원본 메시지
+        identifier: { type: 'text', notNull: true },
+        inbound_id: { type: 'text', notNull: true }, // 재전송된 transMsgId
+        inbound_seq: { type: 'integer' }, // 재전송된 transMsgSeq
+        sent: { type: 'text' }, // 재전송된 CAP sent
+        sent_changed: { type: 'boolean', notNull: true },
+        body_changed: { type: 'boolean', notNull: true }, // sent, 전자서명을 제외한 CAP 내용 변경 여부
+        decision: { type: 'text', notNull: true, check: "decision IN ('DUPLICATE', 'REPUBLISHED')" },
+        revision: { type: 'integer' }, // REPUBLISHED인 경우 재발행된 revision
+        created_at: { type: 'timestamptz', notNull: true, default: pgm.func('now()') },
+    });
+    pgm.createIndex('disaster_redelivery_logs', ['disaster_publish_log_id', 'created_at'], {
+        name: 'disaster_redelivery_logs_publish_log_index', // 기본 이름은 PostgreSQL 식별자 길이(63자)를 넘습니다.
+    });
+    console.log('✅ [CentralService][Migrate] "disaster_redelivery_logs" 테이블과 인덱스 생성 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 재전송 이력 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 재전송 이력 마이그레이션 롤백 시작...');
+
+    pgm.dropTable('disaster_redelivery_logs', { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "disaster_redelivery_logs" 테이블 삭제 성공.');
+
+    pgm.dropColumns('disaster_publish_logs', ['revision'], { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "disaster_publish_logs" revision 컬럼 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 재전송 이력 마이그레이션 롤백 완료.');
+
+};
@@ -0,0 +1,64 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 크기 제한을 넘는 단말장치 보고(제원/상태)를 여러 파트로 나누어 전송할 수 있도록
+ * "report_transmit_logs"에 부모 보고와 파트 번호를 추가하고, 파트 전송을 기다리는 부모 보고의 상태(SPLIT)를 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 보고 정보 분할 전송 마이그레이션 시작...');
+
+    // --- 1. 파트 정보 ---
+    // 분할되지 않은 보고와 부모 보고는 parent_id가 NULL이며, 부모 보고는 part_total에 파트 수를 기록합니다.
+    pgm.addColumns('report_transmit_logs', {
+        parent_id: { type: 'bigint', references: 'report_transmit_logs', onDelete: 'CASCADE' },
+        part_number: { type: 'integer' }, // 1부터 시작
+        part_total: { type: 'integer' },
+    });
+    pgm.createIndex('report_transmit_logs', ['parent_id', 'status']);
+    console.log('✅ [CentralService][Migrate] "report_transmit_logs" parent_id, part_number, part_total 컬럼 및 인덱스 추가 성공.');
+
+    // --- 2. 부모 보고 상태 ---
+    // SPLIT: 파트 전송 대기 중 (부모 보고는 직접 전송하지 않음)
+    pgm.dropConstraint('report_transmit_logs', 'report_transmit_logs_status_check', { ifExists: true });
+    pgm.addConstraint('report_transmit_logs', 'report_transmit_logs_status_check', {
+        check: "status IN ('PENDING', 'SENT', 'SUCCESS', 'FAILED', 'SPLIT')",
+    });
+    console.log('✅ [CentralService][Migrate] "report_transmit_logs" status 제약조건(SPLIT 추가) 변경 성공.');
+
+    console.log('✅ [CentralService][Migrate] 보고 정보 분할 전송 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 보고 정보 분할 전송 마이그레이션 롤백 시작...');
+
+    // 파트 로그는 parent_id 삭제 전에 제거하고, 부모 보고는 파트 결과를 알 수 없으므로 FAILED로 변경합니다.
+    pgm.sql('DELETE FROM report_transmit_logs WHERE parent_id IS NOT NULL;');
+    pgm.sql("UPDATE report_transmit_logs SET status = 'FAILED', error_detail = 'Rolled back split report' WHERE status = 'SPLIT';");
+    pgm.dropConstraint('report_transmit_logs', 'report_transmit_logs_status_check', { ifExists: true });
+    pgm.addConstraint('report_transmit_logs', 'report_transmit_logs_status_check', {
+        check: "status IN ('PENDING', 'SENT', 'SUCCESS', 'FAILED')",
+    });
+    console.log('✅ [CentralService][Migrate] "report_transmit_logs" status 제약조건 복원 성공.');
+
+    pgm.dropColumns('report_transmit_logs', ['parent_id', 'part_number', 'part_total'], { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "report_transmit_logs" parent_id, part_number, part_total 컬럼 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] 보고 정보 분할 전송 마이그레이션 롤백 완료.');
+
+};
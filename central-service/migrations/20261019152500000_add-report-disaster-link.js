@@ -0,0 +1,68 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 재난 정보 결과 보고(DISASTER_RESULT)를 원본 재난 정보("disaster_publish_logs")에 외래 키로 연결하고,
+ * 원본 재난 정보별 결과 보고 번호(report_number, transMsgId '<identifier>_RPT_<n>'의 n)를 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 결과 보고 연결 마이그레이션 시작...');
+
+    // --- 1. 원본 재난 정보 및 결과 보고 번호 ---
+    pgm.addColumns('report_transmit_logs', {
+        disaster_publish_log_id: { type: 'bigint', references: 'disaster_publish_logs', onDelete: 'NO ACTION' },
+        report_number: { type: 'integer' }, // 원본 재난 정보별 결과 보고 번호 (1부터 시작)
+    });
+    console.log('✅ [CentralService][Migrate] "report_transmit_logs" disaster_publish_log_id, report_number 컬럼 추가 성공.');
+
+    // --- 2. 기존 결과 보고 연결 ---
+    // 기존 결과 보고는 transMsgId('<identifier>_RPT_<n>')에서 원본 identifier를 구하고, 번호는 원본 재난 정보별 생성 순서로 부여합니다.
+    // (이전에는 번호가 항상 1이었으므로 transMsgId의 n은 사용하지 않습니다.)
+    pgm.sql(`
+        UPDATE report_transmit_logs r
+        SET disaster_publish_log_id = numbered.disaster_publish_log_id, report_number = numbered.report_number
+        FROM (
+            SELECT r2.id, d.id AS disaster_publish_log_id,
+                ROW_NUMBER() OVER (PARTITION BY d.id ORDER BY r2.created_at, r2.id) AS report_number
+            FROM report_transmit_logs r2
+            JOIN disaster_publish_logs d ON d.identifier = regexp_replace(r2.outbound_id, '_RPT_[0-9]+$', '')
+            WHERE r2.type = 'DISASTER_RESULT'
+        ) numbered
+        WHERE r.id = numbered.id;
+    `);
+    console.log('✅ [CentralService][Migrate] 기존 재난 정보 결과 보고 연결 성공.');
+
+    // --- 3. 제약조건 ---
+    pgm.addConstraint('report_transmit_logs', 'unique_report_number_per_disaster', {
+        unique: ['disaster_publish_log_id', 'report_number'],
+    });
+    console.log('✅ [CentralService][Migrate] "report_transmit_logs" 결과 보고 번호 제약조건 추가 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 결과 보고 연결 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [CentralService][Migrate] 재난 정보 결과 보고 연결 마이그레이션 롤백 시작...');
+
+    pgm.dropConstraint('report_transmit_logs', 'unique_report_number_per_disaster', { ifExists: true });
+    pgm.dropColumns('report_transmit_logs', ['disaster_publish_log_id', 'report_number'], { ifExists: true });
+    console.log('✅ [CentralService][Migrate] "report_transmit_logs" disaster_publish_log_id, report_number 컬럼 삭제 성공.');
+
+    console.log('✅ [CentralService][Migrate] 재난 정보 결과 보고 연결 마이그레이션 롤백 완료.');
+
+};
@@ -0,0 +1,102 @@
+/**
+ * @file eventCode.js
+ * @description Event Code 카탈로그(event_code_catalog)를 조회하고, 코드를 추가/수정/활성화/비활성화합니다.
+ * 변경 내용은 재배포 없이 central-service의 Event Code 검사에는 바로, external-service 사본에는 동기화 주기(CACHE_DURATION, SYNC_INTERVAL) 안에 반영됩니다.
+ *
+ * 사용법:
+ *   npm run event-code -- list
+ *   npm run event-code -- set <code> [--name-ko <이름>] [--name-en <이름>] [--category <분류>] [--severity <심각도>]
+ *   npm run event-code -- activate <code>
+ *   npm run event-code -- deactivate <code>
+ */
+
+const { parseArgs } = require('util');
+const pool = require('../src/core/repositories/pool');
+const eventCodeCatalogRepository = require('../src/core/repositories/eventCodeCatalogRepository');
+
+// event_code_catalog 테이블의 check 제약 조건과 같은 목록
+const CATEGORIES = ['Geo', 'Met', 'Safety', 'Security', 'Rescue', 'Fire', 'Health', 'Env', 'Transport', 'Infra', 'CBRNE', 'Other'];
+const SEVERITIES = ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'];
+
+/**
+ * 명령행 인자를 해석합니다.
+ * @returns {{command: string, code: string | undefined, values: object}}
+ */
+function parseCommand() {
+
+    const { positionals, values } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'name-ko': { type: 'string' },
+            'name-en': { type: 'string' },
+            category: { type: 'string' },
+            severity: { type: 'string' },
+        },
+    });
+    const [command, code] = positionals;
+    return { command, code: code?.trim().toUpperCase(), values };
+
+}
+
+/**
+ * 카탈로그 항목을 한 줄로 출력합니다.
+ * @param {object} row - event_code_catalog 행
+ */
+function printEntry(row) {
+    console.log(`${row.code}\t${row.is_active ? '활성' : '비활성'}\t${row.category ?? '-'}\t${row.default_severity ?? '-'}\t${row.name_ko ?? '-'}\t${row.name_en ?? '-'}`);
+}
+
+async function manageEventCode() {
+
+    const { command, code, values } = parseCommand();
+
+    try {
+
+        if (command === 'list') {
+            const rows = await eventCodeCatalogRepository.findAll();
+            rows.forEach(printEntry);
+            console.log(`✅ [CentralService][EventCode] 전체 ${rows.length}개 (활성 ${rows.filter((row) => row.is_active).length}개).`);
+            return;
+        }
+
+        if (!['set', 'activate', 'deactivate'].includes(command) || !code) {
+            console.error('🚨 [CentralService][EventCode] 사용법: list | set <code> [--name-ko] [--name-en] [--category] [--severity] | activate <code> | deactivate <code>');
+            process.exitCode = 1;
+            return;
+        }
+        if (values.category && !CATEGORIES.includes(values.category)) {
+            console.error(`🚨 [CentralService][EventCode] 알 수 없는 분류: ${values.category} (${CATEGORIES.join(', ')})`);
+            process.exitCode = 1;
+            return;
+        }
+        if (values.severity && !SEVERITIES.includes(values.severity)) {
+            console.error(`🚨 [CentralService][EventCode] 알 수 없는 심각도: ${values.severity} (${SEVERITIES.join(', ')})`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const row = await eventCodeCatalogRepository.upsert({
+            code,
+            nameKo: values['name-ko'],
+            nameEn: values['name-en'],
+            category: values.category,
+            defaultSeverity: values.severity,
+            isActive: command === 'set' ? undefined : command === 'activate',
+        });
+        printEntry(row);
+        console.log(`✅ [CentralService][EventCode] Event Code ${code} 저장 완료.`);
+
+    } catch (err) {
+
+        console.error(`🚨 [CentralService][EventCode] Event Code 관리 중 오류 발생: ${err.message}`);
+        process.exitCode = 1;
+
+    } finally {
+
+        await pool.disconnect();
+
+    }
+
+}
+
+manageEventCode();
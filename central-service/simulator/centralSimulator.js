@@ -0,0 +1,426 @@
+/**
+ * @file centralSimulator.js
+ * @description 중앙 시스템(MOIS)을 흉내 내는 로컬 TCP 서버입니다.
+ * central-service와 동일한 프레이밍(16바이트 헤더, Magic Number, XML 바디)을 사용하여
+ * 접속/인증(401 nonce Digest), 세션 체크, 재난 정보 전송, 보고 응답(ACK/NACK/무응답)을 재현합니다.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { DateTime } = require('luxon');
+const config = require('../src/config');
+const logger = require('../src/core/utils/logger');
+const ProtocolParser = require('../src/tcp/protocolParser');
+const { xmlParser, buildMessageBuffer } = require('../src/core/utils/protocolUtils');
+
+const MESSAGE_IDS = config.tcp.protocol.MESSAGE_IDS;
+
+// 보고 메시지 ID -> [응답 메시지 ID, 응답 모드 키]
+const REPORT_RESPONSES = {
+    [MESSAGE_IDS.ETS_NFY_DEVICE_INFO]: [MESSAGE_IDS.ETS_CNF_DEVICE_INFO, 'DEVICE_INFO'],
+    [MESSAGE_IDS.ETS_NFY_DEVICE_STS]: [MESSAGE_IDS.ETS_CNF_DEVICE_STS, 'DEVICE_STATUS'],
+    [MESSAGE_IDS.ETS_REQ_DIS_REPORT]: [MESSAGE_IDS.ETS_RES_DIS_REPORT, 'DISASTER_RESULT'],
+};
+
+// 응답 모드
+const MODES = ['ACK', 'NACK', 'SILENCE'];
+
+/**
+ * 주어진 문자열의 MD5 해시 값을 계산합니다. (authService와 동일한 방식)
+ * @param {string} string - 해시할 문자열
+ * @returns {string} MD5 해시 결과
+ */
+function _md5(string) {
+    return crypto.createHash('md5').update(string).digest('hex');
+}
+
+/**
+ * 설계서 형식의 현재 시각 문자열을 반환합니다.
+ * @returns {string} 예: 2025-10-01T12:00:00+09:00
+ */
+function _now() {
+    return DateTime.local().setZone('Asia/Seoul').toFormat("yyyy-MM-dd'T'HH:mm:ssZZ");
+}
+
+class CentralSimulator extends EventEmitter {
+
+    /**
+     * @param {object} options - 시뮬레이터 설정
+     * @param {number} options.port - 수신 대기 포트 (0이면 임의 포트)
+     * @param {string} [options.host='0.0.0.0'] - 수신 대기 주소
+     * @param {string} [options.realm='ETS'] - Digest 인증 realm
+     * @param {Object<string, string>} [options.users={}] - 인증 허용 사용자 (destId -> 비밀번호)
+     * @param {'ACK' | 'SILENCE'} [options.sessionCheck='ACK'] - 세션 체크(Ping) 응답 모드
+     * @param {Object<string, 'ACK' | 'NACK' | 'SILENCE'>} [options.responses] - 보고 종류별 응답 모드
+     * @param {Array<{delay: number, alert: object}>} [options.disasterPushes] - 인증 후 전송할 재난 정보 시나리오
+     * @param {tls.TlsOptions} [options.tls] - 지정하면 TLS 서버로 동작 (key, cert, ca, requestCert 등)
+     */
+    constructor(options = {}) {
+
+        super();
+        this.options = {
+            host: '0.0.0.0',
+            realm: 'ETS',
+            users: {},
+            sessionCheck: 'ACK',
+            disasterPushes: [],
+            ...options,
+            responses: {
+                DEVICE_INFO: 'ACK',
+                DEVICE_STATUS: 'ACK',
+                DISASTER_RESULT: 'ACK',
+                ...options.responses,
+            },
+        };
+
+        for (const [type, mode] of Object.entries(this.options.responses)) {
+            if (!MODES.includes(mode)) {
+                throw new Error(`알 수 없는 응답 모드 (${type}: ${mode}). 허용값: ${MODES.join(', ')}`);
+            }
+        }
+
+        this.server = null;
+        // 현재 접속한 클라이언트 세션 목록
+        this.sessions = new Set();
+        // 재난 정보 전송 시퀀스 (transMsgSeq)
+        this.disasterSeq = 0;
+
+    }
+
+    /**
+     * 시뮬레이터 서버를 시작합니다.
+     * @returns {Promise<number>} 실제로 수신 대기 중인 포트
+     */
+    start() {
+
+        return new Promise((resolve, reject) => {
+            const handler = (socket) => this._handleConnection(socket);
+            this.server = this.options.tls
+                ? tls.createServer(this.options.tls, handler)
+                : net.createServer(handler);
+            this.server.once('error', reject);
+            this.server.on('tlsClientError', (err) => {
+                logger.warn(`🔔 [CentralService][Simulator] TLS 핸드셰이크 실패: ${err.message}`);
+            });
+            this.server.listen(this.options.port, this.options.host, () => {
+                const { port } = this.server.address();
+                logger.info(`🚀 [CentralService][Simulator] 중앙 시스템 시뮬레이터 시작 (${this.options.host}:${port}, ${this.options.tls ? 'TLS' : '평문 TCP'}).`);
+                resolve(port);
+            });
+        });
+
+    }
+
+    /**
+     * 시뮬레이터 서버와 모든 세션을 종료합니다.
+     * @returns {Promise<void>}
+     */
+    stop() {
+
+        for (const session of this.sessions) {
+            session.timers.forEach(clearTimeout);
+            session.socket.destroy();
+        }
+        this.sessions.clear();
+
+        return new Promise((resolve) => {
+            if (!this.server) {
+                return resolve();
+            }
+            this.server.close(() => {
+                logger.info('🔌 [CentralService][Simulator] 중앙 시스템 시뮬레이터 종료 완료.');
+                resolve();
+            });
+        });
+
+    }
+
+    /**
+     * 보고 종류별 응답 모드를 실행 중에 변경합니다.
+     * @param {'DEVICE_INFO' | 'DEVICE_STATUS' | 'DISASTER_RESULT'} type - 보고 종류
+     * @param {'ACK' | 'NACK' | 'SILENCE'} mode - 응답 모드
+     */
+    setResponseMode(type, mode) {
+
+        if (!MODES.includes(mode)) {
+            throw new Error(`알 수 없는 응답 모드: ${mode}`);
+        }
+        this.options.responses[type] = mode;
+        logger.info(`[CentralService][Simulator] 응답 모드 변경 (${type}: ${mode}).`);
+
+    }
+
+    /**
+     * 인증된 모든 세션으로 재난 정보(ETS_NFY_DIS_INFO)를 전송합니다.
+     * @param {object} alert - CAP alert 객체 (identifier, sent가 없으면 자동 생성)
+     * @returns {{transMsgId: string, transMsgSeq: number, identifier: string}} 전송한 메시지 정보
+     */
+    pushDisaster(alert) {
+
+        this.disasterSeq += 1;
+        const transMsgSeq = this.disasterSeq;
+        const transMsgId = `SIM_${Date.now()}_${transMsgSeq}`;
+        const capAlert = {
+            '@xmlns': 'urn:oasis:names:tc:emergency:cap:1.2',
+            sender: config.CENTRAL_SYSTEM_SENDER_ID,
+            sent: _now(),
+            ...alert,
+            identifier: alert.identifier || `SIM.${Date.now()}.${transMsgSeq}`,
+        };
+
+        const messageBuffer = buildMessageBuffer(MESSAGE_IDS.ETS_NFY_DIS_INFO, {
+            data: {
+                transMsgId,
+                transMsgSeq,
+                capInfo: { alert: capAlert },
+            },
+        });
+
+        let delivered = 0;
+        for (const session of this.sessions) {
+            if (session.authenticated) {
+                session.socket.write(messageBuffer);
+                delivered += 1;
+            }
+        }
+
+        logger.info(`➡️ [CentralService][Simulator] 재난 정보 전송 (Identifier: ${capAlert.identifier}, transMsgId: ${transMsgId}, Seq: ${transMsgSeq}, 대상 세션: ${delivered}개).`);
+        return { transMsgId, transMsgSeq, identifier: capAlert.identifier };
+
+    }
+
+    /**
+     * 인증된 모든 세션으로 중앙 시스템발 세션 체크/명령 요청(ETS_REQ_SYS_STS)을 전송합니다.
+     * 응답은 'sessionResponse' 이벤트로 전달됩니다.
+     * @param {string} [cmd='alive'] - 요청할 명령 (예: 'alive', 'deviceInfoResync')
+     * @returns {number} 요청을 보낸 세션 수
+     */
+    requestSessionCheck(cmd = 'alive') {
+
+        let delivered = 0;
+        for (const session of this.sessions) {
+            if (session.authenticated) {
+                this._send(session, MESSAGE_IDS.ETS_REQ_SYS_STS, { data: { destId: session.destId, cmd, time: _now() } });
+                delivered += 1;
+            }
+        }
+
+        logger.info(`➡️ [CentralService][Simulator] 세션 체크 요청 전송 (cmd: ${cmd}, 대상 세션: ${delivered}개).`);
+        return delivered;
+
+    }
+
+    /**
+     * 새 클라이언트 연결을 처리합니다.
+     * @param {import('net').Socket} socket - 접속한 클라이언트 소켓
+     */
+    _handleConnection(socket) {
+
+        const session = {
+            socket,
+            nonce: null,
+            authenticated: false,
+            destId: null,
+            timers: [],
+        };
+        this.sessions.add(session);
+        logger.info(`🔌 [CentralService][Simulator] 클라이언트 접속 (${socket.remoteAddress}:${socket.remotePort}).`);
+
+        const parser = new ProtocolParser();
+        socket.pipe(parser);
+
+        parser.on('message', async (message) => {
+            try {
+                await this._handleMessage(session, message);
+            } catch (err) {
+                logger.error(`🚨 [CentralService][Simulator] 메시지 처리 오류 (ID: 0x${message.header.messageId.toString(16)}): ${err.message}`);
+            }
+        });
+
+        socket.on('error', (err) => {
+            logger.warn(`🔔 [CentralService][Simulator] 클라이언트 소켓 오류: ${err.message}`);
+        });
+
+        socket.on('close', () => {
+            session.timers.forEach(clearTimeout);
+            this.sessions.delete(session);
+            logger.info(`🔌 [CentralService][Simulator] 클라이언트 접속 종료 (destId: ${session.destId || 'N/A'}).`);
+            this.emit('disconnected', { destId: session.destId });
+        });
+
+    }
+
+    /**
+     * 수신한 메시지를 Message ID에 따라 처리합니다.
+     * @param {object} session - 클라이언트 세션
+     * @param {object} message - 파싱된 메시지 { header, body }
+     */
+    async _handleMessage(session, message) {
+
+        const { messageId } = message.header;
+        const parsed = message.body.length > 0
+            ? await xmlParser.parseStringPromise(message.body.toString('utf-8'))
+            : {};
+        const data = parsed?.data || {};
+
+        logger.debug(`⬅️ [CentralService][Simulator] 메시지 수신 (ID: 0x${messageId.toString(16)}).`);
+        this.emit('message', { messageId, data });
+
+        switch (messageId) {
+
+            case MESSAGE_IDS.ETS_REQ_SYS_CON:
+                this._handleAuthRequest(session, data);
+                break;
+
+            case MESSAGE_IDS.ETS_REQ_SYS_STS:
+                this._handleSessionCheck(session, data);
+                break;
+
+            case MESSAGE_IDS.ETS_RES_SYS_STS:
+                logger.info(`⬅️ [CentralService][Simulator] 세션 체크 응답 수신 (cmd: ${data.cmd}, Code: ${data.resultCode}).`);
+                this.emit('sessionResponse', data);
+                break;
+
+            case MESSAGE_IDS.ETS_CNF_DIS_INFO:
+                logger.info(`⬅️ [CentralService][Simulator] 재난 정보 응답 수신 (transMsgId: ${data.transMsgId}, Seq: ${data.transMsgSeq}, Code: ${data.resultCode}, Note: ${data.capInfo?.alert?.note}).`);
+                this.emit('disasterAck', data);
+                break;
+
+            default:
+                if (REPORT_RESPONSES[messageId]) {
+                    this._handleReport(session, messageId, data);
+                } else {
+                    logger.warn(`🔔 [CentralService][Simulator] 알 수 없는 Message ID 수신: 0x${messageId.toString(16)}`);
+                }
+                break;
+
+        }
+
+    }
+
+    /**
+     * 접속/인증 요청(ETS_REQ_SYS_CON)을 처리합니다.
+     * 첫 요청에는 401과 nonce를, Digest 응답이 포함된 요청에는 검증 결과(200/400/404)를 반환합니다.
+     * @param {object} session - 클라이언트 세션
+     * @param {object} data - 요청 데이터 { destId, realm?, nonce?, response? }
+     */
+    _handleAuthRequest(session, data) {
+
+        const { realm } = this.options;
+        const destId = data.destId;
+        session.destId = destId;
+
+        const reply = (resultCode, result, extra = {}) => {
+            this._send(session, MESSAGE_IDS.ETS_RES_SYS_CON, { data: { resultCode, result, ...extra } });
+            logger.info(`➡️ [CentralService][Simulator] 인증 응답 전송 (destId: ${destId}, Code: ${resultCode}).`);
+        };
+
+        if (!destId) {
+            return reply('400', 'Bad Request');
+        }
+
+        const password = this.options.users[destId];
+        if (password === undefined) {
+            return reply('404', 'Not Found');
+        }
+
+        // 1단계: Digest 응답이 없는 최초 요청에는 nonce를 발급합니다.
+        if (!data.response) {
+            session.nonce = crypto.randomBytes(16).toString('hex');
+            return reply('401', 'Unauthorized', { realm, nonce: session.nonce });
+        }
+
+        // 2단계: response = MD5(MD5(destId:realm:password):nonce) 검증
+        const expected = _md5(`${_md5(`${destId}:${realm}:${password}`)}:${session.nonce}`);
+        if (data.nonce !== session.nonce || data.response !== expected) {
+            return reply('400', 'Bad Request');
+        }
+
+        session.authenticated = true;
+        reply('200', 'OK');
+        this.emit('authenticated', { destId });
+        this._scheduleDisasterPushes(session);
+
+    }
+
+    /**
+     * 세션 체크 요청(ETS_REQ_SYS_STS)에 응답(Pong)합니다.
+     * @param {object} session - 클라이언트 세션
+     * @param {object} data - 요청 데이터 { destId, cmd, time }
+     */
+    _handleSessionCheck(session, data) {
+
+        if (this.options.sessionCheck === 'SILENCE') {
+            logger.info('[CentralService][Simulator] 세션 체크 무응답 모드. Pong 생략.');
+            return;
+        }
+
+        this._send(session, MESSAGE_IDS.ETS_RES_SYS_STS, {
+            data: {
+                resultCode: '200',
+                result: 'OK',
+                cmd: data.cmd,
+                time: _now(),
+            },
+        });
+        logger.debug('➡️ [CentralService][Simulator] 세션 체크 응답(Pong) 전송.');
+
+    }
+
+    /**
+     * 보고 메시지(단말 제원/상태, 결과 보고)에 설정된 모드로 응답합니다.
+     * @param {object} session - 클라이언트 세션
+     * @param {number} messageId - 수신한 보고 메시지 ID
+     * @param {object} data - 요청 데이터 { transMsgId, transMsgSeq, capInfo }
+     */
+    _handleReport(session, messageId, data) {
+
+        const [responseId, type] = REPORT_RESPONSES[messageId];
+        const mode = this.options.responses[type];
+        const { transMsgId, transMsgSeq } = data;
+
+        this.emit('report', { type, mode, data });
+
+        if (mode === 'SILENCE') {
+            logger.info(`[CentralService][Simulator] ${type} 보고 무응답 모드 (transMsgId: ${transMsgId}, Seq: ${transMsgSeq}).`);
+            return;
+        }
+
+        const [resultCode, result] = mode === 'ACK' ? ['200', 'OK'] : ['400', 'Bad Request'];
+        this._send(session, responseId, { data: { resultCode, result, transMsgId, transMsgSeq } });
+        logger.info(`➡️ [CentralService][Simulator] ${type} 보고 응답 전송 (transMsgId: ${transMsgId}, Seq: ${transMsgSeq}, Code: ${resultCode}).`);
+
+    }
+
+    /**
+     * 인증된 세션에 시나리오의 재난 정보를 순서대로 예약 전송합니다.
+     * @param {object} session - 클라이언트 세션
+     */
+    _scheduleDisasterPushes(session) {
+
+        for (const { delay = 0, alert } of this.options.disasterPushes) {
+            session.timers.push(setTimeout(() => this.pushDisaster(alert), delay));
+        }
+
+    }
+
+    /**
+     * 세션으로 메시지를 전송합니다.
+     * @param {object} session - 클라이언트 세션
+     * @param {number} messageId - 메시지 ID
+     * @param {object} xmlObject - XML로 변환할 객체
+     */
+    _send(session, messageId, xmlObject) {
+
+        const messageBuffer = buildMessageBuffer(messageId, xmlObject);
+        if (messageBuffer && !session.socket.destroyed) {
+            session.socket.write(messageBuffer);
+        }
+
+    }
+
+}
+
+module.exports = CentralSimulator;
@@ -0,0 +1,121 @@
+/**
+ * @file index.js
+ * @description 중앙 시스템 시뮬레이터 실행 진입점입니다.
+ * 사용법: npm run simulator [-- <시나리오 JSON 경로>]
+ *
+ * 환경 변수:
+ * - SIMULATOR_PORT: 수신 대기 포트 (기본값: CENTRAL_SERVER_PORT 또는 9504)
+ * - SIMULATOR_REALM: Digest 인증 realm (기본값: ETS)
+ * - CENTRAL_AUTH_ID / CENTRAL_AUTH_PASSWORD: 인증을 허용할 사용자 정보
+ * - SIMULATOR_SESSION_CHECK: 세션 체크 응답 모드 (ACK | SILENCE)
+ * - SIMULATOR_DEVICE_INFO_MODE / SIMULATOR_DEVICE_STATUS_MODE / SIMULATOR_DISASTER_RESULT_MODE: 보고 응답 모드 (ACK | NACK | SILENCE)
+ * - SIMULATOR_TLS_CERT_PATH / SIMULATOR_TLS_KEY_PATH: 설정 시 TLS 서버로 동작
+ * - SIMULATOR_TLS_CA_PATH: 설정 시 해당 CA로 서명된 클라이언트 인증서를 요구 (mTLS)
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+
+// central-service와 같은 프레이밍을 쓰도록, 로컬 개발 환경에 값이 없으면 설계서 기본값을 사용합니다.
+process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER = process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER || '0xF020190F';
+process.env.CENTRAL_SYSTEM_SENDER_ID = process.env.CENTRAL_SYSTEM_SENDER_ID || 'mmdip@mois.go.kr';
+
+const logger = require('../src/core/utils/logger');
+const CentralSimulator = require('./centralSimulator');
+
+const DEFAULT_SCENARIO = path.join(__dirname, 'scenarios', 'default.json');
+
+/**
+ * 환경 변수로부터 TLS 서버 옵션을 구성합니다.
+ * @returns {object | undefined} tls.createServer 옵션 (TLS 미사용 시 undefined)
+ */
+function buildTlsOptions() {
+
+    const { SIMULATOR_TLS_CERT_PATH, SIMULATOR_TLS_KEY_PATH, SIMULATOR_TLS_CA_PATH } = process.env;
+
+    if (!SIMULATOR_TLS_CERT_PATH || !SIMULATOR_TLS_KEY_PATH) {
+        return undefined;
+    }
+
+    return {
+        cert: fs.readFileSync(SIMULATOR_TLS_CERT_PATH),
+        key: fs.readFileSync(SIMULATOR_TLS_KEY_PATH),
+        ...(SIMULATOR_TLS_CA_PATH ? {
+            ca: fs.readFileSync(SIMULATOR_TLS_CA_PATH),
+            requestCert: true,
+            rejectUnauthorized: true,
+        } : {}),
+    };
+
+}
+
+/**
+ * 시나리오 파일과 환경 변수로부터 시뮬레이터 설정을 구성합니다.
+ * 환경 변수 값이 시나리오 파일 값보다 우선합니다.
+ * @param {string} scenarioPath - 시나리오 JSON 파일 경로
+ * @returns {object} CentralSimulator 생성자 옵션
+ */
+function buildOptions(scenarioPath) {
+
+    const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf-8'));
+    const responses = { ...scenario.responses };
+
+    if (process.env.SIMULATOR_DEVICE_INFO_MODE) {
+        responses.DEVICE_INFO = process.env.SIMULATOR_DEVICE_INFO_MODE;
+    }
+    if (process.env.SIMULATOR_DEVICE_STATUS_MODE) {
+        responses.DEVICE_STATUS = process.env.SIMULATOR_DEVICE_STATUS_MODE;
+    }
+    if (process.env.SIMULATOR_DISASTER_RESULT_MODE) {
+        responses.DISASTER_RESULT = process.env.SIMULATOR_DISASTER_RESULT_MODE;
+    }
+
+    return {
+        port: parseInt(process.env.SIMULATOR_PORT || process.env.CENTRAL_SERVER_PORT || '9504', 10),
+        realm: process.env.SIMULATOR_REALM || scenario.realm,
+        users: {
+            ...scenario.users,
+            ...(process.env.CENTRAL_AUTH_ID ? { [process.env.CENTRAL_AUTH_ID]: process.env.CENTRAL_AUTH_PASSWORD } : {}),
+        },
+        sessionCheck: process.env.SIMULATOR_SESSION_CHECK || scenario.sessionCheck,
+        responses,
+        disasterPushes: scenario.disasterPushes || [],
+        tls: buildTlsOptions(),
+    };
+
+}
+
+/**
+ * 시뮬레이터를 시작하고 종료 신호를 처리합니다.
+ */
+async function main() {
+
+    const scenarioPath = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_SCENARIO;
+
+    try {
+
+        const options = buildOptions(scenarioPath);
+        const simulator = new CentralSimulator(options);
+        await simulator.start();
+        logger.info(`✅ [CentralService][Simulator] 시나리오 로드 완료 (${scenarioPath}, 재난 정보 ${options.disasterPushes.length}건).`);
+
+        const shutdown = async (signal) => {
+            logger.warn(`🔔 [CentralService][Simulator] ${signal} 신호 수신. 종료 시작...`);
+            await simulator.stop();
+            process.exit(0);
+        };
+        process.on('SIGINT', () => shutdown('SIGINT'));
+        process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    } catch (err) {
+
+        logger.error(`🚨 [CentralService][Simulator] 시뮬레이터 시작 오류: ${err.message}`);
+        process.exit(1);
+
+    }
+
+}
+
+main();
@@ -8,6 +8,49 @@
 // 애플리케이션 시작 시 .env 파일을 읽어 process.env에 설정합니다.
 require('dotenv').config();
 
+/**
+ * "IP:PORT,IP:PORT" 형식의 문자열을 중앙 시스템 접속 대상 목록으로 변환합니다.
+ * 값이 없으면 CENTRAL_SERVER_IP/CENTRAL_SERVER_PORT 단일 대상을 사용합니다.
+ * @param {string | undefined} value - CENTRAL_SERVER_ENDPOINTS 환경 변수 값
+ * @returns {Array<{host: string, port: number}>} 우선순위 순서의 접속 대상 목록
+ */
+function parseEndpoints(value) {
+
+    if (!value) {
+        return [{ host: process.env.CENTRAL_SERVER_IP, port: parseInt(process.env.CENTRAL_SERVER_PORT, 10) }];
+    }
+
+    return value
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const [host, port] = entry.split(':');
+            return { host, port: parseInt(port || process.env.CENTRAL_SERVER_PORT, 10) };
+        });
+
+}
+
+/**
+ * 쉼표로 구분된 인증서 지문(SHA-256) 목록을 비교용 형식으로 정규화합니다.
+ * 콜론 유무, 대소문자와 관계없이 'AA:BB:...' 형식으로 변환합니다.
+ * @param {string | undefined} value - CENTRAL_TLS_PINNED_FINGERPRINTS 환경 변수 값
+ * @returns {string[]} 정규화된 지문 목록
+ */
+function parseFingerprints(value) {
+
+    if (!value) {
+        return [];
+    }
+
+    return value
+        .split(',')
+        .map((entry) => entry.trim().replace(/:/g, '').toUpperCase())
+        .filter(Boolean)
+        .map((hex) => hex.match(/.{1,2}/g).join(':'));
+
+}
+
 module.exports = {
 
     // --- 로깅 설정 ---
@@ -22,6 +65,72 @@ module.exports = {
     tcp: {
         IP: process.env.CENTRAL_SERVER_IP,
         PORT: parseInt(process.env.CENTRAL_SERVER_PORT, 10),
+        // 중앙 시스템 접속 대상 목록 (우선순위 순서: 주 센터, 재해복구(DR) 센터...)
+        // 형식: CENTRAL_SERVER_ENDPOINTS=IP:PORT,IP:PORT
+        ENDPOINTS: parseEndpoints(process.env.CENTRAL_SERVER_ENDPOINTS),
+        // 접속 대상 전환(Failover/Failback) 설정 (단위: ms)
+        FAILOVER: {
+            // 현재 대상에서 연속으로 이 횟수만큼 연결/인증에 실패하면 다음 대상으로 전환
+            FAILURE_THRESHOLD: 2,
+            // 다른 대상으로 전환할 때 재연결까지 대기하는 시간
+            SWITCH_DELAY: 5000,
+            // 보조 대상에서 세션이 이 시간 동안 안정적으로 유지되면 주 대상 복귀(Failback)를 시도
+            FAILBACK_STABLE_PERIOD: 300000,
+            // 주 대상 복귀 전 상태 확인(Probe) 연결 타임아웃
+            PROBE_TIMEOUT: 5000,
+        },
+        // 재연결 대기 시간(지수 백오프) 설정 (단위: ms)
+        // 대기 시간 = min(MAX_DELAY, 기본 대기 시간 * MULTIPLIER^(연속 시도 횟수 - 1)) ± JITTER_RATIO
+        RECONNECT: {
+            // 네트워크 오류(연결 실패, 끊김, 타임아웃) 후 첫 재연결 대기 시간
+            BASE_DELAY: 5000,
+            // 인증 거부(400, 404) 후 첫 재연결 대기 시간 (T4 재접속 간격과 동일)
+            AUTH_REJECTED_BASE_DELAY: 60000,
+            MULTIPLIER: 2,
+            MAX_DELAY: 600000,
+            // 여러 인스턴스가 동시에 재접속하지 않도록 대기 시간에 더하는 무작위 편차 비율 (0.2 = ±20%)
+            JITTER_RATIO: 0.2,
+        },
+        // 인증 차단(Circuit Breaker) 설정
+        CIRCUIT_BREAKER: {
+            // 사용자 없음(404) 응답을 연속으로 이 횟수만큼 받으면 자동 재연결을 중단(OPEN)
+            USER_NOT_FOUND_THRESHOLD: 3,
+            // OPEN 후 한 번 더 접속을 시도(HALF_OPEN)하기까지 대기 시간 (0이면 운영자가 해제할 때까지 대기)
+            OPEN_DURATION: 3600000,
+        },
+        // 수신 메시지 라우팅 설정
+        ROUTER: {
+            // 등록되지 않은 Message ID 수신 시 정책 (LOG: 로그만, CAPTURE: 격리 테이블 저장, DISCONNECT: 저장 후 연결 종료)
+            UNKNOWN_MESSAGE_POLICY: process.env.CENTRAL_UNKNOWN_MESSAGE_POLICY || 'CAPTURE',
+            // 인증 완료 전에 인증이 필요한 메시지 수신 시 정책
+            UNAUTHENTICATED_MESSAGE_POLICY: process.env.CENTRAL_UNAUTHENTICATED_MESSAGE_POLICY || 'CAPTURE',
+        },
+        // 송신 큐 설정
+        OUTBOUND_QUEUE: {
+            // 송신 대기 중인 일반(보고) 메시지의 최대 개수. 초과 시 새 보고 메시지는 거부되어 다음 워커 주기에 재시도됩니다.
+            // 제어 메시지(인증, 세션 체크, 재난 정보 수신 응답)는 보고 메시지보다 항상 우선 전송됩니다.
+            MAX_SIZE: 500,
+            // 송신 대기 중인 제어 메시지의 최대 개수. 같은 세션 체크 메시지는 최신 1건만 남기고, 초과 시 가장 오래된 제어 메시지를 버립니다.
+            CONTROL_MAX_SIZE: 100,
+        },
+        // TLS 설정 (CENTRAL_TLS_ENABLED=true일 때만 사용, 미설정 시 평문 TCP로 접속)
+        TLS: {
+            ENABLED: process.env.CENTRAL_TLS_ENABLED === 'true',
+            // 중앙 시스템 인증서를 검증할 CA 번들 경로 (미설정 시 Node.js 기본 CA 사용)
+            CA_PATH: process.env.CENTRAL_TLS_CA_PATH,
+            // 상호 인증(mTLS)용 클라이언트 인증서/개인키 경로
+            CERT_PATH: process.env.CENTRAL_TLS_CERT_PATH,
+            KEY_PATH: process.env.CENTRAL_TLS_KEY_PATH,
+            KEY_PASSPHRASE: process.env.CENTRAL_TLS_KEY_PASSPHRASE,
+            // SNI 및 인증서 호스트 검증에 사용할 서버 이름 (미설정 시 접속 대상 host 사용)
+            SERVERNAME: process.env.CENTRAL_TLS_SERVERNAME,
+            // 인증서 체인 검증 실패 시 연결 거부 여부 (운영 환경에서는 반드시 true)
+            REJECT_UNAUTHORIZED: process.env.CENTRAL_TLS_REJECT_UNAUTHORIZED !== 'false',
+            // 허용할 중앙 시스템 인증서의 SHA-256 지문 목록 (비어 있으면 Pinning 미사용)
+            // 형식: CENTRAL_TLS_PINNED_FINGERPRINTS=AA:BB:...,CC:DD:...
+            PINNED_FINGERPRINTS: parseFingerprints(process.env.CENTRAL_TLS_PINNED_FINGERPRINTS),
+            MIN_VERSION: process.env.CENTRAL_TLS_MIN_VERSION || 'TLSv1.2',
+        },
         protocol: {
             HEADER: {
                 HEADER_LENGTH: 16,
@@ -30,6 +139,8 @@ module.exports = {
             },
             // DoS 공격 방지를 위한 최대 바디 크기 (20MB)
             MAX_BODY_LENGTH: 20 * 1024 * 1024,
+            // 재동기화 시 버려진 손상 바이트를 격리(tcp_quarantine_logs) 보관할 최대 크기 (64KB)
+            QUARANTINE_MAX_BYTES: 64 * 1024,
             // 타이머 설정 (단위: ms)
             TIMERS: {
                 // T2: 주기적인 세션 체크(Ping) 간격
@@ -62,30 +173,31 @@ module.exports = {
                 ETS_NFY_DEVICE_STS: 0xFFEE8010,
                 ETS_CNF_DEVICE_STS: 0xFFEE8020,
             },
-            // 유효한 CAP Event Code 목록
-            VALID_EVENT_CODES: [
-
-                'EQI', 'EQW', 'EEW', 'FEI', 'TSA', 'TSL', 'TSW', 'TSC', 'TSO', 'TSR', 'TSI', 'VOI', 'VOA',
-                'VOL', 'VOW', 'VOC', 'VOO', 'VOR', 'FLA', 'FLL', 'FLG', 'FLW', 'FLC', 'FLN', 'FLS', 'HWA',
-                'HWG', 'HWL', 'HWW', 'HWN', 'HWC', 'HWE', 'HWS', 'HRA', 'HRG', 'HRL', 'HRW', 'HRN', 'HRC',
-                'HRE', 'HRS', 'CWA', 'CWG', 'CWL', 'CWW', 'CWN', 'CWC', 'CWE', 'CWS', 'HAA', 'HAG', 'HAL',
-                'HAW', 'HAN', 'HAC', 'HAE', 'HAS', 'SSA', 'SSG', 'SSL', 'SSW', 'SSN', 'SSC', 'SSE', 'SSS',
-                'WWA', 'WWG', 'WWL', 'WWW', 'WWN', 'WWC', 'WWE', 'WWS', 'TPA', 'TPG', 'TPL', 'TPW', 'TPN',
-                'TPC', 'TPE', 'TPS', 'HSA', 'HSG', 'HSL', 'HSW', 'HSN', 'HSC', 'HSE', 'HSS', 'YSW', 'YSN',
-                'YSC', 'YSE', 'YSS', 'HTA', 'HTG', 'HTL', 'HTW', 'HTN', 'HTC', 'HTE', 'HTS', 'HFA', 'HFG',
-                'HFL', 'HFW', 'HFN', 'HFC', 'HFE', 'HFS', 'THW', 'THS', 'DRW', 'DRS', 'NSD', 'NSW', 'NSV',
-                'NSS', 'AVA', 'AVW', 'AVC', 'AVS', 'NHW', 'NHS', 'MFA', 'MFW', 'MFV', 'MFC', 'MFE', 'MFS',
-                'CPW', 'CAW', 'CCW', 'CNW', 'CDC', 'GFD', 'GFS', 'NDA', 'NDW', 'NDS', 'ASD', 'ASW', 'ASV',
-                'ASS', 'GRW', 'GRS', 'FDA', 'FDW', 'FDE', 'FDS', 'CWD', 'CWI', 'CHD', 'CHC', 'CHE', 'CHS',
-                'DEW', 'DES', 'DEC', 'LDW', 'LDA', 'POA', 'POW', 'POS', 'POD', 'GAD', 'COD', 'RWD', 'RWS',
-                'RWC', 'RWI', 'SWD', 'SWS', 'SWC', 'BCW', 'BCS', 'ISD', 'MSD', 'MSS', 'MAE', 'MPD', 'MPS',
-                'FND', 'FNE', 'FNS', 'DOW', 'DOE', 'DOS', 'DBA', 'DBW', 'DBS', 'RVD', 'DWW', 'DFD', 'DFS',
-                'TEW', 'TES', 'FHD', 'FHV', 'FHS', 'FRW', 'FRV', 'FRC', 'FRS', 'WHD', 'RLD', 'RLE', 'RLS',
-                'RHW', 'RHS', 'NRD', 'NRS', 'CME', 'CMC', 'CAE', 'CAC', 'SHW', 'SHS', 'LAW', 'NPT', 'DIS', 'DIM'
-            ],
         },
     },
 
+    // --- 재난 정보(CAP) 전자서명(XML-DSig) 검증 설정 ---
+    capSignature: {
+        // off: 검증하지 않음, flag: 검증 결과만 기록하고 수신, reject: 검증에 실패한 재난 정보는 거부(실패 응답)
+        MODE: process.env.CENTRAL_CAP_SIGNATURE_MODE || 'off',
+        // reject 모드에서 서명이 없는 재난 정보를 수신할지 여부 (false면 서명 없는 재난 정보도 거부)
+        ALLOW_UNSIGNED: process.env.CENTRAL_CAP_SIGNATURE_ALLOW_UNSIGNED === 'true',
+        // 신뢰하는 서명 인증서 또는 발급 CA 인증서(PEM, .pem/.crt)가 있는 디렉터리
+        TRUST_STORE_DIR: process.env.CENTRAL_CAP_TRUST_STORE_DIR,
+        // 신뢰 저장소 로드에 실패했을 때 다시 로드할 때까지 기다리는 시간 (단위: 밀리초)
+        TRUST_STORE_RETRY_INTERVAL: 60000, // 1분
+        // 검증 실패로 거부할 때 응답 note 코드 (220: 프로파일 해석 오류)
+        REJECT_NOTE_CODE: process.env.CENTRAL_CAP_SIGNATURE_REJECT_NOTE_CODE || '220',
+    },
+
+    // --- 재난 정보 identifier 중복 처리 설정 ---
+    // 같은 CAP identifier가 다른 transMsgId로 재전송된 경우의 처리 정책이며, 재전송 이력은 정책과 관계없이 모두 기록합니다.
+    disasterDedup: {
+        // reject: 내용이 바뀐 재전송은 중복(300)으로 거부, republish: 내용(sent 또는 본문)이 바뀌었으면 재발행
+        // 두 정책 모두 내용이 같은 재전송은 발행하지 않고 수신 확인(200, Note Code: 300)으로 응답합니다.
+        POLICY: process.env.CENTRAL_DISASTER_DEDUP_POLICY || 'reject',
+    },
+
     auth: {
         DEST_ID: process.env.CENTRAL_AUTH_ID,
         PASSWORD: process.env.CENTRAL_AUTH_PASSWORD,
@@ -101,6 +213,15 @@ module.exports = {
         CONCURRENCY_LIMIT: 5,
     },
 
+    // --- 단말장치 보고(제원/상태) 분할 설정 ---
+    // 한도를 넘는 단말장치 목록은 여러 보고(파트)로 나누어 전송하며, 파트별로 ACK를 받습니다.
+    deviceReport: {
+        // 파트 하나에 담을 최대 단말장치 수
+        MAX_DEVICES_PER_PART: parseInt(process.env.CENTRAL_DEVICE_REPORT_MAX_DEVICES, 10) || 500,
+        // 파트 하나의 단말장치 목록(JSON) 최대 크기 (단위: 바이트, MAX_BODY_LENGTH보다 충분히 작아야 함)
+        MAX_PART_BYTES: parseInt(process.env.CENTRAL_DEVICE_REPORT_MAX_BYTES, 10) || 256 * 1024,
+    },
+
     // --- 재난 정보 발행 워커 설정 ---
     disasterPublishWorker: {
         // DB를 폴링하여 미발행 보고를 확인할 주기 (단위: 밀리초)
@@ -111,6 +232,45 @@ module.exports = {
         CONCURRENCY_LIMIT: 5,        
     },
 
+    // --- 재난 정보 첨부 파일 내용(derefUri) 보관 설정 ---
+    // 첨부 파일 내용은 인박스/아웃박스 로그와 분리하여 disaster_resource_contents에 내용 해시 기준으로 한 번만 보관합니다.
+    resourceContent: {
+        // 보관 기간. 이 기간 동안 다시 수신되지 않은 내용은 삭제합니다. (단위: 밀리초)
+        RETENTION: (parseInt(process.env.CENTRAL_RESOURCE_CONTENT_RETENTION_DAYS, 10) || 7) * 24 * 60 * 60 * 1000, // 기본 7일
+        // 보관 기간이 지난 내용을 확인할 주기 (단위: 밀리초)
+        CLEANUP_INTERVAL: 3600000, // 1시간
+    },
+
+    // --- 수신 시퀀스(transMsgSeq) 누락 감시 워커 설정 ---
+    sequenceGapWorker: {
+        // DB를 폴링하여 오래된 누락 시퀀스를 확인할 주기 (단위: 밀리초)
+        POLLING_INTERVAL: 30000, // 30초
+        // 누락 시퀀스가 이 시간 안에 도착하지 않으면 운영 경보를 발생시킵니다. (단위: 밀리초)
+        GAP_ALARM_TIMEOUT: parseInt(process.env.CENTRAL_SEQUENCE_GAP_ALARM_TIMEOUT, 10) || 300000, // 5분
+        // 한 번에 이보다 크게 시퀀스가 건너뛰거나 되돌아가면 누락이 아닌 발신 측 시퀀스 재설정(RESET)으로 판단합니다.
+        MAX_GAP_SIZE: 1000,
+    },
+
+    // --- 재난 정보 우선순위 설정 ---
+    // 우선순위는 CAP info의 긴급성(urgency)과 심각성(severity)으로 정하며, 발행 순서와 RabbitMQ 메시지 우선순위에 사용됩니다.
+    disasterPriority: {
+        // 긴급성/심각성과 관계없이 최고 우선순위로 처리할 재난 코드 (지진, 지진해일 등 인명 피해가 임박한 재난)
+        LIFE_CRITICAL_EVENT_CODES: ['EEW', 'EQW', 'TSW'],
+        // 최고 우선순위 (external-service 재난 정보 큐의 x-max-priority와 같아야 합니다)
+        MAX_PRIORITY: 9,
+    },
+
+    // --- 재난 정보 Event Code 카탈로그 설정 ---
+    eventCodeCatalog: {
+        // external-service 동기화에 사용하는 카탈로그 캐시를 DB에서 다시 가져올 주기 (단위: 밀리초, Event Code 검사는 DB를 직접 조회)
+        CACHE_DURATION: 60000, // 1분
+        // 카탈로그 변경 여부를 확인하여 external-service로 발행할 주기 (단위: 밀리초)
+        SYNC_INTERVAL: 60000, // 1분
+        // 변경이 없어도 전체 목록을 다시 발행할 주기 (단위: 밀리초)
+        // external-service의 카탈로그 큐가 다시 만들어지거나 메시지가 유실되어도 이 주기 안에 사본이 복구됩니다.
+        REPUBLISH_INTERVAL: 600000, // 10분
+    },
+
     // --- 데이터베이스 설정 ---
     database: {
         HOST: process.env.PGHOST,
@@ -139,6 +299,12 @@ module.exports = {
             // 재시도 할 메시지를 담을 Queue
             REPORT_WAIT_QUEUE: 'report_wait',
             REPORT_ROUTING_KEY: 'report.external',
+            // Event Code 카탈로그를 발행할 때 사용하는 라우팅 키 (DISASTER_EXCHANGE)
+            CATALOG_ROUTING_KEY: 'catalog.eventCode',
+            // 실제(Actual) 재난 정보 라우팅 키 접두어 ('disaster.<eventCode>')
+            DISASTER_ROUTING_KEY_PREFIX: 'disaster',
+            // 훈련/시험(Exercise, System, Test, Draft) 재난 정보 라우팅 키 접두어 ('drill.<status 소문자>.<eventCode>')
+            DRILL_ROUTING_KEY_PREFIX: 'drill',
         },
         RETRY_DELAY: 10000, // 10초
         MAX_RETRIES: 3,
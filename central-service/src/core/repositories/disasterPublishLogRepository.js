@@ -8,18 +8,68 @@ const pool = require('./pool');
 /**
  * 재난 정보 발행 로그를 아웃박스에 생성합니다.
  * @param {object} logData - 로그 데이터
+ * @param {string[]} [logData.eventCodes] - 모든 info의 서로 다른 eventCode 목록 (없으면 [eventCode])
+ * @param {string} [logData.msgType='Alert'] - CAP msgType ('Alert', 'Update', 'Cancel')
+ * @param {string} [logData.alertStatus='Actual'] - CAP status ('Actual', 'Exercise', 'System', 'Test', 'Draft')
+ * @param {string} [logData.rootIdentifier] - 생애주기의 최초 재난 정보 identifier (없으면 identifier)
+ * @param {string[]} [logData.referencedIdentifiers=[]] - CAP references에서 참조한 identifier 목록
+ * @param {string | null} [logData.expiresAt=null] - 재난 정보 만료 시각 (없으면 만료되지 않음)
+ * @param {number} [logData.priority=0] - 발행 우선순위 (capService.getPriority() 결과)
  * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} 생성 여부 (같은 identifier가 이미 있으면 false)
  */
 async function create(logData, client = pool) {
     
-    const { tcpReceiveLogId, routingKey, rawMessage, identifier, eventCode } = logData;
+    const { tcpReceiveLogId, routingKey, rawMessage, identifier, eventCode, eventCodes, msgType = 'Alert', alertStatus = 'Actual', rootIdentifier, referencedIdentifiers = [], expiresAt = null, priority = 0 } = logData;
     const query = `
-        INSERT INTO disaster_publish_logs (tcp_receive_log_id, routing_key, raw_message, identifier, event_code)
-        VALUES ($1, $2, $3, $4, $5)
+        INSERT INTO disaster_publish_logs (tcp_receive_log_id, routing_key, raw_message, identifier, event_code, event_codes, msg_type, alert_status, root_identifier, referenced_identifiers, expires_at, priority)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
         ON CONFLICT (identifier) DO NOTHING;
     `;
-    await client.query(query, [tcpReceiveLogId, routingKey, rawMessage, identifier, eventCode]);
+    const { rowCount } = await client.query(query, [tcpReceiveLogId, routingKey, rawMessage, identifier, eventCode, eventCodes || [eventCode], msgType, alertStatus, rootIdentifier || identifier, referencedIdentifiers, expiresAt, priority]);
+    return rowCount > 0;
+
+}
+
+/**
+ * 같은 identifier로 내용이 바뀌어 재전송된 재난 정보로 기존 발행 로그를 교체하고, 다시 발행되도록 PENDING으로 되돌립니다.
+ * @param {number} logId - 기존 발행 로그 ID
+ * @param {object} logData - 로그 데이터 (create()와 같음, identifier 제외)
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<number>} 증가된 revision
+ */
+async function republish(logId, logData, client = pool) {
+
+    const { tcpReceiveLogId, routingKey, rawMessage, eventCode, eventCodes, msgType = 'Alert', alertStatus = 'Actual', rootIdentifier, referencedIdentifiers = [], expiresAt = null, priority = 0 } = logData;
+    const query = `
+        UPDATE disaster_publish_logs
+        SET tcp_receive_log_id = $2, routing_key = $3, raw_message = $4, event_code = $5, event_codes = $6, msg_type = $7, alert_status = $8,
+            root_identifier = COALESCE($9, identifier), referenced_identifiers = $10, expires_at = $11, priority = $12,
+            status = 'PENDING', retry_count = 0, revision = revision + 1
+        WHERE id = $1
+        RETURNING revision;
+    `;
+    const { rows } = await client.query(query, [logId, tcpReceiveLogId, routingKey, rawMessage, eventCode, eventCodes || [eventCode], msgType, alertStatus, rootIdentifier || null, referencedIdentifiers, expiresAt, priority]);
+    return rows[0].revision;
+
+}
+
+/**
+ * identifier 목록에 해당하는 발행 로그의 생애주기 정보를 조회합니다. (Update/Cancel 연결용)
+ * info가 없는 Update/Cancel은 원본의 eventCode와 우선순위로 라우팅하므로 함께 조회합니다.
+ * @param {string[]} identifiers - 조회할 재난 정보 identifier 목록
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<Array<{identifier: string, msg_type: string, root_identifier: string, event_code: string, event_codes: string[], priority: number}>>} 존재하는 발행 로그 목록
+ */
+async function findLifecycleByIdentifiers(identifiers, client = pool) {
+
+    const query = `
+        SELECT identifier, msg_type, root_identifier, event_code, event_codes, priority
+        FROM disaster_publish_logs
+        WHERE identifier = ANY($1::text[]);
+    `;
+    const { rows } = await client.query(query, [identifiers]);
+    return rows;
 
 }
 
@@ -41,12 +91,33 @@ async function existsByIdentifier(identifier) {
 
 }
 
+/**
+ * 고유 식별자(identifier)로 발행 로그 ID를 잠금(FOR UPDATE) 조회합니다. 트랜잭션 안에서 호출해야 합니다.
+ * (같은 재난 정보의 결과 보고 번호를 순서대로 부여하기 위함)
+ * @param {string} identifier - 재난 정보의 고유 식별자
+ * @param {import('pg').PoolClient} client - 트랜잭션 중인 데이터베이스 클라이언트
+ * @returns {Promise<number | undefined>} 발행 로그 ID (없으면 undefined)
+ */
+async function findIdByIdentifierForUpdate(identifier, client) {
+
+    const query = `
+        SELECT id
+        FROM disaster_publish_logs
+        WHERE identifier = $1
+        FOR UPDATE;
+    `;
+    const { rows } = await client.query(query, [identifier]);
+    return rows[0]?.id;
+
+}
+
 /**
  * 고유 식별자(identifier)로 로그를 조회합니다.
  * @param {string} identifier - 확인할 재난 정보의 고유 식별자
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
  * @returns {Promise<object>} 로그 객체
  */
-async function findByIdentifier(identifier) {
+async function findByIdentifier(identifier, client = pool) {
     
     const query = `
         SELECT *
@@ -54,7 +125,7 @@ async function findByIdentifier(identifier) {
         WHERE identifier = $1
         LIMIT 1;
     `;
-    const { rows } = await pool.query(query, [identifier]);
+    const { rows } = await client.query(query, [identifier]);
     return rows[0];
 
 }
@@ -62,7 +133,7 @@ async function findByIdentifier(identifier) {
 /**
  * ID를 기준으로 발행 로그의 상태(status)를 업데이트합니다.
  * @param {number} logId - 업데이트할 로그의 ID
- * @param {string} status - 새로운 상태 ('SENT', 'SUCCESS', 'FAILED')
+ * @param {string} status - 새로운 상태 ('SENT', 'SUCCESS', 'FAILED', 'EXPIRED')
  * @returns {Promise<void>}
  */
 async function updateStatusById(logId, status) {
@@ -99,20 +170,42 @@ async function incrementRetryCount(logId) {
 async function findUnprocessedMessages() {
     
     const query = `
-        SELECT id, routing_key, raw_message, retry_count, status, identifier, event_code
-        FROM disaster_publish_logs
-        WHERE status = 'PENDING'
-        ORDER BY created_at ASC;
+        SELECT d.id, d.routing_key, d.raw_message, d.retry_count, d.status, d.identifier, d.event_code, d.event_codes, d.msg_type, d.alert_status, d.root_identifier, d.referenced_identifiers, d.expires_at, d.priority, d.revision,
+            t.signature_status, t.signature_detail
+        FROM disaster_publish_logs d
+        LEFT JOIN tcp_receive_logs t ON t.id = d.tcp_receive_log_id
+        WHERE d.status = 'PENDING'
+        ORDER BY d.priority DESC, d.created_at ASC;
     `;
     const { rows } = await pool.query(query);
     return rows;
 
 }
 
+/**
+ * 모든 상태의 재난 정보 발행 로그 건수를 상태별로 조회합니다. (상태 점검용)
+ * @returns {Promise<Object<string, number>>} 상태 -> 건수 (예: { PENDING: 2, SUCCESS: 10, FAILED: 1 })
+ */
+async function countAllByStatus() {
+
+    const query = `
+        SELECT status, COUNT(*)::int AS count
+        FROM disaster_publish_logs
+        GROUP BY status;
+    `;
+    const { rows } = await pool.query(query);
+    return Object.fromEntries(rows.map(({ status, count }) => [status, count]));
+
+}
+
 module.exports = {
     create,
+    republish,
+    findLifecycleByIdentifiers,
     findUnprocessedMessages,
+    countAllByStatus,
     existsByIdentifier,
+    findIdByIdentifierForUpdate,
     findByIdentifier,
     updateStatusById,
     incrementRetryCount,
@@ -0,0 +1,38 @@
+/**
+ * @file disasterRedeliveryLogRepository.js
+ * @description disaster_redelivery_logs 테이블(같은 identifier로 재전송된 재난 정보 이력)과의 데이터베이스 상호작용을 담당합니다.
+ */
+
+const pool = require('./pool');
+
+/**
+ * 재전송된 재난 정보 이력을 원본 재난 정보(disaster_publish_logs)에 연결하여 기록합니다.
+ * @param {object} logData - 로그 데이터
+ * @param {number} logData.disasterPublishLogId - 원본 재난 정보 발행 로그 ID
+ * @param {number} logData.tcpReceiveLogId - 재전송된 메시지의 tcp_receive_log ID
+ * @param {number} logData.previousTcpReceiveLogId - 재전송 시점에 원본 재난 정보가 가리키던 tcp_receive_log ID
+ * @param {string} logData.identifier - CAP identifier
+ * @param {string} logData.inboundId - 재전송된 transMsgId
+ * @param {string | number} logData.inboundSeq - 재전송된 transMsgSeq
+ * @param {string | null} logData.sent - 재전송된 CAP sent
+ * @param {boolean} logData.sentChanged - sent 변경 여부
+ * @param {boolean} logData.bodyChanged - 본문(sent, 전자서명 제외) 변경 여부
+ * @param {string} logData.decision - 처리 결과 ('DUPLICATE', 'REPUBLISHED')
+ * @param {number | null} [logData.revision=null] - 재발행된 revision (REPUBLISHED인 경우)
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<void>}
+ */
+async function create(logData, client = pool) {
+
+    const { disasterPublishLogId, tcpReceiveLogId, previousTcpReceiveLogId, identifier, inboundId, inboundSeq, sent, sentChanged, bodyChanged, decision, revision = null } = logData;
+    const query = `
+        INSERT INTO disaster_redelivery_logs (disaster_publish_log_id, tcp_receive_log_id, previous_tcp_receive_log_id, identifier, inbound_id, inbound_seq, sent, sent_changed, body_changed, decision, revision)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11);
+    `;
+    await client.query(query, [disasterPublishLogId, tcpReceiveLogId, previousTcpReceiveLogId, identifier, inboundId, inboundSeq, sent, sentChanged, bodyChanged, decision, revision]);
+
+}
+
+module.exports = {
+    create,
+};
@@ -0,0 +1,70 @@
+/**
+ * @file disasterResourceContentRepository.js
+ * @description disaster_resource_contents 테이블(재난 정보 첨부 파일 내용)과의 데이터베이스 상호작용을 담당합니다.
+ */
+
+const pool = require('./pool');
+
+/**
+ * 첨부 파일 내용을 내용 해시 기준으로 기록합니다.
+ * 같은 내용이 이미 있으면 다시 기록하지 않고 마지막 수신 시각만 갱신합니다.
+ * @param {Map<string, Buffer>} contents - 내용 해시 -> 내용 (capService.extractResourceContents() 결과)
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<void>}
+ */
+async function saveAll(contents, client = pool) {
+
+    const query = `
+        INSERT INTO disaster_resource_contents (content_hash, content, size)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (content_hash) DO UPDATE SET last_used_at = NOW();
+    `;
+    for (const [contentHash, content] of contents) {
+        await client.query(query, [contentHash, content, content.length]);
+    }
+
+}
+
+/**
+ * 내용 해시 목록으로 첨부 파일 내용을 조회합니다.
+ * @param {string[]} contentHashes - 내용 해시 목록
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<Map<string, Buffer>>} 내용 해시 -> 내용 (보관 기간이 지나 삭제된 내용은 없음)
+ */
+async function findByHashes(contentHashes, client = pool) {
+
+    if (contentHashes.length === 0) {
+        return new Map();
+    }
+
+    const query = `
+        SELECT content_hash, content
+        FROM disaster_resource_contents
+        WHERE content_hash = ANY($1::text[]);
+    `;
+    const { rows } = await client.query(query, [contentHashes]);
+    return new Map(rows.map((row) => [row.content_hash, row.content]));
+
+}
+
+/**
+ * 보관 기간 동안 다시 수신되지 않은 첨부 파일 내용을 삭제합니다.
+ * @param {number} retention - 보관 기간 (단위: 밀리초)
+ * @returns {Promise<number>} 삭제한 내용 수
+ */
+async function deleteUnusedBefore(retention) {
+
+    const query = `
+        DELETE FROM disaster_resource_contents
+        WHERE last_used_at < NOW() - ($1 * INTERVAL '1 millisecond');
+    `;
+    const { rowCount } = await pool.query(query, [retention]);
+    return rowCount;
+
+}
+
+module.exports = {
+    saveAll,
+    findByHashes,
+    deleteUnusedBefore,
+};
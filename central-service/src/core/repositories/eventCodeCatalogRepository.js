@@ -0,0 +1,79 @@
+/**
+ * @file eventCodeCatalogRepository.js
+ * @description event_code_catalog 테이블(재난 정보 Event Code 목록)과의 데이터베이스 상호작용을 담당합니다.
+ */
+
+const pool = require('./pool');
+
+/**
+ * 비활성 코드를 포함한 전체 Event Code 목록을 조회합니다.
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<object[]>} Event Code 객체 배열 (code 순)
+ */
+async function findAll(client = pool) {
+
+    const query = `
+        SELECT code, name_ko, name_en, category, default_severity, is_active, created_at, updated_at
+        FROM event_code_catalog
+        ORDER BY code;
+    `;
+    const { rows } = await client.query(query);
+    return rows;
+
+}
+
+/**
+ * Event Code를 추가하거나, 이미 있으면 지정한 값만 수정합니다. (관리 스크립트용)
+ * 지정하지 않은(undefined) 값은 기존 값을 유지합니다.
+ * @param {object} entry - Event Code 데이터
+ * @param {string} entry.code - CAP info.eventCode 값
+ * @param {string} [entry.nameKo] - 코드명 (한국어)
+ * @param {string} [entry.nameEn] - 코드명 (영어)
+ * @param {string} [entry.category] - CAP info.category 값
+ * @param {string} [entry.defaultSeverity] - CAP info.severity 기본값
+ * @param {boolean} [entry.isActive] - 활성 여부 (새 코드는 기본 활성)
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<object>} 저장된 Event Code 행
+ */
+async function upsert(entry, client = pool) {
+
+    const { code, nameKo, nameEn, category, defaultSeverity, isActive } = entry;
+    const query = `
+        INSERT INTO event_code_catalog (code, name_ko, name_en, category, default_severity, is_active)
+        VALUES ($1, $2, $3, $4, $5, COALESCE($6, true))
+        ON CONFLICT (code) DO UPDATE SET
+            name_ko = COALESCE($2, event_code_catalog.name_ko),
+            name_en = COALESCE($3, event_code_catalog.name_en),
+            category = COALESCE($4, event_code_catalog.category),
+            default_severity = COALESCE($5, event_code_catalog.default_severity),
+            is_active = COALESCE($6, event_code_catalog.is_active)
+        RETURNING code, name_ko, name_en, category, default_severity, is_active, created_at, updated_at;
+    `;
+    const { rows } = await client.query(query, [code, nameKo ?? null, nameEn ?? null, category ?? null, defaultSeverity ?? null, isActive ?? null]);
+    return rows[0];
+
+}
+
+/**
+ * 주어진 Event Code 중 카탈로그에 등록된 활성 코드를 조회합니다.
+ * @param {string[]} codes - 확인할 Event Code 목록
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<string[]>} 활성 코드 목록
+ */
+async function findActiveCodes(codes, client = pool) {
+
+    const query = `
+        SELECT code
+        FROM event_code_catalog
+        WHERE code = ANY($1) AND is_active;
+    `;
+    const { rows } = await client.query(query, [codes]);
+    return rows.map((row) => row.code);
+
+}
+
+module.exports = {
+    findAll,
+    findActiveCodes,
+    upsert,
+};
@@ -13,18 +13,109 @@ const config = require('../../config');
  * @param {string} outboundId - 중앙 서비스에서 생성한 transMsgId
  * @param {string} externalSystemName - 외부 시스템 이름
  * @param {object} rawMessage - RabbitMQ로부터 수신한 메시지의 원본 문자열
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
  */
-async function create(mqReceiveLogId, type, outboundId, externalSystemName, rawMessage) {
+async function create(mqReceiveLogId, type, outboundId, externalSystemName, rawMessage, client = pool) {
     
     const query = `
         INSERT INTO report_transmit_logs (mq_receive_log_id, type, outbound_id, external_system_name, raw_message)
         VALUES ($1, $2, $3, $4, $5)
     `;
     const values = [mqReceiveLogId, type, outboundId, externalSystemName, rawMessage];
-    await pool.query(query, values);    
+    await client.query(query, values);    
     
 }
 
+/**
+ * 재난 정보 결과 보고(DISASTER_RESULT) 발신 로그를 원본 재난 정보에 연결하여 생성합니다.
+ * 결과 보고 번호는 원본 재난 정보별로 1부터 순서대로 부여하고, transMsgId는 '<원본 identifier>_RPT_<번호>'로 생성합니다.
+ * 같은 원본에 동시에 번호를 부여하지 않도록 원본 발행 로그를 잠근(FOR UPDATE) 트랜잭션 안에서 호출해야 합니다.
+ * @param {number} mqReceiveLogId - 메시지큐 수신 로그 아이디
+ * @param {number} disasterPublishLogId - 원본 재난 정보 발행 로그 ID
+ * @param {string} externalSystemName - 외부 시스템 이름
+ * @param {object} rawMessage - RabbitMQ로부터 수신한 결과 보고 원본
+ * @param {import('pg').PoolClient} client - 트랜잭션 중인 데이터베이스 클라이언트
+ * @returns {Promise<{outbound_id: string, report_number: number}>} 생성된 transMsgId와 결과 보고 번호
+ */
+async function createDisasterResult(mqReceiveLogId, disasterPublishLogId, externalSystemName, rawMessage, client) {
+
+    const query = `
+        INSERT INTO report_transmit_logs (mq_receive_log_id, type, outbound_id, external_system_name, raw_message, disaster_publish_log_id, report_number)
+        SELECT $1::bigint, 'DISASTER_RESULT', d.identifier || '_RPT_' || n.report_number, $3::text, $4::jsonb, d.id, n.report_number
+        FROM disaster_publish_logs d
+        CROSS JOIN LATERAL (
+            SELECT COALESCE(MAX(report_number), 0) + 1 AS report_number
+            FROM report_transmit_logs
+            WHERE disaster_publish_log_id = d.id
+        ) n
+        WHERE d.id = $2
+        RETURNING outbound_id, report_number;
+    `;
+    const { rows } = await client.query(query, [mqReceiveLogId, disasterPublishLogId, externalSystemName, rawMessage]);
+    return rows[0];
+
+}
+
+/**
+ * 여러 파트로 나눈 보고 발신 로그를 생성합니다.
+ * 원본 보고(부모)는 SPLIT 상태로 기록되어 직접 전송되지 않으며, 파트별 로그가 '<outboundId>_P<파트 번호>'로 각각 전송/ACK 처리됩니다.
+ * @param {number} mqReceiveLogId - 메시지큐 수신 로그 아이디
+ * @param {string} type - 보고 종류
+ * @param {string} outboundId - 부모 보고의 transMsgId
+ * @param {string} externalSystemName - 외부 시스템 이름
+ * @param {object} rawMessage - 원본 보고 (부모 보고에 기록, 재동기화용)
+ * @param {Array<object>} parts - 파트별 보고 원본 목록
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<number>} 부모 보고 로그 ID
+ */
+async function createWithParts(mqReceiveLogId, type, outboundId, externalSystemName, rawMessage, parts, client = pool) {
+
+    const parentQuery = `
+        INSERT INTO report_transmit_logs (mq_receive_log_id, type, outbound_id, external_system_name, raw_message, status, part_total)
+        VALUES ($1, $2, $3, $4, $5, 'SPLIT', $6)
+        RETURNING id;
+    `;
+    const { rows } = await client.query(parentQuery, [mqReceiveLogId, type, outboundId, externalSystemName, rawMessage, parts.length]);
+    const parentId = rows[0].id;
+
+    const partQuery = `
+        INSERT INTO report_transmit_logs (mq_receive_log_id, type, outbound_id, external_system_name, raw_message, parent_id, part_number, part_total)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8);
+    `;
+    for (const [index, part] of parts.entries()) {
+        await client.query(partQuery, [mqReceiveLogId, type, `${outboundId}_P${index + 1}`, externalSystemName, part, parentId, index + 1, parts.length]);
+    }
+    return parentId;
+
+}
+
+/**
+ * 파트 전송 결과에 따라 부모 보고(SPLIT)의 상태를 확정합니다.
+ * 파트가 하나라도 FAILED면 FAILED, 모든 파트가 SUCCESS면 SUCCESS로 변경하고, 그 외에는 변경하지 않습니다.
+ * @param {number} parentId - 부모 보고 로그 ID
+ * @returns {Promise<{status: string, error_detail: string | null} | undefined>} 변경된 상태 (변경하지 않았으면 undefined)
+ */
+async function settleParent(parentId) {
+
+    const query = `
+        UPDATE report_transmit_logs p
+        SET status = CASE WHEN s.failed > 0 THEN 'FAILED' ELSE 'SUCCESS' END,
+            error_detail = CASE WHEN s.failed > 0 THEN format('%s/%s parts failed', s.failed, s.total) END
+        FROM (
+            SELECT COUNT(*) AS total,
+                COUNT(*) FILTER (WHERE status = 'FAILED') AS failed,
+                COUNT(*) FILTER (WHERE status = 'SUCCESS') AS succeeded
+            FROM report_transmit_logs
+            WHERE parent_id = $1
+        ) s
+        WHERE p.id = $1 AND p.status = 'SPLIT' AND (s.failed > 0 OR s.succeeded = p.part_total)
+        RETURNING p.status, p.error_detail;
+    `;
+    const { rows } = await pool.query(query, [parentId]);
+    return rows[0];
+
+}
+
 /**
  * ID를 기준으로 발신 로그의 상태(status)를 업데이트합니다.
  * @param {number} logId - 업데이트할 로그의 ID
@@ -43,6 +134,24 @@ async function updateStatusById(logId, status, errorDetail = null) {
 
 }
 
+/**
+ * 소켓 기록이 끝난 발신 로그를 SENT로 변경합니다.
+ * 기록을 기다리는 사이에 ACK/NACK이 먼저 도착해 최종 상태(SUCCESS, FAILED)가 된 로그는 변경하지 않습니다.
+ * @param {number} logId - 업데이트할 로그의 ID
+ * @returns {Promise<boolean>} SENT로 변경되었는지 여부
+ */
+async function markSent(logId) {
+
+    const query = `
+        UPDATE report_transmit_logs
+        SET status = 'SENT'
+        WHERE id = $1 AND status IN ('PENDING', 'SENT');
+    `;
+    const { rowCount } = await pool.query(query, [logId]);
+    return rowCount > 0;
+
+}
+
 /**
  * ID를 기준으로 발신 로그의 재시도 횟수(retry_count)와 보고 시퀸스(report_sequence) 1 증가시킵니다.
  * @param {number} logId - 업데이트할 로그의 ID
@@ -86,17 +195,59 @@ async function findByOutboundIdAndReportSequence(outboundId, reportSequence) {
 async function findUnprocessedMessages() {
 
     const query = `
-        SELECT id, external_system_name, raw_message, retry_count, report_sequence, outbound_id, type, status
-        FROM report_transmit_logs
+        SELECT r.id, r.external_system_name, r.raw_message, r.retry_count, r.report_sequence, r.outbound_id, r.type, r.status,
+            r.parent_id, r.part_number, r.part_total, p.outbound_id AS parent_outbound_id,
+            r.disaster_publish_log_id, d.identifier AS original_identifier,
+            d.raw_message->'capInfo'->'alert'->>'sent' AS original_sent,
+            d.raw_message->'capInfo'->'alert'->>'sender' AS original_sender
+        FROM report_transmit_logs r
+        LEFT JOIN report_transmit_logs p ON p.id = r.parent_id
+        LEFT JOIN disaster_publish_logs d ON d.id = r.disaster_publish_log_id
         WHERE
-            status = 'PENDING' OR
-            (status = 'SENT' AND updated_at < NOW() - ($1 * interval '1 millisecond'));
+            r.status = 'PENDING' OR
+            (r.status = 'SENT' AND r.updated_at < NOW() - ($1 * interval '1 millisecond'));
     `;
     const { rows } = await pool.query(query, [config.tcp.protocol.TIMERS.TRANSMISSION_TIMEOUT]);
     return rows;
     
 }
 
+/**
+ * 보고 종류별로 외부 시스템마다 가장 최근에 수신한 발신 로그를 조회합니다. (재동기화 요청 처리용)
+ * 분할된 보고는 원본 보고 전체를 담은 부모 보고를 조회합니다.
+ * @param {'DISASTER_RESULT' | 'DEVICE_INFO' | 'DEVICE_STATUS'} type - 보고 종류
+ * @returns {Promise<Array<object>>} 외부 시스템별 최신 발신 로그 객체의 배열
+ */
+async function findLatestByType(type) {
+
+    const query = `
+        SELECT DISTINCT ON (external_system_name) id, mq_receive_log_id, external_system_name, raw_message
+        FROM report_transmit_logs
+        WHERE type = $1 AND parent_id IS NULL
+        ORDER BY external_system_name, created_at DESC;
+    `;
+    const { rows } = await pool.query(query, [type]);
+    return rows;
+
+}
+
+/**
+ * 처리가 끝나지 않은(PENDING, SENT) 발신 로그 건수를 상태별로 조회합니다. (상태 점검용)
+ * @returns {Promise<Object<string, number>>} 상태 -> 건수 (예: { PENDING: 3, SENT: 1 })
+ */
+async function countUnsettledByStatus() {
+
+    const query = `
+        SELECT status, COUNT(*)::int AS count
+        FROM report_transmit_logs
+        WHERE status IN ('PENDING', 'SENT')
+        GROUP BY status;
+    `;
+    const { rows } = await pool.query(query);
+    return Object.fromEntries(rows.map(({ status, count }) => [status, count]));
+
+}
+
 /**
  * 
  */
@@ -119,6 +270,12 @@ module.exports = {
     findUnprocessedMessages,
     incrementRetryCountAndReportSequence,
     updateStatusById,
+    markSent,
     create,
+    createDisasterResult,
+    createWithParts,
+    settleParent,
     findById,
+    findLatestByType,
+    countUnsettledByStatus,
 };
@@ -0,0 +1,33 @@
+/**
+ * @file tcpQuarantineLogRepository.js
+ * @description tcp_quarantine_logs 테이블(손상 데이터 격리)과의 데이터베이스 상호작용을 담당합니다.
+ */
+
+const pool = require('./pool');
+
+/**
+ * ProtocolParser가 재동기화 중 버린 손상 데이터를 격리 로그로 저장하고, 생성된 로그의 ID를 반환합니다.
+ * @param {object} logData - 로그 데이터
+ * @param {string} logData.endpoint - 손상 데이터를 수신한 접속 대상 (host:port)
+ * @param {string} logData.reason - 손상 감지 사유
+ * @param {number} logData.discardedLength - 실제로 버려진 바이트 수
+ * @param {Buffer} logData.rawData - 보관할 손상 바이트
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<number>} 생성된 로그의 ID
+ */
+async function create({ endpoint, reason, discardedLength, rawData }, client = pool) {
+
+    const query = `
+        INSERT INTO tcp_quarantine_logs (endpoint, reason, discarded_length, raw_data)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id;
+    `;
+    const values = [endpoint, reason, discardedLength, rawData];
+    const { rows } = await client.query(query, values);
+    return rows[0].id;
+
+}
+
+module.exports = {
+    create,
+};
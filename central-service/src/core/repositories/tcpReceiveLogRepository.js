@@ -11,17 +11,21 @@ const pool = require('./pool');
  * @param {string} logData.inboundId - 중앙 시스템의 transMsgId
  * @param {string} logData.inboundSeq - 중앙 시스템의 transMsgSeq
  * @param {object} logData.rawMessage - 파싱된 CAP 메시지 객체
+ * @param {string | null} [logData.sender=null] - CAP 발신자
+ * @param {string | null} [logData.sequenceStatus=null] - 시퀀스 판정 결과 (sequenceTrackingService.SEQUENCE_STATUS)
+ * @param {string | null} [logData.signatureStatus=null] - 전자서명 검증 결과 (capSignatureService.SIGNATURE_STATUS)
+ * @param {string | null} [logData.signatureDetail=null] - 서명자 또는 검증 실패 사유
  * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
  * @returns {Promise<number>} 생성된 로그의 ID
  */
-async function create({ inboundId, inboundSeq, rawMessage }, client = pool) {
+async function create({ inboundId, inboundSeq, rawMessage, sender = null, sequenceStatus = null, signatureStatus = null, signatureDetail = null }, client = pool) {
     
     const query = `
-        INSERT INTO tcp_receive_logs (inbound_id, inbound_seq, raw_message)
-        VALUES ($1, $2, $3)
+        INSERT INTO tcp_receive_logs (inbound_id, inbound_seq, raw_message, sender, sequence_status, signature_status, signature_detail)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
         RETURNING id;
     `;
-    const values = [inboundId, inboundSeq, rawMessage];
+    const values = [inboundId, inboundSeq, rawMessage, sender, sequenceStatus, signatureStatus, signatureDetail];
     const { rows } = await client.query(query, values);
     return rows[0].id;
 
@@ -66,8 +70,27 @@ async function updateStatus(logId, status, errorMessage = null, client = pool) {
 
 }
 
+/**
+ * ID를 기준으로 TCP 수신 로그의 시퀀스 판정 결과를 업데이트합니다.
+ * @param {number} logId - 업데이트할 로그의 ID
+ * @param {string | null} sequenceStatus - 시퀀스 판정 결과 (sequenceTrackingService.SEQUENCE_STATUS)
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<void>}
+ */
+async function updateSequenceStatus(logId, sequenceStatus, client = pool) {
+
+    const query = `
+        UPDATE tcp_receive_logs
+        SET sequence_status = $1
+        WHERE id = $2;
+    `;
+    await client.query(query, [sequenceStatus, logId]);
+
+}
+
 module.exports = {
     create,
     isDuplicate,
     updateStatus,
+    updateSequenceStatus,
 };
\ No newline at end of file
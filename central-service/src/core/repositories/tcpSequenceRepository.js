@@ -0,0 +1,133 @@
+/**
+ * @file tcpSequenceRepository.js
+ * @description tcp_sequence_states, tcp_sequence_gaps 테이블(수신 시퀀스 추적)과의 데이터베이스 상호작용을 담당합니다.
+ */
+
+const pool = require('./pool');
+
+/**
+ * 발신자의 시퀀스 상태를 잠금(FOR UPDATE) 조회합니다. 트랜잭션 안에서 호출해야 합니다.
+ * @param {string} sender - CAP 발신자
+ * @param {import('pg').PoolClient} client - 트랜잭션 중인 데이터베이스 클라이언트
+ * @returns {Promise<object | undefined>} 시퀀스 상태 (처음 보는 발신자면 undefined)
+ */
+async function findStateForUpdate(sender, client) {
+
+    const query = `
+        SELECT sender, last_seq, last_inbound_id
+        FROM tcp_sequence_states
+        WHERE sender = $1
+        FOR UPDATE;
+    `;
+    const { rows } = await client.query(query, [sender]);
+    return rows[0];
+
+}
+
+/**
+ * 발신자의 마지막 수신 시퀀스를 저장합니다. (없으면 생성)
+ * @param {string} sender - CAP 발신자
+ * @param {number} lastSeq - 마지막 수신 시퀀스
+ * @param {string} lastInboundId - 마지막 수신 메시지의 transMsgId
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<void>}
+ */
+async function upsertState(sender, lastSeq, lastInboundId, client = pool) {
+
+    const query = `
+        INSERT INTO tcp_sequence_states (sender, last_seq, last_inbound_id)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (sender) DO UPDATE
+        SET last_seq = EXCLUDED.last_seq, last_inbound_id = EXCLUDED.last_inbound_id;
+    `;
+    await client.query(query, [sender, lastSeq, lastInboundId]);
+
+}
+
+/**
+ * fromSeq부터 toSeq까지의 누락 시퀀스를 OPEN 상태로 기록합니다.
+ * @param {string} sender - CAP 발신자
+ * @param {number} fromSeq - 첫 누락 시퀀스
+ * @param {number} toSeq - 마지막 누락 시퀀스
+ * @param {string} detectedInboundId - Gap을 발견하게 한 메시지의 transMsgId
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<void>}
+ */
+async function createGaps(sender, fromSeq, toSeq, detectedInboundId, client = pool) {
+
+    const query = `
+        INSERT INTO tcp_sequence_gaps (sender, missing_seq, detected_inbound_id)
+        SELECT $1, seq, $4
+        FROM generate_series($2::int, $3::int) AS seq
+        ON CONFLICT (sender, missing_seq) DO NOTHING;
+    `;
+    await client.query(query, [sender, fromSeq, toSeq, detectedInboundId]);
+
+}
+
+/**
+ * 늦게 도착한 시퀀스에 해당하는 OPEN Gap을 FILLED로 변경합니다.
+ * @param {string} sender - CAP 발신자
+ * @param {number} seq - 늦게 도착한 시퀀스
+ * @param {string} inboundId - 늦게 도착한 메시지의 transMsgId
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<object | undefined>} 채워진 Gap (해당 Gap이 없으면 undefined)
+ */
+async function fillGap(sender, seq, inboundId, client = pool) {
+
+    const query = `
+        UPDATE tcp_sequence_gaps
+        SET status = 'FILLED', filled_at = NOW(), filled_inbound_id = $3
+        WHERE sender = $1 AND missing_seq = $2 AND status = 'OPEN'
+        RETURNING id, detected_at, alarmed_at;
+    `;
+    const { rows } = await client.query(query, [sender, seq, inboundId]);
+    return rows[0];
+
+}
+
+/**
+ * 타임아웃이 지나도록 채워지지 않았고 아직 경보를 발생시키지 않은 Gap을 조회하고, 경보 시각을 기록합니다. (워커용)
+ * @param {number} timeoutMs - Gap 경보 타임아웃 (ms)
+ * @returns {Promise<Array<object>>} 경보 대상 Gap 목록
+ */
+async function markOverdueGapsAlarmed(timeoutMs) {
+
+    const query = `
+        UPDATE tcp_sequence_gaps
+        SET alarmed_at = NOW()
+        WHERE status = 'OPEN'
+            AND alarmed_at IS NULL
+            AND detected_at < NOW() - ($1 * interval '1 millisecond')
+        RETURNING id, sender, missing_seq, detected_inbound_id, detected_at;
+    `;
+    const { rows } = await pool.query(query, [timeoutMs]);
+    return rows;
+
+}
+
+/**
+ * 경보를 발생시킨 뒤 아직 채워지지 않은 Gap을 조회합니다. (워커용)
+ * @returns {Promise<Array<object>>} 경보 중인 Gap 목록 (발신자, 시퀀스 순)
+ */
+async function findAlarmedOpenGaps() {
+
+    const query = `
+        SELECT sender, missing_seq
+        FROM tcp_sequence_gaps
+        WHERE status = 'OPEN' AND alarmed_at IS NOT NULL
+        ORDER BY sender, missing_seq;
+    `;
+    const { rows } = await pool.query(query);
+    return rows;
+
+}
+
+module.exports = {
+    findStateForUpdate,
+    upsertState,
+    createGaps,
+    fillGap,
+    markOverdueGapsAlarmed,
+    findAlarmedOpenGaps,
+};
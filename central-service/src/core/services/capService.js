@@ -3,6 +3,7 @@
  * @description CAP(Common Alerting Protocol) 관련 공통 로직(파싱, 생성 등)을 처리하는 통합 서비스입니다.
  */
 
+const crypto = require('crypto');
 const config = require('../../config');
 const logger = require('../utils/logger');
 const { create } = require('xmlbuilder2');
@@ -11,6 +12,15 @@ const { DateTime } = require('luxon');
 
 const CENTRAL_SYSTEM_SENDER_ID = config.CENTRAL_SYSTEM_SENDER_ID;
 const CENTRAL_SERVICE_SENDER_ID = config.CENTRAL_SERVICE_SENDER_ID;
+// info.language가 없을 때의 언어 (CAP 1.2 기본값)
+const DEFAULT_LANGUAGE = 'en-US';
+const { LIFE_CRITICAL_EVENT_CODES, MAX_PRIORITY } = config.disasterPriority;
+const { MAX_DEVICES_PER_PART, MAX_PART_BYTES } = config.deviceReport;
+// 우선순위 계산에 사용하는 CAP 긴급성(urgency), 심각성(severity) 가중치 (목록에 없는 값은 0)
+const URGENCY_WEIGHTS = Object.freeze({ Immediate: 3, Expected: 2, Future: 1 });
+const SEVERITY_WEIGHTS = Object.freeze({ Extreme: 3, Severe: 2, Moderate: 1 });
+// 정규화 재난 정보 모델(normalizeAlert) 버전. 필드를 제거하거나 의미를 바꾸면 주 버전을 올립니다.
+const NORMALIZED_ALERT_VERSION = '1.0';
 
 // --- XML <-> JS Object 변환 ---
 
@@ -64,6 +74,507 @@ function buildCap(capObject) {
 
 }
 
+// --- CAP 요소 해석 ---
+
+/**
+ * CAP references 값을 참조 목록으로 변환합니다.
+ * references는 공백으로 구분된 'sender,identifier,sent' 목록입니다. (문법 검사는 capValidator에서 수행)
+ * @param {string | undefined} references - CAP alert.references 값
+ * @returns {Array<{sender: string, identifier: string, sent: string}>} 참조 목록 (값이 없으면 빈 배열)
+ */
+function parseReferences(references) {
+
+    if (!references) {
+        return [];
+    }
+
+    return String(references)
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((entry) => {
+            const [sender, identifier, sent] = entry.split(',');
+            return { sender, identifier, sent };
+        });
+
+}
+
+/**
+ * xml2js 파싱 결과에서 반복 가능한 요소를 항상 배열로 반환합니다.
+ * @param {any} value
+ * @returns {Array<any>}
+ */
+function _toArray(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * 'WGS84 위도,경도' 좌표 문자열을 [위도, 경도]로 변환합니다.
+ * @param {string} point
+ * @returns {[number, number] | null} 변환 실패 시 null
+ */
+function _parsePoint(point) {
+    const [lat, lon] = String(point).split(',').map(Number);
+    return Number.isFinite(lat) && Number.isFinite(lon) ? [lat, lon] : null;
+}
+
+/**
+ * info의 eventCode 값 목록을 반환합니다. (한 info에 eventCode가 여러 개일 수 있음)
+ * @param {object} info - 파싱된 CAP info 객체
+ * @returns {string[]}
+ */
+function _getInfoEventCodes(info) {
+    return _toArray(info?.eventCode).map((eventCode) => eventCode?.value).filter(Boolean);
+}
+
+/**
+ * eventCode를 지정하면 해당 eventCode를 가진 info만 반환합니다.
+ * @param {object} alert - 파싱된 CAP alert 객체
+ * @param {string} [eventCode] - 대상 eventCode (없으면 모든 info)
+ * @returns {Array<object>}
+ */
+function _getInfos(alert, eventCode) {
+    const infos = _toArray(alert?.info);
+    return eventCode ? infos.filter((info) => _getInfoEventCodes(info).includes(eventCode)) : infos;
+}
+
+/**
+ * info가 1개 이상 있는지 확인합니다. (info가 없는 Update/Cancel 판별용)
+ * @param {object} alert - 파싱된 CAP alert 객체
+ * @returns {boolean}
+ */
+function hasInfo(alert) {
+    return _getInfos(alert).length > 0;
+}
+
+/**
+ * 모든 info의 서로 다른 eventCode 목록을 info 순서대로 반환합니다. (라우팅 키, 외부 시스템 구독 판정용)
+ * @param {object} alert - 파싱된 CAP alert 객체
+ * @returns {string[]}
+ */
+function getEventCodes(alert) {
+    return [...new Set(_getInfos(alert).flatMap(_getInfoEventCodes))];
+}
+
+/**
+ * CAP의 info.area를 위치 기반 대상 판정에 사용할 수 있는 형태로 변환합니다.
+ * (polygon: 좌표 목록, circle: 중심 좌표와 반경(km), geocode: valueName/value 쌍, eventCodes: area가 속한 info의 eventCode 목록)
+ * 문법 오류가 있는 도형은 제외합니다. (문법 검사는 capValidator에서 수행)
+ * @param {object} alert - 파싱된 CAP alert 객체
+ * @param {string} [eventCode] - 지정하면 해당 eventCode를 가진 info의 area만 변환
+ * @returns {Array<{areaDesc: string, eventCodes: string[], polygons: Array<Array<[number, number]>>, circles: Array<{center: [number, number], radiusKm: number}>, geocodes: Array<{valueName: string, value: string}>}>}
+ */
+function parseAreas(alert, eventCode) {
+
+    const areas = [];
+
+    for (const info of _getInfos(alert, eventCode)) {
+        const eventCodes = _getInfoEventCodes(info);
+        for (const area of _toArray(info?.area)) {
+
+            const polygons = _toArray(area.polygon)
+                .map((polygon) => String(polygon).trim().split(/\s+/).map(_parsePoint))
+                .filter((points) => points.length >= 4 && points.every(Boolean));
+
+            const circles = _toArray(area.circle)
+                .map((circle) => {
+                    const [center, radius] = String(circle).trim().split(/\s+/);
+                    return { center: _parsePoint(center), radiusKm: Number(radius) };
+                })
+                .filter(({ center, radiusKm }) => center && Number.isFinite(radiusKm));
+
+            const geocodes = _toArray(area.geocode).map(({ valueName, value }) => ({ valueName, value }));
+
+            areas.push({ areaDesc: area.areaDesc, eventCodes, polygons, circles, geocodes });
+
+        }
+    }
+
+    return areas;
+
+}
+
+/**
+ * CAP의 info를 언어별 전달에 사용할 수 있는 형태로 변환합니다.
+ * 외부 시스템은 선호 언어(preferred_languages)에 맞는 info만 받습니다.
+ * @param {object} alert - 파싱된 CAP alert 객체
+ * @param {string} [eventCode] - 지정하면 해당 eventCode를 가진 info만 변환
+ * @returns {Array<{language: string, eventCodes: string[], event: string, category: string[], urgency: string, severity: string, certainty: string, effective: string | null, onset: string | null, expires: string | null, senderName: string | null, headline: string | null, description: string | null, instruction: string | null, web: string | null, contact: string | null, areaDescs: string[]}>}
+ */
+function parseInfos(alert, eventCode) {
+
+    return _getInfos(alert, eventCode).map((info) => ({
+        language: info.language || DEFAULT_LANGUAGE,
+        eventCodes: _getInfoEventCodes(info),
+        event: info.event,
+        category: _toArray(info.category),
+        urgency: info.urgency,
+        severity: info.severity,
+        certainty: info.certainty,
+        effective: info.effective ?? null,
+        onset: info.onset ?? null,
+        expires: info.expires ?? null,
+        senderName: info.senderName ?? null,
+        headline: info.headline ?? null,
+        description: info.description ?? null,
+        instruction: info.instruction ?? null,
+        web: info.web ?? null,
+        contact: info.contact ?? null,
+        areaDescs: _toArray(info.area).map((area) => area.areaDesc),
+    }));
+
+}
+
+/**
+ * CAP의 만료 시각을 반환합니다.
+ * info가 여러 개이면 가장 늦게 만료되는 info를 기준으로 하며, expires가 없는 info가 하나라도 있으면 만료되지 않는 것으로 봅니다.
+ * @param {object} alert - 파싱된 CAP alert 객체
+ * @returns {string | null} ISO 8601 만료 시각 (만료 시각이 없으면 null)
+ */
+function getExpiresAt(alert) {
+
+    const infos = _toArray(alert?.info);
+    const expiries = infos.map((info) => (info?.expires ? DateTime.fromISO(String(info.expires), { setZone: true }) : null));
+
+    if (expiries.length === 0 || expiries.some((expiry) => !expiry?.isValid)) {
+        return null;
+    }
+    return DateTime.max(...expiries).toISO();
+
+}
+
+/**
+ * 재난 정보의 처리 우선순위를 계산합니다. (0: 최저 ~ MAX_PRIORITY: 최고)
+ * - 훈련/시험(Actual이 아닌 status) 재난 정보: 0 (실제 재난 정보를 지연시키지 않도록)
+ * - LIFE_CRITICAL_EVENT_CODES에 해당하는 info가 있으면: MAX_PRIORITY
+ * - 그 외: info별 긴급성 가중치 + 심각성 가중치 중 가장 큰 값 (0~6)
+ * @param {object} alert - 파싱된 CAP alert 객체
+ * @param {string} [eventCode] - 지정하면 해당 eventCode를 가진 info만으로 계산
+ * @returns {number}
+ */
+function getPriority(alert, eventCode) {
+
+    if (alert?.status !== 'Actual') {
+        return 0;
+    }
+
+    const infos = _getInfos(alert, eventCode);
+    if (infos.some((info) => _getInfoEventCodes(info).some((code) => LIFE_CRITICAL_EVENT_CODES.includes(code)))) {
+        return MAX_PRIORITY;
+    }
+    return Math.max(0, ...infos.map((info) => (URGENCY_WEIGHTS[info.urgency] || 0) + (SEVERITY_WEIGHTS[info.severity] || 0)));
+
+}
+
+/**
+ * 지문 계산용으로 값을 키 순서와 무관한 문자열로 변환합니다. (전자서명(Signature) 요소는 제외)
+ * @param {any} value
+ * @returns {string}
+ */
+function _canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(_canonicalize).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter((key) => key.split(':').pop() !== 'Signature')
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${_canonicalize(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * 재난 정보 본문의 지문(SHA-256)을 계산합니다. (같은 identifier로 재전송된 재난 정보의 내용 변경 판정용)
+ * 재전송마다 달라질 수 있는 sent와 전자서명은 제외하며, DB(jsonb)에 저장된 alert와 비교할 수 있도록 키 순서와 무관하게 계산합니다.
+ * 첨부 파일 내용(derefUri)은 DB에 내용 해시(derefUriHash)로 저장되므로 내용 해시로 바꾸어 계산합니다.
+ * @param {object} alert - 파싱된 CAP alert 객체
+ * @returns {string} hex 문자열
+ */
+function getBodyFingerprint(alert) {
+    const { sent, ...body } = _replaceResourceContents(alert || {}, new Map());
+    return crypto.createHash('sha256').update(_canonicalize(body)).digest('hex');
+}
+
+// --- 첨부 파일 내용(derefUri) ---
+
+/**
+ * CAP resource의 base64 내용(derefUri)을 내용 해시(derefUriHash, 내용의 SHA-256)로 바꾼 alert 사본을 만듭니다.
+ * @param {object} alert - 파싱된 CAP alert 객체
+ * @param {Map<string, Buffer>} contents - 꺼낸 내용을 담을 Map (내용 해시 -> 내용)
+ * @returns {object} 첨부 파일 내용을 뺀 alert 사본
+ */
+function _replaceResourceContents(alert, contents) {
+    const copied = structuredClone(alert);
+    for (const info of _toArray(copied?.info)) {
+        for (const resource of _toArray(info?.resource)) {
+            const derefUri = _text(resource?.derefUri);
+            if (derefUri) {
+                const content = Buffer.from(derefUri.replace(/\s+/g, ''), 'base64');
+                const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+                contents.set(contentHash, content);
+                delete resource.derefUri;
+                resource.derefUriHash = contentHash;
+            }
+        }
+    }
+    return copied;
+}
+
+/**
+ * 수신한 재난 정보에서 첨부 파일 내용(derefUri)을 꺼냅니다.
+ * 첨부 파일 내용은 disaster_resource_contents에 내용 해시 기준으로 한 번만 보관하고, 인박스/아웃박스에는 내용 해시만 기록하기 위해 사용합니다.
+ * @param {object} receivedData - 외부 XML 래퍼 파싱 결과 ({ capInfo: { alert } } 포함)
+ * @returns {{data: object, contents: Map<string, Buffer>}} 첨부 파일 내용을 내용 해시(derefUriHash)로 바꾼 데이터와 꺼낸 내용 (내용 해시 -> 내용)
+ */
+function extractResourceContents(receivedData) {
+    const contents = new Map();
+    const alert = receivedData?.capInfo?.alert;
+    if (!alert) {
+        return { data: receivedData, contents };
+    }
+    const data = { ...receivedData, capInfo: { ...receivedData.capInfo, alert: _replaceResourceContents(alert, contents) } };
+    return { data, contents };
+}
+
+/**
+ * 재난 정보에 기록된 첨부 파일 내용 해시(derefUriHash) 목록을 반환합니다.
+ * @param {object} alert - 첨부 파일 내용을 뺀 CAP alert 객체
+ * @returns {string[]}
+ */
+function getResourceContentHashes(alert) {
+    return _toArray(alert?.info)
+        .flatMap((info) => _toArray(info?.resource))
+        .map((resource) => resource?.derefUriHash)
+        .filter(Boolean);
+}
+
+/**
+ * 내용 해시(derefUriHash)로 바꾼 첨부 파일 내용을 base64 내용(derefUri)으로 되돌립니다. (발행용)
+ * 보관 기간이 지나 내용이 없는 첨부 파일은 derefUri 없이 설명 정보만 남깁니다.
+ * @param {object} data - 첨부 파일 내용을 뺀 데이터 ({ capInfo: { alert } } 포함)
+ * @param {Map<string, Buffer>} contents - 내용 해시 -> 내용
+ * @returns {object} 첨부 파일 내용을 되돌린 데이터 사본
+ */
+function restoreResourceContents(data, contents) {
+    const restored = structuredClone(data);
+    for (const info of _toArray(restored?.capInfo?.alert?.info)) {
+        for (const resource of _toArray(info?.resource)) {
+            if (resource?.derefUriHash) {
+                const content = contents.get(resource.derefUriHash);
+                if (content) {
+                    resource.derefUri = content.toString('base64');
+                }
+                delete resource.derefUriHash;
+            }
+        }
+    }
+    return restored;
+}
+
+// --- 정규화 재난 정보 모델 ---
+
+/**
+ * @typedef {object} NormalizedAlert 외부 시스템에 전달하는 정규화 재난 정보 모델 (버전: NORMALIZED_ALERT_VERSION)
+ * 반복 가능한 요소는 항상 배열이고, 값이 없는 단일 요소는 null이며, 날짜/시간은 ISO 8601 문자열입니다.
+ * @property {string} version - 모델 버전 (예: '1.0')
+ * @property {string} identifier
+ * @property {string} sender
+ * @property {string | null} sent - ISO 8601 (발신 측 시간대 유지)
+ * @property {string} status - Actual, Exercise, System, Test, Draft
+ * @property {string} msgType - Alert, Update, Cancel
+ * @property {string | null} source
+ * @property {string} scope - Public, Restricted, Private
+ * @property {string | null} restriction
+ * @property {string[]} addresses - 공백으로 구분된 addresses 값 목록
+ * @property {string[]} codes
+ * @property {string | null} note
+ * @property {Array<{sender: string, identifier: string, sent: string}>} references
+ * @property {string[]} incidents
+ * @property {NormalizedInfo[]} infos
+ */
+
+/**
+ * @typedef {object} NormalizedInfo
+ * @property {number} infoIndex - 원본 CAP에서의 info 순서 (0부터)
+ * @property {string} language - 없으면 'en-US'
+ * @property {string[]} categories
+ * @property {string} event
+ * @property {string[]} responseTypes
+ * @property {string} urgency
+ * @property {string} severity
+ * @property {string} certainty
+ * @property {string | null} audience
+ * @property {Array<{valueName: string, value: string}>} eventCodes
+ * @property {string | null} effective - ISO 8601
+ * @property {string | null} onset - ISO 8601
+ * @property {string | null} expires - ISO 8601
+ * @property {string | null} senderName
+ * @property {string | null} headline
+ * @property {string | null} description
+ * @property {string | null} instruction
+ * @property {string | null} web
+ * @property {string | null} contact
+ * @property {Array<{valueName: string, value: string}>} parameters
+ * @property {Array<{resourceIndex: number, resourceDesc: string, mimeType: string, size: number | null, uri: string | null, digest: string | null, hasContent: boolean}>} resources
+ *  hasContent는 CAP에 내용(derefUri)이 포함되었는지 여부이며, 내용 자체는 포함하지 않습니다.
+ * @property {object} areas - GeoJSON FeatureCollection. area 하나가 Feature 하나이며,
+ *  geometry는 polygon 목록의 MultiPolygon(좌표는 [경도, 위도])이고 polygon이 없으면 null입니다.
+ *  properties: { areaDesc, geocodes: [{valueName, value}], circles: [{center: [경도, 위도], radiusKm}], altitude, ceiling }
+ */
+
+/**
+ * xml2js 파싱 결과에서 요소의 텍스트 값을 반환합니다. (속성이 있는 요소는 '_'에 텍스트가 있음)
+ * @param {any} value
+ * @returns {string | null}
+ */
+function _text(value) {
+    if (value !== null && typeof value === 'object') {
+        return value._ ?? null;
+    }
+    return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * CAP 날짜/시간 문자열을 ISO 8601 문자열로 변환합니다. (발신 측 시간대 유지)
+ * @param {any} value
+ * @returns {string | null} 값이 없거나 형식이 잘못되었으면 null
+ */
+function _toIso(value) {
+    const text = _text(value);
+    if (!text) {
+        return null;
+    }
+    const dt = DateTime.fromISO(text, { setZone: true });
+    return dt.isValid ? dt.toISO({ suppressMilliseconds: true }) : null;
+}
+
+/**
+ * 숫자 문자열을 숫자로 변환합니다.
+ * @param {any} value
+ * @returns {number | null} 값이 없거나 숫자가 아니면 null
+ */
+function _toNumber(value) {
+    const text = _text(value);
+    const number = text === null || text.trim() === '' ? NaN : Number(text);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * valueName/value 쌍 요소(eventCode, parameter, geocode) 목록을 변환합니다.
+ * @param {any} values
+ * @returns {Array<{valueName: string, value: string}>}
+ */
+function _toValuePairs(values) {
+    return _toArray(values).map((pair) => ({ valueName: _text(pair?.valueName), value: _text(pair?.value) }));
+}
+
+/**
+ * CAP area를 GeoJSON Feature로 변환합니다. (GeoJSON 좌표 순서는 [경도, 위도])
+ * @param {object} area - 파싱된 CAP area 객체
+ * @returns {object} GeoJSON Feature
+ */
+function _toAreaFeature(area) {
+
+    const toPosition = ([lat, lon]) => [lon, lat];
+
+    const polygons = _toArray(area?.polygon)
+        .map((polygon) => _text(polygon).trim().split(/\s+/).map(_parsePoint))
+        .filter((points) => points.length >= 4 && points.every(Boolean))
+        .map((points) => [points.map(toPosition)]);
+
+    const circles = _toArray(area?.circle)
+        .map((circle) => {
+            const [center, radius] = _text(circle).trim().split(/\s+/);
+            const point = _parsePoint(center);
+            return { center: point && toPosition(point), radiusKm: Number(radius) };
+        })
+        .filter(({ center, radiusKm }) => center && Number.isFinite(radiusKm));
+
+    return {
+        type: 'Feature',
+        geometry: polygons.length > 0 ? { type: 'MultiPolygon', coordinates: polygons } : null,
+        properties: {
+            areaDesc: _text(area?.areaDesc),
+            geocodes: _toValuePairs(area?.geocode),
+            circles,
+            altitude: _toNumber(area?.altitude),
+            ceiling: _toNumber(area?.ceiling),
+        },
+    };
+
+}
+
+/**
+ * xml2js로 파싱된 CAP alert를 외부 시스템용 정규화 모델로 변환합니다. (모델 정의: NormalizedAlert)
+ * @param {object} alert - 파싱된 CAP alert 객체
+ * @param {string} [eventCode] - 지정하면 해당 eventCode를 가진 info만 포함
+ * @returns {NormalizedAlert}
+ */
+function normalizeAlert(alert, eventCode) {
+
+    const infos = _toArray(alert?.info)
+        .map((info, infoIndex) => ({ info, infoIndex }))
+        .filter(({ info }) => !eventCode || _getInfoEventCodes(info).includes(eventCode));
+
+    return {
+        version: NORMALIZED_ALERT_VERSION,
+        identifier: _text(alert?.identifier),
+        sender: _text(alert?.sender),
+        sent: _toIso(alert?.sent),
+        status: _text(alert?.status),
+        msgType: _text(alert?.msgType),
+        source: _text(alert?.source),
+        scope: _text(alert?.scope),
+        restriction: _text(alert?.restriction),
+        addresses: (_text(alert?.addresses) || '').trim().split(/\s+/).filter(Boolean),
+        codes: _toArray(alert?.code).map(_text),
+        note: _text(alert?.note),
+        references: parseReferences(_text(alert?.references)),
+        incidents: (_text(alert?.incidents) || '').trim().split(/\s+/).filter(Boolean),
+        infos: infos.map(({ info, infoIndex }) => ({
+            infoIndex,
+            language: _text(info.language) || DEFAULT_LANGUAGE,
+            categories: _toArray(info.category).map(_text),
+            event: _text(info.event),
+            responseTypes: _toArray(info.responseType).map(_text),
+            urgency: _text(info.urgency),
+            severity: _text(info.severity),
+            certainty: _text(info.certainty),
+            audience: _text(info.audience),
+            eventCodes: _toValuePairs(info.eventCode),
+            effective: _toIso(info.effective),
+            onset: _toIso(info.onset),
+            expires: _toIso(info.expires),
+            senderName: _text(info.senderName),
+            headline: _text(info.headline),
+            description: _text(info.description),
+            instruction: _text(info.instruction),
+            web: _text(info.web),
+            contact: _text(info.contact),
+            parameters: _toValuePairs(info.parameter),
+            resources: _toArray(info.resource).map((resource, resourceIndex) => ({
+                resourceIndex,
+                resourceDesc: _text(resource?.resourceDesc),
+                mimeType: _text(resource?.mimeType),
+                size: _toNumber(resource?.size),
+                uri: _text(resource?.uri),
+                digest: _text(resource?.digest),
+                hasContent: Boolean(_text(resource?.derefUri)),
+            })),
+            areas: {
+                type: 'FeatureCollection',
+                features: _toArray(info.area).map(_toAreaFeature),
+            },
+        })),
+    };
+
+}
+
 // --- 수신(Inbound) 응답(ACK) CAP 객체 생성 ---
 
 /**
@@ -109,14 +620,76 @@ function createAckCap(originalCap, noteCode, noteMessage) {
 
 // --- 발신(Outbound) CAP 객체 생성 ---
 
+/**
+ * 단말장치 보고의 단말장치 목록(deviceList)을 크기 제한(deviceReport)에 맞게 여러 파트로 나눕니다.
+ * 단말장치 하나가 MAX_PART_BYTES를 넘더라도 나눌 수 없으므로 그 단말장치만 담은 파트로 만듭니다.
+ * @param {object} rawMessage - 보고 원본 ({ deviceList })
+ * @returns {Array<object>} 파트별 보고 원본 목록 (나눌 필요가 없으면 원본 하나)
+ */
+function splitDeviceReport(rawMessage) {
+
+    const deviceList = Array.isArray(rawMessage?.deviceList) ? rawMessage.deviceList : [];
+    const parts = [];
+    let current = [];
+    let currentBytes = 2; // '[]'
+
+    for (const device of deviceList) {
+        const deviceBytes = Buffer.byteLength(JSON.stringify(device)) + 1; // ','
+        if (current.length > 0 && (current.length >= MAX_DEVICES_PER_PART || currentBytes + deviceBytes > MAX_PART_BYTES)) {
+            parts.push(current);
+            current = [];
+            currentBytes = 2;
+        }
+        current.push(device);
+        currentBytes += deviceBytes;
+    }
+    if (current.length > 0) {
+        parts.push(current);
+    }
+
+    if (parts.length <= 1) {
+        return [rawMessage];
+    }
+    return parts.map((devices) => ({ ...rawMessage, deviceList: devices }));
+
+}
+
+/**
+ * 단말장치 보고 CAP의 parameter 목록을 생성합니다. 분할된 보고이면 파트 정보를 함께 담습니다.
+ * @param {string} valueName - 단말장치 목록 parameter 이름 ('DEVICE_DATA', 'DEVICE_STATUS')
+ * @param {object} rawMessege - 보고 원본
+ * @param {{partNumber: number, partTotal: number, parentOutboundId: string} | null} part - 파트 정보 (분할되지 않은 보고는 null)
+ * @returns {object | Array<object>}
+ */
+function _buildDeviceParameters(valueName, rawMessege, part) {
+
+    const dataParameter = {
+        valueName,
+        value: {
+            '$': JSON.stringify(rawMessege)
+        }
+    };
+    if (!part) {
+        return dataParameter;
+    }
+    return [
+        dataParameter,
+        { valueName: 'PART_NUMBER', value: String(part.partNumber) },
+        { valueName: 'PART_TOTAL', value: String(part.partTotal) },
+        { valueName: 'PARENT_ID', value: part.parentOutboundId },
+    ];
+
+}
+
 /**
  * 단말기 제원 정보 보고 CAP 객체를 생성합니다.
  * @param {string} identifier - 이 메시지의 고유 식별자 (outbound_id와 동일)
  * @param {object} rawMessege - RabbitMQ로부터 수신한 원본 데이터 { deviceList: [...] }
  * @param {string} systemName - 요청을 보낸 외부 시스템의 이름
+ * @param {{partNumber: number, partTotal: number, parentOutboundId: string} | null} [part=null] - 분할된 보고의 파트 정보
  * @returns {object} CAP alert 객체
  */
-function buildDeviceInfoCap(identifier, rawMessege, systemName) {
+function buildDeviceInfoCap(identifier, rawMessege, systemName, part = null) {
 
     logger.debug(`🚀 [CentralService][CapService] 단말기 제원 정보 CAP 생성 시작 (ID: ${identifier}, System: ${systemName})...`);
 
@@ -142,13 +715,8 @@ function buildDeviceInfoCap(identifier, rawMessege, systemName) {
                 certainty: 'Unknown',
                 eventCode: { valueName: 'KR.eventCode', value: 'DIS' },
                 senderName: '재난 정보 게이트웨이',
-                headline: `${systemName} 단말장치 제원정보`,
-                parameter: {
-                    valueName: 'DEVICE_DATA',
-                    value: {
-                        '$': JSON.stringify(rawMessege)
-                    }
-                },
+                headline: `${systemName} 단말장치 제원정보${part ? ` (${part.partNumber}/${part.partTotal})` : ''}`,
+                parameter: _buildDeviceParameters('DEVICE_DATA', rawMessege, part),
             },
         },
     };
@@ -163,9 +731,10 @@ function buildDeviceInfoCap(identifier, rawMessege, systemName) {
  * @param {string} identifier - 이 메시지의 고유 식별자 (outbound_id와 동일)
  * @param {object} rawMessege - RabbitMQ로부터 수신한 원본 데이터 { deviceList: [...] }
  * @param {string} systemName - 요청을 보낸 외부 시스템의 이름
+ * @param {{partNumber: number, partTotal: number, parentOutboundId: string} | null} [part=null] - 분할된 보고의 파트 정보
  * @returns {object} CAP alert 객체
  */
-function buildDeviceStatusCap(identifier, rawMessege, systemName) {
+function buildDeviceStatusCap(identifier, rawMessege, systemName, part = null) {
 
     logger.debug(`🚀 [CentralService][CapService] [CapService] 단말기 상태 정보 CAP 생성 시작 (ID: ${identifier}, System: ${systemName})...`);
 
@@ -191,13 +760,8 @@ function buildDeviceStatusCap(identifier, rawMessege, systemName) {
                 certainty: 'Unknown',
                 eventCode: { valueName: 'KR.eventCode', value: 'DIS' },
                 senderName: '재난 정보 게이트웨이',
-                headline: `${systemName} 단말장치 상태정보`,
-                parameter: {
-                    valueName: 'DEVICE_STATUS',
-                    value: {
-                        '$': JSON.stringify(rawMessege)
-                    }
-                },
+                headline: `${systemName} 단말장치 상태정보${part ? ` (${part.partNumber}/${part.partTotal})` : ''}`,
+                parameter: _buildDeviceParameters('DEVICE_STATUS', rawMessege, part),
             },
         },
     };
@@ -209,7 +773,7 @@ function buildDeviceStatusCap(identifier, rawMessege, systemName) {
 
 /**
  * 재난 정보 결과 보고 CAP 객체를 생성합니다.
- * @param {string} identifier - 이 메시지의 고유 식별자 (호출하는 쪽에서 'OriginalIdentifier_RPT_1' 형식으로 생성해야 함) 
+ * @param {string} identifier - 이 메시지의 고유 식별자 ('<원본 identifier>_RPT_<결과 보고 번호>' 형식, reportTransmitLogRepository.createDisasterResult 참고) 
  * @param {object} rawMessege - RabbitMQ로부터 수신한 원본 데이터 { identifier: ..., reportList: [...] }
  * @param {string} systemName - 요청을 보낸 외부 시스템의 이름 (이 함수에서는 사용되지 않음)
  * @param {string} originalSentTime - 원본 재난 정보의 sent 시간
@@ -262,7 +826,21 @@ function buildDisasterResultCap(identifier, rawMessege, systemName, originalSent
 module.exports = {
     parseCap,
     buildCap,
+    parseReferences,
+    hasInfo,
+    getEventCodes,
+    parseAreas,
+    parseInfos,
+    getExpiresAt,
+    getPriority,
+    getBodyFingerprint,
+    extractResourceContents,
+    getResourceContentHashes,
+    restoreResourceContents,
+    normalizeAlert,
+    NORMALIZED_ALERT_VERSION,
     createAckCap,
+    splitDeviceReport,
     buildDeviceInfoCap,
     buildDeviceStatusCap,
     buildDisasterResultCap,
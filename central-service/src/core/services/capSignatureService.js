@@ -0,0 +1,206 @@
+/**
+ * @file capSignatureService.js
+ * @description 수신한 재난 정보(CAP alert)의 XML 전자서명(XML-DSig, enveloped signature)을 신뢰 저장소의 인증서로 검증합니다.
+ * 서명 인증서는 신뢰 저장소에 직접 등록되어 있거나, 신뢰 저장소의 CA 인증서가 발급한 것이어야 합니다.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const { SignedXml } = require('xml-crypto');
+const config = require('../../config');
+const logger = require('../utils/logger');
+
+const { MODE, TRUST_STORE_DIR, TRUST_STORE_RETRY_INTERVAL } = config.capSignature;
+// 전자서명 검증 정책으로 설정할 수 있는 값 목록
+const MODES = ['off', 'flag', 'reject'];
+const XMLDSIG_NAMESPACE = 'http://www.w3.org/2000/09/xmldsig#';
+const PEM_CERTIFICATE_PATTERN = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+
+/**
+ * 전자서명 검증 결과
+ * - NOT_CHECKED: 검증하지 않음 (MODE: off)
+ * - UNSIGNED: 서명 없음
+ * - VALID: 신뢰하는 인증서로 서명 검증 성공
+ * - INVALID: 서명 불일치, 신뢰하지 않는 인증서, 검증 불가
+ */
+const SIGNATURE_STATUS = Object.freeze({
+    NOT_CHECKED: 'NOT_CHECKED',
+    UNSIGNED: 'UNSIGNED',
+    VALID: 'VALID',
+    INVALID: 'INVALID',
+});
+
+/**
+ * 신뢰 저장소 인증서 목록 (최초 사용 시 로드, 로드에 성공한 경우에만 설정)
+ * @type {crypto.X509Certificate[] | null}
+ */
+let trustedCertificates = null;
+
+/**
+ * 마지막으로 신뢰 저장소 로드에 실패한 시각 (단위: 밀리초, 실패 후 TRUST_STORE_RETRY_INTERVAL이 지나면 다시 로드)
+ * @type {number | null}
+ */
+let lastLoadFailedAt = null;
+
+/**
+ * 신뢰 저장소 디렉터리의 PEM 인증서(.pem, .crt)를 모두 로드합니다.
+ * 로드에 실패하면(디렉터리 없음, 인증서 형식 오류 등) 빈 목록을 반환하고, TRUST_STORE_RETRY_INTERVAL이 지난 뒤 다시 로드합니다.
+ * 로드 도중 실패해도 일부만 읽은 목록을 사용하지 않도록 전체 목록을 읽은 뒤에 교체합니다.
+ * @returns {crypto.X509Certificate[]}
+ */
+function _loadTrustStore() {
+
+    if (trustedCertificates) {
+        return trustedCertificates;
+    }
+    if (lastLoadFailedAt && Date.now() - lastLoadFailedAt < TRUST_STORE_RETRY_INTERVAL) {
+        return [];
+    }
+
+    if (!TRUST_STORE_DIR) {
+        logger.warn('🔔 [CentralService][CapSignature] 신뢰 저장소(CENTRAL_CAP_TRUST_STORE_DIR) 미설정. 모든 서명을 신뢰하지 않음.');
+        trustedCertificates = [];
+        return trustedCertificates;
+    }
+
+    try {
+        const certificates = [];
+        for (const fileName of fs.readdirSync(TRUST_STORE_DIR)) {
+            if (!/\.(pem|crt)$/i.test(fileName)) {
+                continue;
+            }
+            const pem = fs.readFileSync(path.join(TRUST_STORE_DIR, fileName), 'utf-8');
+            for (const block of pem.match(PEM_CERTIFICATE_PATTERN) || []) {
+                certificates.push(new crypto.X509Certificate(block));
+            }
+        }
+        trustedCertificates = certificates;
+        lastLoadFailedAt = null;
+    } catch (err) {
+        lastLoadFailedAt = Date.now();
+        logger.error(`🚨 [CentralService][CapSignature] 신뢰 저장소 로드 실패 (${TRUST_STORE_DIR}): ${err.message}. ${TRUST_STORE_RETRY_INTERVAL / 1000}초 후 다시 로드.`);
+        return [];
+    }
+    logger.info(`✅ [CentralService][CapSignature] 신뢰 저장소 로드 완료 (${TRUST_STORE_DIR}, 인증서 ${trustedCertificates.length}개).`);
+    return trustedCertificates;
+
+}
+
+/**
+ * 인증서가 신뢰 저장소에 있거나 신뢰 저장소의 CA가 발급했고, 유효 기간 안에 있는지 확인합니다.
+ * @param {crypto.X509Certificate} certificate - 서명 인증서
+ * @returns {boolean}
+ */
+function _isTrusted(certificate) {
+
+    const now = new Date();
+    if (new Date(certificate.validFrom) > now || new Date(certificate.validTo) < now) {
+        return false;
+    }
+    return _loadTrustStore().some((trusted) => trusted.fingerprint256 === certificate.fingerprint256
+        || (certificate.checkIssued(trusted) && certificate.verify(trusted.publicKey)));
+
+}
+
+/**
+ * 요소의 직계 자식 중 지정한 이름(localName)의 요소를 찾습니다.
+ * @param {Element} element
+ * @param {string} localName
+ * @param {string} [namespace] - 지정하면 네임스페이스도 비교
+ * @returns {Element | null}
+ */
+function _findChild(element, localName, namespace) {
+    for (let node = element?.firstChild; node; node = node.nextSibling) {
+        if (node.nodeType === 1 && node.localName === localName && (!namespace || node.namespaceURI === namespace)) {
+            return node;
+        }
+    }
+    return null;
+}
+
+/**
+ * 서명 KeyInfo의 인증서 또는 신뢰 저장소의 인증서 중 서명 검증에 사용할 인증서 후보를 구합니다.
+ * @param {string} signedAlertXml - 서명된 alert XML
+ * @returns {{certificates: crypto.X509Certificate[], reason: string | null}}
+ */
+function _getCandidateCertificates(signedAlertXml) {
+
+    const keyInfoPem = SignedXml.getCertFromKeyInfo(
+        new DOMParser().parseFromString(signedAlertXml, 'text/xml').getElementsByTagNameNS(XMLDSIG_NAMESPACE, 'KeyInfo')[0]
+    );
+    if (!keyInfoPem) {
+        // KeyInfo에 인증서가 없으면 신뢰 저장소의 인증서로 차례대로 검증합니다.
+        return { certificates: _loadTrustStore(), reason: null };
+    }
+
+    const certificate = new crypto.X509Certificate(keyInfoPem);
+    if (!_isTrusted(certificate)) {
+        return { certificates: [], reason: `신뢰하지 않는 서명 인증서 (Subject: ${certificate.subject.replace(/\n/g, ', ')})` };
+    }
+    return { certificates: [certificate], reason: null };
+
+}
+
+/**
+ * ETS 메시지 XML에서 capInfo.alert의 전자서명을 검증합니다.
+ * MODE가 off이면 검증하지 않으며, 검증 중 오류는 INVALID로 반환합니다.
+ * @param {string} xmlString - ETS 메시지 본문 XML (<data><capInfo><alert>...)
+ * @returns {{status: string, detail: string | null}} 검증 결과 (SIGNATURE_STATUS 값과 서명자 또는 실패 사유)
+ */
+function verifyAlertSignature(xmlString) {
+
+    if (MODE === 'off') {
+        return { status: SIGNATURE_STATUS.NOT_CHECKED, detail: null };
+    }
+
+    try {
+
+        const document = new DOMParser().parseFromString(xmlString, 'text/xml');
+        const alertElement = _findChild(_findChild(document.documentElement, 'capInfo'), 'alert');
+        if (!alertElement || !_findChild(alertElement, 'Signature', XMLDSIG_NAMESPACE)) {
+            return { status: SIGNATURE_STATUS.UNSIGNED, detail: null };
+        }
+
+        // enveloped 서명은 alert를 문서 루트로 하여 생성되므로, alert만 분리하여 검증합니다.
+        const signedAlertXml = new XMLSerializer().serializeToString(alertElement);
+        const { certificates, reason } = _getCandidateCertificates(signedAlertXml);
+        if (certificates.length === 0) {
+            return { status: SIGNATURE_STATUS.INVALID, detail: reason || '신뢰 저장소에 인증서 없음' };
+        }
+
+        let lastError = '서명 불일치';
+        for (const certificate of certificates) {
+            const signedXml = new SignedXml({ publicCert: certificate.toString(), getCertFromKeyInfo: () => null });
+            signedXml.loadSignature(_findChild(
+                new DOMParser().parseFromString(signedAlertXml, 'text/xml').documentElement, 'Signature', XMLDSIG_NAMESPACE
+            ));
+            try {
+                // 서명 대상(Reference)은 alert 전체(URI="")여야 합니다.
+                if (signedXml.checkSignature(signedAlertXml) && signedXml.getReferences().every((reference) => reference.uri === '')) {
+                    return { status: SIGNATURE_STATUS.VALID, detail: certificate.subject.replace(/\n/g, ', ') };
+                }
+            } catch (err) {
+                lastError = `서명 불일치 (${err.message.slice(0, 100)})`;
+            }
+        }
+        return { status: SIGNATURE_STATUS.INVALID, detail: lastError };
+
+    } catch (err) {
+
+        logger.error(`🚨 [CentralService][CapSignature] 전자서명 검증 오류: ${err.message}`);
+        return { status: SIGNATURE_STATUS.INVALID, detail: `검증 오류: ${err.message}` };
+
+    }
+
+}
+
+if (!MODES.includes(MODE)) {
+    throw new Error(`알 수 없는 전자서명 검증 정책 (CENTRAL_CAP_SIGNATURE_MODE: ${MODE}). 허용값: ${MODES.join(', ')}`);
+}
+
+module.exports = {
+    verifyAlertSignature,
+    SIGNATURE_STATUS,
+};
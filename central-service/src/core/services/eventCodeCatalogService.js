@@ -0,0 +1,125 @@
+/**
+ * @file eventCodeCatalogService.js
+ * @description DB의 Event Code 카탈로그(event_code_catalog)로 재난 정보의 Event Code를 검사하고, external-service 동기화용 카탈로그를 캐싱합니다.
+ * 카탈로그에 코드를 추가하거나 비활성화하면 Event Code 검사에는 바로, 동기화용 캐시에는 CACHE_DURATION 이내에 재배포 없이 반영됩니다.
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const eventCodeCatalogRepository = require('../repositories/eventCodeCatalogRepository');
+
+const { CACHE_DURATION } = config.eventCodeCatalog;
+
+/**
+ * code -> 카탈로그 항목 캐시입니다.
+ * @type {Map<string, object>}
+ */
+let catalogCache = new Map();
+
+/**
+ * 캐시가 마지막으로 업데이트된 시간을 기록합니다.
+ * @type {number}
+ */
+let lastCacheUpdateTime = 0;
+
+/**
+ * 캐시 내용의 비교용 문자열입니다. 카탈로그 변경 여부 판단에 사용합니다.
+ * @type {string | null}
+ */
+let catalogFingerprint = null;
+
+/**
+ * DB 행을 외부에 전달하는 카탈로그 항목 형식으로 변환합니다.
+ * @param {object} row - event_code_catalog 행
+ * @returns {object} 카탈로그 항목
+ */
+function _toEntry(row) {
+    return {
+        code: row.code,
+        nameKo: row.name_ko,
+        nameEn: row.name_en,
+        category: row.category,
+        defaultSeverity: row.default_severity,
+        isActive: row.is_active,
+    };
+}
+
+/**
+ * DB에서 최신 카탈로그를 가져와 캐시를 업데이트합니다.
+ * 조회에 실패하면 이전 캐시를 유지하고, 캐시가 비어 있는 상태라면 오류를 던집니다.
+ * @returns {Promise<void>}
+ */
+async function refresh() {
+
+    logger.debug('🚀 [CentralService][EventCodeCatalog] Event Code 캐시 업데이트 시작...');
+
+    try {
+
+        const entries = (await eventCodeCatalogRepository.findAll()).map(_toEntry);
+        const fingerprint = JSON.stringify(entries);
+        const changed = fingerprint !== catalogFingerprint;
+
+        catalogCache = new Map(entries.map((entry) => [entry.code, entry]));
+        catalogFingerprint = fingerprint;
+        lastCacheUpdateTime = Date.now();
+
+        if (changed) {
+            const activeCount = entries.filter((entry) => entry.isActive).length;
+            logger.info(`✅ [CentralService][EventCodeCatalog] Event Code 캐시 업데이트 완료 (전체 ${entries.length}개, 활성 ${activeCount}개).`);
+        }
+
+    } catch (err) {
+
+        logger.error(`🚨 [CentralService][EventCodeCatalog] Event Code 목록 DB 조회 오류: ${err.message}. 이전 캐시 유지.`);
+        if (lastCacheUpdateTime === 0) {
+            throw err;
+        }
+
+    }
+
+}
+
+/**
+ * 캐시가 비어있거나 유효 기간이 지났으면 캐시를 업데이트합니다.
+ */
+async function _ensureFresh() {
+
+    if (lastCacheUpdateTime === 0 || Date.now() - lastCacheUpdateTime > CACHE_DURATION) {
+        await refresh();
+    }
+
+}
+
+/**
+ * 주어진 Event Code 중 카탈로그에 등록된 활성 코드가 아닌 코드를 찾습니다.
+ * 모든 코드를 한 번의 조회로 확인하며, 재난 정보 처리 트랜잭션의 클라이언트로 조회합니다.
+ * @param {string[]} codes - CAP info.eventCode 값 목록
+ * @param {import('pg').PoolClient} client - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<string[]>} 활성 코드가 아닌 코드 목록 (입력 순서 유지)
+ */
+async function findInactiveCodes(codes, client) {
+
+    if (codes.length === 0) {
+        return [];
+    }
+    const activeCodes = new Set(await eventCodeCatalogRepository.findActiveCodes(codes, client));
+    return codes.filter((code) => !activeCodes.has(code));
+
+}
+
+/**
+ * 캐시된 전체 카탈로그를 반환합니다. (external-service 동기화용)
+ * @returns {Promise<object[]>} 카탈로그 항목 배열 (code 순)
+ */
+async function getCatalog() {
+
+    await _ensureFresh();
+    return [...catalogCache.values()];
+
+}
+
+module.exports = {
+    refresh,
+    findInactiveCodes,
+    getCatalog,
+};
@@ -0,0 +1,108 @@
+/**
+ * @file healthService.js
+ * @description central-service 내부 구성 요소(RabbitMQ, DB, 아웃박스)의 상태를 점검합니다.
+ * 중앙 시스템의 세션 체크 요청(ETS_REQ_SYS_STS)에 대한 응답에 포함됩니다.
+ * 운영자 확인이 필요한 상태(예: 중앙 시스템 인증 차단)는 경보(alerts)로 함께 보고합니다.
+ */
+
+const logger = require('../utils/logger');
+const pool = require('../repositories/pool');
+const messageBrokerService = require('./messageBrokerService');
+const reportTransmitLogRepository = require('../repositories/reportTransmitLogRepository');
+const disasterPublishLogRepository = require('../repositories/disasterPublishLogRepository');
+
+// 상태 점검 쿼리의 최대 대기 시간 (세션 체크 응답이 늦어지지 않도록 짧게 유지)
+const CHECK_TIMEOUT = 3000;
+
+// 운영자 확인이 필요한 경보 목록 (key -> { key, message, raisedAt })
+const alerts = new Map();
+
+/**
+ * 운영자 확인이 필요한 경보를 등록합니다. 같은 key의 경보는 최신 내용으로 교체됩니다.
+ * @param {string} key - 경보 종류 (예: 'CENTRAL_AUTH_CIRCUIT_OPEN')
+ * @param {string} message - 경보 내용
+ */
+function raiseAlert(key, message) {
+
+    alerts.set(key, { key, message, raisedAt: new Date() });
+
+}
+
+/**
+ * 해결된 경보를 해제합니다.
+ * @param {string} key - 경보 종류
+ */
+function clearAlert(key) {
+
+    if (alerts.delete(key)) {
+        logger.info(`✅ [CentralService][HealthService] 운영자 경보 해제 (${key}).`);
+    }
+
+}
+
+/**
+ * 주어진 작업이 CHECK_TIMEOUT 안에 끝나지 않으면 실패로 처리합니다.
+ * @param {Promise<any>} promise - 점검 작업
+ * @returns {Promise<any>}
+ */
+function _withTimeout(promise) {
+
+    let timeoutId;
+    const timeout = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error(`상태 점검 타임아웃 (${CHECK_TIMEOUT / 1000}초)`)), CHECK_TIMEOUT);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+
+}
+
+/**
+ * 현재 서비스 상태를 점검하여 반환합니다.
+ * DB에 접근할 수 없으면 아웃박스 건수는 null로 반환합니다.
+ * @returns {Promise<{broker: string, database: string, outbox: object, alerts: Array<object>}>}
+ */
+async function getHealth() {
+
+    const health = {
+        broker: messageBrokerService.isConnected() ? 'UP' : 'DOWN',
+        database: 'DOWN',
+        outbox: {
+            reportPending: null,
+            reportSent: null,
+            disasterPending: null,
+            disasterFailed: null,
+        },
+        alerts: [...alerts.values()],
+    };
+
+    try {
+
+        await _withTimeout(pool.query('SELECT 1'));
+        health.database = 'UP';
+
+        const [reportCounts, disasterCounts] = await _withTimeout(Promise.all([
+            reportTransmitLogRepository.countUnsettledByStatus(),
+            disasterPublishLogRepository.countAllByStatus(),
+        ]));
+        health.outbox = {
+            reportPending: reportCounts.PENDING || 0,
+            reportSent: reportCounts.SENT || 0,
+            disasterPending: disasterCounts.PENDING || 0,
+            disasterFailed: disasterCounts.FAILED || 0,
+        };
+
+    } catch (err) {
+
+        logger.warn(`🔔 [CentralService][HealthService] 상태 점검 중 DB 조회 실패: ${err.message}`);
+
+    }
+
+    return health;
+
+}
+
+module.exports = {
+    getHealth,
+    raiseAlert,
+    clearAlert,
+};
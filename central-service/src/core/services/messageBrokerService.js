@@ -9,6 +9,7 @@ const logger = require('../utils/logger');
 const mqReceiveLogRepository = require('../repositories/mqReceiveLogRepository');
 const reportTransmitLogRepository = require('../repositories/reportTransmitLogRepository');
 const disasterPublishLogRepository = require('../repositories/disasterPublishLogRepository');
+const capService = require('./capService');
 const pool = require('../repositories/pool');
 
 let connection = null;
@@ -26,6 +27,9 @@ const {
         REPORT_RETRY_EXCHANGE,
         REPORT_WAIT_QUEUE,
         REPORT_ROUTING_KEY,
+        CATALOG_ROUTING_KEY,
+        DISASTER_ROUTING_KEY_PREFIX,
+        DRILL_ROUTING_KEY_PREFIX,
     },
     RETRY_DELAY,
     MAX_RETRIES,
@@ -164,21 +168,30 @@ async function _consumeReportMessage(msg) {
             logger.debug(`✅ [CentralService][MessageBroker] 메시지 파싱 완료 (Tag: ${deliveryTag}).`);
             const { type, externalSystemName, rawMessage } = messageContent;
 
+            // 같은 시각에 만든 발신 ID와 겹치면 유일 제약 조건 위반으로 실패하고, 재시도 큐를 거쳐 새 발신 ID로 다시 처리됩니다.
             outboundId = `KR.${config.auth.DEST_ID}_${Date.now()}`;
 
-            if (type === 'DISASTER_RESULT') {
-                    const identifier = rawMessage.identifier;
-                    const exists = await disasterPublishLogRepository.existsByIdentifier(identifier);
-                    if (!exists) {
-                        throw new Error(`device_publish_logs 테이블에 존재하지 않는 identifier = ${identifier}.`);
-                    }
-                    outboundId = `${identifier}_RPT_1`;
-            }
-
-            logger.debug(`🚀 [CentralService][MessageBroker] 보고 정보 처리 시작 (Type: ${type}, System: ${externalSystemName}, Outbound ID: ${outboundId}, mq_receive_log ID: ${mqReceiveLogId})...`);
+            logger.debug(`🚀 [CentralService][MessageBroker] 보고 정보 처리 시작 (Type: ${type}, System: ${externalSystemName}, mq_receive_log ID: ${mqReceiveLogId})...`);
             
             // 3. 보고 정보 아웃박스(report_transmit_logs)에 기록합니다.
-            await reportTransmitLogRepository.create(mqReceiveLogId, type, outboundId, externalSystemName, rawMessage)
+            // 재난 정보 결과 보고는 원본 재난 정보에 연결하고, 원본별 결과 보고 번호로 '<identifier>_RPT_<n>' 발신 ID를 생성합니다.
+            // 단말장치 보고는 크기 제한(deviceReport)을 넘으면 여러 파트로 나누어 파트별로 전송/ACK 처리합니다.
+            const parts = type === 'DEVICE_INFO' || type === 'DEVICE_STATUS' ? capService.splitDeviceReport(rawMessage) : [rawMessage];
+            if (type === 'DISASTER_RESULT') {
+                const identifier = rawMessage.identifier;
+                const disasterPublishLogId = await disasterPublishLogRepository.findIdByIdentifierForUpdate(identifier, client);
+                if (!disasterPublishLogId) {
+                    throw new Error(`disaster_publish_logs 테이블에 존재하지 않는 identifier = ${identifier}.`);
+                }
+                const { outbound_id: resultOutboundId, report_number: reportNumber } = await reportTransmitLogRepository.createDisasterResult(mqReceiveLogId, disasterPublishLogId, externalSystemName, rawMessage, client);
+                outboundId = resultOutboundId;
+                logger.debug(`[CentralService][MessageBroker] 재난 정보 결과 보고 번호 부여 (Identifier: ${identifier}, 결과 보고: ${reportNumber}번째, Outbound ID: ${outboundId}).`);
+            } else if (parts.length > 1) {
+                await reportTransmitLogRepository.createWithParts(mqReceiveLogId, type, outboundId, externalSystemName, rawMessage, parts, client);
+                logger.info(`[CentralService][MessageBroker] 단말장치 보고 분할 (Type: ${type}, Outbound ID: ${outboundId}, 단말장치: ${rawMessage.deviceList.length}건, 파트: ${parts.length}개).`);
+            } else {
+                await reportTransmitLogRepository.create(mqReceiveLogId, type, outboundId, externalSystemName, rawMessage, client);
+            }
             logger.debug(`✅ [CentralService][MessageBroker] 보고 정보 아웃박스 기록 완료 (Tag: ${deliveryTag}, mq_receive_log ID: ${mqReceiveLogId})`);
 
             // 4. 인박스 로그 상태를 'SUCCESS'로 업데이트합니다.
@@ -268,6 +281,22 @@ async function _consumeReportMessage(msg) {
 
 }
 
+/**
+ * CAP status와 eventCode로 재난 정보 라우팅 키를 생성합니다.
+ * 훈련/시험 재난 정보가 실제 재난 정보의 구독 경로('disaster.*')로 전달되지 않도록 별도의 네임스페이스를 사용합니다.
+ * @param {string} alertStatus - CAP alert.status (Actual, Exercise, System, Test, Draft)
+ * @param {string} eventCode - 재난 코드
+ * @returns {string} 라우팅 키 (예: 'disaster.HRW', 'drill.exercise.HRW')
+ */
+function getDisasterRoutingKey(alertStatus, eventCode) {
+
+    if (alertStatus === 'Actual') {
+        return `${DISASTER_ROUTING_KEY_PREFIX}.${eventCode}`;
+    }
+    return `${DRILL_ROUTING_KEY_PREFIX}.${String(alertStatus).toLowerCase()}.${eventCode}`;
+
+}
+
 /**
  * 중앙 시스템에서 수신한 재난 정보(CAP)를 RabbitMQ에 발행(publish)하여 external-service로 전달합니다. (disasterPublishWorker에 의해 호출됨)
  * @param {object} payload - 발행할 보고 메시지 객체
@@ -283,8 +312,9 @@ function publishDisaster(payload, routingKey) {
     }
 
     try {
-        channel.publish(DISASTER_EXCHANGE, routingKey, Buffer.from(JSON.stringify(payload)), { persistent: true });
-        logger.info(`➡️ [CentralService][MessageBroker] 재난 정보 발행 성공 (${DISASTER_EXCHANGE} -> ${routingKey}, Identifier: ${payload?.identifier}).`);
+        // 우선순위 큐(x-max-priority)를 사용하는 소비자는 priority가 높은 메시지를 먼저 받습니다.
+        channel.publish(DISASTER_EXCHANGE, routingKey, Buffer.from(JSON.stringify(payload)), { persistent: true, priority: payload?.priority ?? 0 });
+        logger.info(`➡️ [CentralService][MessageBroker] 재난 정보 발행 성공 (${DISASTER_EXCHANGE} -> ${routingKey}, Identifier: ${payload?.identifier}, Priority: ${payload?.priority ?? 0}).`);
     } catch (err) {
         logger.error(`🚨 [CentralService][MessageBroker] 재난 정보 발행 중 오류 (Exchange: ${DISASTER_EXCHANGE}, RoutingKey: ${routingKey}): ${err.stack}`, payload);
         throw err; // 오류를 던져 워커가 재시도하도록 합니다.
@@ -292,6 +322,37 @@ function publishDisaster(payload, routingKey) {
 
 }
 
+/**
+ * Event Code 카탈로그 전체 목록을 RabbitMQ에 발행(publish)하여 external-service로 전달합니다. (eventCodeCatalogWorker에 의해 호출됨)
+ * @param {object} payload - 발행할 카탈로그 메시지 객체 ({ publishedAt, eventCodes })
+ */
+function publishEventCodeCatalog(payload) {
+
+    logger.debug(`[CentralService][MessageBroker] Event Code 카탈로그 발행 시작 (RoutingKey: ${CATALOG_ROUTING_KEY})...`);
+    if (!channel) {
+        const err = new Error('RabbitMQ 채널이 없음. Event Code 카탈로그 발행 불가.');
+        logger.error(`🚨 [CentralService][MessageBroker] ${err.message}`);
+        throw err; // 오류를 던져 워커가 재시도하도록 합니다.
+    }
+
+    try {
+        channel.publish(DISASTER_EXCHANGE, CATALOG_ROUTING_KEY, Buffer.from(JSON.stringify(payload)), { persistent: true });
+        logger.info(`➡️ [CentralService][MessageBroker] Event Code 카탈로그 발행 성공 (${DISASTER_EXCHANGE} -> ${CATALOG_ROUTING_KEY}, ${payload.eventCodes.length}개).`);
+    } catch (err) {
+        logger.error(`🚨 [CentralService][MessageBroker] Event Code 카탈로그 발행 중 오류 (Exchange: ${DISASTER_EXCHANGE}, RoutingKey: ${CATALOG_ROUTING_KEY}): ${err.stack}`);
+        throw err; // 오류를 던져 워커가 재시도하도록 합니다.
+    }
+
+}
+
+/**
+ * RabbitMQ 채널이 사용 가능한 상태인지 확인합니다. (상태 점검용)
+ * @returns {boolean} 채널이 열려 있으면 true
+ */
+function isConnected() {
+    return Boolean(channel);
+}
+
 /**
  * RabbitMQ 연결을 안전하게 종료합니다.
  */
@@ -314,6 +375,9 @@ async function disconnect() {
 
 module.exports = {
     start,
+    getDisasterRoutingKey,
     publishDisaster,
+    publishEventCodeCatalog,
+    isConnected,
     disconnect,
 };
\ No newline at end of file
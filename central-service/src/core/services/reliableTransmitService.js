@@ -6,9 +6,9 @@
 const logger = require('../utils/logger');
 const config = require('../../config');
 const sessionManager = require('../utils/sessionManager');
+const connectionState = require('../utils/connectionState');
 const { xmlParser, buildMessageBuffer } = require('../utils/protocolUtils');
 const reportTransmitLogRepository = require('../repositories/reportTransmitLogRepository');
-const disasterPublishLogRepository = require('../repositories/disasterPublishLogRepository');
 const capService = require('./capService');
 
 const TRANSMISSION_TIMEOUT = config.tcp.protocol.TIMERS.TRANSMISSION_TIMEOUT;
@@ -16,6 +16,8 @@ const MAX_RETRIES = config.reportTransmitWorker.MAX_RETRIES;
 
 // 활성 타임아웃 타이머 ID를 저장하는 MAP (logId -> timeoutId)
 const activeTimeouts = new Map();
+// 송신 큐에 들어가 소켓 기록(flush)을 기다리는 로그 ID 목록 (워커 주기 간 중복 전송 방지)
+const pendingFlushes = new Set();
 
 const MESSAGE_IDS = {
     DEVICE_INFO: config.tcp.protocol.MESSAGE_IDS.ETS_NFY_DEVICE_INFO,
@@ -29,6 +31,30 @@ const LOG_CONTEXT = {
     DISASTER_RESULT: '재난 정보 결과 보고',
 };
 
+/**
+ * 분할된 보고의 파트 상태가 최종(SUCCESS, FAILED)으로 바뀐 뒤 부모 보고의 상태를 확정합니다.
+ * 모든 파트가 SUCCESS면 부모 보고도 SUCCESS, 파트가 하나라도 FAILED면 부모 보고도 FAILED가 됩니다.
+ * @param {number | null} parentId - 부모 보고 로그 ID (분할되지 않은 보고는 null)
+ */
+async function _settleParentReport(parentId) {
+
+    if (!parentId) {
+        return;
+    }
+
+    try {
+        const settled = await reportTransmitLogRepository.settleParent(parentId);
+        if (settled?.status === 'SUCCESS') {
+            logger.info(`✅ [CentralService][ReliableTransmit] 분할 보고의 모든 파트 전송 완료. 부모 보고 SUCCESS 처리 (report_transmit_log ID: ${parentId}).`);
+        } else if (settled?.status === 'FAILED') {
+            logger.warn(`🔔 [CentralService][ReliableTransmit] 분할 보고 파트 전송 실패. 부모 보고 FAILED 처리 (report_transmit_log ID: ${parentId}, ${settled.error_detail}).`);
+        }
+    } catch (err) {
+        logger.error(`🚨 [CentralService][ReliableTransmit] 부모 보고 상태 확정 실패 (report_transmit_log ID: ${parentId}): ${err.message}`);
+    }
+
+}
+
 /**
  * 전송 실패(타임아웃 또는 NACK) 시 상태를 PENDING으로 변경하여 다음 워커 주기에 재시도하도록 합니다.
  * 재시도 카운트 증가는 워커 담당. 최대 횟수 도달 시 FAILED 처리.
@@ -71,6 +97,7 @@ async function processFailure(logId, currentRetryCount, failureReason = 'Unknwon
             // 상태를 'FAILED'로 최종 변경합니다.
             await reportTransmitLogRepository.updateStatusById(logId, 'FAILED', `Max retries (${MAX_RETRIES}) exceeded: ${failureReason}`);
             logger.warn(`🔔 [CentralService][ReliableTransmit] report_transmit_log ID [${logId}] 전송 실패 (${failureReason}).`);
+            await _settleParentReport(currentLog.parent_id);
 
         } else {
 
@@ -95,6 +122,18 @@ async function processFailure(logId, currentRetryCount, failureReason = 'Unknwon
 
 }
 
+/**
+ * 메시지를 송신 큐에 넣고, 소켓에 실제로 기록(flush)될 때까지 기다립니다.
+ * @param {Buffer} messageBuffer - 전송할 메시지 버퍼
+ * @param {string} logContext - 로그에 표시할 메시지 종류
+ * @returns {Promise<void>} flush 완료 시 resolve, 큐 거부/연결 끊김/기록 실패 시 reject
+ */
+function sendAndWaitForFlush(messageBuffer, logContext) {
+    return new Promise((resolve, reject) => {
+        sessionManager.send(messageBuffer, logContext, (err) => (err ? reject(err) : resolve()));
+    });
+}
+
 /**
  * 처리되지 않은 메시지(로그) 하나를 받아 실제 전송을 시도합니다.
  * @param {object} log - 테이블의 행 데이터 객체 (워카가 재시도/시퀸스 업데이트 후 전달)
@@ -109,6 +148,14 @@ async function processMessage(log) {
         report_sequence: reportSequence,
         outbound_id: identifier,
         type, 
+        parent_id: parentId,
+        part_number: partNumber,
+        part_total: partTotal,
+        parent_outbound_id: parentOutboundId,
+        disaster_publish_log_id: disasterPublishLogId,
+        original_identifier: originalIdentifier,
+        original_sent: originalSent,
+        original_sender: originalSender,
     } = log;
 
     let capObject;
@@ -125,32 +172,34 @@ async function processMessage(log) {
         if (currentRetryCount > MAX_RETRIES) {
             throw new Error(`최대 재시도 횟수(${MAX_RETRIES}) 초과`);
         }
-        if (!sessionManager.isConnected()) {
-            logger.warn(`🔌 [CentralService][ReliableTransmit] 연결 끊김. 전송 대기 (report_transmit_log ID: ${identifier}, Outbound ID: ${identifier}).`);
+        if (!connectionState.isActive()) {
+            logger.warn(`🔌 [CentralService][ReliableTransmit] 세션 비활성(${connectionState.state}). 전송 대기 (report_transmit_log ID: ${identifier}, Outbound ID: ${identifier}).`);
             return; // 연결이 없으면 조용히 종료, 다음 워커 주기 대기
         }
+        if (pendingFlushes.has(logId)) {
+            logger.debug(`[CentralService][ReliableTransmit] report_transmit_log ID [${logId}] 이전 전송이 송신 큐에서 대기 중. 건너뜀.`);
+            return;
+        }
 
         // --- CAP 객체 생성 ---
+        // 분할된 단말장치 보고의 파트는 파트 번호와 부모 보고 ID를 CAP parameter로 함께 보냅니다.
+        const part = parentId ? { partNumber, partTotal, parentOutboundId } : null;
         switch (type) {
             case 'DEVICE_INFO':
-                capObject = capService.buildDeviceInfoCap(identifier, rawMessage, externalSystemName);
+                capObject = capService.buildDeviceInfoCap(identifier, rawMessage, externalSystemName, part);
                 break;
             case 'DEVICE_STATUS':
-                capObject = capService.buildDeviceStatusCap(identifier, rawMessage, externalSystemName);
+                capObject = capService.buildDeviceStatusCap(identifier, rawMessage, externalSystemName, part);
                 break;
             case 'DISASTER_RESULT':
-                const originalIdentifier = identifier.slice(0, -6);
-                const disasterPublishLog = await disasterPublishLogRepository.findByIdentifier(originalIdentifier);
-                if (!disasterPublishLog) {
-                    throw new Error(`원본 재난 정보 식별자(${originalIdentifier}) 조회 실패. Outbound ID: ${identifier}`);
+                // 원본 재난 정보는 결과 보고에 연결된 발행 로그(disaster_publish_log_id)에서 조회됩니다.
+                if (!disasterPublishLogId) {
+                    throw new Error(`원본 재난 정보가 연결되지 않은 결과 보고. Outbound ID: ${identifier}`);
                 }
-                const originalCapInfo = (typeof disasterPublishLog.raw_message === 'object' && disasterPublishLog.raw_message !== null)
-                                        ? disasterPublishLog.raw_message.capInfo
-                                        : null;
-                if (!originalCapInfo || !originalCapInfo.alert || !originalCapInfo.alert.sent || !originalCapInfo.alert.sender) {
+                if (!originalSent || !originalSender) {
                     throw new Error(`원본 재난 로그(${originalIdentifier})의 CAP 정보가 유효하지 않음`);
                 }
-                capObject = capService.buildDisasterResultCap(identifier, rawMessage, externalSystemName, originalCapInfo.alert.sent, originalCapInfo.alert.sender);
+                capObject = capService.buildDisasterResultCap(identifier, rawMessage, externalSystemName, originalSent, originalSender);
                 break;
             default:
                 throw new Error(`정의되지 않은 메시지 타입: ${type}`);
@@ -169,8 +218,22 @@ async function processMessage(log) {
 
         const messageBuffer = buildMessageBuffer(messageId, messageXmlToSend);
 
-        sessionManager.send(messageBuffer, logContext);
-        await reportTransmitLogRepository.updateStatusById(logId, 'SENT');
+        // 송신 큐에 들어간 것만으로는 SENT로 보지 않고, 소켓에 실제로 기록된 후 SENT로 변경합니다.
+        pendingFlushes.add(logId);
+        try {
+            await sendAndWaitForFlush(messageBuffer, logContext);
+        } catch (flushErr) {
+            logger.warn(`🔔 [CentralService][ReliableTransmit] report_transmit_log ID [${logId}] 송신 실패 (${flushErr.message}). 다음 워커 주기에 재시도.`);
+            return; // 상태를 변경하지 않았으므로 다음 워커 주기에 다시 전송됩니다.
+        } finally {
+            pendingFlushes.delete(logId);
+        }
+        // 기록을 기다리는 동안 응답이 먼저 도착해 최종 상태가 된 로그는 SENT로 되돌리지 않고, 타임아웃도 등록하지 않습니다.
+        const isSent = await reportTransmitLogRepository.markSent(logId);
+        if (!isSent) {
+            logger.debug(`[CentralService][ReliableTransmit] report_transmit_log ID [${logId}] 송신 중 최종 상태로 변경됨. 타임아웃 등록 생략.`);
+            return;
+        }
 
         // --- ACK 타임아웃 설정 및 Map에 저장 ---
         const existingTimeoutId = activeTimeouts.get(logId);
@@ -199,7 +262,7 @@ async function processMessage(log) {
         // Map에 새로 생성된 timeoutId 저장
         activeTimeouts.set(logId, timeoutId);
 
-        logger.info(`➡️ [CentralService][ReliableTransmit] ${logContext} 전송 시작 (시도 ${currentRetryCount + 1}/${MAX_RETRIES}, report_transmit_log ID: ${logId}, Outbound ID: ${identifier}, Seq: ${reportSequence}).`);
+        logger.info(`➡️ [CentralService][ReliableTransmit] ${logContext} 전송 시작 (시도 ${currentRetryCount + 1}/${MAX_RETRIES}, report_transmit_log ID: ${logId}, Outbound ID: ${identifier}, Seq: ${reportSequence}${part ? `, 파트: ${partNumber}/${partTotal}` : ''}).`);
         
     } catch (err) {
 
@@ -214,6 +277,7 @@ async function processMessage(log) {
         try {
             await reportTransmitLogRepository.updateStatusById(logId, 'FAILED', err.message);
             logger.error(`🚨 [CentralService][ReliableTransmit] report_transmit_log ID [${logId}] FAILED 처리 완료 (오류: ${err.message}).`);
+            await _settleParentReport(parentId);
         } catch (finalErr) {
             // FAILED로 업데이트하는 것조차 실패한 최악의 상황
             logger.error(`🚨 [CentralService][ReliableTransmit] report_transmit_log ID [${logId}] FAILED 상태 업데이트 실패: ${finalErr.stack}`);
@@ -287,6 +351,7 @@ async function processAck(messageBodyBuffer) {
             // PENDING 또는 SENT 상태일 때만 SUCCESS로 변경
             await reportTransmitLogRepository.updateStatusById(logId, 'SUCCESS');
             logger.info(`✅ [CentralService][ReliableTransmit] report_transmit_log ID [${logId}] SUCCESS 처리 완료.`);
+            await _settleParentReport(currentLog.parent_id);
 
         } else {
 
@@ -0,0 +1,113 @@
+/**
+ * @file sequenceTrackingService.js
+ * @description 중앙 시스템이 보낸 재난 정보의 transMsgSeq를 발신자별로 추적하여
+ * 누락(Gap)과 순서 뒤바뀜(늦게 도착한 메시지)을 판정하고 기록합니다.
+ * 기록은 국가 재난 정보 누락 여부를 감사 시 증빙하는 데 사용됩니다.
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const tcpSequenceRepository = require('../repositories/tcpSequenceRepository');
+
+const { MAX_GAP_SIZE } = config.sequenceGapWorker;
+
+/**
+ * 시퀀스 판정 결과
+ * - FIRST: 발신자로부터 처음 수신
+ * - IN_ORDER: 직전 시퀀스 바로 다음 시퀀스 수신
+ * - GAP_DETECTED: 시퀀스가 건너뛰어 중간 시퀀스를 누락(Gap)으로 기록
+ * - LATE: 누락으로 기록되었던 시퀀스가 늦게 도착 (순서 뒤바뀜)
+ * - STALE: 이미 지나간 시퀀스이지만 누락 기록이 없는 메시지 (재전송 등)
+ * - RESET: 발신 측 시퀀스가 재설정된 것으로 판단 (MAX_GAP_SIZE 초과 변동)
+ */
+const SEQUENCE_STATUS = Object.freeze({
+    FIRST: 'FIRST',
+    IN_ORDER: 'IN_ORDER',
+    GAP_DETECTED: 'GAP_DETECTED',
+    LATE: 'LATE',
+    STALE: 'STALE',
+    RESET: 'RESET',
+});
+
+/**
+ * 수신된 메시지의 시퀀스를 판정하고, 발신자별 상태와 누락 기록을 갱신합니다.
+ * 호출한 쪽의 트랜잭션 안에서 기록하므로, 재난 정보 처리가 롤백되면 시퀀스 기록도 함께 롤백됩니다.
+ * 재난 정보 처리가 시퀀스 추적 때문에 실패하지 않도록, 오류는 세이브포인트까지만 롤백하고 로그를 남긴 뒤 null을 반환합니다.
+ * @param {object} params
+ * @param {string} params.sender - CAP 발신자 (없으면 CENTRAL_SYSTEM_SENDER_ID 사용)
+ * @param {string} params.inboundId - 수신된 transMsgId
+ * @param {string | number} params.inboundSeq - 수신된 transMsgSeq
+ * @param {import('pg').PoolClient} client - 트랜잭션 중인 데이터베이스 클라이언트
+ * @returns {Promise<string | null>} SEQUENCE_STATUS 값 (판정 불가 시 null)
+ */
+async function track({ sender, inboundId, inboundSeq }, client) {
+
+    const seq = parseInt(inboundSeq, 10);
+    const senderKey = sender || config.CENTRAL_SYSTEM_SENDER_ID;
+
+    if (!senderKey || Number.isNaN(seq)) {
+        logger.warn(`🔔 [CentralService][SequenceTracking] 시퀀스 추적 불가 (Sender: ${senderKey}, Inbound ID: ${inboundId}, Seq: ${inboundSeq}).`);
+        return null;
+    }
+
+    try {
+
+        await client.query('SAVEPOINT sequence_tracking');
+
+        const state = await tcpSequenceRepository.findStateForUpdate(senderKey, client);
+        let status;
+
+        if (!state) {
+
+            status = SEQUENCE_STATUS.FIRST;
+            await tcpSequenceRepository.upsertState(senderKey, seq, inboundId, client);
+
+        } else if (seq > state.last_seq + MAX_GAP_SIZE || seq < state.last_seq - MAX_GAP_SIZE) {
+
+            status = SEQUENCE_STATUS.RESET;
+            await tcpSequenceRepository.upsertState(senderKey, seq, inboundId, client);
+            logger.warn(`🔔 [CentralService][SequenceTracking] 발신 측 시퀀스 재설정 감지 (Sender: ${senderKey}, 이전: ${state.last_seq}, 수신: ${seq}).`);
+
+        } else if (seq === state.last_seq + 1) {
+
+            status = SEQUENCE_STATUS.IN_ORDER;
+            await tcpSequenceRepository.upsertState(senderKey, seq, inboundId, client);
+
+        } else if (seq > state.last_seq + 1) {
+
+            status = SEQUENCE_STATUS.GAP_DETECTED;
+            await tcpSequenceRepository.createGaps(senderKey, state.last_seq + 1, seq - 1, inboundId, client);
+            await tcpSequenceRepository.upsertState(senderKey, seq, inboundId, client);
+            logger.warn(`🔔 [CentralService][SequenceTracking] 시퀀스 누락 감지 (Sender: ${senderKey}, 누락: ${state.last_seq + 1}~${seq - 1}, Inbound ID: ${inboundId}).`);
+
+        } else {
+
+            const filledGap = await tcpSequenceRepository.fillGap(senderKey, seq, inboundId, client);
+            if (filledGap) {
+                status = SEQUENCE_STATUS.LATE;
+                logger.warn(`🔔 [CentralService][SequenceTracking] 누락 시퀀스 지연 도착 (Sender: ${senderKey}, Seq: ${seq}, 누락 감지 시각: ${filledGap.detected_at.toISOString()}, 경보 발생 여부: ${filledGap.alarmed_at ? 'Y' : 'N'}).`);
+            } else {
+                status = SEQUENCE_STATUS.STALE;
+                logger.warn(`🔔 [CentralService][SequenceTracking] 이미 지나간 시퀀스 수신 (Sender: ${senderKey}, 마지막: ${state.last_seq}, 수신: ${seq}, Inbound ID: ${inboundId}).`);
+            }
+
+        }
+
+        await client.query('RELEASE SAVEPOINT sequence_tracking');
+        logger.debug(`✅ [CentralService][SequenceTracking] 시퀀스 판정 완료 (Sender: ${senderKey}, Seq: ${seq}, 결과: ${status}).`);
+        return status;
+
+    } catch (err) {
+
+        logger.error(`🚨 [CentralService][SequenceTracking] 시퀀스 추적 오류 (Sender: ${senderKey}, Inbound ID: ${inboundId}, Seq: ${inboundSeq}): ${err.message}`);
+        await client.query('ROLLBACK TO SAVEPOINT sequence_tracking').catch(() => {});
+        return null;
+
+    }
+
+}
+
+module.exports = {
+    track,
+    SEQUENCE_STATUS,
+};
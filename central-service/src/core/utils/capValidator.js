@@ -0,0 +1,372 @@
+/**
+ * @file capValidator.js
+ * @description 수신한 CAP 1.2 alert 객체의 구조를 검사합니다.
+ * (OASIS CAP v1.2: 열거형 값, 날짜/시간 형식, references 문법, area 도형 문법, 요소 출현 횟수)
+ * xml2js(explicitArray: false)로 파싱된 객체를 기준으로 하며, 위반 사항마다 요소 경로가 포함된 메시지를 반환합니다.
+ */
+
+const { DateTime } = require('luxon');
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+
+// --- CAP 1.2 열거형 값 ---
+const ENUMS = Object.freeze({
+    status: ['Actual', 'Exercise', 'System', 'Test', 'Draft'],
+    msgType: ['Alert', 'Update', 'Cancel', 'Ack', 'Error'],
+    scope: ['Public', 'Restricted', 'Private'],
+    category: ['Geo', 'Met', 'Safety', 'Security', 'Rescue', 'Fire', 'Health', 'Env', 'Transport', 'Infra', 'CBRNE', 'Other'],
+    responseType: ['Shelter', 'Evacuate', 'Prepare', 'Execute', 'Avoid', 'Monitor', 'Assess', 'AllClear', 'None'],
+    urgency: ['Immediate', 'Expected', 'Future', 'Past', 'Unknown'],
+    severity: ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'],
+    certainty: ['Observed', 'Likely', 'Possible', 'Unlikely', 'Unknown'],
+});
+
+// CAP 날짜/시간 형식: 'YYYY-MM-DDThh:mm:ss±hh:mm' (UTC는 '-00:00', 'Z' 사용 불가)
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[+-]\d{2}:\d{2}$/;
+// identifier, sender에 사용할 수 없는 문자 (공백, 쉼표, '<', '&')
+const RESTRICTED_CHAR_PATTERN = /[\s,<&]/;
+// 좌표 한 쌍: 'WGS84 위도,경도'
+const POINT_PATTERN = /^(-?\d+(\.\d+)?),(-?\d+(\.\d+)?)$/;
+// 대상 재난 정보를 references로 지정하는 msgType (info 생략 가능)
+const REFERENCING_MSG_TYPES = ['Update', 'Cancel'];
+
+/**
+ * xml2js 파싱 결과에서 반복 가능한 요소를 항상 배열로 반환합니다.
+ * @param {any} value
+ * @returns {Array<any>}
+ */
+function _toArray(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * xml2js 파싱 결과에서 요소의 텍스트 값을 반환합니다. (속성이 있는 요소는 '_'에 텍스트가 있음)
+ * @param {any} value
+ * @returns {string | undefined}
+ */
+function _text(value) {
+    if (value !== null && typeof value === 'object') {
+        return value._;
+    }
+    return value === undefined || value === null ? undefined : String(value);
+}
+
+/**
+ * 위반 사항을 수집하는 검사기를 생성합니다.
+ * @returns {object} 검사 함수 모음과 위반 목록
+ */
+function _createChecker() {
+
+    const violations = [];
+
+    /**
+     * 요소의 출현 횟수(필수 여부, 반복 허용 여부)를 검사합니다.
+     * @param {object} parent - 상위 요소 객체
+     * @param {string} path - 상위 요소 경로 (예: 'alert.info[0]')
+     * @param {string} name - 검사할 요소 이름
+     * @param {object} options
+     * @param {boolean} [options.required=false] - 필수 여부 (1회 이상)
+     * @param {boolean} [options.multiple=false] - 여러 번 출현 허용 여부
+     * @returns {Array<any>} 출현한 요소 값 목록
+     */
+    const occurrences = (parent, path, name, { required = false, multiple = false } = {}) => {
+        const values = _toArray(parent?.[name]);
+        if (required && values.length === 0) {
+            violations.push(`${path}.${name}: 필수 요소 누락`);
+        }
+        if (!multiple && values.length > 1) {
+            violations.push(`${path}.${name}: 1회만 허용되는 요소가 ${values.length}회 출현`);
+        }
+        return values;
+    };
+
+    /**
+     * 열거형 요소의 값을 검사합니다.
+     */
+    const enumeration = (parent, path, name, options = {}) => {
+        for (const value of occurrences(parent, path, name, options)) {
+            const text = _text(value);
+            if (!ENUMS[name].includes(text)) {
+                violations.push(`${path}.${name}: 허용되지 않는 값 '${text}' (허용: ${ENUMS[name].join('|')})`);
+            }
+        }
+    };
+
+    /**
+     * 날짜/시간 요소의 형식을 검사합니다.
+     */
+    const dateTime = (parent, path, name, options = {}) => {
+        for (const value of occurrences(parent, path, name, options)) {
+            const text = _text(value);
+            if (!DATETIME_PATTERN.test(text || '') || !DateTime.fromISO(text, { setZone: true }).isValid) {
+                violations.push(`${path}.${name}: 잘못된 날짜/시간 형식 '${text}' (형식: YYYY-MM-DDThh:mm:ss±hh:mm)`);
+            }
+        }
+    };
+
+    /**
+     * 텍스트 요소의 값이 비어 있지 않은지 검사합니다.
+     */
+    const text = (parent, path, name, options = {}) => {
+        const values = occurrences(parent, path, name, options);
+        for (const value of values) {
+            if (!_text(value)?.trim()) {
+                violations.push(`${path}.${name}: 빈 값`);
+            }
+        }
+        return values.map(_text);
+    };
+
+    /**
+     * valueName/value 쌍으로 구성된 요소(eventCode, parameter, geocode)를 검사합니다.
+     */
+    const valuePair = (parent, path, name, options = {}) => {
+        const values = occurrences(parent, path, name, options);
+        values.forEach((value, index) => {
+            const itemPath = values.length > 1 ? `${path}.${name}[${index}]` : `${path}.${name}`;
+            text(value, itemPath, 'valueName', { required: true });
+            occurrences(value, itemPath, 'value', { required: true });
+        });
+        return values;
+    };
+
+    return { violations, occurrences, enumeration, dateTime, text, valuePair };
+
+}
+
+/**
+ * 'WGS84 위도,경도' 형식의 좌표 문자열을 검사합니다.
+ * @param {string} point
+ * @returns {boolean}
+ */
+function _isValidPoint(point) {
+    const match = POINT_PATTERN.exec(point);
+    if (!match) {
+        return false;
+    }
+    const lat = parseFloat(match[1]);
+    const lon = parseFloat(match[3]);
+    return lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+}
+
+/**
+ * polygon 문법을 검사합니다. (공백으로 구분된 4개 이상의 좌표, 첫 좌표와 마지막 좌표가 같아야 함)
+ * @param {string} polygon
+ * @returns {string | null} 위반 사유 (정상이면 null)
+ */
+function _checkPolygon(polygon) {
+    const points = (polygon || '').trim().split(/\s+/).filter(Boolean);
+    if (points.length < 4) {
+        return `좌표가 4개 미만 (${points.length}개)`;
+    }
+    const invalid = points.find((point) => !_isValidPoint(point));
+    if (invalid) {
+        return `잘못된 좌표 '${invalid}'`;
+    }
+    if (points[0] !== points[points.length - 1]) {
+        return '첫 좌표와 마지막 좌표가 다름 (닫힌 다각형이 아님)';
+    }
+    return null;
+}
+
+/**
+ * circle 문법을 검사합니다. ('위도,경도 반경(km)')
+ * @param {string} circle
+ * @returns {string | null} 위반 사유 (정상이면 null)
+ */
+function _checkCircle(circle) {
+    const parts = (circle || '').trim().split(/\s+/);
+    if (parts.length !== 2) {
+        return "형식이 '위도,경도 반경'이 아님";
+    }
+    if (!_isValidPoint(parts[0])) {
+        return `잘못된 중심 좌표 '${parts[0]}'`;
+    }
+    const radius = Number(parts[1]);
+    if (!Number.isFinite(radius) || radius < 0) {
+        return `잘못된 반경 '${parts[1]}'`;
+    }
+    return null;
+}
+
+/**
+ * references 문법을 검사합니다. (공백으로 구분된 'sender,identifier,sent' 목록)
+ * @param {string} references
+ * @returns {string | null} 위반 사유 (정상이면 null)
+ */
+function _checkReferences(references) {
+    const entries = (references || '').trim().split(/\s+/).filter(Boolean);
+    if (entries.length === 0) {
+        return '빈 값';
+    }
+    for (const entry of entries) {
+        const parts = entry.split(',');
+        if (parts.length !== 3 || !parts[0] || !parts[1]) {
+            return `'${entry}'가 'sender,identifier,sent' 형식이 아님`;
+        }
+        if (!DATETIME_PATTERN.test(parts[2]) || !DateTime.fromISO(parts[2], { setZone: true }).isValid) {
+            return `'${entry}'의 sent 형식 오류`;
+        }
+    }
+    return null;
+}
+
+/**
+ * info.resource 요소를 검사합니다.
+ */
+function _validateResource(checker, resource, path) {
+
+    checker.text(resource, path, 'resourceDesc', { required: true });
+    checker.text(resource, path, 'mimeType', { required: true });
+    for (const size of checker.occurrences(resource, path, 'size')) {
+        if (!/^\d+$/.test(_text(size) || '')) {
+            checker.violations.push(`${path}.size: 정수가 아닌 값 '${_text(size)}'`);
+        }
+    }
+    checker.text(resource, path, 'uri');
+    checker.occurrences(resource, path, 'derefUri');
+    checker.occurrences(resource, path, 'digest');
+
+}
+
+/**
+ * info.area 요소를 검사합니다.
+ */
+function _validateArea(checker, area, path) {
+
+    checker.text(area, path, 'areaDesc', { required: true });
+
+    checker.occurrences(area, path, 'polygon', { multiple: true }).forEach((polygon, index) => {
+        const reason = _checkPolygon(_text(polygon));
+        if (reason) {
+            checker.violations.push(`${path}.polygon[${index}]: ${reason}`);
+        }
+    });
+    checker.occurrences(area, path, 'circle', { multiple: true }).forEach((circle, index) => {
+        const reason = _checkCircle(_text(circle));
+        if (reason) {
+            checker.violations.push(`${path}.circle[${index}]: ${reason}`);
+        }
+    });
+    checker.valuePair(area, path, 'geocode', { multiple: true });
+
+    const altitude = checker.occurrences(area, path, 'altitude');
+    const ceiling = checker.occurrences(area, path, 'ceiling');
+    for (const [name, values] of [['altitude', altitude], ['ceiling', ceiling]]) {
+        for (const value of values) {
+            if (!Number.isFinite(Number(_text(value)))) {
+                checker.violations.push(`${path}.${name}: 숫자가 아닌 값 '${_text(value)}'`);
+            }
+        }
+    }
+    if (ceiling.length > 0 && altitude.length === 0) {
+        checker.violations.push(`${path}.ceiling: altitude 없이 사용할 수 없음`);
+    }
+
+}
+
+/**
+ * alert.info 요소를 검사합니다.
+ */
+function _validateInfo(checker, info, path) {
+
+    checker.text(info, path, 'language');
+    checker.enumeration(info, path, 'category', { required: true, multiple: true });
+    checker.text(info, path, 'event', { required: true });
+    checker.enumeration(info, path, 'responseType', { multiple: true });
+    checker.enumeration(info, path, 'urgency', { required: true });
+    checker.enumeration(info, path, 'severity', { required: true });
+    checker.enumeration(info, path, 'certainty', { required: true });
+    checker.text(info, path, 'audience');
+    // 대한민국 CAP 프로파일: 재난 유형을 식별하는 eventCode는 필수입니다.
+    checker.valuePair(info, path, 'eventCode', { required: true, multiple: true });
+    checker.dateTime(info, path, 'effective');
+    checker.dateTime(info, path, 'onset');
+    checker.dateTime(info, path, 'expires');
+    for (const name of ['senderName', 'headline', 'description', 'instruction', 'web', 'contact']) {
+        checker.occurrences(info, path, name);
+    }
+    checker.valuePair(info, path, 'parameter', { multiple: true });
+
+    const resources = checker.occurrences(info, path, 'resource', { multiple: true });
+    resources.forEach((resource, index) => _validateResource(checker, resource, `${path}.resource[${index}]`));
+
+    const areas = checker.occurrences(info, path, 'area', { multiple: true });
+    areas.forEach((area, index) => _validateArea(checker, area, `${path}.area[${index}]`));
+
+}
+
+/**
+ * CAP 1.2 alert 객체의 구조를 검사하고 위반 사항 목록을 반환합니다.
+ * @param {object} alert - xml2js로 파싱된 CAP alert 객체
+ * @returns {string[]} 위반 사항 목록 (비어 있으면 유효)
+ */
+function validateAlert(alert) {
+
+    if (!alert || typeof alert !== 'object') {
+        return ['alert: 필수 요소 누락'];
+    }
+
+    const checker = _createChecker();
+    const path = 'alert';
+
+    const namespace = alert.$?.xmlns;
+    if (namespace !== undefined && namespace !== CAP_NAMESPACE) {
+        checker.violations.push(`alert@xmlns: 지원하지 않는 네임스페이스 '${namespace}' (기대값: ${CAP_NAMESPACE})`);
+    }
+
+    for (const name of ['identifier', 'sender']) {
+        for (const value of checker.text(alert, path, name, { required: true })) {
+            if (value && RESTRICTED_CHAR_PATTERN.test(value)) {
+                checker.violations.push(`${path}.${name}: 공백, 쉼표, '<', '&' 문자를 포함할 수 없음 ('${value}')`);
+            }
+        }
+    }
+    checker.dateTime(alert, path, 'sent', { required: true });
+    checker.enumeration(alert, path, 'status', { required: true });
+    checker.enumeration(alert, path, 'msgType', { required: true });
+    checker.text(alert, path, 'source');
+    checker.enumeration(alert, path, 'scope', { required: true });
+
+    const scope = _text(alert.scope);
+    const restriction = checker.text(alert, path, 'restriction');
+    const addresses = checker.text(alert, path, 'addresses');
+    if (scope === 'Restricted' && restriction.length === 0) {
+        checker.violations.push(`${path}.restriction: scope가 Restricted이면 필수`);
+    }
+    if (scope === 'Private' && addresses.length === 0) {
+        checker.violations.push(`${path}.addresses: scope가 Private이면 필수`);
+    }
+
+    checker.occurrences(alert, path, 'code', { multiple: true });
+    checker.occurrences(alert, path, 'note');
+    const references = checker.occurrences(alert, path, 'references');
+    for (const value of references) {
+        const reason = _checkReferences(_text(value));
+        if (reason) {
+            checker.violations.push(`${path}.references: ${reason}`);
+        }
+    }
+    // 갱신(Update)/취소(Cancel)는 대상 재난 정보를 references로 지정해야 합니다.
+    const msgType = _text(alert.msgType);
+    if (REFERENCING_MSG_TYPES.includes(msgType) && references.length === 0) {
+        checker.violations.push(`${path}.references: msgType이 ${msgType}이면 필수`);
+    }
+    checker.occurrences(alert, path, 'incidents');
+
+    // 재난 정보(Alert)는 info가 1개 이상 있어야 처리할 수 있습니다.
+    // 갱신(Update)/취소(Cancel)는 references의 원본 재난 정보로 처리할 수 있으므로 info를 생략할 수 있습니다.
+    const infos = checker.occurrences(alert, path, 'info', { required: !REFERENCING_MSG_TYPES.includes(msgType), multiple: true });
+    infos.forEach((info, index) => _validateInfo(checker, info, `${path}.info[${index}]`));
+
+    return checker.violations;
+
+}
+
+module.exports = {
+    validateAlert,
+    ENUMS,
+};
@@ -0,0 +1,107 @@
+/**
+ * @file connectionState.js
+ * @description 중앙 시스템과의 연결 상태를 하나의 상태 머신으로 관리합니다.
+ * DISCONNECTED -> CONNECTING -> AUTHENTICATING -> ACTIVE -> DRAINING 순서로 전이하며,
+ * 상태가 바뀔 때마다 'stateChange' 이벤트와 새 상태 이름의 이벤트를 발생시킵니다.
+ */
+
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+// 연결 상태 목록
+const STATES = {
+    DISCONNECTED: 'DISCONNECTED', // 소켓 없음 (재연결 대기 포함)
+    CONNECTING: 'CONNECTING', // TCP(TLS) 연결 시도 중
+    AUTHENTICATING: 'AUTHENTICATING', // 연결 완료, 인증(ETS_REQ_SYS_CON) 진행 중
+    ACTIVE: 'ACTIVE', // 인증 완료, 세션 체크 중이며 보고 전송 가능
+    DRAINING: 'DRAINING', // 정상 종료/접속 대상 전환을 위해 연결을 정리하는 중
+};
+
+// 상태별로 전이 가능한 다음 상태 목록
+const TRANSITIONS = {
+    [STATES.DISCONNECTED]: [STATES.CONNECTING],
+    [STATES.CONNECTING]: [STATES.AUTHENTICATING, STATES.DRAINING, STATES.DISCONNECTED],
+    [STATES.AUTHENTICATING]: [STATES.ACTIVE, STATES.DRAINING, STATES.DISCONNECTED],
+    [STATES.ACTIVE]: [STATES.DRAINING, STATES.DISCONNECTED],
+    [STATES.DRAINING]: [STATES.DISCONNECTED],
+};
+
+// 진단용으로 보관할 최대 상태 전이 이력 수
+const HISTORY_SIZE = 50;
+
+class ConnectionStateMachine extends EventEmitter {
+
+    state = STATES.DISCONNECTED;
+    // 현재 상태로 전이한 시각
+    enteredAt = new Date();
+    // 상태 전이 이력 (오래된 순서)
+    history = [];
+
+    /**
+     * 다음 상태로 전이합니다. 허용되지 않은 전이는 무시합니다.
+     * @param {string} nextState - 전이할 상태 (STATES 중 하나)
+     * @param {string} reason - 전이 사유 (로그/이력용)
+     * @returns {boolean} 전이 성공 여부
+     */
+    transition(nextState, reason) {
+
+        const previousState = this.state;
+
+        if (!TRANSITIONS[previousState].includes(nextState)) {
+            logger.warn(`🔔 [CentralService][ConnectionState] 허용되지 않은 상태 전이 무시: ${previousState} -> ${nextState} (사유: ${reason}).`);
+            return false;
+        }
+
+        const entry = { from: previousState, to: nextState, reason, at: new Date() };
+
+        this.state = nextState;
+        this.enteredAt = entry.at;
+        this.history.push(entry);
+        if (this.history.length > HISTORY_SIZE) {
+            this.history.shift();
+        }
+
+        logger.info(`🔔 [CentralService][ConnectionState] 상태 전이: ${previousState} -> ${nextState} (사유: ${reason}).`);
+
+        this.emit('stateChange', entry);
+        this.emit(nextState, entry);
+        return true;
+
+    }
+
+    /**
+     * 현재 상태가 주어진 상태 중 하나인지 확인합니다.
+     * @param {...string} states - 확인할 상태 목록
+     * @returns {boolean}
+     */
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    /**
+     * 인증을 마치고 세션이 유지되어 보고 전송이 가능한 상태인지 확인합니다.
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.state === STATES.ACTIVE;
+    }
+
+    /**
+     * 모니터링용 상태 정보를 반환합니다.
+     * @returns {{state: string, enteredAt: Date, history: Array<object>}}
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            enteredAt: this.enteredAt,
+            history: [...this.history],
+        };
+    }
+
+}
+
+// 싱글턴: client, 핸들러, 워커가 동일한 상태 머신을 공유합니다.
+const connectionState = new ConnectionStateMachine();
+
+module.exports = connectionState;
+module.exports.STATES = STATES;
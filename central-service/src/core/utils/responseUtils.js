@@ -8,16 +8,21 @@ const capService = require('../services/capService');
 const logger = require('./logger');
 const { buildMessageBuffer } = require('./protocolUtils');
 
+// 응답 note에 나열할 최대 유효성 위반 건수 (초과분은 건수만 표시)
+const MAX_NOTE_VIOLATIONS = 5;
+
 // --- 커스텀 에러 클래스 정의 ---
 // 각 클래스 특정 실패 시나리오를 나타내며, mapErrorToResponseCodes에서 식별자로 사용됩니다.
 
 /**
  * 메시지 유효성(구조, 형식) 오류 (Note Code: 210)
+ * violations에 위반 사항 목록이 있으면 응답 note에 위반 사항을 나열합니다.
  */
 class ValidationError extends Error {
-    constructor(message) {
+    constructor(message, violations = []) {
         super(message);
         this.name = 'ValidationError';
+        this.violations = violations;
     }
 }
 
@@ -33,11 +38,23 @@ class ProfileError  extends Error {
 
 /**
  * 메시지 중복 오류 (Note Code: 300)
+ * acknowledged가 true이면 이미 수신한 내용과 같은 재전송이므로 거부하지 않고 수신 확인(200)으로 응답합니다.
  */
 class DuplicateMessageError extends Error {
-    constructor(message) {
+    constructor(message, { acknowledged = false } = {}) {
         super(message);
         this.name = 'DuplicateMessageError';
+        this.acknowledged = acknowledged;
+    }
+}
+
+/**
+ * 전자서명(XML-DSig) 검증 실패 (Note Code: capSignature.REJECT_NOTE_CODE, 기본 220)
+ */
+class SignatureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SignatureError';
     }
 }
 
@@ -51,6 +68,25 @@ class ParsingError extends Error {
     }
 }
 
+/**
+ * 유효성 오류의 note 메시지를 생성합니다.
+ * 위반 사항 목록이 있으면 요소 경로가 포함된 위반 사항을 나열하여 중앙 시스템이 원인을 바로 알 수 있도록 합니다.
+ * @param {ValidationError} error
+ * @returns {string}
+ */
+function _buildValidationNote(error) {
+
+    const violations = error.violations || [];
+    if (violations.length === 0) {
+        return `메시지 유효성 오류: ${error.message}`;
+    }
+
+    const listed = violations.slice(0, MAX_NOTE_VIOLATIONS).join('; ');
+    const rest = violations.length > MAX_NOTE_VIOLATIONS ? ` 외 ${violations.length - MAX_NOTE_VIOLATIONS}건` : '';
+    return `메시지 유효성 오류(${violations.length}건): ${listed}${rest}`;
+
+}
+
 /**
  * 오류 객체를 기반으로 resultCode, resultText, noteCode, noteMessage를 모두 포함하는 응답 코드 객체를 생성합니다.
  * @param {Error} [error] - 발생한 오류 객체
@@ -66,10 +102,15 @@ function _mapErrorToResponseCode(error) {
     // 에러 객체의 이름(name)을 기준으로 실패 유형을 식별합니다.
     switch (error.name) {
         case 'ValidationError':
-            return { resultCode: '400', resultText: 'Bad Request', noteCode: '210', noteMessage: `메시지 유효성 오류: ${error.message}` };
+            return { resultCode: '400', resultText: 'Bad Request', noteCode: '210', noteMessage: _buildValidationNote(error) };
         case 'ProfileError':
             return { resultCode: '400', resultText: 'Bad Request', noteCode: '220', noteMessage: `프로파일 해석 오류: ${error.message}` };
+        case 'SignatureError':
+            return { resultCode: '400', resultText: 'Bad Request', noteCode: config.capSignature.REJECT_NOTE_CODE, noteMessage: `전자서명 검증 실패: ${error.message}` };
         case 'DuplicateMessageError':
+            if (error.acknowledged) {
+                return { resultCode: '200', resultText: 'OK', noteCode: '300', noteMessage: `메시지 중복 확인: ${error.message}` };
+            }
             return { resultCode: '400', resultText: 'Bad Request', noteCode: '300', noteMessage: `메시지 중복 확인: ${error.message}` };
         case 'ParsingError':
             return { resultCode: '500', resultText: 'Internal Server Error', noteCode: '810', noteMessage: `CAP 파싱 실패: ${error.message}` };
@@ -145,5 +186,6 @@ module.exports = {
     ValidationError,
     ProfileError,
     DuplicateMessageError,
+    SignatureError,
     ParsingError,
 };
\ No newline at end of file
@@ -2,14 +2,45 @@
  * @file sessionManager.js
  * @description 중앙 시스템과의 단일 TCP 연결(소켓) 상태를 중앙에서 관리하고,
  * 안전한 데이터 전송을 위한 인터페이스를 제공합니다.
+ * 송신은 우선순위 큐를 거치며, 소켓 버퍼가 가득 차면 'drain' 이벤트까지 전송을 멈춥니다.
  */
 
 const logger = require('./logger');
+const config = require('../../config');
+
+const { MESSAGE_IDS } = config.tcp.protocol;
+const { MAX_SIZE: MAX_QUEUE_SIZE, CONTROL_MAX_SIZE } = config.tcp.OUTBOUND_QUEUE;
+
+// 보고 메시지보다 먼저 전송해야 하는 제어 메시지 ID 목록
+const CONTROL_MESSAGE_IDS = new Set([
+    MESSAGE_IDS.ETS_REQ_SYS_CON,
+    MESSAGE_IDS.ETS_REQ_SYS_STS,
+    MESSAGE_IDS.ETS_RES_SYS_STS,
+    MESSAGE_IDS.ETS_CNF_DIS_INFO,
+]);
+
+// 송신 큐에 최신 1건만 남기는 세션 체크(alive) 메시지 ID 목록
+const COLLAPSIBLE_MESSAGE_IDS = new Set([
+    MESSAGE_IDS.ETS_REQ_SYS_STS,
+    MESSAGE_IDS.ETS_RES_SYS_STS,
+]);
 
 const sessionManager = {
 
     // 현재 활성화된 중앙 시스템과의 소켓 연결을 저장하는 변수
     currentSocket: null,
+    // 현재 소켓에서 인증(200)이 완료된 시각 (미인증 시 null)
+    authenticatedAt: null,
+    // 현재 소켓에서 서버가 인증을 거부한 응답 코드 (예: '400', '404', 거부되지 않았으면 null)
+    authRejectionCode: null,
+    // 송신 대기 큐 (CONTROL: 제어 메시지, BULK: 보고 메시지)
+    outboundQueue: { CONTROL: [], BULK: [] },
+    // 소켓 버퍼가 가득 차 'drain' 이벤트를 기다리는 중인지 여부
+    isWaitingForDrain: false,
+    // 큐가 가득 차서 거부된 메시지 수 (프로세스 시작 이후 누적)
+    rejectedCount: 0,
+    // 제어 메시지 큐가 가득 차거나 새 세션 체크 메시지로 대체되어 버려진 제어 메시지 수 (프로세스 시작 이후 누적)
+    droppedControlCount: 0,
 
     /**
      * 중앙 시스템과 새로운 소켓 연결이 맺어졌을 때 호출됩니다.
@@ -26,6 +57,38 @@ const sessionManager = {
     clearConnection() {
         logger.info('✅ [CentralService][SessionManager] 소켓 연결 정보 제거 완료');
         this.currentSocket = null;
+        this.authenticatedAt = null;
+        this.authRejectionCode = null;
+        this.isWaitingForDrain = false;
+        // 끊긴 연결로 보낼 예정이던 메시지는 모두 실패로 알립니다.
+        this._rejectQueuedMessages(new Error('연결 종료로 송신 큐 비움'));
+    },
+
+    /**
+     * 현재 연결에서 중앙 시스템 인증이 완료되었음을 기록합니다.
+     * 이 함수는 인증 성공(200) 시 'authHandler'에서 호출됩니다.
+     */
+    setAuthenticated() {
+        this.authenticatedAt = Date.now();
+        logger.debug('✅ [CentralService][SessionManager] 세션 인증 완료 기록.');
+    },
+
+    /**
+     * 현재 연결에서 서버가 인증을 거부했음을 기록합니다.
+     * 연결 종료 후 'client'가 재연결 대기 시간과 인증 차단 여부를 결정할 때 사용합니다.
+     * @param {string} resultCode - 인증 거부 응답 코드 ('400', '404')
+     */
+    setAuthRejected(resultCode) {
+        this.authRejectionCode = resultCode;
+        logger.debug(`[CentralService][SessionManager] 세션 인증 거부 기록 (Code: ${resultCode}).`);
+    },
+
+    /**
+     * 현재 연결이 인증을 마친 세션인지 확인합니다.
+     * @returns {boolean} 인증된 세션이면 true, 아니면 false
+     */
+    isAuthenticated() {
+        return this.authenticatedAt !== null && Boolean(this.isConnected());
     },
 
     /**
@@ -46,25 +109,156 @@ const sessionManager = {
     },
 
     /**
-     * 중앙 시스템으로 메시지를 안전하게 전송합니다.
+     * 중앙 시스템으로 보낼 메시지를 송신 큐에 넣습니다.
+     * 제어 메시지(인증, 세션 체크, 재난 정보 수신 응답)는 보고 메시지보다 먼저 전송됩니다.
      * @param {Buffer} messageBuffer - 전송할 메시지 버퍼
      * @param {string} [logContext='메시지'] - 로그에 표시할 메시지 종류
+     * @param {function(Error | null): void} [onFlushed] - 소켓에 실제로 기록(flush)되었거나 실패했을 때 호출될 콜백
+     * @returns {boolean} 송신 큐에 들어갔으면 true, 거부되었으면 false
      */
-    send(messageBuffer, logContext = '메시지') {
-        if (this.isConnected()) {
+    send(messageBuffer, logContext = '메시지', onFlushed = null) {
+
+        if (!this.isConnected()) {
+            logger.error(`🚨 [CentralService][SessionManager] 연결이 끊김. ${logContext} 전송 불가.`);
+            // 전송 실패 시, reliableTransmitService의 재시도 로직이 처리하므로 여기서 별도 처리는 불필요합니다.
+            onFlushed?.(new Error('연결 끊김'));
+            return false;
+        }
+
+        const messageId = messageBuffer.readUInt32BE(0);
+        const priority = CONTROL_MESSAGE_IDS.has(messageId) ? 'CONTROL' : 'BULK';
+
+        if (priority === 'BULK' && this.outboundQueue.BULK.length >= MAX_QUEUE_SIZE) {
+            this.rejectedCount++;
+            logger.warn(`🔔 [CentralService][SessionManager] 송신 큐 가득 참 (${MAX_QUEUE_SIZE}건). ${logContext} 거부.`);
+            onFlushed?.(new Error(`송신 큐 가득 참 (${MAX_QUEUE_SIZE}건)`));
+            return false;
+        }
+
+        if (priority === 'CONTROL') {
+            this._makeRoomForControl(messageId);
+        }
+
+        this.outboundQueue[priority].push({ messageId, messageBuffer, logContext, onFlushed });
+        logger.debug(`[CentralService][SessionManager] 송신 큐 추가 (${logContext}, ${priority}, 대기: 제어 ${this.outboundQueue.CONTROL.length}건/보고 ${this.outboundQueue.BULK.length}건).`);
+        this._flushQueue();
+        return true;
+
+    },
+
+    /**
+     * 제어 메시지를 넣기 전에 제어 메시지 큐의 자리를 확보합니다.
+     * 같은 세션 체크 메시지가 대기 중이면 새 메시지로 대체하고, 큐가 가득 차 있으면 가장 오래된 제어 메시지를 버립니다.
+     * @param {number} messageId - 새로 넣을 제어 메시지 ID
+     */
+    _makeRoomForControl(messageId) {
+
+        const queue = this.outboundQueue.CONTROL;
+
+        if (COLLAPSIBLE_MESSAGE_IDS.has(messageId)) {
+            const index = queue.findIndex((entry) => entry.messageId === messageId);
+            if (index !== -1) {
+                const [superseded] = queue.splice(index, 1);
+                this.droppedControlCount++;
+                logger.debug(`[CentralService][SessionManager] 대기 중인 ${superseded.logContext}를 새 메시지로 대체.`);
+                superseded.onFlushed?.(new Error('새 세션 체크 메시지로 대체'));
+            }
+        }
+
+        while (queue.length >= CONTROL_MAX_SIZE) {
+            const dropped = queue.shift();
+            this.droppedControlCount++;
+            logger.warn(`🔔 [CentralService][SessionManager] 제어 메시지 큐 가득 참 (${CONTROL_MAX_SIZE}건). 가장 오래된 ${dropped.logContext} 폐기.`);
+            dropped.onFlushed?.(new Error(`제어 메시지 큐 가득 참 (${CONTROL_MAX_SIZE}건)`));
+        }
+
+    },
+
+    /**
+     * 송신 큐의 메시지를 우선순위 순서로 소켓에 기록합니다.
+     * socket.write()가 false를 반환하면 'drain' 이벤트가 발생할 때까지 전송을 멈춥니다.
+     */
+    _flushQueue() {
+
+        while (!this.isWaitingForDrain && this.isConnected()) {
+
+            const entry = this.outboundQueue.CONTROL.shift() || this.outboundQueue.BULK.shift();
+            if (!entry) {
+                return;
+            }
+
+            const { messageBuffer, logContext, onFlushed } = entry;
+            const socket = this.currentSocket;
+
             try {
-                this.currentSocket.write(messageBuffer);
-                logger.debug(`➡️ [CentralService][SessionManager] 메시지 전송 완료 (${logContext}, Size: ${messageBuffer.length} bytes).`);
+
+                const canContinue = socket.write(messageBuffer, (err) => {
+                    if (err) {
+                        logger.error(`🚨 [CentralService][SessionManager] 메시지 전송 실패 (${logContext}): ${err.message}`);
+                    } else {
+                        logger.debug(`➡️ [CentralService][SessionManager] 메시지 전송 완료 (${logContext}, Size: ${messageBuffer.length} bytes).`);
+                    }
+                    onFlushed?.(err || null);
+                });
+
+                if (!canContinue) {
+                    logger.debug("[CentralService][SessionManager] 소켓 버퍼 가득 참. 'drain' 이벤트 대기.");
+                    this.isWaitingForDrain = true;
+                    socket.once('drain', () => {
+                        // 기다리는 동안 연결이 바뀌었으면 새 연결의 흐름에 맡깁니다.
+                        if (socket !== this.currentSocket) {
+                            return;
+                        }
+                        logger.debug("[CentralService][SessionManager] 소켓 'drain' 이벤트 수신. 송신 재개.");
+                        this.isWaitingForDrain = false;
+                        this._flushQueue();
+                    });
+                }
+
             } catch (writeErr) {
+
                 logger.error(`🚨 [CentralService][SessionManager] 메시지 전송(write) 중 오류 발생 (${logContext}): ${writeErr.message}`);
+                onFlushed?.(writeErr);
                 // 오류 발생 시 연결 강제 종료
-                this.currentSocket?.destroy();
+                socket?.destroy();
+                return;
+
             }
-            
-        } else {
-            logger.error(`🚨 [CentralService][SessionManager] 연결이 끊김. ${logContext} 전송 불가.`);
-            // 전송 실패 시, reliableTransmitService의 재시도 호직이 처리하므로 여기서 별도 처리는 불필요합니다.
+
+        }
+
+    },
+
+    /**
+     * 송신 큐에 남은 메시지를 모두 꺼내 실패로 알립니다.
+     * @param {Error} err - 콜백에 전달할 오류
+     */
+    _rejectQueuedMessages(err) {
+
+        const pending = [...this.outboundQueue.CONTROL, ...this.outboundQueue.BULK];
+        this.outboundQueue = { CONTROL: [], BULK: [] };
+
+        if (pending.length > 0) {
+            logger.warn(`🔔 [CentralService][SessionManager] 미전송 메시지 ${pending.length}건 폐기 (${err.message}).`);
         }
+        pending.forEach(({ onFlushed }) => onFlushed?.(err));
+
+    },
+
+    /**
+     * 모니터링용 송신 큐 상태를 반환합니다.
+     * @returns {{control: number, bulk: number, maxSize: number, controlMaxSize: number, isWaitingForDrain: boolean, rejectedCount: number, droppedControlCount: number}}
+     */
+    getQueueStatus() {
+        return {
+            control: this.outboundQueue.CONTROL.length,
+            bulk: this.outboundQueue.BULK.length,
+            maxSize: MAX_QUEUE_SIZE,
+            controlMaxSize: CONTROL_MAX_SIZE,
+            isWaitingForDrain: this.isWaitingForDrain,
+            rejectedCount: this.rejectedCount,
+            droppedControlCount: this.droppedControlCount,
+        };
     },
 
 };
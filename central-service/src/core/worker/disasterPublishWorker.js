@@ -6,7 +6,9 @@
 const config = require('../../config');
 const logger = require('../utils/logger');
 const disasterPublishLogRepository = require('../repositories/disasterPublishLogRepository');
+const disasterResourceContentRepository = require('../repositories/disasterResourceContentRepository');
 const messageBrokerService = require('../services/messageBrokerService');
+const capService = require('../services/capService');
 
 /**
  * setInterval의 타이머 ID를 저장하는 변수입니다.
@@ -25,10 +27,20 @@ async function _processOutboxMessage(message) {
     const { 
         id: logId, 
         routing_key: routingKey, 
-        raw_message: rawMessage, 
+        raw_message: storedMessage, 
         retry_count: retryCount, 
         identifier, 
-        event_code: eventCode 
+        event_code: eventCode,
+        event_codes: eventCodes,
+        msg_type: msgType,
+        alert_status: alertStatus,
+        root_identifier: rootIdentifier,
+        referenced_identifiers: referencedIdentifiers,
+        expires_at: expiresAt,
+        priority,
+        revision,
+        signature_status: signatureStatus,
+        signature_detail: signatureDetail,
     } = message;
 
     logger.debug(`🚀 [CentralService][DisasterPublishWorker] 재난 정보 발행 시작 (disaster_publish_log ID: ${logId}, Identifier: ${identifier})...`);
@@ -47,17 +59,55 @@ async function _processOutboxMessage(message) {
 
         }
 
+        // 2. 만료된 재난 정보는 발행하지 않습니다. (발행 후 만료 처리: external-service alertExpiryWorker.js 참조)
+        if (expiresAt && new Date(expiresAt) <= new Date()) {
+            await disasterPublishLogRepository.updateStatusById(logId, 'EXPIRED');
+            logger.warn(`🔔 [CentralService][DisasterPublishWorker] 만료된 재난 정보. 발행하지 않고 EXPIRED 처리 (disaster_publish_log ID: ${logId}, Identifier: ${identifier}, 만료: ${new Date(expiresAt).toISOString()}).`);
+            return;
+        }
+
+        // 3. 아웃박스에는 첨부 파일 내용(derefUri) 대신 내용 해시(derefUriHash)가 기록되어 있으므로 보관된 내용으로 되돌립니다.
+        // 보관 기간이 지나 내용이 없는 첨부 파일은 설명 정보만 전달합니다.
+        const contentHashes = capService.getResourceContentHashes(storedMessage?.capInfo?.alert);
+        const resourceContents = await disasterResourceContentRepository.findByHashes(contentHashes);
+        if (resourceContents.size < new Set(contentHashes).size) {
+            logger.warn(`🔔 [CentralService][DisasterPublishWorker] 보관된 첨부 파일 내용 없음. 내용 없이 발행 (disaster_publish_log ID: ${logId}, Identifier: ${identifier}).`);
+        }
+        const rawMessage = capService.restoreResourceContents(storedMessage, resourceContents);
+
+        // 4. 재난 정보 하나를 메시지 하나로 메시지 브로커 서비스를 통해 발행합니다.
+        // 여러 eventCode의 info가 있으면 모든 info를 담아 발행하고, external-service가 외부 시스템이 구독한 eventCode의 info/area만 골라 전달합니다.
+        // (eventCode별로 나누어 발행하면 같은 identifier의 발신 로그가 첫 메시지로만 만들어져 나머지 eventCode의 내용이 빠집니다.)
+        // msgType이 Update/Cancel이면 외부 시스템은 references의 재난 정보를 갱신/취소합니다.
+        // areas는 external-service에서 단말기 위치와 비교하여 전달 대상을 판정하는 데 사용합니다.
+        // infos는 external-service에서 외부 시스템의 선호 언어에 맞는 info를 고르는 데 사용합니다.
+        // signature는 중앙 시스템 CAP 전자서명 검증 결과이며, 외부 시스템까지 그대로 전달합니다.
+        // alertStatus가 Actual이 아닌 훈련/시험 재난 정보는 'drill.<status>.<eventCode>' 라우팅 키로 발행하여 실제 재난 정보와 분리합니다. (eventCode는 첫 번째 eventCode)
+        // priority는 수신 시 모든 info로 계산하여 기록한 우선순위이며, RabbitMQ 메시지 우선순위로도 사용됩니다.
+        // alert는 정규화 재난 정보 모델(capService.normalizeAlert)이며, 외부 시스템이 원본(rawMessage) 대신 선택하여 받을 수 있습니다.
+        // revision은 같은 identifier의 내용이 바뀌어 재발행된 횟수이며, external-service는 더 큰 revision으로 발신 로그를 교체합니다.
+        // publishDisaster 함수는 실패 시 오류를 던집니다.
+        const alert = rawMessage?.capInfo?.alert;
         const payload = {
             identifier,
             eventCode,
+            eventCodes: eventCodes?.length > 0 ? eventCodes : [eventCode],
+            msgType,
+            alertStatus,
+            rootIdentifier,
+            references: referencedIdentifiers,
+            areas: capService.parseAreas(alert),
+            infos: capService.parseInfos(alert),
+            expiresAt,
+            priority: priority ?? 0,
+            revision: revision ?? 0,
+            signature: { status: signatureStatus ?? null, detail: signatureDetail ?? null },
+            alert: capService.normalizeAlert(alert),
             rawMessage,
-        }
-
-        // 2. 메시지 브로커 서비스를 통해 메시지를 발행합니다.
-        // publishReport 함수는 실패 시 오류를 던집니다.
+        };
         messageBrokerService.publishDisaster(payload, routingKey);
 
-        // 3. 발행에 성공하면 상태를 'SUCCESS'로 즉시 업데이트합니다.
+        // 5. 발행에 성공하면 상태를 'SUCCESS'로 즉시 업데이트합니다.
         await disasterPublishLogRepository.updateStatusById(logId, 'SUCCESS');
         logger.info(`✅ [CentralService][DisasterPublishWorker] 재난 메시지 발행 완료 (disaster_publish_log ID: ${logId}, Identifier: ${identifier}). DB 상태 SUCCESS 업데이트.`);
 
@@ -65,7 +115,7 @@ async function _processOutboxMessage(message) {
         logger.error(`🚨 [CentralService][DisasterPublishWorker] 처리 오류 (disaster_publish_log ID: ${logId}, Identifier: ${identifier}): ${err.stack}`);
 
         try {
-            // 4. 발행에 실패하면 재시도 횟수를 1 증가시킵니다.
+            // 6. 발행에 실패하면 재시도 횟수를 1 증가시킵니다.
             await disasterPublishLogRepository.incrementRetryCount(logId);
             logger.debug(`✅ [CentralService][DisasterPublishWorker] 재시도 카운트 증가 완료 (disaster_publish_log ID: ${logId}, Next Retry: ${retryCount + 1}).`);
         } catch (dbErr) {
@@ -0,0 +1,99 @@
+/**
+ * @file eventCodeCatalogWorker.js
+ * @description 주기적으로 Event Code 카탈로그를 다시 읽어, 변경되었거나 REPUBLISH_INTERVAL이 지났으면 전체 목록을 RabbitMQ로 발행하는 워커입니다.
+ * external-service는 이 목록으로 자체 카탈로그 사본을 갱신하여 API로 제공합니다.
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const eventCodeCatalogService = require('../services/eventCodeCatalogService');
+const messageBrokerService = require('../services/messageBrokerService');
+
+/**
+ * setInterval의 타이머 ID를 저장하는 변수입니다.
+ * @type {NodeJS.Timeout | null}
+ */
+let workerInterval = null;
+const { SYNC_INTERVAL, REPUBLISH_INTERVAL } = config.eventCodeCatalog;
+
+/**
+ * 마지막으로 발행에 성공한 카탈로그의 비교용 문자열입니다. (서비스 시작 후 첫 실행에서는 항상 발행)
+ * @type {string | null}
+ */
+let lastPublishedFingerprint = null;
+
+/**
+ * 마지막으로 발행에 성공한 시각입니다. (단위: 밀리초)
+ * @type {number}
+ */
+let lastPublishedAt = 0;
+
+/**
+ * 워커가 주기적으로 실행할 작업입니다.
+ * 카탈로그 캐시를 갱신하고, 마지막 발행 이후 변경되었거나 REPUBLISH_INTERVAL이 지났으면 전체 목록을 발행합니다.
+ * 카탈로그 큐는 마지막 메시지 하나만 보관하므로, 변경이 없어도 주기적으로 다시 발행하여 external-service의 사본을 복구합니다.
+ */
+async function _run() {
+
+    try {
+
+        await eventCodeCatalogService.refresh();
+        const catalog = await eventCodeCatalogService.getCatalog();
+        const fingerprint = JSON.stringify(catalog);
+
+        if (fingerprint === lastPublishedFingerprint && Date.now() - lastPublishedAt < REPUBLISH_INTERVAL) {
+            logger.debug('[CentralService][EventCodeCatalogWorker] Event Code 카탈로그 변경 없음.');
+            return;
+        }
+
+        messageBrokerService.publishEventCodeCatalog({
+            publishedAt: new Date().toISOString(),
+            eventCodes: catalog,
+        });
+        lastPublishedFingerprint = fingerprint;
+        lastPublishedAt = Date.now();
+
+    } catch (err) {
+
+        logger.error(`🚨 [CentralService][EventCodeCatalogWorker] Event Code 카탈로그 동기화 중 오류 발생: ${err.stack}`);
+
+    }
+
+}
+
+/**
+ * Event Code 카탈로그 동기화 워커를 시작합니다.
+ */
+async function start() {
+
+    if (workerInterval) {
+        logger.warn('🔔 [CentralService][EventCodeCatalogWorker] 워커 이미 실행 중.');
+        return;
+    }
+
+    logger.info(`🚀 [CentralService][EventCodeCatalogWorker] 워커 시작 (주기: ${SYNC_INTERVAL / 1000}초).`);
+
+    _run();
+    workerInterval = setInterval(_run, SYNC_INTERVAL);
+
+}
+
+/**
+ * Event Code 카탈로그 동기화 워커를 중지합니다.
+ */
+function stop() {
+
+    if (workerInterval) {
+        clearInterval(workerInterval);
+        workerInterval = null;
+        logger.info('🔌 [CentralService][EventCodeCatalogWorker] 워커 중지 완료.');
+    } else {
+        logger.debug('[CentralService][EventCodeCatalogWorker] 워커 이미 중지된 상태.');
+    }
+
+}
+
+module.exports = {
+    start,
+    stop,
+};
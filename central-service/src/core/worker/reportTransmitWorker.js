@@ -7,6 +7,7 @@ const config = require('../../config');
 const logger = require('../utils/logger');
 const reportTransmitLogRepository = require('../repositories/reportTransmitLogRepository');
 const reliableTransmitService = require('../services/reliableTransmitService');
+const connectionState = require('../utils/connectionState');
 
 /**
  * setInterval의 타이머 ID를 저장하는 변수입니다.
@@ -18,12 +19,18 @@ const { CONCURRENCY_LIMIT, POLLING_INTERVAL } = config.reportTransmitWorker;
 
 /**
  * 워커가 주기적으로 실행할 작업입니다.
+ * 0. 중앙 시스템 세션이 ACTIVE(인증 완료 및 세션 유지) 상태가 아니면 이번 주기를 건너뜁니다.
  * 1. DB에서 미처리 메시지를 조회합니다.
  * 2. 'SENT' 상태 메시지는 재시도 횟수와 시퀸스를 먼저 증가시킵니다.
  * 2. 각 메시지를 p-limit을 사용하여 제한된 병렬 방식으로 reliableTransmitService에 전달합니다.
  */
 async function _run() {
     
+    if (!connectionState.isActive()) {
+        logger.debug(`[CentralService][ReportTransmitWorker] 중앙 시스템 세션 비활성(${connectionState.state}). 이번 주기 건너뜀.`);
+        return;
+    }
+
     logger.info('🚀 [CentralService][ReportTransmitWorker] 미처리 보고 정보 확인 시작...');
     try {
 
@@ -0,0 +1,75 @@
+/**
+ * @file resourceContentCleanupWorker.js
+ * @description 주기적으로 보관 기간(RETENTION)이 지난 재난 정보 첨부 파일 내용(disaster_resource_contents)을 삭제하는 워커입니다.
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const disasterResourceContentRepository = require('../repositories/disasterResourceContentRepository');
+
+/**
+ * setInterval의 타이머 ID를 저장하는 변수입니다.
+ * @type {NodeJS.Timeout | null}
+ */
+let workerInterval = null;
+const { RETENTION, CLEANUP_INTERVAL } = config.resourceContent;
+
+/**
+ * 워커가 주기적으로 실행할 작업입니다.
+ * 보관 기간 동안 다시 수신되지 않은 첨부 파일 내용을 삭제합니다.
+ */
+async function _run() {
+
+    try {
+
+        const deletedCount = await disasterResourceContentRepository.deleteUnusedBefore(RETENTION);
+        if (deletedCount > 0) {
+            logger.info(`✅ [CentralService][ResourceContentCleanupWorker] 보관 기간이 지난 첨부 파일 내용 ${deletedCount}건 삭제 완료.`);
+        } else {
+            logger.debug('[CentralService][ResourceContentCleanupWorker] 삭제 대상 첨부 파일 내용 없음.');
+        }
+
+    } catch (err) {
+
+        logger.error(`🚨 [CentralService][ResourceContentCleanupWorker] 첨부 파일 내용 정리 중 오류 발생: ${err.stack}`);
+
+    }
+
+}
+
+/**
+ * 첨부 파일 내용 정리 워커를 시작합니다.
+ */
+async function start() {
+
+    if (workerInterval) {
+        logger.warn('🔔 [CentralService][ResourceContentCleanupWorker] 워커 이미 실행 중.');
+        return;
+    }
+
+    logger.info(`🚀 [CentralService][ResourceContentCleanupWorker] 워커 시작 (주기: ${CLEANUP_INTERVAL / 1000}초).`);
+
+    _run();
+    workerInterval = setInterval(_run, CLEANUP_INTERVAL);
+
+}
+
+/**
+ * 첨부 파일 내용 정리 워커를 중지합니다.
+ */
+function stop() {
+
+    if (workerInterval) {
+        clearInterval(workerInterval);
+        workerInterval = null;
+        logger.info('🔌 [CentralService][ResourceContentCleanupWorker] 워커 중지 완료.');
+    } else {
+        logger.debug('[CentralService][ResourceContentCleanupWorker] 워커 이미 중지된 상태.');
+    }
+
+}
+
+module.exports = {
+    start,
+    stop,
+};
@@ -0,0 +1,96 @@
+/**
+ * @file sequenceGapWorker.js
+ * @description 주기적으로 DB를 폴링하여 타임아웃이 지나도록 도착하지 않은 수신 시퀀스(Gap)에 대해 운영 경보를 발생시키는 워커입니다.
+ * 경보는 healthService에 등록하여 세션 체크 응답으로 보고하며, 경보 중인 Gap이 모두 채워지면 해제합니다.
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const tcpSequenceRepository = require('../repositories/tcpSequenceRepository');
+const healthService = require('../services/healthService');
+
+// 누락 시퀀스 경보 시 healthService에 등록하는 운영자 경보 종류
+const SEQUENCE_GAP_ALERT = 'SEQUENCE_GAP';
+// 경보 내용에 표시할 최대 누락 시퀀스 수
+const ALERT_MAX_LISTED_GAPS = 20;
+
+/**
+ * setInterval의 타이머 ID를 저장하는 변수입니다.
+ * @type {NodeJS.Timeout | null}
+ */
+let workerInterval = null;
+const { POLLING_INTERVAL, GAP_ALARM_TIMEOUT } = config.sequenceGapWorker;
+
+/**
+ * 워커가 주기적으로 실행할 작업입니다.
+ * 1. GAP_ALARM_TIMEOUT이 지나도록 채워지지 않은 누락 시퀀스를 조회하고 경보 시각을 기록합니다.
+ * 2. 각 누락 시퀀스에 대해 운영 경보 로그를 남깁니다. (한 Gap당 한 번만 발생)
+ * 3. 경보 중인 누락 시퀀스가 있으면 healthService 경보를 등록(갱신)하고, 모두 채워졌으면 해제합니다.
+ */
+async function _run() {
+
+    try {
+
+        const overdueGaps = await tcpSequenceRepository.markOverdueGapsAlarmed(GAP_ALARM_TIMEOUT);
+
+        for (const gap of overdueGaps) {
+            logger.error(`🚨🚨 [CentralService][SequenceGapWorker] 재난 정보 누락 경보: ${GAP_ALARM_TIMEOUT / 1000}초 동안 미수신 (Sender: ${gap.sender}, Seq: ${gap.missing_seq}, 감지 메시지: ${gap.detected_inbound_id}, 감지 시각: ${gap.detected_at.toISOString()}).`);
+        }
+
+        if (overdueGaps.length === 0) {
+            logger.debug('[CentralService][SequenceGapWorker] 경보 대상 누락 시퀀스 없음.');
+        }
+
+        const alarmedGaps = await tcpSequenceRepository.findAlarmedOpenGaps();
+        if (alarmedGaps.length > 0) {
+            const listed = alarmedGaps.slice(0, ALERT_MAX_LISTED_GAPS).map((gap) => `${gap.sender}#${gap.missing_seq}`).join(', ');
+            const more = alarmedGaps.length > ALERT_MAX_LISTED_GAPS ? ` 외 ${alarmedGaps.length - ALERT_MAX_LISTED_GAPS}건` : '';
+            healthService.raiseAlert(SEQUENCE_GAP_ALERT, `재난 정보 누락 ${alarmedGaps.length}건 미수신 (${listed}${more}).`);
+        } else {
+            healthService.clearAlert(SEQUENCE_GAP_ALERT);
+        }
+
+    } catch (err) {
+
+        logger.error(`🚨 [CentralService][SequenceGapWorker] 누락 시퀀스 확인 중 오류 발생: ${err.stack}`);
+
+    }
+
+}
+
+/**
+ * 수신 시퀀스 누락 감시 워커를 시작합니다.
+ */
+async function start() {
+
+    if (workerInterval) {
+        logger.warn('🔔 [CentralService][SequenceGapWorker] 워커 이미 실행 중.');
+        return;
+    }
+
+    logger.info(`🚀 [CentralService][SequenceGapWorker] 워커 시작 (주기: ${POLLING_INTERVAL / 1000}초, 경보 타임아웃: ${GAP_ALARM_TIMEOUT / 1000}초).`);
+
+    _run();
+    workerInterval = setInterval(_run, POLLING_INTERVAL);
+
+}
+
+/**
+ * 수신 시퀀스 누락 감시 워커를 중지합니다.
+ */
+function stop() {
+
+    if (workerInterval) {
+        clearInterval(workerInterval);
+        workerInterval = null;
+        logger.info('🔌 [CentralService][SequenceGapWorker] 워커 중지 완료.');
+    } else {
+        logger.debug('[CentralService][SequenceGapWorker] 워커 이미 중지된 상태.');
+    }
+
+}
+
+module.exports = {
+    start,
+    stop,
+};
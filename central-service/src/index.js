@@ -13,6 +13,9 @@ const messageBrokerService = require('./core/services/messageBrokerService');
 const dbPool = require('./core/repositories/pool');
 const disasterPublishWorker = require('./core/worker/disasterPublishWorker');
 const reportTransmitWorker = require('./core/worker/reportTransmitWorker');
+const sequenceGapWorker = require('./core/worker/sequenceGapWorker');
+const eventCodeCatalogWorker = require('./core/worker/eventCodeCatalogWorker');
+const resourceContentCleanupWorker = require('./core/worker/resourceContentCleanupWorker');
 
 /**
  * 애플리케이션의 모든 서비스를 시작하는 비동기 함수입니다.
@@ -39,6 +42,18 @@ async function startServer() {
         await reportTransmitWorker.start();
         logger.info('✅ [CentralService][App] 보고 정보 발신 워커 시작 완료.');
 
+        // 5. 수신 시퀀스 누락 감시 워커를 시작합니다.
+        await sequenceGapWorker.start();
+        logger.info('✅ [CentralService][App] 수신 시퀀스 누락 감시 워커 시작 완료.');
+
+        // 6. Event Code 카탈로그 동기화 워커를 시작합니다.
+        await eventCodeCatalogWorker.start();
+        logger.info('✅ [CentralService][App] Event Code 카탈로그 동기화 워커 시작 완료.');
+
+        // 7. 재난 정보 첨부 파일 내용 정리 워커를 시작합니다.
+        await resourceContentCleanupWorker.start();
+        logger.info('✅ [CentralService][App] 재난 정보 첨부 파일 내용 정리 워커 시작 완료.');
+
         logger.info('✅ [CentralService][App] 모든 서비스 시작 완료.');
 
     } catch (err) {
@@ -69,6 +84,12 @@ const gracefulShutdown = async (signal) => {
         logger.info('✅ [CentralService][App] 재난 정보 발행 워커 중지 완료.');
         reportTransmitWorker.stop();
         logger.info('✅ [CentralService][App] 보고 정보 발신 워커 중지 완료.');
+        sequenceGapWorker.stop();
+        logger.info('✅ [CentralService][App] 수신 시퀀스 누락 감시 워커 중지 완료.');
+        eventCodeCatalogWorker.stop();
+        logger.info('✅ [CentralService][App] Event Code 카탈로그 동기화 워커 중지 완료.');
+        resourceContentCleanupWorker.stop();
+        logger.info('✅ [CentralService][App] 재난 정보 첨부 파일 내용 정리 워커 중지 완료.');
 
         // 2. 중앙 시스템 접속용 TCP 클라이언트 연결을 종료합니다.
         await new Promise((resolve) => TCPClient.disconnect(resolve));
@@ -124,5 +145,12 @@ process.on('SIGTERM', () => {
     gracefulShutdown('SIGTERM')
 });
 
+// SIGUSR2: 운영자가 인증 ID 문제를 해결한 뒤 중앙 시스템 인증 차단(Circuit Breaker)을 해제하고 즉시 재연결하도록 요청합니다.
+// 예: kill -USR2 <central-service 프로세스 ID>
+process.on('SIGUSR2', () => {
+    logger.warn('🔔 [CentralService][App] SIGUSR2 신호 수신. 인증 차단 해제 요청.');
+    TCPClient.resetCircuitBreaker();
+});
+
 // 애플리케이션을 시작합니다.
 startServer();
\ No newline at end of file
@@ -1,31 +1,97 @@
 /**
  * @file client.js
  * @description 중앙 시스템에 접속하고 연결 상태를 관리하는 TCP 클라이언트입니다.
- * 자동 재연결 및 정상 종료 로직을 포함합니다.
+ * 자동 재연결(지수 백오프, 인증 차단), 접속 대상 전환(Failover/Failback), TLS 접속(mTLS, 인증서 Pinning) 및 정상 종료 로직을 포함합니다.
+ * 연결 상태는 connectionState 상태 머신으로 관리합니다.
  */
 
+const fs = require('fs');
 const net = require('net');
+const tls = require('tls');
 const config = require('../config');
 const logger = require('../core/utils/logger');
 const ProtocolParser = require('./protocolParser');
-const { route } = require('./handlers/messageRouter');
+const handlers = require('./handlers');
 const authHandler = require('./handlers/authHandler');
 const sessionHandler = require('./handlers/sessionHandler');
 const sessionManager = require('../core/utils/sessionManager');
+const connectionState = require('../core/utils/connectionState');
+const healthService = require('../core/services/healthService');
+const tcpQuarantineLogRepository = require('../core/repositories/tcpQuarantineLogRepository');
+
+// 인증 차단 시 healthService에 등록하는 운영자 경보 종류
+const CIRCUIT_OPEN_ALERT = 'CENTRAL_AUTH_CIRCUIT_OPEN';
 
 class TCPClient {
 
-    SERVER_IP = config.tcp.IP;
-    SERVER_PORT = config.tcp.PORT;
-    RECONNECT_INTERVAL = config.tcp.protocol.TIMERS.RECONNECT_INTERVAL;
+    ENDPOINTS = config.tcp.ENDPOINTS;
+    RECONNECT = config.tcp.RECONNECT;
+    CIRCUIT_BREAKER = config.tcp.CIRCUIT_BREAKER;
+    FAILOVER = config.tcp.FAILOVER;
+    TLS = config.tcp.TLS;
 
     socket = null;
     parser = null;
-    isConnecting = false;
-    isConnected = false;
     shouldReconnect = true; // 정상 종료 시 재연결을 막기 위한 플래그
 
-    constructor() {}
+    activeEndpointIndex = 0; // 현재 접속 대상 (ENDPOINTS 인덱스, 0 = 주 대상)
+    pendingEndpointIndex = null; // 다음 재연결 시 사용할 접속 대상 (Failback 예약용)
+    consecutiveFailures = 0; // 현재 접속 대상에서 연속으로 실패한 횟수
+    lastSwitchAt = null; // 마지막으로 접속 대상을 전환한 시각
+    lastSwitchReason = null; // 마지막 접속 대상 전환 사유
+    reconnectTimer = null;
+    failbackTimer = null;
+    reconnectAttempts = 0; // 세션 활성화(ACTIVE) 이후 연속 재연결 시도 횟수
+    nextRetryAt = null; // 예약된 다음 재연결 시각
+    lastFailureKind = null; // 마지막 연결 실패 종류 ('NETWORK' | 'AUTH_REJECTED')
+    // 인증 차단(Circuit Breaker) 상태 (CLOSED: 정상, OPEN: 재연결 중단, HALF_OPEN: 시험 접속 중)
+    circuitBreaker = { state: 'CLOSED', userNotFoundCount: 0, openedAt: null, retryAt: null };
+    circuitTimer = null;
+    tlsSession = null; // 현재 TLS 세션 정보 (프로토콜, 암호 스위트, 서버 인증서)
+    // 수신 스트림 손상 누적 통계 (재연결 여부 판단용, 프로세스 시작 이후 누적)
+    corruptionStats = { events: 0, discardedBytes: 0, lastAt: null, lastReason: null };
+
+    constructor() {
+
+        // 세션이 활성화되면 재연결 백오프와 인증 차단 상태를 초기화합니다.
+        connectionState.on('ACTIVE', () => this._resetReconnectBackoff());
+
+    }
+
+    /**
+     * TCP(TLS) 연결을 시도 중인지 여부
+     * @returns {boolean}
+     */
+    get isConnecting() {
+        return connectionState.is('CONNECTING');
+    }
+
+    /**
+     * 소켓 연결이 맺어진 상태인지 여부 (인증 중, 활성, 정리 중 포함)
+     * @returns {boolean}
+     */
+    get isConnected() {
+        return connectionState.is('AUTHENTICATING', 'ACTIVE', 'DRAINING');
+    }
+
+    /**
+     * 현재 접속 대상을 반환합니다.
+     * @returns {{host: string, port: number}}
+     */
+    _currentEndpoint() {
+        return this.ENDPOINTS[this.activeEndpointIndex];
+    }
+
+    /**
+     * 로그/상태 출력용 접속 대상 문자열을 반환합니다.
+     * @param {number} [index=this.activeEndpointIndex] - ENDPOINTS 인덱스
+     * @returns {string} 예: '주 대상 121.162.7.67:9504'
+     */
+    _describeEndpoint(index = this.activeEndpointIndex) {
+        const { host, port } = this.ENDPOINTS[index];
+        const role = index === 0 ? '주 대상' : `보조 대상 #${index}`;
+        return `${role} ${host}:${port}`;
+    }
 
     /**
      * 중앙 시스템에 연결을 시도합니다.
@@ -34,25 +100,30 @@ class TCPClient {
 
         logger.debug('🚀 [CentralService][TCPClient] 연결 시작...');
 
-        if (this.isConnecting || this.isConnected) {
+        if (!connectionState.is('DISCONNECTED')) {
 
             logger.warn('🔔 [CentralService][TCPClient] 연결 시도 불필요. 이미 연결 중이거나 연결된 상태.');
             return;
 
         }
 
+        this.reconnectTimer = null;
+        this.nextRetryAt = null;
+
         try {
 
-            this.isConnecting = true;
             this.shouldReconnect = true; // 재연결 시도 플래그 활성화
-            logger.info(`🔌 [CentralService][TCPClient] 중앙 시스템 연결 시도 (${this.SERVER_IP}:${this.SERVER_PORT}).`);
+            const { host, port } = this._currentEndpoint();
+            connectionState.transition('CONNECTING', `연결 시도 (${this._describeEndpoint()})`);
+            logger.info(`🔌 [CentralService][TCPClient] 중앙 시스템 연결 시도 (${this._describeEndpoint()}, ${this.TLS.ENABLED ? 'TLS' : '평문 TCP'}).`);
 
-            // net.connect를 사용하여 서버에 접속
-            this.socket = net.connect({ host: this.SERVER_IP, port: this.SERVER_PORT });
+            // TLS 사용 여부에 따라 tls.connect 또는 net.connect로 서버에 접속
+            this.socket = this._createSocket({ host, port });
             logger.debug('[CentralService][TCPClient] 소켓 객체 생성 및 연결 시도.');
 
             // 소켓의 생명주기 이벤트에 핸들러를 등록합니다.
-            this.socket.on('connect', this.handleConnect.bind(this));
+            // TLS 연결은 핸드셰이크가 끝난 뒤(secureConnect)에 연결 완료로 처리합니다.
+            this.socket.on(this.TLS.ENABLED ? 'secureConnect' : 'connect', this.handleConnect.bind(this));
             this.socket.on('close', this.handleClose.bind(this));
             this.socket.on('error', this.handleError.bind(this));
             logger.debug('✅ [CentralService][TCPClient] 소켓 이벤트 핸들러 등록 완료.');
@@ -68,7 +139,7 @@ class TCPClient {
                 const messageIdHex = message?.header?.messageId?.toString(16);
                 logger.debug(`⬅️ [CentralService][TCPClient] 파서 'message' 이벤트 수신 (ID: 0x${messageIdHex}).`);
                 try {
-                    await route(message);
+                    await handlers.route(message);
                 } catch (err) {
                     logger.error(`🚨 [CentralService][TCPClient] MessageRouter 처리 오류 (ID: 0x${messageIdHex}): ${err.message}`);
                 }
@@ -76,13 +147,126 @@ class TCPClient {
 
             logger.debug("✅ [CentralService][TCPClient] 파서 'message' 이벤트 핸들러 등록 완료.");
 
+            // 파서가 손상 구간을 건너뛰고 재동기화했을 때, 통계를 갱신하고 손상 데이터를 격리 보관합니다.
+            this.parser.on('corruption', this.handleCorruption.bind(this));
+
         } catch (err) {
             logger.error(`🚨 [CentralService][TCPClient] 연결 시도 중 치명적인 오류 발생: ${err.message}`);
-            // 연결 시도 자체를 실패했으므로, isConnecting을 false로 되돌리고
+            // 연결 시도 자체를 실패했으므로, 소켓을 정리하고
             // handleClose 로직을 수동으로 트리거하여 재연결을 유도합니다.
-            this.isConnecting = false;
+            this.socket?.removeAllListeners('close');
+            this.socket?.destroy();
             this.handleClose(true);
-        }       
+        }
+
+    }
+
+    /**
+     * 설정에 따라 평문 TCP 또는 TLS 소켓을 생성합니다.
+     * @param {{host: string, port: number}} endpoint - 접속 대상
+     * @returns {net.Socket | tls.TLSSocket} 연결을 시작한 소켓
+     */
+    _createSocket({ host, port }) {
+
+        if (!this.TLS.ENABLED) {
+            return net.connect({ host, port });
+        }
+
+        return tls.connect({ host, port, ...this._buildTlsOptions(host) });
+
+    }
+
+    /**
+     * tls.connect에 전달할 옵션을 구성합니다.
+     * 인증서 파일은 교체된 인증서가 재연결 시 반영되도록 연결할 때마다 읽습니다.
+     * @param {string} host - 접속 대상 host
+     * @returns {tls.ConnectionOptions}
+     */
+    _buildTlsOptions(host) {
+
+        const { CA_PATH, CERT_PATH, KEY_PATH, KEY_PASSPHRASE, SERVERNAME, REJECT_UNAUTHORIZED, MIN_VERSION } = this.TLS;
+        const options = {
+            rejectUnauthorized: REJECT_UNAUTHORIZED,
+            minVersion: MIN_VERSION,
+        };
+
+        // IP 주소는 SNI에 사용할 수 없으므로, 별도 서버 이름이 없으면 SNI를 생략합니다.
+        const servername = SERVERNAME || (net.isIP(host) ? null : host);
+        if (servername) {
+            options.servername = servername;
+        }
+        if (SERVERNAME) {
+            options.checkServerIdentity = (_, cert) => tls.checkServerIdentity(SERVERNAME, cert);
+        }
+
+        if (CA_PATH) {
+            options.ca = fs.readFileSync(CA_PATH);
+        }
+
+        if (CERT_PATH || KEY_PATH) {
+            if (!CERT_PATH || !KEY_PATH) {
+                throw new Error('mTLS 설정 오류: CENTRAL_TLS_CERT_PATH와 CENTRAL_TLS_KEY_PATH를 함께 설정해야 합니다.');
+            }
+            options.cert = fs.readFileSync(CERT_PATH);
+            options.key = fs.readFileSync(KEY_PATH);
+            options.passphrase = KEY_PASSPHRASE;
+        }
+
+        if (!REJECT_UNAUTHORIZED) {
+            logger.warn('🔔 [CentralService][TCPClient] TLS 인증서 검증 비활성화 상태(CENTRAL_TLS_REJECT_UNAUTHORIZED=false). 운영 환경에서는 사용하지 마십시오.');
+        }
+
+        return options;
+
+    }
+
+    /**
+     * TLS 핸드셰이크 결과를 상태 출력용 객체로 정리합니다.
+     * @param {tls.TLSSocket} [socket] - 대상 소켓 (기본값: 현재 연결 소켓)
+     * @returns {object | null} TLS 세션 정보 (TLS 미사용 시 null)
+     */
+    _describeTlsSession(socket = this.socket) {
+
+        if (!this.TLS.ENABLED || !socket?.encrypted) {
+            return null;
+        }
+
+        const cert = socket.getPeerCertificate();
+        const cipher = socket.getCipher();
+
+        return {
+            protocol: socket.getProtocol(),
+            cipher: cipher ? cipher.standardName || cipher.name : null,
+            authorized: socket.authorized,
+            authorizationError: socket.authorizationError || null,
+            peerCertificate: cert && Object.keys(cert).length > 0 ? {
+                subject: cert.subject?.CN,
+                issuer: cert.issuer?.CN,
+                validFrom: cert.valid_from,
+                validTo: cert.valid_to,
+                serialNumber: cert.serialNumber,
+                fingerprint256: cert.fingerprint256,
+            } : null,
+        };
+
+    }
+
+    /**
+     * 서버 인증서 지문이 Pinning 목록에 포함되어 있는지 확인합니다.
+     * Pinning 목록이 비어 있으면 항상 통과합니다.
+     * @param {object | null} tlsSession - _describeTlsSession() 결과
+     * @returns {boolean} 허용 여부
+     */
+    _isPinnedCertificate(tlsSession) {
+
+        const { PINNED_FINGERPRINTS } = this.TLS;
+
+        if (PINNED_FINGERPRINTS.length === 0) {
+            return true;
+        }
+
+        const fingerprint = tlsSession?.peerCertificate?.fingerprint256;
+        return Boolean(fingerprint) && PINNED_FINGERPRINTS.includes(fingerprint.toUpperCase());
 
     }
 
@@ -91,26 +275,73 @@ class TCPClient {
      */
     handleConnect() {
 
-        logger.debug("⬅️ [CentralService][TCPClient] 소켓 'connect' 이벤트 수신.");
+        logger.debug(`⬅️ [CentralService][TCPClient] 소켓 '${this.TLS.ENABLED ? 'secureConnect' : 'connect'}' 이벤트 수신.`);
 
         try {
 
-            this.isConnecting = false;
-            this.isConnected = true;
-            logger.info(`🔌 [CentralService][TCPClient] 중앙 시스템 연결 완료 (${this.SERVER_IP}:${this.SERVER_PORT}).`);
+            if (this.TLS.ENABLED) {
+
+                this.tlsSession = this._describeTlsSession();
+                const { protocol, cipher, peerCertificate } = this.tlsSession;
+
+                if (!this._isPinnedCertificate(this.tlsSession)) {
+                    logger.error(`🚨 [CentralService][TCPClient] 서버 인증서 Pinning 검증 실패 (SHA-256: ${peerCertificate?.fingerprint256}). 연결 종료.`);
+                    this.socket.destroy();
+                    return;
+                }
+
+                logger.info(`✅ [CentralService][TCPClient] TLS 핸드셰이크 완료 (${protocol}, ${cipher}, 서버 인증서: ${peerCertificate?.subject}).`);
+
+            }
+
+            connectionState.transition('AUTHENTICATING', `연결 완료 (${this._describeEndpoint()})`);
+            logger.info(`🔌 [CentralService][TCPClient] 중앙 시스템 연결 완료 (${this._describeEndpoint()}).`);
 
             // sessionManager에 현재 활성화된 소켓을 등록합니다.
             sessionManager.setConnection(this.socket);
             // 연결 성공 후, 가장 먼저 인증 절차를 시작합니다.
             authHandler.sendInitialAuthRequest();
 
+            // 보조 대상에 연결된 경우, 세션이 안정화된 후 주 대상 복귀를 시도합니다.
+            if (this.activeEndpointIndex !== 0) {
+                this._scheduleFailbackCheck();
+            }
+
         } catch (err) {
 
             logger.error(`🚨 [CentralService][TCPClient] 연결 성공 후 초기화(handleConnect) 오류: ${err.message}`);
             // 인증 요청 실패는 치명적이므로, 연결을 강제 종료하여 재연결을 유도합니다.
             this.socket?.destroy();
 
-        }      
+        }
+
+    }
+
+    /**
+     * 파서가 보고한 손상 구간을 누적 통계에 반영하고 격리 테이블에 저장합니다.
+     * @param {{reason: string, data: Buffer, discardedLength: number, corruptionCount: number}} corruption
+     */
+    async handleCorruption({ reason, data, discardedLength, corruptionCount }) {
+
+        const { host, port } = this._currentEndpoint();
+
+        this.corruptionStats.events++;
+        this.corruptionStats.discardedBytes += discardedLength;
+        this.corruptionStats.lastAt = new Date();
+        this.corruptionStats.lastReason = reason;
+        logger.warn(`🔔 [CentralService][TCPClient] 수신 스트림 손상 구간 발생 (${discardedLength} bytes 버림, 현재 연결 ${corruptionCount}회, 누적 ${this.corruptionStats.events}회): ${reason}`);
+
+        try {
+            const logId = await tcpQuarantineLogRepository.create({
+                endpoint: `${host}:${port}`,
+                reason,
+                discardedLength,
+                rawData: data,
+            });
+            logger.info(`✅ [CentralService][TCPClient] 손상 데이터 격리 저장 완료 (ID: ${logId}, ${data.length} bytes).`);
+        } catch (err) {
+            logger.error(`🚨 [CentralService][TCPClient] 손상 데이터 격리 저장 오류: ${err.message}`);
+        }
 
     }
 
@@ -120,29 +351,337 @@ class TCPClient {
      */
     handleClose(isErrorClose = false) {
 
-        logger.warn(`🔔 [CentralService][TCPClient] 중앙 시스템 연결 끊김${isErrorClose ? ' (오류 발생)' : ''}.`);
-        
+        // 이미 종료 처리된 연결에 대한 중복 호출은 무시합니다.
+        if (connectionState.is('DISCONNECTED')) {
+            logger.debug('[CentralService][TCPClient] 이미 연결 종료 처리됨. 중복 close 무시.');
+            return;
+        }
+
+        logger.warn(`🔔 [CentralService][TCPClient] 중앙 시스템 연결 끊김${isErrorClose ? ' (오류 발생)' : ''} (${this._describeEndpoint()}).`);
+
         // 이전 상태 저장 (재연결 로직 결정용)
-        const wasConnected = this.isConnected;
-        const wasConnecting = this.isConnecting;
+        const wasAuthenticated = sessionManager.isAuthenticated();
+        const authRejectionCode = sessionManager.authRejectionCode;
+
+        connectionState.transition('DISCONNECTED', isErrorClose ? '연결 끊김 (오류 발생)' : '연결 끊김');
+        this.tlsSession = null;
 
-        this.isConnected = false;
-        this.isConnecting = false;
+        // 재동기화 도중 끊긴 경우, 지금까지 버려진 데이터를 격리 보관합니다.
+        this.parser?.flushQuarantine();
 
         // 연결이 종료되었으므로 모든 관련 상태를 초기화합니다.
         sessionManager.clearConnection();
         sessionHandler.stopSessionCheck(); // 주기적인 세션 체크(Ping/Pong) 중지
+        this._clearFailbackCheck();
 
         // 정상 종료(disconnect 호출)가 아닐 경우에만 재연결을 시도합니다.
-        if (this.shouldReconnect && (wasConnected || wasConnecting)) {
-            logger.info(`[CentralService][TCPClient] ${this.RECONNECT_INTERVAL / 1000}초 후 재연결 시도 예정.`);
-            setTimeout(() => this.connect(), this.RECONNECT_INTERVAL);
+        if (this.shouldReconnect) {
+
+            const failureKind = this._recordFailure(authRejectionCode);
+
+            // 인증 차단 상태에서는 일반 재연결을 예약하지 않습니다.
+            if (this.circuitBreaker.state === 'OPEN') {
+                this._scheduleCircuitRetry();
+                return;
+            }
+
+            const delay = this._selectNextEndpoint(wasAuthenticated, failureKind);
+            this._scheduleReconnect(delay);
+
         } else {
             logger.info('[CentralService][TCPClient] 재연결 시도 안 함.');
         }
 
     }
 
+    /**
+     * 연결 종료 원인을 재연결 시도 횟수와 인증 차단 상태에 반영합니다.
+     * 사용자 없음(404) 응답이 연속으로 임계치에 도달하면 인증 차단(OPEN)으로 전환합니다.
+     * @param {string | null} authRejectionCode - 서버가 인증을 거부한 응답 코드 (없으면 null)
+     * @returns {'NETWORK' | 'AUTH_REJECTED' | null} 실패 종류 (예약된 Failback으로 인한 종료면 null)
+     */
+    _recordFailure(authRejectionCode) {
+
+        // 주 대상 복귀를 위해 직접 끊은 연결은 실패로 보지 않습니다.
+        if (this.pendingEndpointIndex !== null) {
+            return null;
+        }
+
+        const failureKind = authRejectionCode ? 'AUTH_REJECTED' : 'NETWORK';
+        this.reconnectAttempts++;
+        this.lastFailureKind = failureKind;
+
+        if (authRejectionCode === '404') {
+
+            this.circuitBreaker.userNotFoundCount++;
+            const { userNotFoundCount } = this.circuitBreaker;
+            const { USER_NOT_FOUND_THRESHOLD } = this.CIRCUIT_BREAKER;
+
+            if (this.circuitBreaker.state === 'HALF_OPEN' || userNotFoundCount >= USER_NOT_FOUND_THRESHOLD) {
+                this._openCircuit(`사용자 없음(404) 연속 ${userNotFoundCount}회`);
+            }
+
+        }
+
+        return failureKind;
+
+    }
+
+    /**
+     * 실패 종류와 연속 시도 횟수로 재연결 대기 시간(지수 백오프 + Jitter)을 계산합니다.
+     * @param {'NETWORK' | 'AUTH_REJECTED'} failureKind - 실패 종류
+     * @returns {number} 재연결까지 대기 시간 (ms)
+     */
+    _computeBackoffDelay(failureKind) {
+
+        const { BASE_DELAY, AUTH_REJECTED_BASE_DELAY, MULTIPLIER, MAX_DELAY, JITTER_RATIO } = this.RECONNECT;
+        const baseDelay = failureKind === 'AUTH_REJECTED' ? AUTH_REJECTED_BASE_DELAY : BASE_DELAY;
+        const exponent = Math.max(this.reconnectAttempts - 1, 0);
+        const delay = Math.min(MAX_DELAY, baseDelay * MULTIPLIER ** exponent);
+        const jitter = delay * JITTER_RATIO * (Math.random() * 2 - 1);
+
+        return Math.round(Math.max(0, delay + jitter));
+
+    }
+
+    /**
+     * 재연결을 예약합니다.
+     * @param {number} delay - 재연결까지 대기 시간 (ms)
+     */
+    _scheduleReconnect(delay) {
+
+        this.nextRetryAt = new Date(Date.now() + delay);
+        logger.info(`[CentralService][TCPClient] ${(delay / 1000).toFixed(1)}초 후 재연결 시도 예정 (${this._describeEndpoint()}, 연속 시도 ${this.reconnectAttempts}회).`);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+
+    }
+
+    /**
+     * 세션 활성화 시 재연결 백오프와 인증 차단 상태를 초기화합니다.
+     */
+    _resetReconnectBackoff() {
+
+        if (this.circuitBreaker.state !== 'CLOSED') {
+            logger.info('✅ [CentralService][TCPClient] 인증 성공. 인증 차단(Circuit Breaker) 해제.');
+        }
+
+        this.reconnectAttempts = 0;
+        this.lastFailureKind = null;
+        this.circuitBreaker = { state: 'CLOSED', userNotFoundCount: 0, openedAt: null, retryAt: null };
+        healthService.clearAlert(CIRCUIT_OPEN_ALERT);
+
+    }
+
+    /**
+     * 인증 차단(OPEN) 상태로 전환하고 운영자 경보를 남깁니다.
+     * @param {string} reason - 차단 사유
+     */
+    _openCircuit(reason) {
+
+        const { OPEN_DURATION } = this.CIRCUIT_BREAKER;
+        const openedAt = new Date();
+
+        this.circuitBreaker = {
+            ...this.circuitBreaker,
+            state: 'OPEN',
+            openedAt,
+            retryAt: OPEN_DURATION > 0 ? new Date(openedAt.getTime() + OPEN_DURATION) : null,
+        };
+
+        const message = `중앙 시스템 인증 차단(Circuit OPEN): ${reason}. 인증 ID(CENTRAL_AUTH_ID) 등록 상태를 확인하십시오. 자동 재연결 중단${OPEN_DURATION > 0 ? ` (${OPEN_DURATION / 1000}초 후 1회 시험 접속)` : ' (운영자 해제 필요)'}.`;
+        logger.error(`🚨🚨 [CentralService][TCPClient] [운영자 확인 필요] ${message}`);
+        healthService.raiseAlert(CIRCUIT_OPEN_ALERT, message);
+
+    }
+
+    /**
+     * 인증 차단 상태에서 시험 접속(HALF_OPEN)을 예약합니다.
+     */
+    _scheduleCircuitRetry() {
+
+        const { OPEN_DURATION } = this.CIRCUIT_BREAKER;
+
+        if (this.circuitTimer || OPEN_DURATION <= 0) {
+            return;
+        }
+
+        this.nextRetryAt = this.circuitBreaker.retryAt;
+        this.circuitTimer = setTimeout(() => {
+            this.circuitTimer = null;
+            this.circuitBreaker.state = 'HALF_OPEN';
+            logger.warn('🔔 [CentralService][TCPClient] 인증 차단 대기 시간 경과. 시험 접속(HALF_OPEN) 시도.');
+            this.connect();
+        }, OPEN_DURATION);
+
+    }
+
+    /**
+     * 운영자가 인증 문제를 해결한 후 인증 차단을 해제하고 즉시 재연결합니다. (SIGUSR2 신호로 요청)
+     */
+    resetCircuitBreaker() {
+
+        if (this.circuitBreaker.state === 'CLOSED') {
+            logger.info('[CentralService][TCPClient] 인증 차단 상태가 아님. 해제 요청 무시.');
+            return;
+        }
+
+        logger.warn('🔔 [CentralService][TCPClient] 운영자 요청으로 인증 차단 해제. 재연결 시도.');
+
+        if (this.circuitTimer) {
+            clearTimeout(this.circuitTimer);
+            this.circuitTimer = null;
+        }
+
+        this.reconnectAttempts = 0;
+        this.circuitBreaker = { state: 'CLOSED', userNotFoundCount: 0, openedAt: null, retryAt: null };
+        healthService.clearAlert(CIRCUIT_OPEN_ALERT);
+        this.connect();
+
+    }
+
+    /**
+     * 연결 종료 결과를 반영하여 다음 재연결 대상을 결정하고, 재연결까지의 대기 시간을 반환합니다.
+     * - 예약된 Failback이 있으면 주 대상으로 전환합니다.
+     * - 인증 전에 끊긴 경우를 실패로 누적하고, 임계치에 도달하면 다음 대상으로 전환합니다.
+     * - 그 외에는 실패 종류에 따른 지수 백오프 대기 시간을 사용합니다.
+     * @param {boolean} wasAuthenticated - 끊기기 전 세션이 인증된 상태였는지 여부
+     * @param {'NETWORK' | 'AUTH_REJECTED' | null} failureKind - _recordFailure()가 반환한 실패 종류
+     * @returns {number} 재연결까지 대기 시간 (ms)
+     */
+    _selectNextEndpoint(wasAuthenticated, failureKind) {
+
+        if (this.pendingEndpointIndex !== null) {
+            const targetIndex = this.pendingEndpointIndex;
+            this.pendingEndpointIndex = null;
+            this._switchEndpoint(targetIndex, '주 대상 복귀(Failback)');
+            return this.FAILOVER.SWITCH_DELAY;
+        }
+
+        // 인증까지 마친 세션이 끊긴 경우는 새로운 실패 구간의 첫 실패로 봅니다.
+        this.consecutiveFailures = wasAuthenticated ? 1 : this.consecutiveFailures + 1;
+        logger.debug(`[CentralService][TCPClient] 연속 실패 횟수: ${this.consecutiveFailures}/${this.FAILOVER.FAILURE_THRESHOLD} (${this._describeEndpoint()}).`);
+
+        if (this.ENDPOINTS.length > 1 && this.consecutiveFailures >= this.FAILOVER.FAILURE_THRESHOLD) {
+            const nextIndex = (this.activeEndpointIndex + 1) % this.ENDPOINTS.length;
+            this._switchEndpoint(nextIndex, `연속 ${this.consecutiveFailures}회 연결 실패(Failover)`);
+            return this.FAILOVER.SWITCH_DELAY;
+        }
+
+        return this._computeBackoffDelay(failureKind);
+
+    }
+
+    /**
+     * 현재 접속 대상을 전환합니다.
+     * @param {number} index - 전환할 ENDPOINTS 인덱스
+     * @param {string} reason - 전환 사유 (로그/상태용)
+     */
+    _switchEndpoint(index, reason) {
+
+        logger.warn(`🔔 [CentralService][TCPClient] 접속 대상 전환: ${this._describeEndpoint()} -> ${this._describeEndpoint(index)} (사유: ${reason}).`);
+        this.activeEndpointIndex = index;
+        this.consecutiveFailures = 0;
+        this.lastSwitchAt = new Date();
+        this.lastSwitchReason = reason;
+
+    }
+
+    /**
+     * 보조 대상 연결 중, 주 대상 복귀 여부를 확인하는 타이머를 설정합니다.
+     */
+    _scheduleFailbackCheck() {
+
+        this._clearFailbackCheck();
+        const { FAILBACK_STABLE_PERIOD } = this.FAILOVER;
+        logger.debug(`[CentralService][TCPClient] 주 대상 복귀 확인 예약 (${FAILBACK_STABLE_PERIOD / 1000}초 후).`);
+        this.failbackTimer = setTimeout(() => this._checkFailback(), FAILBACK_STABLE_PERIOD);
+
+    }
+
+    /**
+     * 주 대상 복귀 확인 타이머를 해제합니다.
+     */
+    _clearFailbackCheck() {
+
+        if (this.failbackTimer) {
+            clearTimeout(this.failbackTimer);
+            this.failbackTimer = null;
+        }
+
+    }
+
+    /**
+     * 보조 대상 세션이 안정적으로 유지되었으면 주 대상의 상태를 확인하고,
+     * 접속 가능하면 현재 연결을 종료하여 주 대상으로 재연결합니다.
+     */
+    async _checkFailback() {
+
+        this.failbackTimer = null;
+        const { FAILBACK_STABLE_PERIOD } = this.FAILOVER;
+        const authenticatedAt = sessionManager.authenticatedAt;
+
+        if (this.activeEndpointIndex === 0 || !this.isConnected) {
+            return;
+        }
+
+        // 인증 후 안정 기간이 지나지 않았으면 다시 기다립니다.
+        if (!sessionManager.isAuthenticated() || Date.now() - authenticatedAt < FAILBACK_STABLE_PERIOD) {
+            logger.debug('[CentralService][TCPClient] 보조 대상 세션 안정화 대기 중. 주 대상 복귀 확인 재예약.');
+            this._scheduleFailbackCheck();
+            return;
+        }
+
+        const isPrimaryReachable = await this._probeEndpoint(this.ENDPOINTS[0]);
+
+        if (!isPrimaryReachable) {
+            logger.debug(`[CentralService][TCPClient] 주 대상(${this._describeEndpoint(0)}) 응답 없음. 보조 대상 연결 유지.`);
+            this._scheduleFailbackCheck();
+            return;
+        }
+
+        logger.info(`🔔 [CentralService][TCPClient] 주 대상(${this._describeEndpoint(0)}) 접속 가능 확인. 주 대상으로 복귀 시작.`);
+        this.pendingEndpointIndex = 0;
+        connectionState.transition('DRAINING', '주 대상 복귀(Failback)');
+        // 연결을 종료하면 handleClose에서 주 대상으로 재연결합니다.
+        this.socket?.destroy();
+
+    }
+
+    /**
+     * 접속 대상에 연결이 가능한지 확인합니다. 연결되면 즉시 종료합니다.
+     * TLS 사용 시에는 실제 연결과 같은 옵션(_buildTlsOptions)으로 핸드셰이크와 인증서 Pinning 검증까지 통과해야 연결 가능으로 판단합니다.
+     * @param {{host: string, port: number}} endpoint - 확인할 접속 대상
+     * @returns {Promise<boolean>} 연결 가능 여부
+     */
+    _probeEndpoint({ host, port }) {
+
+        return new Promise((resolve) => {
+            let probeSocket;
+            try {
+                probeSocket = this._createSocket({ host, port });
+            } catch (err) {
+                // 인증서 파일을 읽지 못하는 등 TLS 옵션 구성에 실패하면 연결할 수 없는 것으로 판단합니다.
+                logger.warn(`🔔 [CentralService][TCPClient] 접속 대상(${host}:${port}) 확인용 연결 생성 실패: ${err.message}`);
+                resolve(false);
+                return;
+            }
+            const finish = (result) => {
+                probeSocket.removeAllListeners();
+                probeSocket.on('error', () => {});
+                probeSocket.destroy();
+                resolve(result);
+            };
+            probeSocket.setTimeout(this.FAILOVER.PROBE_TIMEOUT, () => finish(false));
+            if (this.TLS.ENABLED) {
+                probeSocket.once('secureConnect', () => finish(this._isPinnedCertificate(this._describeTlsSession(probeSocket))));
+            } else {
+                probeSocket.once('connect', () => finish(true));
+            }
+            probeSocket.once('error', () => finish(false));
+        });
+
+    }
+
     /**
      * 소켓 에러 발생 시 처리 로직
      * @param {Error} err
@@ -152,7 +691,7 @@ class TCPClient {
         logger.error(`🚨 [CentralService][TCPClient] 소켓 에러 발생: ${err.message}`);
         // 에러 발생 시 소켓은 자동으로 'close' 이벤트를 발생시키므로,
         // handleClose에서 재연결 로직이 처리됩니다.
-    
+
     }
 
     /**
@@ -164,7 +703,20 @@ class TCPClient {
         logger.info(`🔔 [CentralService][TCPClient] 정상 종료 시작: 연결을 해제 시도...`);
         this.shouldReconnect = false; // 재연결 시도 방지
 
+        // 예약된 재연결 및 주 대상 복귀 확인을 취소합니다.
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.circuitTimer) {
+            clearTimeout(this.circuitTimer);
+            this.circuitTimer = null;
+        }
+        this.nextRetryAt = null;
+        this._clearFailbackCheck();
+
         if (this.socket && !this.socket.destroyed) {
+            connectionState.transition('DRAINING', '정상 종료 요청');
             logger.debug('[CentralService][TCPClient] 소켓 end() 호출.');
             // end()를 호출하여 정상적인 종료 절차를 시작합니다.
             // 완료되면 'close' 이벤트가 발생합니다.
@@ -194,10 +746,41 @@ class TCPClient {
      * 모니터링 API를 위한 현재 상태 반환 메소드
      */
     getStatus() {
+        const { host, port } = this._currentEndpoint();
         return {
-            target: `중앙 시스템 (${this.SERVER_IP}:${this.SERVER_PORT})`,
+            target: `중앙 시스템 (${host}:${port})`,
             isConnected: this.isConnected,
             isConnecting: this.isConnecting,
+            isActive: connectionState.isActive(),
+            connectionState: connectionState.getStatus(),
+            activeEndpoint: {
+                index: this.activeEndpointIndex,
+                host,
+                port,
+                isPrimary: this.activeEndpointIndex === 0,
+            },
+            endpoints: this.ENDPOINTS.map(({ host, port }, index) => ({ index, host, port })),
+            consecutiveFailures: this.consecutiveFailures,
+            lastSwitchAt: this.lastSwitchAt,
+            lastSwitchReason: this.lastSwitchReason,
+            reconnect: {
+                attempts: this.reconnectAttempts,
+                lastFailureKind: this.lastFailureKind,
+                nextRetryAt: this.nextRetryAt,
+            },
+            circuitBreaker: { ...this.circuitBreaker },
+            tls: {
+                enabled: this.TLS.ENABLED,
+                pinning: this.TLS.PINNED_FINGERPRINTS.length > 0,
+                mutual: Boolean(this.TLS.CERT_PATH),
+                session: this.tlsSession,
+            },
+            corruption: {
+                ...this.corruptionStats,
+                currentConnection: this.parser ? this.parser.getStats() : null,
+            },
+            outboundQueue: sessionManager.getQueueStatus(),
+            router: handlers.getStatus(),
         };
     }
 
@@ -206,4 +789,4 @@ class TCPClient {
 // 싱글턴 패턴: 애플리케이션 전체에서 단 하나의 클라이언트 인스턴스만 사용하도록 보장
 const TCPClientInstance = new TCPClient();
 
-module.exports = TCPClientInstance;
\ No newline at end of file
+module.exports = TCPClientInstance;
@@ -7,6 +7,7 @@ const logger = require('../../core/utils/logger');
 const config = require('../../config');
 const authService = require('../../core/services/authService');
 const sessionManager = require('../../core/utils/sessionManager');
+const connectionState = require('../../core/utils/connectionState');
 const sessionHandler = require('./sessionHandler');
 const { xmlParser, buildMessageBuffer } = require('../../core/utils/protocolUtils');
 
@@ -134,17 +135,21 @@ async function handleAuthResponse(messageBodyBuffer) {
 
             case '200':
                 logger.info('✅ [CentralService][TCPAuth] 서버 인증 성공. 세션 활성화.');
+                sessionManager.setAuthenticated();
+                connectionState.transition('ACTIVE', '서버 인증 성공(200)');
                 // 주기적인 세션 체크(Ping/Pong)를 시작합니다.
                 sessionHandler.startSessionCheck();
                 break;
 
             case '400':
                 logger.error('🚨 [CentralService][TCPAuth] 서버 응답: 잘못된 요청(400). 연결 종료.');
+                sessionManager.setAuthRejected('400');
                 sessionManager.getConnection()?.destroy();
                 break;
 
             case '404':
                 logger.error('🚨 [CentralService][TCPAuth] 서버 응답: 사용자 없음(404). 연결 종료.');
+                sessionManager.setAuthRejected('404');
                 sessionManager.getConnection()?.destroy();
                 break;
 
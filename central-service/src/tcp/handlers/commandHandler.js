@@ -0,0 +1,174 @@
+/**
+ * @file commandHandler.js
+ * @description 중앙 시스템이 먼저 보낸 세션 체크/명령 요청(ETS_REQ_SYS_STS)을 처리하는 핸들러입니다.
+ * 요청의 cmd 값에 따라 등록된 명령을 실행하고, 결과를 ETS_RES_SYS_STS로 응답합니다.
+ * 새 명령은 registerCommand()로 추가합니다.
+ */
+
+const { DateTime } = require('luxon');
+const logger = require('../../core/utils/logger');
+const config = require('../../config');
+const sessionManager = require('../../core/utils/sessionManager');
+const healthService = require('../../core/services/healthService');
+const reportTransmitLogRepository = require('../../core/repositories/reportTransmitLogRepository');
+const pool = require('../../core/repositories/pool');
+const capService = require('../../core/services/capService');
+const { xmlParser, buildMessageBuffer } = require('../../core/utils/protocolUtils');
+
+const ETS_RES_SYS_STS = config.tcp.protocol.MESSAGE_IDS.ETS_RES_SYS_STS;
+const DEST_ID = config.auth.DEST_ID;
+// 재동기화 발신 ID가 이미 있는 발신 ID와 겹칠 때 새 발신 ID로 기록을 시도하는 최대 횟수
+const RESYNC_ID_MAX_ATTEMPTS = 3;
+// PostgreSQL 유일 제약 조건 위반 오류 코드
+const UNIQUE_VIOLATION = '23505';
+
+// cmd -> { description, execute }
+const commands = new Map();
+
+/**
+ * 중앙 시스템 명령(cmd)을 등록합니다.
+ * execute()가 반환한 객체는 응답 data에 그대로 포함됩니다.
+ * @param {string} cmd - 명령 이름 (예: 'alive')
+ * @param {object} options
+ * @param {string} options.description - 명령 설명 (로그용)
+ * @param {function(object): Promise<object>} options.execute - 요청 data를 받아 응답에 포함할 객체를 반환하는 함수
+ */
+function registerCommand(cmd, { description, execute }) {
+
+    if (commands.has(cmd)) {
+        throw new Error(`이미 등록된 명령: ${cmd}`);
+    }
+    commands.set(cmd, { description, execute });
+
+}
+
+/**
+ * 세션 체크 응답(ETS_RES_SYS_STS)을 전송합니다.
+ * @param {object} data - 응답 data 객체
+ */
+function _sendResponse(data) {
+
+    const dt = DateTime.local().setZone('Asia/Seoul');
+    const messageBuffer = buildMessageBuffer(ETS_RES_SYS_STS, {
+        data: {
+            destId: DEST_ID,
+            ...data,
+            time: dt.toFormat("yyyy-MM-dd'T'HH:mm:ssZZ"),
+        },
+    });
+
+    if (messageBuffer === null) {
+        throw new Error('buildMessageBuffer 반환값이 null.');
+    }
+
+    sessionManager.send(messageBuffer, `세션 체크 응답 (cmd: ${data.cmd})`);
+
+}
+
+/**
+ * 중앙 시스템으로부터 받은 세션 체크/명령 요청(ETS_REQ_SYS_STS)을 처리합니다.
+ * @param {Buffer} messageBodyBuffer
+ */
+async function handleSessionRequest(messageBodyBuffer) {
+
+    let cmd;
+
+    try {
+
+        const xmlString = messageBodyBuffer.toString('utf-8');
+        const result = await xmlParser.parseStringPromise(xmlString);
+        const data = result?.data || {};
+        // cmd가 없으면 일반 세션 체크(alive)로 처리합니다.
+        cmd = data.cmd || 'alive';
+
+        logger.debug(`⬅️ [CentralService][CommandHandler] 중앙 시스템 요청 수신 (cmd: ${cmd}).`);
+
+        const command = commands.get(cmd);
+        if (!command) {
+            logger.warn(`🔔 [CentralService][CommandHandler] 지원하지 않는 명령 수신 (cmd: ${cmd}).`);
+            _sendResponse({ resultCode: '400', result: `Unsupported cmd: ${cmd}`, cmd });
+            return;
+        }
+
+        const commandResult = await command.execute(data);
+        _sendResponse({ resultCode: '200', result: 'OK', cmd, ...commandResult });
+        logger.info(`➡️ [CentralService][CommandHandler] 중앙 시스템 요청 처리 완료 (cmd: ${cmd}, ${command.description}).`);
+
+    } catch (err) {
+
+        logger.error(`🚨 [CentralService][CommandHandler] 중앙 시스템 요청 처리 오류 (cmd: ${cmd}): ${err.message}`);
+        try {
+            _sendResponse({ resultCode: '500', result: 'Internal Server Error', cmd });
+        } catch (sendErr) {
+            logger.error(`🚨 [CentralService][CommandHandler] 오류 응답 전송 실패: ${sendErr.message}`);
+        }
+
+    }
+
+}
+
+// --- 기본 명령 ---
+
+// 세션 체크: 서비스 상태(RabbitMQ, DB, 아웃박스 대기 건수)를 함께 응답합니다.
+registerCommand('alive', {
+    description: '세션 체크 및 상태 보고',
+    execute: async () => ({ health: await healthService.getHealth() }),
+});
+
+/**
+ * 외부 시스템의 최신 제원정보를 새 발신 ID로 보고 아웃박스에 다시 기록합니다.
+ * 재동기화 발신 ID에는 '_RS<순번>'을 붙여 보고 메시지를 받을 때 만드는 발신 ID('KR.<DEST_ID>_<시각>')와 구분합니다.
+ * 그래도 이미 있는 발신 ID와 겹치면(유일 제약 조건 위반) 새 시각으로 발신 ID를 만들어 다시 기록합니다.
+ * @param {object} log - 외부 시스템의 최신 제원정보 발신 로그
+ * @param {number} sequence - 이번 재동기화에서의 순번 (1부터 시작)
+ * @returns {Promise<string>} 기록한 발신 ID
+ */
+async function _requeueDeviceInfo(log, sequence) {
+
+    for (let attempt = 1; ; attempt++) {
+
+        const outboundId = `KR.${DEST_ID}_${Date.now()}_RS${sequence}`;
+        // 크기 제한(deviceReport)을 넘는 제원정보는 여러 파트로 나누어 보고합니다.
+        // 부모 보고와 파트가 일부만 기록되지 않도록 트랜잭션 안에서 기록합니다.
+        const parts = capService.splitDeviceReport(log.raw_message);
+        const client = await pool.getClient();
+        try {
+            await client.query('BEGIN');
+            if (parts.length > 1) {
+                await reportTransmitLogRepository.createWithParts(log.mq_receive_log_id, 'DEVICE_INFO', outboundId, log.external_system_name, log.raw_message, parts, client);
+            } else {
+                await reportTransmitLogRepository.create(log.mq_receive_log_id, 'DEVICE_INFO', outboundId, log.external_system_name, log.raw_message, client);
+            }
+            await client.query('COMMIT');
+            return outboundId;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            if (err.code !== UNIQUE_VIOLATION || attempt >= RESYNC_ID_MAX_ATTEMPTS) {
+                throw err;
+            }
+            logger.warn(`🔔 [CentralService][CommandHandler] 재동기화 발신 ID 중복 (${outboundId}). 새 발신 ID로 다시 시도 (${attempt}/${RESYNC_ID_MAX_ATTEMPTS}).`);
+        } finally {
+            client.release();
+        }
+
+    }
+
+}
+
+// 단말장치 제원정보 재동기화: 외부 시스템별 최신 제원정보를 새 발신 ID로 다시 보고합니다.
+registerCommand('deviceInfoResync', {
+    description: '단말장치 제원정보 재동기화',
+    execute: async () => {
+        const latestLogs = await reportTransmitLogRepository.findLatestByType('DEVICE_INFO');
+        for (const [index, log] of latestLogs.entries()) {
+            await _requeueDeviceInfo(log, index + 1);
+        }
+        logger.info(`✅ [CentralService][CommandHandler] 단말장치 제원정보 재동기화 예약 완료 (${latestLogs.length}개 외부 시스템).`);
+        return { requeued: latestLogs.length };
+    },
+});
+
+module.exports = {
+    handleSessionRequest,
+    registerCommand,
+};
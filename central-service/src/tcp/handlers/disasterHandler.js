@@ -8,18 +8,83 @@ const config = require('../../config');
 const sessionManager = require('../../core/utils/sessionManager');
 const tcpReceiveLogRepository = require('../../core/repositories/tcpReceiveLogRepository');
 const disasterPublishLogRepository = require('../../core/repositories/disasterPublishLogRepository');
+const disasterRedeliveryLogRepository = require('../../core/repositories/disasterRedeliveryLogRepository');
+const disasterResourceContentRepository = require('../../core/repositories/disasterResourceContentRepository');
+const sequenceTrackingService = require('../../core/services/sequenceTrackingService');
+const capSignatureService = require('../../core/services/capSignatureService');
+const eventCodeCatalogService = require('../../core/services/eventCodeCatalogService');
 const { xmlParser } = require('../../core/utils/protocolUtils');
+const capValidator = require('../../core/utils/capValidator');
+const capService = require('../../core/services/capService');
+const messageBrokerService = require('../../core/services/messageBrokerService');
 const {
     createCnfDisInfoBuffer,
     DuplicateMessageError,
     ValidationError,
     ProfileError,
+    SignatureError,
     ParsingError,
 } = require('../../core/utils/responseUtils');
 const pool = require('../../core/repositories/pool');
 
-// 유효한 이벤트 코드 목록을 중앙 config 파일에서 가져옵니다.
-const VALID_EVNET_CODES = config.tcp.protocol.VALID_EVENT_CODES;
+// 재난 정보로 처리(발행)하는 CAP msgType 목록 (Ack, Error는 재난 정보가 아님)
+const LIFECYCLE_MSG_TYPES = ['Alert', 'Update', 'Cancel'];
+const { SIGNATURE_STATUS } = capSignatureService;
+// 전자서명 검증 정책 (reject 모드에서만 검증 실패 시 거부)
+const { MODE: SIGNATURE_MODE, ALLOW_UNSIGNED } = config.capSignature;
+// 같은 identifier 재전송 처리 정책 (republish 정책에서만 내용이 바뀐 재난 정보를 재발행)
+const { POLICY: DEDUP_POLICY } = config.disasterDedup;
+
+/**
+ * 이미 수신한 CAP identifier로 재전송된 재난 정보인지 확인하고, 원본과 비교하여 재발행 여부를 판정합니다.
+ * @param {string} identifier - CAP identifier
+ * @param {object} alert - 파싱된 CAP alert 객체
+ * @param {import('pg').PoolClient} client - 데이터베이스 클라이언트
+ * @returns {Promise<{republish: boolean, logData: object} | null>} 처음 수신한 identifier면 null
+ */
+async function _checkRedelivery(identifier, alert, client) {
+
+    const original = identifier ? await disasterPublishLogRepository.findByIdentifier(identifier, client) : null;
+    if (!original) {
+        return null;
+    }
+
+    const originalAlert = original.raw_message?.capInfo?.alert;
+    const sentChanged = String(alert?.sent ?? '') !== String(originalAlert?.sent ?? '');
+    const bodyChanged = capService.getBodyFingerprint(alert) !== capService.getBodyFingerprint(originalAlert);
+
+    return {
+        republish: DEDUP_POLICY === 'republish' && (sentChanged || bodyChanged),
+        logData: {
+            disasterPublishLogId: original.id,
+            previousTcpReceiveLogId: original.tcp_receive_log_id,
+            identifier,
+            sent: alert?.sent ?? null,
+            sentChanged,
+            bodyChanged,
+        },
+    };
+
+}
+
+/**
+ * 발신자별 시퀀스(transMsgSeq) 누락/순서 뒤바뀜을 판정하고, 판정 결과를 TCP 인박스에 기록합니다.
+ * 호출한 쪽의 트랜잭션 안에서 호출해야 하며, 판정에 실패해도(null) 재난 정보 처리는 계속 진행합니다.
+ * @param {object} params
+ * @param {number} params.tcpReceiveLogId - tcp_receive_logs 테이블 ID
+ * @param {string} params.sender - CAP 발신자
+ * @param {string} params.inboundId - 수신된 transMsgId
+ * @param {string | number} params.inboundSeq - 수신된 transMsgSeq
+ * @param {import('pg').PoolClient} client - 트랜잭션 중인 데이터베이스 클라이언트
+ * @returns {Promise<string | null>} 시퀀스 판정 결과
+ */
+async function _recordSequence({ tcpReceiveLogId, sender, inboundId, inboundSeq }, client) {
+
+    const sequenceStatus = await sequenceTrackingService.track({ sender, inboundId, inboundSeq }, client);
+    await tcpReceiveLogRepository.updateSequenceStatus(tcpReceiveLogId, sequenceStatus, client);
+    return sequenceStatus;
+
+}
 
 /** 
  * 중앙 시스템으로부터 받은 재난 정보 메시지(ETS_NFY_DIS_INFO)를 처리합니다.
@@ -28,12 +93,16 @@ const VALID_EVNET_CODES = config.tcp.protocol.VALID_EVENT_CODES;
 async function handleDisasterInfo(messageBodyBuffer) {
 
     let receivedData; // 외부 XML 래퍼 파싱 결과
+    let storedData; // 첨부 파일 내용(derefUri)을 내용 해시로 바꾼 외부 XML 래퍼 (인박스/아웃박스 기록용)
     let tcpReceiveLogId; // tcp_receive_logs 테이블 ID
     let inboundId; // 수신된 transMsgId
     let inboundSeq; // 수신된 transMsgSeq
     let identifier; // CAP Identifier
+    let sender; // CAP 발신자 (시퀀스 추적 기준)
     let alert; // 파싱된 CAP alert 객체
+    let signature; // 전자서명 검증 결과
     let client; // DB 클라이언트
+    let failureRecorded = false; // 실패 처리 내역(TCP 인박스 FAILED 등)을 이미 커밋했는지 여부
 
     logger.debug('🚀 [CentralService][DosasterHandler] 재난 정보 메시지 처리 시작...');
 
@@ -49,6 +118,8 @@ async function handleDisasterInfo(messageBodyBuffer) {
             const xmlString = messageBodyBuffer.toString('utf-8');
             const parsedXml = await xmlParser.parseStringPromise(xmlString);
             receivedData = parsedXml.data;
+            // 전자서명은 파싱 전 원본 XML로 검증해야 하므로 여기서 검증합니다. (정책 적용은 트랜잭션 안에서)
+            signature = capSignatureService.verifyAlertSignature(xmlString);
 
             logger.debug(`✅ [CentralService][DisasterHandler] 외부 XML 래퍼 파싱 완료.`);
 
@@ -81,52 +152,157 @@ async function handleDisasterInfo(messageBodyBuffer) {
         logger.debug(`✅ [CentralService][DisasterHandler] 메시지 중복 아님 확인.`)        
 
         // 3. 수신한 재난 정보를 tcp_receive_logs에 저장합니다.
-        logger.debug(`[CentralService][DisasterHandler] TCP 인박스 기록 시작 (Inbound ID: ${inboundId}, Seq: ${inboundSeq}).`);
+        // 첨부 파일 내용(derefUri)은 인박스/아웃박스에 기록하지 않고 내용 해시(derefUriHash)로 바꾸어 기록합니다.
+        const { data, contents: resourceContents } = capService.extractResourceContents(receivedData);
+        storedData = data;
+        sender = alert?.sender || config.CENTRAL_SYSTEM_SENDER_ID;
+        logger.debug(`[CentralService][DisasterHandler] TCP 인박스 기록 시작 (Inbound ID: ${inboundId}, Seq: ${inboundSeq}, 전자서명: ${signature.status}).`);
         tcpReceiveLogId = await tcpReceiveLogRepository.create({
             inboundId: receivedData.transMsgId,
             inboundSeq: receivedData.transMsgSeq,
-            rawMessage: receivedData,
+            rawMessage: storedData,
+            sender,
+            signatureStatus: signature.status,
+            signatureDetail: signature.detail,
         }, client);
         logger.debug(`✅ [CentralService][DisasterHandler] TCP 인박스 기록 완료 (tcp_receive_log ID: ${tcpReceiveLogId}).`);
-        
+
         // --- 트랜잭션 시작 ---
         await client.query('BEGIN');
         logger.debug(`🚀 [CentralService][DisasterHandler] DB 트랜잭션 시작 (tcp_receive_log ID: ${tcpReceiveLogId})...`);
+
+        // 4. 발신자별 시퀀스(transMsgSeq) 누락/순서 뒤바뀜을 판정하고, 첨부 파일 내용을 보관합니다.
+        // 시퀀스 기록은 이 트랜잭션과 함께 확정되며, 처리에 실패하여 롤백되면 실패 기록과 함께 다시 기록합니다.
+        // 첨부 파일 내용은 disaster_resource_contents에 내용 해시 기준으로 한 번만 보관하며, 발행 워커가 발행할 때 되돌려 external-service로 전달합니다.
+        const sequenceStatus = await _recordSequence({ tcpReceiveLogId, sender, inboundId, inboundSeq }, client);
+        logger.debug(`[CentralService][DisasterHandler] 시퀀스 판정 결과 기록 (Inbound ID: ${inboundId}, Seq: ${inboundSeq}, 시퀀스 판정: ${sequenceStatus}).`);
+        if (resourceContents.size > 0) {
+            await disasterResourceContentRepository.saveAll(resourceContents, client);
+            logger.debug(`✅ [CentralService][DisasterHandler] 첨부 파일 내용 ${resourceContents.size}건 보관 완료 (CAP ID: ${identifier}).`);
+        }
         
-        // 4. CAP 메시지 유효성 검사 (Note Code: 210)
+        // 5. 전자서명 검증 정책 적용 (Note Code: capSignature.REJECT_NOTE_CODE)
+        // flag 모드는 검증 결과만 기록하고, reject 모드는 검증에 실패한(설정에 따라 서명이 없는) 재난 정보를 거부합니다.
+        if (signature.status === SIGNATURE_STATUS.INVALID || signature.status === SIGNATURE_STATUS.UNSIGNED) {
+            logger.warn(`🔔 [CentralService][DisasterHandler] 전자서명 검증 실패 (CAP ID: ${identifier}, 결과: ${signature.status}, 사유: ${signature.detail ?? '서명 없음'}).`);
+            if (SIGNATURE_MODE === 'reject' && (signature.status === SIGNATURE_STATUS.INVALID || !ALLOW_UNSIGNED)) {
+                throw new SignatureError(signature.status === SIGNATURE_STATUS.INVALID ? signature.detail : '서명 없음');
+            }
+        }
+
+        // 6. CAP 메시지 유효성 검사 (Note Code: 210)
         logger.debug('🚀 [CentralService][DisasterHandler] CAP 메시지 유효성 검사 시작...');
-        if (
-            !alert || 
-            !alert.identifier || 
-            !alert.sender || 
-            !alert.sent || 
-            !alert.info?.eventCode?.value
-        ) {
-            throw new ValidationError('필수 필드(alert, identifier, sender, sent, eventCode)가 누락되었습니다.');
+        const violations = capValidator.validateAlert(alert);
+        if (violations.length > 0) {
+            logger.warn(`🔔 [CentralService][DisasterHandler] CAP 1.2 유효성 위반 ${violations.length}건 (CAP ID: ${identifier}): ${violations.join('; ')}`);
+            throw new ValidationError(`CAP 1.2 유효성 위반 ${violations.length}건`, violations);
+        }
+        logger.debug('✅ [CentralService][DisasterHandler] CAP 메시지 유효성 검사 완료.');
+
+        // 7. 갱신(Update)/취소(Cancel)는 references로 지정된 원본 재난 정보의 생애주기에 연결합니다.
+        const msgType = alert.msgType;
+        if (!LIFECYCLE_MSG_TYPES.includes(msgType)) {
+            throw new ProfileError(`재난 정보로 처리할 수 없는 msgType: ${msgType}`);
+        }
+        let rootIdentifier = identifier;
+        let referencedIdentifiers = [];
+        let referencedLogs = [];
+        if (msgType !== 'Alert') {
+            referencedIdentifiers = capService.parseReferences(alert.references).map((reference) => reference.identifier);
+            referencedLogs = await disasterPublishLogRepository.findLifecycleByIdentifiers(referencedIdentifiers, client);
+            if (referencedLogs.length > 0) {
+                rootIdentifier = referencedLogs[0].root_identifier;
+            } else {
+                // 원본을 수신하지 못한 경우에도 외부 시스템이 원본을 보유하고 있을 수 있으므로 그대로 전달합니다.
+                rootIdentifier = referencedIdentifiers[0];
+                logger.warn(`🔔 [CentralService][DisasterHandler] ${msgType} 대상 원본 재난 정보 미보유 (CAP ID: ${identifier}, References: ${referencedIdentifiers.join(', ')}).`);
+            }
+            logger.info(`[CentralService][DisasterHandler] 재난 정보 ${msgType} 수신 (CAP ID: ${identifier}, 원본: ${referencedIdentifiers.join(', ')}, 최초 재난 정보: ${rootIdentifier}).`);
         }
-        logger.debug('✅ [CentralService][DisasterHandler] CAP 메시지 필수 필드 확인 완료.');
 
-        // 5.  프로파일 해석 오류 검사 (Note Code: 220)
-        const eventCode = alert.info?.eventCode?.value;
-        logger.debug(`🚀 [CentralService][DisasterHandler] Event Code 검사 시작 (Code: ${eventCode})...`);
-        if (!VALID_EVNET_CODES.includes(eventCode)) {
-            throw new ProfileError(`정의되지 않은 Event Code: ${eventCode}`);
+        // 8. 프로파일 해석 오류 검사 (Note Code: 220)
+        // info가 여러 개(다국어, 복수 재난 유형)이면 모든 info의 eventCode를 검사하고, 첫 번째 eventCode를 대표 코드로 사용합니다.
+        // info가 없는 갱신/취소는 원본 재난 정보의 eventCode와 우선순위를 그대로 사용합니다.
+        const hasInfo = capService.hasInfo(alert);
+        const eventCodes = hasInfo
+            ? capService.getEventCodes(alert)
+            : [...new Set(referencedLogs.flatMap((log) => (log.event_codes?.length > 0 ? log.event_codes : [log.event_code])))];
+        const eventCode = eventCodes[0];
+        if (!hasInfo && !eventCode) {
+            throw new ProfileError(`info가 없는 ${msgType}의 원본 재난 정보 미보유 (References: ${referencedIdentifiers.join(', ')})`);
+        }
+        logger.debug(`🚀 [CentralService][DisasterHandler] Event Code 검사 시작 (Code: ${eventCodes.join(', ')})...`);
+        // 유효한 Event Code는 DB의 Event Code 카탈로그(활성 코드)를 기준으로 판단하며, 모든 코드를 한 번에 조회합니다.
+        const invalidEventCodes = await eventCodeCatalogService.findInactiveCodes(eventCodes, client);
+        if (!eventCode || invalidEventCodes.length > 0) {
+            throw new ProfileError(`정의되지 않은 Event Code: ${invalidEventCodes.join(', ') || eventCode}`);
         }
         logger.debug('✅ [CentralService][DisasterHandler] Event Code 유효함 확인.');
 
-        // 6. MQ 아웃박스(disaster_publish_logs) 저장
-        const routingKey = `disaster.${eventCode}`;
-        logger.debug(`🚀 [CentralService][DisasterHandler] MQ 아웃박스 기록 시작 (RoutingKey: ${routingKey}, CAP ID: ${identifier})...`);
-        await disasterPublishLogRepository.create({
+        // 9. CAP identifier 중복 확인 (Note Code: 300)
+        // 전자서명/유효성/프로파일 검사를 통과한 재난 정보만 판정하며, 원본 조회와 이력 기록은 아웃박스 기록과 같은 트랜잭션에서 수행합니다.
+        // 같은 identifier가 다른 transMsgId로 재전송되면 원본 재난 정보에 재전송 이력을 남기고,
+        // republish 정책에서 내용(sent 또는 본문)이 바뀐 경우에만 재발행합니다.
+        // 내용이 같은 재전송은 이미 수신한 재난 정보이므로 발행 로그를 바꾸지 않고 TCP 인박스를 SUCCESS로 기록한 뒤 수신 확인(200, Note Code: 300)으로 응답합니다.
+        // 내용이 바뀌었지만 재발행하지 않는 재전송은 중복으로 거부하며, 재전송 이력과 TCP 인박스 FAILED 상태는 커밋하여 남깁니다.
+        const redelivery = await _checkRedelivery(identifier, alert, client);
+        if (redelivery && !redelivery.republish) {
+            const { sentChanged, bodyChanged } = redelivery.logData;
+            const isExactDuplicate = !sentChanged && !bodyChanged;
+            const duplicateErr = new DuplicateMessageError(`CAP identifier 중복 (CAP ID: ${identifier})`, { acknowledged: isExactDuplicate });
+            await disasterRedeliveryLogRepository.create({ ...redelivery.logData, tcpReceiveLogId, inboundId, inboundSeq, decision: 'DUPLICATE' }, client);
+            await tcpReceiveLogRepository.updateStatus(tcpReceiveLogId, isExactDuplicate ? 'SUCCESS' : 'FAILED', isExactDuplicate ? null : duplicateErr.message, client);
+            await client.query('COMMIT');
+            logger.warn(`🔔 [CentralService][DisasterHandler] CAP identifier 중복 감지 (CAP ID: ${identifier}, Inbound ID: ${inboundId}, sent 변경: ${sentChanged ? 'Y' : 'N'}, 본문 변경: ${bodyChanged ? 'Y' : 'N'}, 정책: ${DEDUP_POLICY}).`);
+            if (!isExactDuplicate) {
+                failureRecorded = true;
+                throw duplicateErr;
+            }
+
+            const duplicateAckBuffer = createCnfDisInfoBuffer(receivedData, receivedData.capInfo, duplicateErr);
+            if (duplicateAckBuffer) {
+                sessionManager.send(duplicateAckBuffer, '재난 정보 중복 수신 확인 응답');
+                logger.info(`➡️ [CentralService][DisasterHandler] 같은 내용의 재전송 재난 정보. 수신 확인 응답(ACK) 전송 (Inbound ID: ${inboundId}, Seq: ${inboundSeq}, CAP ID: ${identifier}).`);
+            } else {
+                logger.error(`🚨 [CentralService][DisasterHandler] 중복 수신 확인 응답 버퍼 생성 실패 (Inbound ID: ${inboundId}). ACK 전송 불가.`);
+            }
+            return;
+        }
+
+        // 10. MQ 아웃박스(disaster_publish_logs) 저장 (라우팅 키는 첫 번째 eventCode로 정하며, 모든 eventCode의 info를 메시지 하나로 발행)
+        // 훈련/시험(Actual이 아닌 status) 재난 정보는 실제 재난 정보와 다른 라우팅 키로 발행합니다.
+        const alertStatus = alert.status;
+        const routingKey = messageBrokerService.getDisasterRoutingKey(alertStatus, eventCode);
+        if (alertStatus !== 'Actual') {
+            logger.info(`[CentralService][DisasterHandler] 훈련/시험 재난 정보 수신 (CAP ID: ${identifier}, status: ${alertStatus}, RoutingKey: ${routingKey}).`);
+        }
+        logger.debug(`🚀 [CentralService][DisasterHandler] MQ 아웃박스 기록 시작 (RoutingKey: ${routingKey}, CAP ID: ${identifier}, msgType: ${msgType})...`);
+        const publishLogData = {
             tcpReceiveLogId: tcpReceiveLogId,
             routingKey: routingKey,
-            rawMessage: receivedData,
+            rawMessage: storedData,
             identifier: identifier,
-            eventCode: eventCode
-        }, client);
+            eventCode: eventCode,
+            eventCodes,
+            msgType,
+            alertStatus,
+            rootIdentifier,
+            referencedIdentifiers,
+            expiresAt: capService.getExpiresAt(alert),
+            priority: hasInfo ? capService.getPriority(alert) : Math.max(0, ...referencedLogs.map((log) => log.priority ?? 0)),
+        };
+        if (redelivery) {
+            // 내용이 바뀐 재전송: 원본 발행 로그를 교체하여 다시 발행합니다. (external-service는 revision이 더 큰 재난 정보로 발신 로그를 교체)
+            const revision = await disasterPublishLogRepository.republish(redelivery.logData.disasterPublishLogId, publishLogData, client);
+            await disasterRedeliveryLogRepository.create({ ...redelivery.logData, tcpReceiveLogId, inboundId, inboundSeq, decision: 'REPUBLISHED', revision }, client);
+            logger.info(`[CentralService][DisasterHandler] 내용이 바뀐 재전송 재난 정보 재발행 예약 (CAP ID: ${identifier}, Inbound ID: ${inboundId}, Revision: ${revision}).`);
+        } else if (!(await disasterPublishLogRepository.create(publishLogData, client))) {
+            // 중복 확인 이후 같은 identifier가 먼저 기록된 경우입니다.
+            throw new DuplicateMessageError(`CAP identifier 중복 (CAP ID: ${identifier})`);
+        }
         logger.debug('✅ [CentralService][DisasterHandler] MQ 아웃박스 기록 완료.');
 
-        // 7. TCP 인박스(tcp_receive_logs) 상태 'SUCCESS' 업데이트
+        // 11. TCP 인박스(tcp_receive_logs) 상태 'SUCCESS' 업데이트
         logger.debug(`🚀 [CentralService][DisasterHandler] TCP 인박스 상태 SUCCESS 업데이트 시작 (tcp_receive_log ID: ${tcpReceiveLogId})...`);
         await tcpReceiveLogRepository.updateStatus(tcpReceiveLogId, 'SUCCESS', null, client);
         logger.debug('✅ [CentralService][DisasterHandler] TCP 인박스 상태 SUCCESS 업데이트 완료.');
@@ -135,7 +311,7 @@ async function handleDisasterInfo(messageBodyBuffer) {
         await client.query('COMMIT');
         logger.debug(`✅ [CentralService][DisasterHandler] DB 트랜잭션 커밋 (tcp_receive_log ID: ${tcpReceiveLogId}).`);
 
-        // 8. 성공 응답을 중앙 시스템으로 전송합니다 (Note Code: 000)
+        // 12. 성공 응답을 중앙 시스템으로 전송합니다 (Note Code: 000)
         const successBuffer = createCnfDisInfoBuffer(receivedData, receivedData.capInfo, null);
         if (successBuffer) {
             sessionManager.send(successBuffer, '재난 정보 수신 성공 응답');
@@ -148,8 +324,8 @@ async function handleDisasterInfo(messageBodyBuffer) {
 
         logger.error(`🚨 [CentralService][DisasterHandler] 재난 정보 처리 오류 (Inbound ID: ${inboundId}, Seq: ${inboundSeq}, CAP ID: ${identifier}): [${err.name}] ${err.message}`);
 
-        // 롤백 시도
-        if (client) {
+        // 롤백 시도 (실패 처리 내역을 이미 커밋한 경우 제외)
+        if (client && !failureRecorded) {
             try {
                 await client.query('ROLLBACK');
                 logger.warn(`🔔 [CentralService][DisasterHandler] DB 트랜잭션 롤백 완료.`);
@@ -159,11 +335,16 @@ async function handleDisasterInfo(messageBodyBuffer) {
         }        
 
         // TCP 인박스(tcp_receive_logs) 상태 'FAILED' 업데이트 시도
-        if (tcpReceiveLogId) {
+        // 실패한 재난 정보도 수신한 시퀀스이므로, 롤백된 시퀀스 판정을 실패 기록과 같은 트랜잭션에서 다시 기록합니다.
+        if (tcpReceiveLogId && !failureRecorded) {
             try {
-                await tcpReceiveLogRepository.updateStatus(tcpReceiveLogId, 'FAILED', err.message, client || pool);
+                await client.query('BEGIN');
+                await _recordSequence({ tcpReceiveLogId, sender, inboundId, inboundSeq }, client);
+                await tcpReceiveLogRepository.updateStatus(tcpReceiveLogId, 'FAILED', err.message, client);
+                await client.query('COMMIT');
                 logger.debug(`✅ [CentralService][DisasterHandler] TCP 인박스 상태 FAILED 업데이트 완료 (tcp_receive_log ID: ${tcpReceiveLogId}).`);
             } catch (updateErr) {
+                await client.query('ROLLBACK').catch(() => {});
                 logger.error(`🚨🚨 [CentralService][DisasterHandler] TCP 인박스 FAILED 상태 업데이트 실패 (tcp_receive_log ID: ${tcpReceiveLogId}): ${updateErr.message}`);
             }            
         }        
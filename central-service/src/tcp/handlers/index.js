@@ -0,0 +1,71 @@
+/**
+ * @file index.js
+ * @description 중앙 시스템 메시지 핸들러와 라우터 미들웨어를 messageRouter에 등록합니다.
+ * 새로운 ETS 메시지 타입은 이 파일에 핸들러를 등록하는 것만으로 추가할 수 있습니다.
+ */
+
+const config = require('../../config');
+const messageRouter = require('./messageRouter');
+const routerMiddlewares = require('./routerMiddlewares');
+const authHandler = require('./authHandler');
+const sessionHandler = require('./sessionHandler');
+const commandHandler = require('./commandHandler');
+const disasterHandler = require('./disasterHandler');
+const reliableTransmitService = require('../../core/services/reliableTransmitService');
+
+const MESSAGE_IDS = config.tcp.protocol.MESSAGE_IDS;
+
+// --- 미들웨어 (등록 순서대로 실행) ---
+messageRouter.use(routerMiddlewares.logging);
+messageRouter.use(routerMiddlewares.collectMetrics);
+messageRouter.use(routerMiddlewares.validate);
+
+// --- 인증 관련 메시지 ---
+messageRouter.register(MESSAGE_IDS.ETS_RES_SYS_CON, {
+    name: 'authHandler.handleAuthResponse',
+    handler: authHandler.handleAuthResponse,
+    requiresAuth: false,
+});
+
+// --- 세션 체크 관련 메시지 ---
+messageRouter.register(MESSAGE_IDS.ETS_RES_SYS_STS, {
+    name: 'sessionHandler.handleSessionResponse',
+    handler: sessionHandler.handleSessionResponse,
+});
+
+// --- 중앙 시스템이 먼저 보낸 세션 체크/명령 요청 ---
+messageRouter.register(MESSAGE_IDS.ETS_REQ_SYS_STS, {
+    name: 'commandHandler.handleSessionRequest',
+    handler: commandHandler.handleSessionRequest,
+    responseId: MESSAGE_IDS.ETS_RES_SYS_STS,
+});
+
+// --- 재난 정보 수신 ---
+messageRouter.register(MESSAGE_IDS.ETS_NFY_DIS_INFO, {
+    name: 'disasterHandler.handleDisasterInfo',
+    handler: disasterHandler.handleDisasterInfo,
+    responseId: MESSAGE_IDS.ETS_CNF_DIS_INFO,
+});
+
+// --- 우리가 보낸 보고에 대한 응답(ACK/NACK) ---
+// 단말기 제원 보고, 단말기 상태 보고, 재난 정보 결과 보고에 대한 응답은
+// 모두 신뢰성 있는 전송 서비스에 처리를 위임합니다.
+const REPORT_RESPONSES = [
+    [MESSAGE_IDS.ETS_CNF_DEVICE_INFO, '단말기 제원 보고 응답'],
+    [MESSAGE_IDS.ETS_CNF_DEVICE_STS, '단말기 상태 보고 응답'],
+    [MESSAGE_IDS.ETS_RES_DIS_REPORT, '재난 정보 결과 보고 응답'],
+];
+for (const [messageId, label] of REPORT_RESPONSES) {
+    messageRouter.register(messageId, {
+        name: `reliableTransmitService.processAck (${label})`,
+        handler: reliableTransmitService.processAck,
+    });
+}
+
+module.exports = {
+    route: messageRouter.route,
+    getStatus: () => ({
+        handlers: messageRouter.getRegistrations(),
+        metrics: routerMiddlewares.getMetrics(),
+    }),
+};
@@ -1,15 +1,134 @@
 /**
  * @file messageRouter.js
- * @description 중앙 시스템으로부터 파싱된 메시지를 Message ID에 따라 
+ * @description 중앙 시스템으로부터 파싱된 메시지를 Message ID에 따라
  * 적절한 핸들러로 분배(라우팅) 합니다.
+ * 핸들러는 register()로 Message ID별로 등록하고, 미들웨어는 use()로 추가합니다.
+ * 기본 핸들러와 미들웨어 등록은 './index.js'에서 수행합니다.
  */
 
 const config = require('../../config');
 const logger = require('../../core/utils/logger');
-const authHandler = require('./authHandler');
-const sessionHandler = require('./sessionHandler');
-const disasterHandler = require('./disasterHandler');
-const reliableTransmitService = require('../../core/services/reliableTransmitService');
+const sessionManager = require('../../core/utils/sessionManager');
+const tcpQuarantineLogRepository = require('../../core/repositories/tcpQuarantineLogRepository');
+
+const { HEADER } = config.tcp.protocol;
+const { UNKNOWN_MESSAGE_POLICY, UNAUTHENTICATED_MESSAGE_POLICY } = config.tcp.ROUTER;
+
+// 처리할 수 없는 메시지에 적용할 수 있는 정책 목록
+const POLICIES = ['LOG', 'CAPTURE', 'DISCONNECT'];
+
+// Message ID -> 핸들러 등록 정보
+const registry = new Map();
+// 등록 순서대로 실행되는 미들웨어 목록
+const middlewares = [];
+
+/**
+ * Message ID를 로그용 16진수 문자열로 변환합니다.
+ * @param {number} messageId
+ * @returns {string} 예: 'ffee3020'
+ */
+function _toHex(messageId) {
+    return messageId?.toString(16);
+}
+
+/**
+ * Message ID에 대한 핸들러를 등록합니다.
+ * @param {number} messageId - 처리할 Message ID
+ * @param {object} options - 핸들러 등록 정보
+ * @param {string} options.name - 핸들러 이름 (로그/상태용)
+ * @param {function(Buffer, object): Promise<void>} options.handler - 메시지 바디와 라우팅 컨텍스트를 받는 처리 함수
+ * @param {boolean} [options.requiresAuth=true] - 인증된 세션에서만 처리할지 여부
+ * @param {number | null} [options.responseId=null] - 이 메시지에 대해 보내야 하는 응답 Message ID (없으면 null)
+ */
+function register(messageId, { name, handler, requiresAuth = true, responseId = null }) {
+
+    if (registry.has(messageId)) {
+        throw new Error(`이미 등록된 Message ID: 0x${_toHex(messageId)} (${registry.get(messageId).name})`);
+    }
+    if (typeof handler !== 'function') {
+        throw new Error(`핸들러 함수 누락: 0x${_toHex(messageId)} (${name})`);
+    }
+
+    registry.set(messageId, { messageId, name, handler, requiresAuth, responseId });
+    logger.debug(`✅ [CentralService][MessageRouter] 핸들러 등록 완료 (ID: 0x${_toHex(messageId)}, Handler: ${name}, 인증 필요: ${requiresAuth}).`);
+
+}
+
+/**
+ * 모든 메시지 처리 전후에 실행될 미들웨어를 추가합니다.
+ * 미들웨어는 (context, next) 형태이며, next()를 호출해야 다음 미들웨어 또는 핸들러가 실행됩니다.
+ * @param {function(object, function(): Promise<void>): Promise<void>} middleware
+ */
+function use(middleware) {
+    middlewares.push(middleware);
+}
+
+/**
+ * 라우팅할 수 없는 메시지(미등록, 미인증)에 정책을 적용합니다.
+ * - LOG: 경고 로그만 남깁니다.
+ * - CAPTURE: 메시지 원본을 격리 테이블(tcp_quarantine_logs)에 저장합니다.
+ * - DISCONNECT: 메시지 원본을 저장한 후 연결을 종료합니다.
+ * @param {string} policy - 적용할 정책
+ * @param {string} reason - 사유 (로그/격리 테이블용)
+ * @param {object} message - 파싱된 메시지 객체 { header, body }
+ */
+async function _applyPolicy(policy, reason, message) {
+
+    logger.warn(`🔔 [CentralService][MessageRouter] ${reason} (정책: ${policy}).`);
+
+    if (policy === 'LOG') {
+        return;
+    }
+
+    try {
+
+        const { header, body } = message;
+        const headerBuffer = Buffer.alloc(HEADER.HEADER_LENGTH);
+        headerBuffer.writeUInt32BE(header.messageId >>> 0, 0);
+        headerBuffer.writeUInt32BE(header.dataFormat >>> 0, 4);
+        headerBuffer.writeUInt32BE(header.magicNumber >>> 0, 8);
+        headerBuffer.writeUInt32BE(header.dataLength >>> 0, 12);
+
+        const socket = sessionManager.getConnection();
+        const logId = await tcpQuarantineLogRepository.create({
+            endpoint: socket ? `${socket.remoteAddress}:${socket.remotePort}` : 'unknown',
+            reason,
+            discardedLength: headerBuffer.length + body.length,
+            rawData: Buffer.concat([headerBuffer, body]),
+        });
+        logger.info(`✅ [CentralService][MessageRouter] 처리 불가 메시지 격리 저장 완료 (ID: ${logId}).`);
+
+    } catch (err) {
+
+        logger.error(`🚨 [CentralService][MessageRouter] 처리 불가 메시지 격리 저장 오류: ${err.message}`);
+
+    }
+
+    if (policy === 'DISCONNECT') {
+        logger.error(`🚨 [CentralService][MessageRouter] 처리 불가 메시지 수신 정책(DISCONNECT)에 따라 연결 종료.`);
+        sessionManager.getConnection()?.destroy();
+    }
+
+}
+
+/**
+ * 미들웨어 체인을 실행한 후 마지막으로 핸들러를 호출합니다.
+ * @param {object} context - 라우팅 컨텍스트
+ * @returns {Promise<void>}
+ */
+function _runPipeline(context) {
+
+    const dispatch = async (index) => {
+        if (index < middlewares.length) {
+            return middlewares[index](context, () => dispatch(index + 1));
+        }
+        logger.debug(`[CentralService][MessageRouter] 라우팅: ${context.registration.name} 호출.`);
+        return context.registration.handler(context.body, context);
+    };
+
+    return dispatch(0);
+
+}
 
 /**
  * 수신된 메시지를 적절한 핸들러로 전달합니다.
@@ -19,71 +138,65 @@ async function route(message) {
 
     const { header, body } = message;
     const messageId = header?.messageId;
-    const messageIdHex = messageId?.toString(16);
+    const messageIdHex = _toHex(messageId);
 
     logger.debug(`⬅️ [CentralService][MessageRouter] 메시지 수신 (ID: 0x${messageIdHex}), 라우팅 시작...`);
 
     try {
-        
+
         if (messageId === undefined || messageId === null) {
             throw new Error('메시지 헤더 또는 messageId 누락.');
         }
 
-        let handlerName = '알 수 없음';        
-
-        switch (messageId) {
-
-            // --- 인증 관련 메시지 ---
-            case config.tcp.protocol.MESSAGE_IDS.ETS_RES_SYS_CON:
-                handlerName = 'authHandler.handleAuthResponse';
-                logger.debug(`[CentralService][MessageRouter] 라우팅: ${handlerName} 호출.`);
-                await authHandler.handleAuthResponse(body);
-                break;
-
-            // --- 세션 체크 관련 메시지 ---
-            case config.tcp.protocol.MESSAGE_IDS.ETS_RES_SYS_STS:
-                handlerName = 'sessionHandler.handleSessionResponse';
-                logger.debug(`[CentralService][MessageRouter] 라우팅: ${handlerName} 호출.`);
-                await sessionHandler.handleSessionResponse(body);
-                break;
-
-            // --- 재난 정보 수신 ---
-            case config.tcp.protocol.MESSAGE_IDS.ETS_NFY_DIS_INFO:
-                handlerName = 'disasterHandler.handleDisasterInfo';
-                logger.debug(`[CentralService][MessageRouter] 라우팅: ${handlerName} 호출.`);
-                await disasterHandler.handleDisasterInfo(body);
-                break;
-            
-            // --- 단말기 제원 보고에 대한 응답 ---
-            case config.tcp.protocol.MESSAGE_IDS.ETS_CNF_DEVICE_INFO:
-            // --- 단말기 상태 보고에 대한 응답 ---
-            case config.tcp.protocol.MESSAGE_IDS.ETS_CNF_DEVICE_STS:
-            // --- 재난 정보 결과 보고에 대한 응답 ---
-            case config.tcp.protocol.MESSAGE_IDS.ETS_RES_DIS_REPORT:
-                // 위 3가지 경우는 모두 우리가 보낸 메시지에 대한 응답(ACK)이므로,
-                // 신뢰성 있는 전송 서비스에 처리를 위임합니다.
-                handlerName = 'reliableTransmitService.processAck';
-                logger.debug(`[CentralService][MessageRouter] 라우팅: ${handlerName} 호출.`);
-                await reliableTransmitService.processAck(body);
-                break;
-
-            // --- 그 외 정의되지 않은 메시지 ---
-            default:
-                logger.warn(`🔔 [CentralService][MessageRouter] 알 수 없는 Message ID를 수신했습니다: 0x${messageIdHex}`);
-                break;
+        const registration = registry.get(messageId);
 
+        // --- 정의되지 않은 메시지 ---
+        if (!registration) {
+            await _applyPolicy(UNKNOWN_MESSAGE_POLICY, `알 수 없는 Message ID 수신: 0x${messageIdHex}`, message);
+            return;
         }
 
-        logger.debug(`✅ [CentralService][MessageRouter] 메시지 처리 완료 (ID: 0x${messageIdHex}, Handler: ${handlerName}).`);
+        // --- 인증 전에 수신된 메시지 ---
+        if (registration.requiresAuth && !sessionManager.isAuthenticated()) {
+            await _applyPolicy(UNAUTHENTICATED_MESSAGE_POLICY, `인증 전 메시지 수신: 0x${messageIdHex} (${registration.name})`, message);
+            return;
+        }
+
+        const context = { message, header, body, messageId, messageIdHex, registration, receivedAt: Date.now() };
+        await _runPipeline(context);
+
+        logger.debug(`✅ [CentralService][MessageRouter] 메시지 처리 완료 (ID: 0x${messageIdHex}, Handler: ${registration.name}).`);
 
     } catch (err) {
-        
+
         logger.error(`🚨 [CentralService][MessageRouter] 메시지 처리 오류 (ID: 0x${messageIdHex}): ${err.message}`);
 
-    }    
+    }
+
+}
+
+/**
+ * 모니터링용 핸들러 등록 현황을 반환합니다.
+ * @returns {Array<{messageId: string, name: string, requiresAuth: boolean, responseId: string | null}>}
+ */
+function getRegistrations() {
+    return [...registry.values()].map(({ messageId, name, requiresAuth, responseId }) => ({
+        messageId: `0x${_toHex(messageId)}`,
+        name,
+        requiresAuth,
+        responseId: responseId === null ? null : `0x${_toHex(responseId)}`,
+    }));
+}
 
+for (const [key, policy] of Object.entries({ UNKNOWN_MESSAGE_POLICY, UNAUTHENTICATED_MESSAGE_POLICY })) {
+    if (!POLICIES.includes(policy)) {
+        throw new Error(`알 수 없는 메시지 처리 정책 (${key}: ${policy}). 허용값: ${POLICIES.join(', ')}`);
+    }
 }
 
 module.exports = {
+    register,
+    use,
     route,
-};
\ No newline at end of file
+    getRegistrations,
+};
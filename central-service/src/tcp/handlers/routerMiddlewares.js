@@ -0,0 +1,94 @@
+/**
+ * @file routerMiddlewares.js
+ * @description messageRouter에서 사용하는 공통 미들웨어(로깅, 통계, 유효성 검사)입니다.
+ * 각 미들웨어는 (context, next) 형태이며, next()를 호출하여 다음 단계로 진행합니다.
+ */
+
+const config = require('../../config');
+const logger = require('../../core/utils/logger');
+
+const { DATA_FORMAT } = config.tcp.protocol.HEADER;
+
+// 핸들러 이름 -> 처리 통계
+const metrics = new Map();
+
+/**
+ * 메시지 처리 시작/종료와 소요 시간을 로그로 남깁니다.
+ * @param {object} context - 라우팅 컨텍스트
+ * @param {function(): Promise<void>} next
+ */
+async function logging(context, next) {
+
+    const { messageIdHex, registration } = context;
+    const expected = registration.responseId !== null ? `, 응답: 0x${registration.responseId.toString(16)}` : '';
+
+    logger.debug(`🚀 [CentralService][MessageRouter] 처리 시작 (ID: 0x${messageIdHex}, Handler: ${registration.name}${expected}).`);
+    await next();
+    logger.debug(`✅ [CentralService][MessageRouter] 처리 종료 (ID: 0x${messageIdHex}, Handler: ${registration.name}, ${Date.now() - context.receivedAt}ms).`);
+
+}
+
+/**
+ * 핸들러별 수신/성공/실패 건수와 처리 시간을 집계합니다.
+ * @param {object} context - 라우팅 컨텍스트
+ * @param {function(): Promise<void>} next
+ */
+async function collectMetrics(context, next) {
+
+    const { name } = context.registration;
+
+    if (!metrics.has(name)) {
+        metrics.set(name, { received: 0, succeeded: 0, failed: 0, totalDurationMs: 0, lastReceivedAt: null });
+    }
+
+    const stat = metrics.get(name);
+    stat.received++;
+    stat.lastReceivedAt = new Date(context.receivedAt);
+
+    try {
+        await next();
+        stat.succeeded++;
+    } catch (err) {
+        stat.failed++;
+        throw err;
+    } finally {
+        stat.totalDurationMs += Date.now() - context.receivedAt;
+    }
+
+}
+
+/**
+ * 헤더의 Data Format이 XML인지, 바디가 비어 있지 않은지 검사합니다.
+ * 검사에 실패하면 핸들러를 호출하지 않고 오류를 발생시킵니다.
+ * @param {object} context - 라우팅 컨텍스트
+ * @param {function(): Promise<void>} next
+ */
+async function validate(context, next) {
+
+    const { header, body, messageIdHex } = context;
+
+    if (header.dataFormat !== DATA_FORMAT) {
+        throw new Error(`지원하지 않는 Data Format: ${header.dataFormat} (ID: 0x${messageIdHex}, 기대값: ${DATA_FORMAT})`);
+    }
+    if (!body || body.length === 0) {
+        throw new Error(`메시지 바디 누락 (ID: 0x${messageIdHex})`);
+    }
+
+    await next();
+
+}
+
+/**
+ * 모니터링용 핸들러별 처리 통계를 반환합니다.
+ * @returns {Object<string, object>} 핸들러 이름 -> 통계
+ */
+function getMetrics() {
+    return Object.fromEntries([...metrics.entries()].map(([name, stat]) => [name, { ...stat }]));
+}
+
+module.exports = {
+    logging,
+    collectMetrics,
+    validate,
+    getMetrics,
+};
@@ -2,6 +2,8 @@
  * @file protocolParser.js
  * @description 중앙 시스템과의 TCP 데이터 스트림을 설계서의 프로토콜에 따라
  * 완전한 메시지 다위로 파싱하는 Transform 스트림입니다.
+ * 헤더 오류(Magic Number 불일치, Data Length 초과) 발생 시 버퍼를 모두 버리지 않고,
+ * 다음 유효한 Magic Number 위치를 찾아 재동기화(Resync)하며 버려진 바이트는 'corruption' 이벤트로 전달합니다.
  */
 
 const { Transform } = require('stream');
@@ -14,6 +16,13 @@ const HEADER_LENGTH = config.tcp.protocol.HEADER.HEADER_LENGTH;
 const MAGIC_NUMBER = config.tcp.protocol.HEADER.MAGIC_NUMBER;
 // DoS 공격 방지를 위한 최대 바디 길이
 const MAX_BODY_LENGTH = config.tcp.protocol.MAX_BODY_LENGTH;
+// 격리(Quarantine) 보관할 손상 바이트의 최대 크기
+const QUARANTINE_MAX_BYTES = config.tcp.protocol.QUARANTINE_MAX_BYTES;
+// 헤더 내 Magic Number 위치 (MessageID 4바이트 + DataFormat 4바이트 다음)
+const MAGIC_NUMBER_OFFSET = 8;
+// Magic Number 탐색용 바이트 패턴
+const MAGIC_NUMBER_BYTES = Buffer.alloc(4);
+MAGIC_NUMBER_BYTES.writeUInt32BE(MAGIC_NUMBER >>> 0);
 
 class ProtocolParser extends Transform {
 
@@ -21,10 +30,15 @@ class ProtocolParser extends Transform {
     buffer = Buffer.alloc(0);
     // 현재 읽어야 할 데이터의 길이 (초기값은 헤더 길이)
     neededLength = HEADER_LENGTH;
-    // 현재 파싱 상태 ('HEADER' 또는 'BODY')
+    // 현재 파싱 상태 ('HEADER', 'BODY' 또는 'RESYNC')
     parsingState = 'HEADER';
     // 파싱된 헤더 정보를 임시 저장할 객체
     header = null;
+    // 재동기화 중 버려진 바이트 (다음 프레임 경계를 찾으면 'corruption' 이벤트로 전달)
+    quarantine = null;
+    // 이 파서(연결)에서 발생한 손상 구간 수와 버려진 총 바이트 수
+    corruptionCount = 0;
+    discardedBytes = 0;
 
     constructor(options) {
         
@@ -58,20 +72,35 @@ class ProtocolParser extends Transform {
 
                     this._parseHeader();
 
+                    // 재동기화 후 첫 헤더가 정상이면 손상 구간이 끝난 것으로 봅니다.
+                    if (this.quarantine) {
+                        logger.info(`✅ [CentralService][Parser] 재동기화 완료 (버린 바이트: ${this.quarantine.length} bytes).`);
+                        this._emitCorruption();
+                    }
+
                 } else if (this.parsingState === 'BODY') {
 
                     this._parseBody();
 
+                } else if (this.parsingState === 'RESYNC') {
+
+                    // 이전 청크에서 프레임 경계를 찾지 못했다면 이어서 탐색합니다.
+                    // 여전히 찾지 못했다면 다음 데이터 청크를 기다립니다.
+                    if (!this._resync(0)) {
+                        break;
+                    }
+
                 }
 
             } catch (err) {
 
-                // 파싱 오류(Macgic Number, Data Length 초과) 발생 시 초기화
-                this._resetParserState();
-                
-                // 버퍼가 비워졌으므로 현재 while 루프를 중단하고
-                // 다음 데이터 청크를 기다립니다.
-                break;
+                // 파싱 오류(Magic Number, Data Length 초과) 발생 시
+                // 현재 위치의 1바이트 뒤부터 다음 프레임 경계를 탐색합니다.
+                this._startResync(err.message);
+
+                if (!this._resync(1)) {
+                    break;
+                }
 
             }
             
@@ -180,14 +209,118 @@ class ProtocolParser extends Transform {
     }
 
     /**
-     * 파서의 상태를 초기화하고 버퍼를 비웁니다.
+     * 손상 구간의 시작을 기록하고 재동기화 상태로 전환합니다.
+     * @param {string} reason - 손상 감지 사유 (헤더 오류 메시지)
      */
-    _resetParserState() {
-        logger.warn(`🚨 [CentralService][Parser] 프로토콜 오류 감지. 파서의 상태 초기화 및 버퍼 비움.`);
-        this.buffer = Buffer.alloc(0);
+    _startResync(reason) {
+
+        // 재동기화 도중 다시 오류가 난 경우(잘못된 후보 경계)는 같은 손상 구간으로 봅니다.
+        if (!this.quarantine) {
+            this.corruptionCount++;
+            this.quarantine = { reason, chunks: [], storedLength: 0, length: 0 };
+            logger.warn(`🚨 [CentralService][Parser] 프로토콜 오류 감지 (누적 ${this.corruptionCount}회). 다음 프레임 경계 탐색 시작.`);
+        }
+
         this.header = null;
         this.neededLength = HEADER_LENGTH;
-        this.parsingState = 'HEADER';
+        this.parsingState = 'RESYNC';
+
+    }
+
+    /**
+     * 버퍼에서 다음 유효한 Magic Number 위치를 찾아 그 앞의 바이트를 격리하고 버립니다.
+     * @param {number} startOffset - 프레임 시작 후보를 탐색할 시작 위치
+     * @returns {boolean} 프레임 경계 후보를 찾아 HEADER 상태로 복귀했는지 여부
+     */
+    _resync(startOffset) {
+
+        const magicIndex = this.buffer.indexOf(MAGIC_NUMBER_BYTES, startOffset + MAGIC_NUMBER_OFFSET);
+
+        if (magicIndex !== -1) {
+
+            this._discard(magicIndex - MAGIC_NUMBER_OFFSET);
+            this.parsingState = 'HEADER';
+            logger.debug('[CentralService][Parser] 프레임 경계 후보 발견. 헤더 파싱 재시도.');
+            return true;
+
+        }
+
+        // 아직 Magic Number가 다 도착하지 않았을 수 있는 마지막 부분은 남겨 두고 나머지를 버립니다.
+        const keepLength = MAGIC_NUMBER_OFFSET + MAGIC_NUMBER_BYTES.length - 1;
+        this._discard(Math.max(startOffset, this.buffer.length - keepLength));
+        return false;
+
+    }
+
+    /**
+     * 버퍼 앞부분을 격리 영역으로 옮기고 버립니다.
+     * @param {number} length - 버릴 바이트 수
+     */
+    _discard(length) {
+
+        if (length <= 0) {
+            return;
+        }
+
+        const discarded = this.buffer.subarray(0, length);
+        const storable = Math.min(discarded.length, QUARANTINE_MAX_BYTES - this.quarantine.storedLength);
+
+        if (storable > 0) {
+            // 원본 버퍼가 해제될 수 있도록 복사해서 보관합니다.
+            this.quarantine.chunks.push(Buffer.from(discarded.subarray(0, storable)));
+            this.quarantine.storedLength += storable;
+        }
+
+        this.quarantine.length += length;
+        this.discardedBytes += length;
+        this.buffer = this.buffer.subarray(length);
+        logger.debug(`[CentralService][Parser] 손상 데이터 ${length} bytes 버림.`);
+
+    }
+
+    /**
+     * 현재 손상 구간을 'corruption' 이벤트로 전달하고 격리 영역을 비웁니다.
+     */
+    _emitCorruption() {
+
+        if (!this.quarantine) {
+            return;
+        }
+
+        const { reason, chunks, length } = this.quarantine;
+        this.quarantine = null;
+
+        this.emit('corruption', {
+            reason,
+            data: Buffer.concat(chunks),
+            discardedLength: length,
+            corruptionCount: this.corruptionCount,
+        });
+
+    }
+
+    /**
+     * 재동기화 중에 연결이 종료된 경우, 지금까지 버려진 바이트를 전달합니다.
+     */
+    flushQuarantine() {
+
+        if (this.parsingState === 'RESYNC' && this.buffer.length > 0) {
+            this._discard(this.buffer.length);
+        }
+        this._emitCorruption();
+
+    }
+
+    /**
+     * 이 파서(연결)의 손상 통계를 반환합니다.
+     * @returns {{corruptionCount: number, discardedBytes: number, isResyncing: boolean}}
+     */
+    getStats() {
+        return {
+            corruptionCount: this.corruptionCount,
+            discardedBytes: this.discardedBytes,
+            isResyncing: this.parsingState === 'RESYNC',
+        };
     }
 
 }
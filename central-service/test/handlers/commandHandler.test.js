@@ -0,0 +1,136 @@
+/**
+ * @file commandHandler.test.js
+ * @description 단말장치 제원정보 재동기화(cmd: deviceInfoResync)가 보고 메시지의 발신 ID와 겹치지 않는 발신 ID로 기록되고,
+ * 발신 ID가 겹치면 새 발신 ID로 다시 기록하며, 파트로 나누어 기록하다 실패하면 부모 보고와 파트를 모두 남기지 않는지 검증합니다.
+ * DB는 트랜잭션(BEGIN/COMMIT/ROLLBACK)에 따라 기록을 확정하거나 버리는 테스트용 클라이언트로 대체하여 시험합니다.
+ */
+
+// 설정 모듈을 불러오기 전에 프로토콜 값을 지정합니다.
+process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER = process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER || '0xF020190F';
+process.env.CENTRAL_SYSTEM_SENDER_ID = process.env.CENTRAL_SYSTEM_SENDER_ID || 'mmdip@mois.go.kr';
+process.env.CENTRAL_AUTH_ID = process.env.CENTRAL_AUTH_ID || 'test-dest';
+// 파트 분할을 시험하기 위해 파트당 단말장치 수를 줄입니다.
+process.env.CENTRAL_DEVICE_REPORT_MAX_DEVICES = '2';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../../src/core/repositories/pool');
+const reportTransmitLogRepository = require('../../src/core/repositories/reportTransmitLogRepository');
+const sessionManager = require('../../src/core/utils/sessionManager');
+const { handleSessionRequest } = require('../../src/tcp/handlers/commandHandler');
+
+const RESYNC_REQUEST = Buffer.from('<data><cmd>deviceInfoResync</cmd></data>');
+
+/**
+ * 트랜잭션 단위로 INSERT를 확정(COMMIT)하거나 버리는(ROLLBACK) 테스트용 DB를 만듭니다.
+ * @param {function(string): Error | null} [failInsert] - 발신 ID를 받아 INSERT를 실패시킬 오류를 반환하는 함수
+ * @returns {{committed: string[], attempted: string[], client: object}} 확정된 발신 ID 목록, INSERT를 시도한 발신 ID 목록과 클라이언트
+ */
+function createFakeDatabase(failInsert = () => null) {
+    const database = { committed: [], pending: [], attempted: [] };
+    database.client = {
+        query: async (text, values = []) => {
+            const statement = text.trim();
+            if (statement === 'BEGIN' || statement === 'ROLLBACK') {
+                database.pending = [];
+            } else if (statement === 'COMMIT') {
+                database.committed.push(...database.pending);
+                database.pending = [];
+            } else {
+                const outboundId = values[2];
+                database.attempted.push(outboundId);
+                const err = failInsert(outboundId);
+                if (err) {
+                    throw err;
+                }
+                database.pending.push(outboundId);
+            }
+            return { rows: [{ id: database.committed.length + database.pending.length }] };
+        },
+        release: () => {},
+    };
+    return database;
+}
+
+/**
+ * 유일 제약 조건 위반 오류를 만듭니다.
+ * @returns {Error}
+ */
+function uniqueViolation() {
+    return Object.assign(new Error('duplicate key value violates unique constraint "report_transmit_logs_outbound_id_key"'), { code: '23505' });
+}
+
+/**
+ * 마지막으로 보낸 세션 체크 응답의 resultCode를 구합니다.
+ * @returns {string | undefined}
+ */
+function lastResultCode() {
+    const [messageBuffer] = sessionManager.send.mock.calls.at(-1).arguments;
+    return messageBuffer.toString('utf-8').match(/<resultCode>(\d+)<\/resultCode>/)?.[1];
+}
+
+describe('commandHandler deviceInfoResync', () => {
+
+    beforeEach(() => {
+        mock.method(sessionManager, 'send', () => true);
+        mock.method(reportTransmitLogRepository, 'findLatestByType', async () => [
+            { mq_receive_log_id: 1, external_system_name: 'SYSTEM_A', raw_message: { deviceList: [{ deviceId: 'A1' }] } },
+            { mq_receive_log_id: 2, external_system_name: 'SYSTEM_B', raw_message: { deviceList: [{ deviceId: 'B1' }] } },
+        ]);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('재동기화 발신 ID는 보고 메시지의 발신 ID와 구분되는 순번을 붙여 기록한다', async () => {
+        const database = createFakeDatabase();
+        mock.method(pool, 'getClient', async () => database.client);
+
+        await handleSessionRequest(RESYNC_REQUEST);
+
+        assert.equal(lastResultCode(), '200');
+        assert.equal(database.committed.length, 2);
+        assert.match(database.committed[0], /^KR\.test-dest_\d+_RS1$/);
+        assert.match(database.committed[1], /^KR\.test-dest_\d+_RS2$/);
+    });
+
+    it('발신 ID가 이미 있으면 새 발신 ID로 다시 기록한다', async () => {
+        let attempts = 0;
+        const database = createFakeDatabase(() => (++attempts === 1 ? uniqueViolation() : null));
+        mock.method(pool, 'getClient', async () => database.client);
+
+        await handleSessionRequest(RESYNC_REQUEST);
+
+        assert.equal(lastResultCode(), '200');
+        assert.equal(attempts, 3);
+        assert.equal(database.committed.length, 2);
+    });
+
+    it('발신 ID 중복이 계속되면 재시도를 멈추고 오류로 응답한다', async () => {
+        const database = createFakeDatabase(() => uniqueViolation());
+        mock.method(pool, 'getClient', async () => database.client);
+
+        await handleSessionRequest(RESYNC_REQUEST);
+
+        assert.equal(lastResultCode(), '500');
+        assert.deepEqual(database.committed, []);
+    });
+
+    it('파트로 나누어 기록하다 실패하면 부모 보고와 앞선 파트를 모두 남기지 않는다', async () => {
+        mock.method(reportTransmitLogRepository, 'findLatestByType', async () => [{
+            mq_receive_log_id: 3,
+            external_system_name: 'SYSTEM_C',
+            raw_message: { deviceList: ['C1', 'C2', 'C3', 'C4', 'C5'].map((deviceId) => ({ deviceId })) },
+        }]);
+        const database = createFakeDatabase((outboundId) => (outboundId.endsWith('_P2') ? new Error('DB 오류') : null));
+        mock.method(pool, 'getClient', async () => database.client);
+
+        await handleSessionRequest(RESYNC_REQUEST);
+
+        assert.equal(lastResultCode(), '500');
+        assert.deepEqual(database.attempted.map((outboundId) => outboundId.replace(/^.*_RS1/, 'RS1')), ['RS1', 'RS1_P1', 'RS1_P2']);
+        assert.deepEqual(database.committed, []);
+    });
+
+});
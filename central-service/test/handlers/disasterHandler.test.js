@@ -0,0 +1,149 @@
+/**
+ * @file disasterHandler.test.js
+ * @description 같은 CAP identifier로 재전송된 재난 정보의 중복 판정이 전자서명/유효성/프로파일 검사 뒤에
+ * 트랜잭션 안에서 수행되고, 같은 내용의 재전송은 발행 로그를 바꾸지 않고 수신 확인(ACK)으로 응답하는지 검증합니다. DB 접근은 저장소(repository) 함수와 클라이언트를 대체하여 시험합니다.
+ */
+
+// 설정 모듈을 불러오기 전에 프로토콜 값을 지정합니다.
+process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER = process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER || '0xF020190F';
+process.env.CENTRAL_SYSTEM_SENDER_ID = process.env.CENTRAL_SYSTEM_SENDER_ID || 'mmdip@mois.go.kr';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../../src/core/repositories/pool');
+const tcpReceiveLogRepository = require('../../src/core/repositories/tcpReceiveLogRepository');
+const disasterPublishLogRepository = require('../../src/core/repositories/disasterPublishLogRepository');
+const disasterRedeliveryLogRepository = require('../../src/core/repositories/disasterRedeliveryLogRepository');
+const sequenceTrackingService = require('../../src/core/services/sequenceTrackingService');
+const capSignatureService = require('../../src/core/services/capSignatureService');
+const eventCodeCatalogService = require('../../src/core/services/eventCodeCatalogService');
+const capValidator = require('../../src/core/utils/capValidator');
+const sessionManager = require('../../src/core/utils/sessionManager');
+const { handleDisasterInfo } = require('../../src/tcp/handlers/disasterHandler');
+
+const TCP_RECEIVE_LOG_ID = 20;
+
+/**
+ * 테스트용 재난 정보 메시지(ETS_NFY_DIS_INFO 본문)를 만듭니다.
+ * @returns {Buffer}
+ */
+function buildMessageBody() {
+    return Buffer.from(`
+        <data>
+            <transMsgId>MSG_2</transMsgId>
+            <transMsgSeq>2</transMsgSeq>
+            <capInfo>
+                <alert>
+                    <identifier>KR.TEST.1</identifier>
+                    <sender>mmdip@mois.go.kr</sender>
+                    <sent>2026-10-19T15:00:00+09:00</sent>
+                    <status>Actual</status>
+                    <msgType>Alert</msgType>
+                    <scope>Public</scope>
+                    <info>
+                        <event>호우경보</event>
+                        <eventCode><valueName>KR.eventCode</valueName><value>HRW</value></eventCode>
+                    </info>
+                </alert>
+            </capInfo>
+        </data>
+    `);
+}
+
+describe('disasterHandler.handleDisasterInfo CAP identifier 중복 판정', () => {
+
+    let queries;
+
+    beforeEach(() => {
+        queries = [];
+        const client = {
+            query: async (text) => {
+                queries.push(text);
+                return { rows: [] };
+            },
+            release: () => {},
+        };
+        mock.method(pool, 'getClient', async () => client);
+        mock.method(tcpReceiveLogRepository, 'isDuplicate', async () => false);
+        mock.method(tcpReceiveLogRepository, 'create', async () => TCP_RECEIVE_LOG_ID);
+        mock.method(tcpReceiveLogRepository, 'updateStatus', async () => {});
+        mock.method(tcpReceiveLogRepository, 'updateSequenceStatus', async () => {});
+        mock.method(sequenceTrackingService, 'track', async () => 'IN_ORDER');
+        mock.method(capSignatureService, 'verifyAlertSignature', () => ({ status: capSignatureService.SIGNATURE_STATUS.NOT_CHECKED, detail: null }));
+        mock.method(eventCodeCatalogService, 'findInactiveCodes', async () => []);
+        mock.method(disasterRedeliveryLogRepository, 'create', async () => {});
+        mock.method(disasterPublishLogRepository, 'create', async () => assert.fail('중복 재전송으로 발행 로그를 생성함'));
+        mock.method(disasterPublishLogRepository, 'republish', async () => assert.fail('중복 재전송으로 발행 로그를 재발행함'));
+        mock.method(sessionManager, 'send', () => {});
+        // 같은 identifier, 같은 내용의 원본 재난 정보가 이미 있습니다.
+        mock.method(disasterPublishLogRepository, 'findByIdentifier', async () => ({
+            id: 1,
+            tcp_receive_log_id: 10,
+            raw_message: { capInfo: { alert: {
+                identifier: 'KR.TEST.1',
+                sender: 'mmdip@mois.go.kr',
+                sent: '2026-10-19T15:00:00+09:00',
+                status: 'Actual',
+                msgType: 'Alert',
+                scope: 'Public',
+                info: { event: '호우경보', eventCode: { valueName: 'KR.eventCode', value: 'HRW' } },
+            } } },
+        }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('유효성 검사에 실패한 재전송은 중복 이력을 남기지 않고 유효성 오류로 처리한다', async () => {
+        mock.method(capValidator, 'validateAlert', () => ['info.category 누락']);
+
+        await handleDisasterInfo(buildMessageBody());
+
+        assert.equal(disasterPublishLogRepository.findByIdentifier.mock.callCount(), 0);
+        assert.equal(disasterRedeliveryLogRepository.create.mock.callCount(), 0);
+        // 롤백된 시퀀스 판정은 실패 기록과 같은 트랜잭션에서 다시 기록합니다.
+        assert.deepEqual(queries, ['BEGIN', 'ROLLBACK', 'BEGIN', 'COMMIT']);
+        assert.equal(sequenceTrackingService.track.mock.callCount(), 2);
+        const [logId, status, message] = tcpReceiveLogRepository.updateStatus.mock.calls.at(-1).arguments;
+        assert.deepEqual([logId, status], [TCP_RECEIVE_LOG_ID, 'FAILED']);
+        assert.match(message, /유효성 위반/);
+    });
+
+    it('검사를 통과한 같은 내용의 재전송은 발행 로그를 바꾸지 않고 TCP 인박스 SUCCESS로 커밋한 뒤 수신 확인으로 응답한다', async () => {
+        mock.method(capValidator, 'validateAlert', () => []);
+
+        await handleDisasterInfo(buildMessageBody());
+
+        const [{ arguments: [logData, client] }] = disasterRedeliveryLogRepository.create.mock.calls;
+        assert.equal(logData.decision, 'DUPLICATE');
+        assert.equal(logData.tcpReceiveLogId, TCP_RECEIVE_LOG_ID);
+        assert.ok(client, '트랜잭션 클라이언트로 기록해야 함');
+        assert.deepEqual(queries, ['BEGIN', 'COMMIT']);
+        assert.equal(tcpReceiveLogRepository.updateStatus.mock.callCount(), 1);
+        const [logId, status, message] = tcpReceiveLogRepository.updateStatus.mock.calls[0].arguments;
+        assert.deepEqual([logId, status, message], [TCP_RECEIVE_LOG_ID, 'SUCCESS', null]);
+        assert.equal(sessionManager.send.mock.callCount(), 1);
+        const ack = sessionManager.send.mock.calls[0].arguments[0].toString();
+        assert.match(ack, /<resultCode>200<\/resultCode>/);
+        assert.match(ack, /<note>300\|메시지 중복 확인/);
+    });
+
+    it('내용이 바뀐 재전송은 reject 정책에서 TCP 인박스 FAILED로 커밋한 뒤 중복 오류로 응답한다', async () => {
+        mock.method(capValidator, 'validateAlert', () => []);
+        const original = await disasterPublishLogRepository.findByIdentifier();
+        original.raw_message.capInfo.alert.sent = '2026-10-19T14:00:00+09:00';
+        mock.method(disasterPublishLogRepository, 'findByIdentifier', async () => original);
+
+        await handleDisasterInfo(buildMessageBody());
+
+        assert.equal(disasterRedeliveryLogRepository.create.mock.calls[0].arguments[0].sentChanged, true);
+        assert.deepEqual(queries, ['BEGIN', 'COMMIT']);
+        const [logId, status, message] = tcpReceiveLogRepository.updateStatus.mock.calls.at(-1).arguments;
+        assert.deepEqual([logId, status], [TCP_RECEIVE_LOG_ID, 'FAILED']);
+        assert.match(message, /CAP identifier 중복/);
+        assert.equal(sessionManager.send.mock.callCount(), 1);
+        assert.match(sessionManager.send.mock.calls[0].arguments[0].toString(), /<resultCode>400<\/resultCode>/);
+    });
+
+});
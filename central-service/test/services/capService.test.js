@@ -0,0 +1,75 @@
+/**
+ * @file capService.test.js
+ * @description 재난 정보 첨부 파일 내용(derefUri)을 내용 해시로 바꾸어 기록하고, 발행할 때 되돌리는 과정을 검증합니다.
+ */
+
+// 설정 모듈을 불러오기 전에 프로토콜 값을 지정합니다.
+process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER = process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER || '0xF020190F';
+process.env.CENTRAL_SYSTEM_SENDER_ID = process.env.CENTRAL_SYSTEM_SENDER_ID || 'mmdip@mois.go.kr';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const capService = require('../../src/core/services/capService');
+
+const CONTENT = Buffer.from('재난 정보 첨부 파일');
+const CONTENT_HASH = crypto.createHash('sha256').update(CONTENT).digest('hex');
+
+/**
+ * 첨부 파일이 있는 테스트용 외부 XML 래퍼 파싱 결과를 만듭니다.
+ * @returns {object}
+ */
+function buildReceivedData() {
+    return {
+        transMsgId: 'MSG_1',
+        transMsgSeq: '1',
+        capInfo: {
+            alert: {
+                identifier: 'KR.TEST.1',
+                sent: '2026-10-19T15:00:00+09:00',
+                info: {
+                    event: '호우경보',
+                    resource: [
+                        { resourceDesc: '대피 안내', mimeType: 'text/plain', derefUri: CONTENT.toString('base64') },
+                        { resourceDesc: '지도', mimeType: 'image/png', uri: 'https://www.safekorea.go.kr/map.png' },
+                    ],
+                },
+            },
+        },
+    };
+}
+
+describe('capService 첨부 파일 내용(derefUri)', () => {
+
+    it('첨부 파일 내용을 내용 해시로 바꾸고 원본은 바꾸지 않는다', () => {
+        const receivedData = buildReceivedData();
+
+        const { data, contents } = capService.extractResourceContents(receivedData);
+
+        const [embedded, remote] = data.capInfo.alert.info.resource;
+        assert.equal(embedded.derefUri, undefined);
+        assert.equal(embedded.derefUriHash, CONTENT_HASH);
+        assert.equal(remote.derefUriHash, undefined);
+        assert.deepEqual(contents, new Map([[CONTENT_HASH, CONTENT]]));
+        assert.equal(receivedData.capInfo.alert.info.resource[0].derefUri, CONTENT.toString('base64'));
+        assert.deepEqual(capService.getResourceContentHashes(data.capInfo.alert), [CONTENT_HASH]);
+    });
+
+    it('보관된 내용으로 첨부 파일 내용을 되돌리고, 내용이 없으면 설명 정보만 남긴다', () => {
+        const { data, contents } = capService.extractResourceContents(buildReceivedData());
+
+        const restored = capService.restoreResourceContents(data, contents);
+        const withoutContent = capService.restoreResourceContents(data, new Map());
+
+        assert.deepEqual(restored, buildReceivedData());
+        assert.deepEqual(withoutContent.capInfo.alert.info.resource[0], { resourceDesc: '대피 안내', mimeType: 'text/plain' });
+    });
+
+    it('본문 지문은 첨부 파일 내용을 내용 해시로 바꾼 기록과 같다', () => {
+        const receivedData = buildReceivedData();
+        const { data } = capService.extractResourceContents(receivedData);
+
+        assert.equal(capService.getBodyFingerprint(receivedData.capInfo.alert), capService.getBodyFingerprint(data.capInfo.alert));
+    });
+
+});
@@ -0,0 +1,44 @@
+/**
+ * @file capSignatureService.test.js
+ * @description 전자서명 검증 정책(CENTRAL_CAP_SIGNATURE_MODE)이 허용값(off, flag, reject)이 아니면 시작 시 오류가 발생하는지 검증합니다.
+ */
+
+// 설정 모듈을 불러오기 전에 프로토콜 값을 지정합니다.
+process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER = process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER || '0xF020190F';
+process.env.CENTRAL_SYSTEM_SENDER_ID = process.env.CENTRAL_SYSTEM_SENDER_ID || 'mmdip@mois.go.kr';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CONFIG_PATH = require.resolve('../../src/config');
+const SERVICE_PATH = require.resolve('../../src/core/services/capSignatureService');
+
+/**
+ * 지정한 검증 정책으로 설정과 전자서명 서비스 모듈을 다시 불러옵니다.
+ * @param {string} mode - CENTRAL_CAP_SIGNATURE_MODE 값
+ * @returns {object} capSignatureService
+ */
+function loadWithMode(mode) {
+    process.env.CENTRAL_CAP_SIGNATURE_MODE = mode;
+    delete require.cache[CONFIG_PATH];
+    delete require.cache[SERVICE_PATH];
+    return require(SERVICE_PATH);
+}
+
+describe('capSignatureService 검증 정책', () => {
+
+    afterEach(() => {
+        delete process.env.CENTRAL_CAP_SIGNATURE_MODE;
+    });
+
+    it('허용값이면 정상적으로 불러온다', () => {
+        for (const mode of ['off', 'flag', 'reject']) {
+            assert.equal(typeof loadWithMode(mode).verifyAlertSignature, 'function');
+        }
+    });
+
+    it('허용값이 아니면 불러올 때 오류가 발생한다', () => {
+        assert.throws(() => loadWithMode('Reject'), /알 수 없는 전자서명 검증 정책 \(CENTRAL_CAP_SIGNATURE_MODE: Reject\)/);
+    });
+
+});
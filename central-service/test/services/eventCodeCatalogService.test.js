@@ -0,0 +1,39 @@
+/**
+ * @file eventCodeCatalogService.test.js
+ * @description 재난 정보의 Event Code 검사가 모든 코드를 트랜잭션 클라이언트로 한 번에 조회하는지 검증합니다.
+ */
+
+// 설정 모듈을 불러오기 전에 프로토콜 값을 지정합니다.
+process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER = process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER || '0xF020190F';
+process.env.CENTRAL_SYSTEM_SENDER_ID = process.env.CENTRAL_SYSTEM_SENDER_ID || 'mmdip@mois.go.kr';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const eventCodeCatalogService = require('../../src/core/services/eventCodeCatalogService');
+
+describe('eventCodeCatalogService.findInactiveCodes', () => {
+
+    it('모든 코드를 트랜잭션 클라이언트로 한 번에 조회하고 활성 코드가 아닌 코드를 입력 순서대로 반환한다', async () => {
+        const queries = [];
+        const client = {
+            query: async (text, values) => {
+                queries.push({ text, values });
+                return { rows: [{ code: 'HRW' }, { code: 'EQW' }] };
+            },
+        };
+
+        const inactiveCodes = await eventCodeCatalogService.findInactiveCodes(['HRW', 'XXX', 'EQW', 'YYY'], client);
+
+        assert.deepEqual(inactiveCodes, ['XXX', 'YYY']);
+        assert.equal(queries.length, 1);
+        assert.match(queries[0].text, /code = ANY\(\$1\)/);
+        assert.deepEqual(queries[0].values, [['HRW', 'XXX', 'EQW', 'YYY']]);
+    });
+
+    it('확인할 코드가 없으면 조회하지 않는다', async () => {
+        const client = { query: async () => assert.fail('코드 없이 조회함') };
+
+        assert.deepEqual(await eventCodeCatalogService.findInactiveCodes([], client), []);
+    });
+
+});
@@ -0,0 +1,59 @@
+/**
+ * @file sequenceTrackingService.test.js
+ * @description 시퀀스 판정 기록이 호출한 쪽의 트랜잭션 안에서(세이브포인트) 수행되고,
+ * 판정 오류는 세이브포인트까지만 롤백하여 바깥 트랜잭션을 유지하는지 검증합니다.
+ */
+
+// 설정 모듈을 불러오기 전에 프로토콜 값을 지정합니다.
+process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER = process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER || '0xF020190F';
+process.env.CENTRAL_SYSTEM_SENDER_ID = process.env.CENTRAL_SYSTEM_SENDER_ID || 'mmdip@mois.go.kr';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const tcpSequenceRepository = require('../../src/core/repositories/tcpSequenceRepository');
+const sequenceTrackingService = require('../../src/core/services/sequenceTrackingService');
+
+const { SEQUENCE_STATUS } = sequenceTrackingService;
+const SENDER = 'mmdip@mois.go.kr';
+
+describe('sequenceTrackingService.track', () => {
+
+    let queries;
+    let client;
+
+    beforeEach(() => {
+        queries = [];
+        client = {
+            query: async (text) => {
+                queries.push(text);
+                return { rows: [] };
+            },
+        };
+        mock.method(tcpSequenceRepository, 'findStateForUpdate', async () => ({ sender: SENDER, last_seq: 4, last_inbound_id: 'MSG_4' }));
+        mock.method(tcpSequenceRepository, 'upsertState', async () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('전달받은 트랜잭션 클라이언트의 세이브포인트 안에서 기록한다', async () => {
+        const status = await sequenceTrackingService.track({ sender: SENDER, inboundId: 'MSG_5', inboundSeq: '5' }, client);
+
+        assert.equal(status, SEQUENCE_STATUS.IN_ORDER);
+        assert.deepEqual(queries, ['SAVEPOINT sequence_tracking', 'RELEASE SAVEPOINT sequence_tracking']);
+        assert.equal(tcpSequenceRepository.upsertState.mock.calls[0].arguments.at(-1), client);
+    });
+
+    it('판정 중 오류가 나면 세이브포인트까지만 롤백하고 null을 반환한다', async () => {
+        mock.method(tcpSequenceRepository, 'createGaps', async () => {
+            throw new Error('DB 오류');
+        });
+
+        const status = await sequenceTrackingService.track({ sender: SENDER, inboundId: 'MSG_9', inboundSeq: '9' }, client);
+
+        assert.equal(status, null);
+        assert.deepEqual(queries, ['SAVEPOINT sequence_tracking', 'ROLLBACK TO SAVEPOINT sequence_tracking']);
+    });
+
+});
@@ -0,0 +1,250 @@
+/**
+ * @file centralSimulator.test.js
+ * @description 중앙 시스템 시뮬레이터를 실제 TCP 연결로 구동하여
+ * 접속/인증(401 nonce Digest), 재난 정보 전송, 보고 응답 모드(ACK/NACK/무응답)를 검증합니다.
+ */
+
+// 설정 모듈을 불러오기 전에 프로토콜/인증 값을 지정합니다.
+process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER = process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER || '0xF020190F';
+process.env.CENTRAL_SYSTEM_SENDER_ID = process.env.CENTRAL_SYSTEM_SENDER_ID || 'mmdip@mois.go.kr';
+process.env.CENTRAL_AUTH_ID = 'test-dest';
+process.env.CENTRAL_AUTH_PASSWORD = 'test-password';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const config = require('../../src/config');
+const authService = require('../../src/core/services/authService');
+const ProtocolParser = require('../../src/tcp/protocolParser');
+const { xmlParser, buildMessageBuffer } = require('../../src/core/utils/protocolUtils');
+const CentralSimulator = require('../../simulator/centralSimulator');
+
+const MESSAGE_IDS = config.tcp.protocol.MESSAGE_IDS;
+const { DEST_ID } = config.auth;
+
+// 무응답 모드 검증 시 응답이 오지 않음을 확인하는 대기 시간 (단위: ms)
+const SILENCE_WAIT = 300;
+
+/**
+ * 시뮬레이터에 접속하는 테스트용 클라이언트를 생성합니다.
+ * 수신한 메시지는 { messageId, data } 형태로 순서대로 꺼낼 수 있습니다.
+ * @param {number} port - 시뮬레이터 포트
+ * @returns {Promise<object>} 테스트 클라이언트
+ */
+async function connectClient(port) {
+
+    const socket = net.connect(port, '127.0.0.1');
+    await once(socket, 'connect');
+
+    const received = [];
+    const waiters = [];
+    const parser = new ProtocolParser();
+    socket.pipe(parser);
+    parser.on('message', async ({ header, body }) => {
+        const parsed = body.length > 0 ? await xmlParser.parseStringPromise(body.toString('utf-8')) : {};
+        const message = { messageId: header.messageId, data: parsed?.data || {} };
+        const waiter = waiters.shift();
+        waiter ? waiter(message) : received.push(message);
+    });
+
+    return {
+        send(messageId, data) {
+            socket.write(buildMessageBuffer(messageId, { data }));
+        },
+        next(timeout = 2000) {
+            if (received.length > 0) {
+                return Promise.resolve(received.shift());
+            }
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    waiters.splice(waiters.indexOf(onMessage), 1);
+                    reject(new Error('응답 대기 시간 초과'));
+                }, timeout);
+                const onMessage = (message) => {
+                    clearTimeout(timer);
+                    resolve(message);
+                };
+                waiters.push(onMessage);
+            });
+        },
+        pending() {
+            return received.length;
+        },
+        close() {
+            socket.destroy();
+        },
+    };
+
+}
+
+/**
+ * 401 nonce를 받아 Digest 응답을 보내는 인증 절차를 수행합니다.
+ * @param {object} client - 테스트 클라이언트
+ * @returns {Promise<object>} 최종 인증 응답 데이터
+ */
+async function authenticate(client) {
+
+    client.send(MESSAGE_IDS.ETS_REQ_SYS_CON, { destId: DEST_ID });
+    const challenge = await client.next();
+    assert.equal(challenge.messageId, MESSAGE_IDS.ETS_RES_SYS_CON);
+    assert.equal(challenge.data.resultCode, '401');
+
+    const { realm, nonce } = challenge.data;
+    client.send(MESSAGE_IDS.ETS_REQ_SYS_CON, { destId: DEST_ID, realm, nonce, response: authService.calculateResponse({ realm, nonce }) });
+    return (await client.next()).data;
+
+}
+
+describe('CentralSimulator', () => {
+
+    let simulator;
+    let client;
+
+    /**
+     * 지정한 옵션으로 시뮬레이터를 시작하고 클라이언트를 접속시킵니다.
+     * @param {object} [options] - CentralSimulator 생성자 옵션
+     */
+    async function startWith(options) {
+        simulator = new CentralSimulator({ port: 0, host: '127.0.0.1', ...options });
+        const port = await simulator.start();
+        client = await connectClient(port);
+    }
+
+    beforeEach(() => {
+        simulator = null;
+        client = null;
+    });
+
+    afterEach(async () => {
+        client?.close();
+        await simulator?.stop();
+    });
+
+    describe('접속/인증', () => {
+
+        it('401 nonce 발급 후 올바른 Digest 응답에 200을 반환한다', async () => {
+            await startWith({ users: { [DEST_ID]: 'test-password' } });
+            const authenticated = once(simulator, 'authenticated');
+
+            const result = await authenticate(client);
+
+            assert.equal(result.resultCode, '200');
+            assert.deepEqual((await authenticated)[0], { destId: DEST_ID });
+        });
+
+        it('비밀번호가 다르면 400을 반환한다', async () => {
+            await startWith({ users: { [DEST_ID]: 'other-password' } });
+
+            const result = await authenticate(client);
+
+            assert.equal(result.resultCode, '400');
+        });
+
+        it('사용자 설정 없이 생성해도 등록되지 않은 destId에 404를 반환한다', async () => {
+            await startWith();
+
+            client.send(MESSAGE_IDS.ETS_REQ_SYS_CON, { destId: DEST_ID });
+            const result = await client.next();
+
+            assert.equal(result.data.resultCode, '404');
+        });
+
+    });
+
+    describe('재난 정보 전송', () => {
+
+        const alert = {
+            status: 'Actual',
+            msgType: 'Alert',
+            scope: 'Public',
+            info: { event: '호우경보', eventCode: { valueName: 'KR.eventCode', value: 'HRW' } },
+        };
+
+        it('인증된 세션으로 재난 정보를 전송하고 응답을 이벤트로 전달한다', async () => {
+            await startWith({ users: { [DEST_ID]: 'test-password' } });
+            await authenticate(client);
+
+            const pushed = simulator.pushDisaster({ ...alert, identifier: 'SIM.TEST.1' });
+            const message = await client.next();
+
+            assert.equal(message.messageId, MESSAGE_IDS.ETS_NFY_DIS_INFO);
+            assert.equal(message.data.transMsgId, pushed.transMsgId);
+            assert.equal(Number(message.data.transMsgSeq), pushed.transMsgSeq);
+            assert.equal(message.data.capInfo.alert.identifier, 'SIM.TEST.1');
+            assert.equal(message.data.capInfo.alert.info.eventCode.value, 'HRW');
+
+            const disasterAck = once(simulator, 'disasterAck');
+            client.send(MESSAGE_IDS.ETS_CNF_DIS_INFO, { resultCode: '200', result: 'OK', transMsgId: pushed.transMsgId, transMsgSeq: pushed.transMsgSeq });
+            assert.equal((await disasterAck)[0].transMsgId, pushed.transMsgId);
+        });
+
+        it('인증 후 시나리오의 재난 정보를 예약 전송한다', async () => {
+            await startWith({ users: { [DEST_ID]: 'test-password' }, disasterPushes: [{ delay: 10, alert }] });
+            await authenticate(client);
+
+            const message = await client.next();
+
+            assert.equal(message.messageId, MESSAGE_IDS.ETS_NFY_DIS_INFO);
+            assert.match(message.data.capInfo.alert.identifier, /^SIM\./);
+        });
+
+        it('인증되지 않은 세션에는 재난 정보를 전송하지 않는다', async () => {
+            await startWith({ users: { [DEST_ID]: 'test-password' } });
+
+            simulator.pushDisaster(alert);
+            await new Promise((resolve) => setTimeout(resolve, SILENCE_WAIT));
+
+            assert.equal(client.pending(), 0);
+        });
+
+    });
+
+    describe('보고 응답 모드', () => {
+
+        const report = { transMsgId: 'RPT_1', transMsgSeq: 1, capInfo: { alert: { identifier: 'RPT_1' } } };
+
+        it('ACK 모드는 200으로 응답한다', async () => {
+            await startWith({ users: { [DEST_ID]: 'test-password' } });
+            await authenticate(client);
+
+            client.send(MESSAGE_IDS.ETS_NFY_DEVICE_INFO, report);
+            const message = await client.next();
+
+            assert.equal(message.messageId, MESSAGE_IDS.ETS_CNF_DEVICE_INFO);
+            assert.equal(message.data.resultCode, '200');
+            assert.equal(message.data.transMsgId, 'RPT_1');
+        });
+
+        it('NACK 모드는 400으로 응답한다', async () => {
+            await startWith({ users: { [DEST_ID]: 'test-password' }, responses: { DEVICE_STATUS: 'NACK' } });
+            await authenticate(client);
+
+            client.send(MESSAGE_IDS.ETS_NFY_DEVICE_STS, report);
+            const message = await client.next();
+
+            assert.equal(message.messageId, MESSAGE_IDS.ETS_CNF_DEVICE_STS);
+            assert.equal(message.data.resultCode, '400');
+        });
+
+        it('무응답 모드는 보고를 받고 응답하지 않는다', async () => {
+            await startWith({ users: { [DEST_ID]: 'test-password' } });
+            await authenticate(client);
+            simulator.setResponseMode('DISASTER_RESULT', 'SILENCE');
+
+            const reported = once(simulator, 'report');
+            client.send(MESSAGE_IDS.ETS_REQ_DIS_REPORT, report);
+            const [{ type, mode }] = await reported;
+            await new Promise((resolve) => setTimeout(resolve, SILENCE_WAIT));
+
+            assert.deepEqual({ type, mode }, { type: 'DISASTER_RESULT', mode: 'SILENCE' });
+            assert.equal(client.pending(), 0);
+        });
+
+        it('알 수 없는 응답 모드는 거부한다', () => {
+            assert.throws(() => new CentralSimulator({ responses: { DEVICE_INFO: 'DROP' } }), /알 수 없는 응답 모드/);
+        });
+
+    });
+
+});
@@ -0,0 +1,133 @@
+/**
+ * @file sessionManager.test.js
+ * @description 송신 큐의 크기 제한(보고 메시지 거부, 제어 메시지 대체/폐기)과 'drain' 이후 우선순위 순서의 송신 재개를 검증합니다.
+ * 소켓은 기록한 메시지를 모으고 버퍼 가득 참(write() === false)을 흉내 내는 객체로 대체하여 시험합니다.
+ */
+
+// 설정 모듈을 불러오기 전에 프로토콜 값을 지정합니다.
+process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER = process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER || '0xF020190F';
+process.env.CENTRAL_SYSTEM_SENDER_ID = process.env.CENTRAL_SYSTEM_SENDER_ID || 'mmdip@mois.go.kr';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const config = require('../../src/config');
+const sessionManager = require('../../src/core/utils/sessionManager');
+
+const { MESSAGE_IDS } = config.tcp.protocol;
+const { MAX_SIZE, CONTROL_MAX_SIZE } = config.tcp.OUTBOUND_QUEUE;
+
+/**
+ * 기록한 메시지 ID를 모으는 테스트용 소켓을 만듭니다.
+ * isFull이 true이면 write()가 false를 반환하여 'drain' 대기 상태가 됩니다.
+ * @returns {EventEmitter & {written: number[], isFull: boolean}}
+ */
+function createFakeSocket() {
+    const socket = new EventEmitter();
+    socket.destroyed = false;
+    socket.writable = true;
+    socket.written = [];
+    socket.isFull = false;
+    socket.write = (buffer, callback) => {
+        socket.written.push(buffer.readUInt32BE(0));
+        process.nextTick(callback, null);
+        return !socket.isFull;
+    };
+    socket.destroy = () => {
+        socket.destroyed = true;
+    };
+    return socket;
+}
+
+/**
+ * 메시지 ID만 담은 테스트용 메시지 버퍼를 만듭니다.
+ * @param {number} messageId
+ * @returns {Buffer}
+ */
+function buildMessage(messageId) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeUInt32BE(messageId, 0);
+    return buffer;
+}
+
+describe('sessionManager 송신 큐', () => {
+
+    let socket;
+
+    beforeEach(() => {
+        socket = createFakeSocket();
+        sessionManager.setConnection(socket);
+        // 첫 메시지 기록 후 소켓 버퍼가 가득 차 이후 메시지는 큐에 쌓입니다.
+        socket.isFull = true;
+        sessionManager.send(buildMessage(MESSAGE_IDS.ETS_REQ_DIS_REPORT), '첫 보고');
+        socket.written = [];
+    });
+
+    afterEach(() => {
+        sessionManager.clearConnection();
+    });
+
+    it('보고 메시지가 최대 개수를 넘으면 새 메시지를 거부한다', () => {
+        for (let i = 0; i < MAX_SIZE; i++) {
+            assert.equal(sessionManager.send(buildMessage(MESSAGE_IDS.ETS_REQ_DIS_REPORT), '보고'), true);
+        }
+        const rejectedBefore = sessionManager.rejectedCount;
+        let flushError = null;
+
+        const accepted = sessionManager.send(buildMessage(MESSAGE_IDS.ETS_REQ_DIS_REPORT), '보고', (err) => { flushError = err; });
+
+        assert.equal(accepted, false);
+        assert.match(flushError.message, /송신 큐 가득 참/);
+        assert.equal(sessionManager.getQueueStatus().bulk, MAX_SIZE);
+        assert.equal(sessionManager.rejectedCount, rejectedBefore + 1);
+    });
+
+    it('대기 중인 같은 세션 체크 메시지는 최신 1건으로 대체한다', () => {
+        const errors = [];
+        for (let i = 0; i < 3; i++) {
+            sessionManager.send(buildMessage(MESSAGE_IDS.ETS_REQ_SYS_STS), '세션 체크', (err) => errors.push(err));
+        }
+        sessionManager.send(buildMessage(MESSAGE_IDS.ETS_RES_SYS_STS), '세션 체크 응답');
+
+        assert.equal(sessionManager.getQueueStatus().control, 2);
+        assert.equal(errors.length, 2);
+        errors.forEach((err) => assert.match(err.message, /대체/));
+    });
+
+    it('제어 메시지가 최대 개수를 넘으면 가장 오래된 제어 메시지를 버리고 새 메시지를 넣는다', () => {
+        let oldestError = null;
+        sessionManager.send(buildMessage(MESSAGE_IDS.ETS_CNF_DIS_INFO), '가장 오래된 응답', (err) => { oldestError = err; });
+        for (let i = 1; i < CONTROL_MAX_SIZE; i++) {
+            sessionManager.send(buildMessage(MESSAGE_IDS.ETS_CNF_DIS_INFO), '응답');
+        }
+        const droppedBefore = sessionManager.droppedControlCount;
+
+        const accepted = sessionManager.send(buildMessage(MESSAGE_IDS.ETS_CNF_DIS_INFO), '새 응답');
+
+        assert.equal(accepted, true);
+        assert.match(oldestError.message, /제어 메시지 큐 가득 참/);
+        assert.equal(sessionManager.getQueueStatus().control, CONTROL_MAX_SIZE);
+        assert.equal(sessionManager.droppedControlCount, droppedBefore + 1);
+    });
+
+    it("'drain' 이벤트 후 제어 메시지부터 순서대로 송신을 재개한다", () => {
+        sessionManager.send(buildMessage(MESSAGE_IDS.ETS_REQ_DIS_REPORT), '보고');
+        sessionManager.send(buildMessage(MESSAGE_IDS.ETS_NFY_DEVICE_STS), '상태 보고');
+        sessionManager.send(buildMessage(MESSAGE_IDS.ETS_CNF_DIS_INFO), '재난 정보 응답');
+        sessionManager.send(buildMessage(MESSAGE_IDS.ETS_REQ_SYS_STS), '세션 체크');
+        assert.deepEqual(socket.written, []);
+
+        socket.isFull = false;
+        socket.emit('drain');
+
+        assert.deepEqual(socket.written, [
+            MESSAGE_IDS.ETS_CNF_DIS_INFO,
+            MESSAGE_IDS.ETS_REQ_SYS_STS,
+            MESSAGE_IDS.ETS_REQ_DIS_REPORT,
+            MESSAGE_IDS.ETS_NFY_DEVICE_STS,
+        ]);
+        assert.equal(sessionManager.getQueueStatus().isWaitingForDrain, false);
+        assert.equal(sessionManager.getQueueStatus().bulk, 0);
+    });
+
+});
@@ -0,0 +1,67 @@
+/**
+ * @file sequenceGapWorker.test.js
+ * @description 타임아웃이 지난 누락 시퀀스(Gap)의 경보를 healthService에 등록하고, 누락 시퀀스가 모두 채워지면 해제하는지 검증합니다.
+ * DB 조회는 저장소(repository) 함수를 대체하여 시험합니다.
+ */
+
+// 설정 모듈을 불러오기 전에 프로토콜 값을 지정합니다.
+process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER = process.env.CENTRAL_PROTOCOL_MAGIC_NUMBER || '0xF020190F';
+process.env.CENTRAL_SYSTEM_SENDER_ID = process.env.CENTRAL_SYSTEM_SENDER_ID || 'mmdip@mois.go.kr';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setImmediate: waitForRun } = require('timers/promises');
+const tcpSequenceRepository = require('../../src/core/repositories/tcpSequenceRepository');
+const healthService = require('../../src/core/services/healthService');
+const sequenceGapWorker = require('../../src/core/worker/sequenceGapWorker');
+
+/**
+ * 워커를 시작하여 첫 주기를 실행한 뒤 중지합니다.
+ */
+async function runOnce() {
+    await sequenceGapWorker.start();
+    await waitForRun();
+    sequenceGapWorker.stop();
+}
+
+describe('sequenceGapWorker 누락 시퀀스 경보', () => {
+
+    beforeEach(() => {
+        mock.method(healthService, 'raiseAlert', () => {});
+        mock.method(healthService, 'clearAlert', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('경보 중인 누락 시퀀스가 있으면 healthService 경보를 등록한다', async () => {
+        mock.method(tcpSequenceRepository, 'markOverdueGapsAlarmed', async () => [
+            { sender: 'mmdip@mois.go.kr', missing_seq: 7, detected_inbound_id: 'MSG_8', detected_at: new Date() },
+        ]);
+        mock.method(tcpSequenceRepository, 'findAlarmedOpenGaps', async () => [
+            { sender: 'mmdip@mois.go.kr', missing_seq: 3 },
+            { sender: 'mmdip@mois.go.kr', missing_seq: 7 },
+        ]);
+
+        await runOnce();
+
+        assert.equal(healthService.raiseAlert.mock.callCount(), 1);
+        const [key, message] = healthService.raiseAlert.mock.calls[0].arguments;
+        assert.equal(key, 'SEQUENCE_GAP');
+        assert.match(message, /누락 2건/);
+        assert.match(message, /mmdip@mois\.go\.kr#3, mmdip@mois\.go\.kr#7/);
+        assert.equal(healthService.clearAlert.mock.callCount(), 0);
+    });
+
+    it('경보 중인 누락 시퀀스가 모두 채워지면 경보를 해제한다', async () => {
+        mock.method(tcpSequenceRepository, 'markOverdueGapsAlarmed', async () => []);
+        mock.method(tcpSequenceRepository, 'findAlarmedOpenGaps', async () => []);
+
+        await runOnce();
+
+        assert.equal(healthService.raiseAlert.mock.callCount(), 0);
+        assert.deepEqual(healthService.clearAlert.mock.calls.map((call) => call.arguments), [['SEQUENCE_GAP']]);
+    });
+
+});
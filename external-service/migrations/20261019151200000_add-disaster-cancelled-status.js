@@ -0,0 +1,48 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 재난 정보 취소(Cancel) 수신 시 아직 전송되지 않은 원본 재난 정보를 전송하지 않도록 'CANCELLED' 상태를 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 재난 정보 취소 상태 마이그레이션 시작...');
+
+    pgm.dropConstraint('disaster_transmit_logs', 'disaster_transmit_logs_status_check', { ifExists: true });
+    pgm.addConstraint('disaster_transmit_logs', 'disaster_transmit_logs_status_check', {
+        check: "status IN ('PENDING', 'SENT', 'SUCCESS', 'FAILED', 'CANCELLED')",
+    });
+    pgm.createIndex('disaster_transmit_logs', ['identifier']);
+    console.log('✅ [ExternalService][Migrate] "disaster_transmit_logs" CANCELLED 상태와 identifier 인덱스 추가 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 재난 정보 취소 상태 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 재난 정보 취소 상태 마이그레이션 롤백 시작...');
+
+    pgm.dropIndex('disaster_transmit_logs', ['identifier'], { ifExists: true });
+    pgm.sql("UPDATE disaster_transmit_logs SET status = 'FAILED' WHERE status = 'CANCELLED';");
+    pgm.dropConstraint('disaster_transmit_logs', 'disaster_transmit_logs_status_check', { ifExists: true });
+    pgm.addConstraint('disaster_transmit_logs', 'disaster_transmit_logs_status_check', {
+        check: "status IN ('PENDING', 'SENT', 'SUCCESS', 'FAILED')",
+    });
+    console.log('✅ [ExternalService][Migrate] "disaster_transmit_logs" CANCELLED 상태 삭제 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 재난 정보 취소 상태 마이그레이션 롤백 완료.');
+
+};
@@ -0,0 +1,52 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 법정동 코드 기반 지역 구독(external_systems.subscribed_region_codes)과 단말기 법정동 코드(devices.device_bjdong)를 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 지역 구독 마이그레이션 시작...');
+
+    // 구독할 법정동 코드 목록 (시도 '4700000000', 시군구 '4792000000', 읍면동 '4792025000' 등)
+    // 비어 있으면 모든 지역의 재난 정보를 받습니다.
+    pgm.addColumns('external_systems', {
+        subscribed_region_codes: { type: 'text[]', notNull: true, default: '{}' },
+    });
+    console.log('✅ [ExternalService][Migrate] "external_systems" subscribed_region_codes 컬럼 추가 완료.');
+
+    pgm.addColumns('devices', {
+        device_bjdong: { type: 'text' }, // 단말기 설치 위치의 법정동 코드 (10자리)
+    });
+    pgm.createIndex('devices', 'device_bjdong');
+    console.log('✅ [ExternalService][Migrate] "devices" device_bjdong 컬럼 및 인덱스 추가 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 지역 구독 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 지역 구독 마이그레이션 롤백 시작...');
+
+    pgm.dropColumns('devices', ['device_bjdong'], { ifExists: true });
+    console.log('✅ [ExternalService][Migrate] "devices" device_bjdong 컬럼 삭제 완료.');
+
+    pgm.dropColumns('external_systems', ['subscribed_region_codes'], { ifExists: true });
+    console.log('✅ [ExternalService][Migrate] "external_systems" subscribed_region_codes 컬럼 삭제 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 지역 구독 마이그레이션 롤백 완료.');
+
+};
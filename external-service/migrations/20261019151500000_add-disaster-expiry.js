@@ -0,0 +1,52 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 만료된 재난 정보를 외부 시스템에 전송하지 않도록 만료 시각(expires_at)과 'EXPIRED' 상태를 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 재난 정보 만료 마이그레이션 시작...');
+
+    pgm.addColumns('disaster_transmit_logs', {
+        expires_at: { type: 'timestamptz' }, // 재난 정보 만료 시각 (없으면 만료되지 않음)
+    });
+    pgm.dropConstraint('disaster_transmit_logs', 'disaster_transmit_logs_status_check', { ifExists: true });
+    pgm.addConstraint('disaster_transmit_logs', 'disaster_transmit_logs_status_check', {
+        check: "status IN ('PENDING', 'SENT', 'SUCCESS', 'FAILED', 'CANCELLED', 'EXPIRED')",
+    });
+    pgm.createIndex('disaster_transmit_logs', ['status', 'expires_at']);
+    console.log('✅ [ExternalService][Migrate] "disaster_transmit_logs" expires_at 컬럼과 EXPIRED 상태, 인덱스 추가 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 재난 정보 만료 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 재난 정보 만료 마이그레이션 롤백 시작...');
+
+    pgm.dropIndex('disaster_transmit_logs', ['status', 'expires_at'], { ifExists: true });
+    pgm.sql("UPDATE disaster_transmit_logs SET status = 'FAILED' WHERE status = 'EXPIRED';");
+    pgm.dropConstraint('disaster_transmit_logs', 'disaster_transmit_logs_status_check', { ifExists: true });
+    pgm.addConstraint('disaster_transmit_logs', 'disaster_transmit_logs_status_check', {
+        check: "status IN ('PENDING', 'SENT', 'SUCCESS', 'FAILED', 'CANCELLED')",
+    });
+    pgm.dropColumns('disaster_transmit_logs', ['expires_at'], { ifExists: true });
+    console.log('✅ [ExternalService][Migrate] "disaster_transmit_logs" expires_at 컬럼과 EXPIRED 상태 삭제 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 재난 정보 만료 마이그레이션 롤백 완료.');
+
+};
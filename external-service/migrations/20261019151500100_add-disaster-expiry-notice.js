@@ -0,0 +1,43 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 이미 전달된 재난 정보가 만료되었을 때 외부 시스템에 만료 알림을 보내도록 알림 대기 여부(expiry_notice_pending)를 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 재난 정보 만료 알림 마이그레이션 시작...');
+
+    pgm.addColumns('disaster_transmit_logs', {
+        expiry_notice_pending: { type: 'boolean', notNull: true, default: false }, // 만료 알림을 보내야 하는지 여부 (전달 후 만료된 재난 정보)
+    });
+    pgm.createIndex('disaster_transmit_logs', ['expiry_notice_pending'], { where: 'expiry_notice_pending' });
+    console.log('✅ [ExternalService][Migrate] "disaster_transmit_logs" expiry_notice_pending 컬럼, 인덱스 추가 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 재난 정보 만료 알림 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 재난 정보 만료 알림 마이그레이션 롤백 시작...');
+
+    pgm.dropIndex('disaster_transmit_logs', ['expiry_notice_pending'], { ifExists: true });
+    pgm.dropColumns('disaster_transmit_logs', ['expiry_notice_pending'], { ifExists: true });
+    console.log('✅ [ExternalService][Migrate] "disaster_transmit_logs" expiry_notice_pending 컬럼, 인덱스 삭제 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 재난 정보 만료 알림 마이그레이션 롤백 완료.');
+
+};
@@ -0,0 +1,43 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 다국어 재난 정보(여러 info 블록)를 외부 시스템별 선호 언어로 전달할 수 있도록 선호 언어 목록을 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 선호 언어 마이그레이션 시작...');
+
+    // 우선순위 순서의 선호 언어 목록 (RFC 3066 언어 태그. 예: ['ko-KR', 'en'])
+    // 비어 있으면 모든 언어의 info를 받습니다.
+    pgm.addColumns('external_systems', {
+        preferred_languages: { type: 'text[]', notNull: true, default: '{}' },
+    });
+    console.log('✅ [ExternalService][Migrate] "external_systems" preferred_languages 컬럼 추가 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 선호 언어 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 선호 언어 마이그레이션 롤백 시작...');
+
+    pgm.dropColumns('external_systems', ['preferred_languages'], { ifExists: true });
+    console.log('✅ [ExternalService][Migrate] "external_systems" preferred_languages 컬럼 삭제 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 선호 언어 마이그레이션 롤백 완료.');
+
+};
@@ -0,0 +1,62 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 재난 정보(CAP)의 첨부 파일(resource)을 로컬 저장소에 보관하고 내려받을 수 있도록 "disaster_resources" 테이블을 생성합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 재난 정보 첨부 파일 마이그레이션 시작...');
+
+    pgm.createTable('disaster_resources', {
+        id: { type: 'bigserial', primaryKey: true },
+        mq_receive_log_id: { type: 'bigint', notNull: true, references: 'mq_receive_logs', onDelete: 'NO ACTION' },
+        identifier: { type: 'text', notNull: true }, // 재난 정보 identifier
+        info_index: { type: 'integer', notNull: true }, // CAP info 순번 (0부터)
+        resource_index: { type: 'integer', notNull: true }, // info 안의 resource 순번 (0부터)
+        resource_desc: { type: 'text', notNull: true },
+        mime_type: { type: 'text', notNull: true },
+        size: { type: 'bigint' }, // 실제 파일 크기 (바이트, 저장 실패 시 CAP의 size)
+        digest: { type: 'text' }, // CAP의 SHA-1 digest
+        source: { type: 'text', notNull: true, check: "source IN ('DEREF_URI', 'URI')" }, // 내용 출처 (derefUri 내장 / 원격 uri)
+        uri: { type: 'text' }, // CAP의 원격 uri
+        content_hash: { type: 'text' }, // 로컬 저장소 키 (파일 내용의 SHA-256)
+        status: { type: 'text', notNull: true, check: "status IN ('STORED', 'FAILED')" },
+        error_message: { type: 'text' },
+        created_at: { type: 'timestamptz', notNull: true, default: pgm.func('now()') },
+        updated_at: { type: 'timestamptz' },
+    });
+    pgm.createTrigger('disaster_resources', 'trigger_update_timestamp', {
+        when: 'BEFORE', operation: 'UPDATE', level: 'ROW', function: 'update_timestamp',
+    });
+    pgm.createConstraint('disaster_resources', 'unique_disaster_resources_per_position', {
+        unique: ['identifier', 'info_index', 'resource_index'],
+    });
+    console.log('✅ [ExternalService][Migrate] "disaster_resources" 테이블 및 트리거, 제약 조건 생성 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 재난 정보 첨부 파일 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 재난 정보 첨부 파일 마이그레이션 롤백 시작...');
+
+    pgm.dropTable('disaster_resources', { ifExists: true });
+    console.log('✅ [ExternalService][Migrate] "disaster_resources" 테이블 삭제 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 재난 정보 첨부 파일 마이그레이션 롤백 완료.');
+
+};
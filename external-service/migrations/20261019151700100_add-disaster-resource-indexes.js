@@ -0,0 +1,43 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 같은 digest의 첨부 파일 재사용과 보관 기간이 지난 첨부 파일 정리를 위해 "disaster_resources" 인덱스를 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 재난 정보 첨부 파일 인덱스 마이그레이션 시작...');
+
+    pgm.createIndex('disaster_resources', ['digest'], { where: "status = 'STORED'" });
+    pgm.createIndex('disaster_resources', ['content_hash']);
+    pgm.createIndex('disaster_resources', ['created_at']);
+    console.log('✅ [ExternalService][Migrate] "disaster_resources" digest, content_hash, created_at 인덱스 추가 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 재난 정보 첨부 파일 인덱스 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 재난 정보 첨부 파일 인덱스 마이그레이션 롤백 시작...');
+
+    pgm.dropIndex('disaster_resources', ['created_at'], { ifExists: true });
+    pgm.dropIndex('disaster_resources', ['content_hash'], { ifExists: true });
+    pgm.dropIndex('disaster_resources', ['digest'], { ifExists: true });
+    console.log('✅ [ExternalService][Migrate] "disaster_resources" digest, content_hash, created_at 인덱스 삭제 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 재난 정보 첨부 파일 인덱스 마이그레이션 롤백 완료.');
+
+};
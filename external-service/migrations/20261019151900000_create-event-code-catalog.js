@@ -0,0 +1,53 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 central-service가 발행하는 Event Code 카탈로그의 사본을 저장하는 "event_code_catalog" 테이블을 생성합니다.
+ * 외부 시스템은 API로 이 목록을 조회하여 구독할 재난 코드(subscribed_event_codes)를 확인합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] Event Code 카탈로그 마이그레이션 시작...');
+
+    pgm.createTable('event_code_catalog', {
+        code: { type: 'text', primaryKey: true }, // CAP info.eventCode 값
+        name_ko: { type: 'text' }, // 코드명 (한국어)
+        name_en: { type: 'text' }, // 코드명 (영어)
+        category: { type: 'text' }, // CAP info.category 값
+        default_severity: { type: 'text' }, // CAP info.severity 기본값
+        is_active: { type: 'boolean', notNull: true, default: true },
+        synced_at: { type: 'timestamptz', notNull: true }, // central-service가 카탈로그를 발행한 시각
+        created_at: { type: 'timestamptz', notNull: true, default: pgm.func('now()') },
+        updated_at: { type: 'timestamptz' },
+    });
+    pgm.createTrigger('event_code_catalog', 'trigger_update_timestamp', {
+        when: 'BEFORE', operation: 'UPDATE', level: 'ROW', function: 'update_timestamp',
+    });
+    console.log('✅ [ExternalService][Migrate] "event_code_catalog" 테이블과 트리거 생성 완료.');
+
+    console.log('✅ [ExternalService][Migrate] Event Code 카탈로그 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] Event Code 카탈로그 마이그레이션 롤백 시작...');
+
+    pgm.dropTable('event_code_catalog', { ifExists: true });
+    console.log('✅ [ExternalService][Migrate] "event_code_catalog" 테이블 삭제 완료.');
+
+    console.log('✅ [ExternalService][Migrate] Event Code 카탈로그 마이그레이션 롤백 완료.');
+
+};
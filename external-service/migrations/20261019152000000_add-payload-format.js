@@ -0,0 +1,43 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 외부 시스템별로 재난 정보를 원본(xml2js 변환 결과) 또는 정규화 모델로 받을 수 있도록 전달 형식을 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 재난 정보 전달 형식 마이그레이션 시작...');
+
+    // RAW: 원본(rawMessage)만, NORMALIZED: 정규화 모델(alert)만, BOTH: 둘 다 전달
+    // 기존 시스템과의 호환을 위해 기본값은 RAW입니다.
+    pgm.addColumns('external_systems', {
+        payload_format: { type: 'text', notNull: true, default: 'RAW', check: "payload_format IN ('RAW', 'NORMALIZED', 'BOTH')" },
+    });
+    console.log('✅ [ExternalService][Migrate] "external_systems" payload_format 컬럼 추가 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 재난 정보 전달 형식 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 재난 정보 전달 형식 마이그레이션 롤백 시작...');
+
+    pgm.dropColumns('external_systems', ['payload_format'], { ifExists: true });
+    console.log('✅ [ExternalService][Migrate] "external_systems" payload_format 컬럼 삭제 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 재난 정보 전달 형식 마이그레이션 롤백 완료.');
+
+};
@@ -0,0 +1,75 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 훈련/시험(CAP status가 Actual이 아닌) 재난 정보를 실제 재난 정보와 분리하기 위해
+ * 외부 시스템별 수신 status 목록과 발신 로그의 CAP status를 추가하고, 훈련/시험 발신 이력 뷰("drill_transmit_history")를 생성합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 훈련/시험 재난 정보 분리 마이그레이션 시작...');
+
+    // --- 1. 외부 시스템별 수신할 CAP status 목록 ---
+    // 기본값은 실제 재난 정보(Actual)만 수신하며, 훈련/시험 재난 정보는 시스템별로 명시적으로 추가해야 수신합니다.
+    pgm.addColumns('external_systems', {
+        accepted_statuses: {
+            type: 'text[]',
+            notNull: true,
+            default: pgm.func("'{Actual}'::text[]"),
+            check: "accepted_statuses <@ ARRAY['Actual', 'Exercise', 'System', 'Test', 'Draft']",
+        },
+    });
+    console.log('✅ [ExternalService][Migrate] "external_systems" accepted_statuses 컬럼 추가 완료.');
+
+    // --- 2. 발신 로그의 CAP status ---
+    pgm.addColumns('disaster_transmit_logs', {
+        alert_status: { type: 'text', notNull: true, default: 'Actual', check: "alert_status IN ('Actual', 'Exercise', 'System', 'Test', 'Draft')" },
+    });
+    pgm.createIndex('disaster_transmit_logs', ['external_system_id', 'alert_status', 'created_at'], {
+        name: 'disaster_transmit_logs_system_alert_status_index', // 기본 이름은 PostgreSQL 식별자 길이(63자)를 넘습니다.
+    });
+    console.log('✅ [ExternalService][Migrate] "disaster_transmit_logs" alert_status 컬럼 및 인덱스 추가 완료.');
+
+    // --- 3. 훈련/시험 재난 정보 발신 이력 뷰 ---
+    pgm.createView('drill_transmit_history', {}, `
+        SELECT l.id, l.external_system_id, s.system_name, l.identifier, l.alert_status,
+            l.raw_message->>'eventCode' AS event_code, l.raw_message->>'msgType' AS msg_type,
+            l.status, l.retry_count, l.created_at, l.updated_at
+        FROM disaster_transmit_logs l
+        JOIN external_systems s ON s.id = l.external_system_id
+        WHERE l.alert_status <> 'Actual'
+    `);
+    console.log('✅ [ExternalService][Migrate] "drill_transmit_history" 뷰 생성 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 훈련/시험 재난 정보 분리 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 훈련/시험 재난 정보 분리 마이그레이션 롤백 시작...');
+
+    pgm.dropView('drill_transmit_history', { ifExists: true });
+    console.log('✅ [ExternalService][Migrate] "drill_transmit_history" 뷰 삭제 완료.');
+
+    pgm.dropColumns('disaster_transmit_logs', ['alert_status'], { ifExists: true });
+    console.log('✅ [ExternalService][Migrate] "disaster_transmit_logs" alert_status 컬럼 삭제 완료.');
+
+    pgm.dropColumns('external_systems', ['accepted_statuses'], { ifExists: true });
+    console.log('✅ [ExternalService][Migrate] "external_systems" accepted_statuses 컬럼 삭제 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 훈련/시험 재난 정보 분리 마이그레이션 롤백 완료.');
+
+};
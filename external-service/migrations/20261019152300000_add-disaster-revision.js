@@ -0,0 +1,42 @@
+/**
+ * @type {import('node-pg-migrate').ColumnDefinitions | undefined}
+ * @description 이 마이그레이션은 같은 CAP identifier의 내용이 바뀌어 central-service가 재발행한 재난 정보를 구분할 수 있도록
+ * "disaster_transmit_logs"에 재발행 횟수(revision)를 추가합니다.
+ */
+exports.shorthands = undefined;
+
+/**
+ * up 함수: 마이그레이션을 적용할 때(npm run migrate up) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.up = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 재난 정보 재발행 revision 마이그레이션 시작...');
+
+    pgm.addColumns('disaster_transmit_logs', {
+        revision: { type: 'integer', notNull: true, default: 0 }, // 0: 최초 발행, 재발행될 때마다 1씩 증가 (central-service disaster_publish_logs.revision)
+    });
+    console.log('✅ [ExternalService][Migrate] "disaster_transmit_logs" revision 컬럼 추가 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 재난 정보 재발행 revision 마이그레이션 완료.');
+
+};
+
+/**
+ * down 함수: 마이그레이션을 되돌릴 때(npm run migrate down) 실행됩니다.
+ * @param pgm {import('node-pg-migrate').MigrationBuilder}
+ * @param run {() => void | undefined}
+ * @returns {Promise<void> | void}
+ */
+exports.down = (pgm) => {
+
+    console.log('🚀 [ExternalService][Migrate] 재난 정보 재발행 revision 마이그레이션 롤백 시작...');
+
+    pgm.dropColumns('disaster_transmit_logs', ['revision'], { ifExists: true });
+    console.log('✅ [ExternalService][Migrate] "disaster_transmit_logs" revision 컬럼 삭제 완료.');
+
+    console.log('✅ [ExternalService][Migrate] 재난 정보 재발행 revision 마이그레이션 롤백 완료.');
+
+};
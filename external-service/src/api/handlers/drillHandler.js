@@ -0,0 +1,54 @@
+/**
+ * @file drillHandler.js
+ * @description /drills API에 대한 비지니스 로직을 처리합니다.
+ * 외부 시스템이 전달받은 훈련/시험(CAP status가 Actual이 아닌) 재난 정보 이력을 실제 재난 정보와 분리하여 조회합니다.
+ */
+
+const { matchedData } = require('express-validator');
+const logger = require('../../core/utils/logger');
+const disasterTransmitLogRepository = require('../../core/repositories/disasterTransmitLogRepository');
+
+/**
+ * 훈련/시험 재난 정보 발신 이력 조회를 처리합니다.
+ * 요청한 시스템에 전달된 이력만 조회할 수 있습니다.
+ * @param {import('express').Request} req - Express 요청 객체
+ * @param {import('express').Response} res - Express 응답 객체
+ * @param {import('express').NextFunction} next - 다음 미들웨어 함수
+ */
+const handleDrillHistory = async (req, res, next) => {
+
+    const systemName = req.externalSystem?.system_name;
+    const { status, limit = 20, offset = 0 } = matchedData(req, { locations: ['query'] });
+
+    try {
+
+        logger.debug(`🚀 [ExternalService][DrillHandler] 훈련/시험 재난 정보 이력 조회 시작 (System: ${systemName}, status: ${status ?? '전체'}, limit: ${limit}, offset: ${offset})...`);
+
+        const rows = await disasterTransmitLogRepository.findDrillHistoryBySystemId(req.externalSystem.id, { alertStatus: status, limit, offset });
+        const drills = rows.map((row) => ({
+            logId: Number(row.id),
+            identifier: row.identifier,
+            alertStatus: row.alert_status,
+            eventCode: row.event_code,
+            msgType: row.msg_type,
+            status: row.status,
+            retryCount: row.retry_count,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+        }));
+
+        logger.info(`✅ [ExternalService][DrillHandler] 훈련/시험 재난 정보 이력 조회 완료 (System: ${systemName}, ${drills.length}건).`);
+        res.status(200).json({ drills, limit, offset });
+
+    } catch (err) {
+
+        logger.error(`🚨 [ExternalService][DrillHandler] 훈련/시험 재난 정보 이력 조회 오류 (System: ${systemName}): ${err.message}`);
+        next(err);
+
+    }
+
+};
+
+module.exports = {
+    handleDrillHistory,
+};
@@ -0,0 +1,54 @@
+/**
+ * @file eventCodeHandler.js
+ * @description /event-codes API에 대한 비지니스 로직을 처리합니다.
+ * 외부 시스템이 구독할 수 있는 재난 정보 Event Code 목록(central-service 카탈로그 사본)을 조회합니다.
+ */
+
+const { matchedData } = require('express-validator');
+const logger = require('../../core/utils/logger');
+const eventCodeCatalogRepository = require('../../core/repositories/eventCodeCatalogRepository');
+
+/**
+ * Event Code 목록 조회를 처리합니다.
+ * 요청한 시스템이 구독 중인 코드인지(subscribed) 함께 응답합니다.
+ * @param {import('express').Request} req - Express 요청 객체
+ * @param {import('express').Response} res - Express 응답 객체
+ * @param {import('express').NextFunction} next - 다음 미들웨어 함수
+ */
+const handleEventCodeList = async (req, res, next) => {
+
+    const systemName = req.externalSystem?.system_name;
+    // Express 5의 req.query는 sanitizer 결과가 반영되지 않으므로, 검사/변환된 값을 matchedData로 가져옵니다.
+    const { category, includeInactive = false } = matchedData(req, { locations: ['query'] });
+
+    try {
+
+        logger.debug(`🚀 [ExternalService][EventCodeHandler] Event Code 목록 조회 시작 (System: ${systemName}, category: ${category ?? '전체'}, includeInactive: ${includeInactive})...`);
+
+        const subscribedEventCodes = new Set(req.externalSystem.subscribed_event_codes || []);
+        const rows = await eventCodeCatalogRepository.findAll({ category, includeInactive });
+        const eventCodes = rows.map((row) => ({
+            code: row.code,
+            nameKo: row.name_ko,
+            nameEn: row.name_en,
+            category: row.category,
+            defaultSeverity: row.default_severity,
+            isActive: row.is_active,
+            subscribed: subscribedEventCodes.has(row.code),
+        }));
+
+        logger.info(`✅ [ExternalService][EventCodeHandler] Event Code 목록 조회 완료 (System: ${systemName}, ${eventCodes.length}개).`);
+        res.status(200).json({ eventCodes });
+
+    } catch (err) {
+
+        logger.error(`🚨 [ExternalService][EventCodeHandler] Event Code 목록 조회 오류 (System: ${systemName}): ${err.message}`);
+        next(err);
+
+    }
+
+};
+
+module.exports = {
+    handleEventCodeList,
+};
@@ -0,0 +1,52 @@
+/**
+ * @file resourceHandler.js
+ * @description /resources API에 대한 비지니스 로직을 처리합니다.
+ * 외부 시스템이 전달받은 재난 정보의 첨부 파일(CAP resource)을 로컬 저장소에서 내려받습니다.
+ */
+
+const logger = require('../../core/utils/logger');
+const disasterResourceRepository = require('../../core/repositories/disasterResourceRepository');
+const resourceService = require('../../core/services/resourceService');
+
+/**
+ * 재난 정보 첨부 파일 다운로드를 처리합니다.
+ * 요청한 시스템에 전달된 재난 정보의 첨부 파일만 내려받을 수 있습니다.
+ * @param {import('express').Request} req - Express 요청 객체
+ * @param {import('express').Response} res - Express 응답 객체
+ * @param {import('express').NextFunction} next - 다음 미들웨어 함수
+ */
+const handleResourceDownload = async (req, res, next) => {
+
+    const systemName = req.externalSystem?.system_name;
+    const resourceId = Number(req.params.resourceId);
+
+    try {
+
+        logger.debug(`🚀 [ExternalService][ResourceHandler] 첨부 파일 다운로드 시작 (System: ${systemName}, resource ID: ${resourceId})...`);
+
+        const resource = await disasterResourceRepository.findByIdForSystem(resourceId, req.externalSystem.id);
+        if (!resource || resource.status !== 'STORED') {
+            logger.warn(`🔔 [ExternalService][ResourceHandler] 내려받을 수 없는 첨부 파일 요청 (System: ${systemName}, resource ID: ${resourceId}, 상태: ${resource?.status ?? '없음'}).`);
+            return res.status(404).json({ error: '첨부 파일을 찾을 수 없습니다.' });
+        }
+
+        res.type(resource.mime_type);
+        res.set('ETag', `"${resource.content_hash}"`);
+        res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(resource.resource_desc)}`);
+        await new Promise((resolve, reject) => {
+            res.sendFile(resourceService.getResourcePath(resource.content_hash), (err) => (err ? reject(err) : resolve()));
+        });
+        logger.info(`✅ [ExternalService][ResourceHandler] 첨부 파일 다운로드 완료 (System: ${systemName}, resource ID: ${resourceId}, Identifier: ${resource.identifier}).`);
+
+    } catch (err) {
+
+        logger.error(`🚨 [ExternalService][ResourceHandler] 첨부 파일 다운로드 오류 (System: ${systemName}, resource ID: ${resourceId}): ${err.message}`);
+        next(err);
+
+    }
+
+};
+
+module.exports = {
+    handleResourceDownload,
+};
@@ -0,0 +1,70 @@
+/**
+ * @file subscriptionHandler.js
+ * @description /subscriptions API에 대한 비지니스 로직을 처리합니다.
+ * 외부 시스템이 자신의 재난 정보 구독 설정(재난 코드, 지역)을 조회하고 구독 지역(법정동 코드)을 변경합니다.
+ */
+
+const { matchedData } = require('express-validator');
+const logger = require('../../core/utils/logger');
+const externalSystemRepository = require('../../core/repositories/externalSystemRepository');
+
+/**
+ * 구독 설정 응답 데이터를 만듭니다.
+ * @param {object} system - 외부 시스템 정보
+ * @returns {{eventCodes: string[], regionCodes: string[]}}
+ */
+function _toSubscription(system) {
+    return {
+        eventCodes: system.subscribed_event_codes || [],
+        regionCodes: system.subscribed_region_codes || [],
+    };
+}
+
+/**
+ * 구독 설정 조회를 처리합니다.
+ * 인증 미들웨어가 조회한 요청 시스템의 구독 설정을 그대로 응답합니다.
+ * @param {import('express').Request} req - Express 요청 객체
+ * @param {import('express').Response} res - Express 응답 객체
+ */
+const handleSubscriptionGet = (req, res) => {
+
+    logger.debug(`✅ [ExternalService][SubscriptionHandler] 구독 설정 조회 (System: ${req.externalSystem.system_name}).`);
+    res.status(200).json(_toSubscription(req.externalSystem));
+
+};
+
+/**
+ * 구독 지역(법정동 코드) 변경을 처리합니다.
+ * 빈 배열을 보내면 지역 구독을 해제하여 지역과 관계없이 구독한 재난 코드의 재난 정보를 모두 전달받습니다.
+ * @param {import('express').Request} req - Express 요청 객체
+ * @param {import('express').Response} res - Express 응답 객체
+ * @param {import('express').NextFunction} next - 다음 미들웨어 함수
+ */
+const handleRegionSubscriptionUpdate = async (req, res, next) => {
+
+    const systemName = req.externalSystem?.system_name;
+    const { regionCodes } = matchedData(req, { locations: ['body'] });
+
+    try {
+
+        const uniqueRegionCodes = [...new Set(regionCodes)];
+        logger.info(`🚀 [ExternalService][SubscriptionHandler] 구독 지역 변경 시작 (System: ${systemName}, ${uniqueRegionCodes.length}개)...`);
+
+        const system = await externalSystemRepository.updateSubscribedRegionCodes(req.externalSystem.id, uniqueRegionCodes);
+
+        logger.info(`✅ [ExternalService][SubscriptionHandler] 구독 지역 변경 완료 (System: ${systemName}, 지역: ${uniqueRegionCodes.join(', ') || '전체'}).`);
+        res.status(200).json(_toSubscription(system));
+
+    } catch (err) {
+
+        logger.error(`🚨 [ExternalService][SubscriptionHandler] 구독 지역 변경 오류 (System: ${systemName}): ${err.message}`);
+        next(err);
+
+    }
+
+};
+
+module.exports = {
+    handleSubscriptionGet,
+    handleRegionSubscriptionUpdate,
+};
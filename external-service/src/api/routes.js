@@ -7,11 +7,19 @@
 const express = require('express');
 const authMiddleware = require('./middlewares/auth');
 const reportHandler = require('./handlers/reportHandler');
+const resourceHandler = require('./handlers/resourceHandler');
+const eventCodeHandler = require('./handlers/eventCodeHandler');
+const drillHandler = require('./handlers/drillHandler');
+const subscriptionHandler = require('./handlers/subscriptionHandler');
 const {
     validateDeviceInfoReport,
     validateDeviceStatusReport,
     validateDisasterResultReport,
 } = require('./validators/reportValidator');
+const { validateResourceDownload } = require('./validators/resourceValidator');
+const { validateEventCodeList } = require('./validators/eventCodeValidator');
+const { validateDrillHistory } = require('./validators/drillValidator');
+const { validateRegionSubscriptionUpdate } = require('./validators/subscriptionValidator');
 const handleValidationErrors = require('./middlewares/validator');
 
 // 새로운 Router 객체를 생성합니다.
@@ -34,4 +42,51 @@ reportRouter.post('/disaster-result', validateDisasterResultReport, handleValida
 // '/api' 경로 아래에 '/reports' 라우터를 연결합니다.
 router.use('/reports', reportRouter);
 
+// --- 재난 정보 첨부 파일(Resource) 관련 API 라우트 ---
+// '/resources' 경로 아래의 모든 라우트는 API 키 인증을 필요로 합니다.
+const resourceRouter = express.Router();
+resourceRouter.use(authMiddleware);
+
+// GET /api/resources/:resourceId : 재난 정보 첨부 파일 다운로드
+resourceRouter.get('/:resourceId', validateResourceDownload, handleValidationErrors, resourceHandler.handleResourceDownload);
+
+// '/api' 경로 아래에 '/resources' 라우터를 연결합니다.
+router.use('/resources', resourceRouter);
+
+// --- 재난 정보 Event Code 관련 API 라우트 ---
+// '/event-codes' 경로 아래의 모든 라우트는 API 키 인증을 필요로 합니다.
+const eventCodeRouter = express.Router();
+eventCodeRouter.use(authMiddleware);
+
+// GET /api/event-codes : 구독 가능한 Event Code 목록 조회
+eventCodeRouter.get('/', validateEventCodeList, handleValidationErrors, eventCodeHandler.handleEventCodeList);
+
+// '/api' 경로 아래에 '/event-codes' 라우터를 연결합니다.
+router.use('/event-codes', eventCodeRouter);
+
+// --- 훈련/시험 재난 정보 이력 관련 API 라우트 ---
+// '/drills' 경로 아래의 모든 라우트는 API 키 인증을 필요로 합니다.
+const drillRouter = express.Router();
+drillRouter.use(authMiddleware);
+
+// GET /api/drills : 훈련/시험 재난 정보 발신 이력 조회
+drillRouter.get('/', validateDrillHistory, handleValidationErrors, drillHandler.handleDrillHistory);
+
+// '/api' 경로 아래에 '/drills' 라우터를 연결합니다.
+router.use('/drills', drillRouter);
+
+// --- 재난 정보 구독 설정 관련 API 라우트 ---
+// '/subscriptions' 경로 아래의 모든 라우트는 API 키 인증을 필요로 합니다.
+const subscriptionRouter = express.Router();
+subscriptionRouter.use(authMiddleware);
+
+// GET /api/subscriptions : 구독 설정(재난 코드, 지역) 조회
+subscriptionRouter.get('/', subscriptionHandler.handleSubscriptionGet);
+
+// PUT /api/subscriptions/regions : 구독 지역(법정동 코드) 변경
+subscriptionRouter.put('/regions', validateRegionSubscriptionUpdate, handleValidationErrors, subscriptionHandler.handleRegionSubscriptionUpdate);
+
+// '/api' 경로 아래에 '/subscriptions' 라우터를 연결합니다.
+router.use('/subscriptions', subscriptionRouter);
+
 module.exports = router;
\ No newline at end of file
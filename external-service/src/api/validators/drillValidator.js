@@ -0,0 +1,33 @@
+/**
+ * @file drillValidator.js
+ * @description /drills API에 대한 요청 값 유효성 검사 규칙을 정의합니다.
+ * express-validator 라이브러리를 사용합니다.
+ */
+
+const { query } = require('express-validator');
+
+// 훈련/시험 재난 정보의 CAP status 값 목록 (Actual 제외)
+const DRILL_STATUSES = ['Exercise', 'System', 'Test', 'Draft'];
+
+// GET /api/drills 요청에 대한 유효성 검사 규칙
+const validateDrillHistory = [
+
+    query('status')
+        .optional()
+        .isIn(DRILL_STATUSES).withMessage(`status는 ${DRILL_STATUSES.join(', ')} 중 하나여야 합니다.`),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('limit은 1 이상 100 이하의 정수여야 합니다.')
+        .toInt(),
+
+    query('offset')
+        .optional()
+        .isInt({ min: 0 }).withMessage('offset은 0 이상의 정수여야 합니다.')
+        .toInt(),
+
+];
+
+module.exports = {
+    validateDrillHistory,
+};
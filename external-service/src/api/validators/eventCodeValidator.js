@@ -0,0 +1,28 @@
+/**
+ * @file eventCodeValidator.js
+ * @description /event-codes API에 대한 요청 값 유효성 검사 규칙을 정의합니다.
+ * express-validator 라이브러리를 사용합니다.
+ */
+
+const { query } = require('express-validator');
+
+// CAP 1.2 info.category 값 목록
+const CAP_CATEGORIES = ['Geo', 'Met', 'Safety', 'Security', 'Rescue', 'Fire', 'Health', 'Env', 'Transport', 'Infra', 'CBRNE', 'Other'];
+
+// GET /api/event-codes 요청에 대한 유효성 검사 규칙
+const validateEventCodeList = [
+
+    query('category')
+        .optional()
+        .isIn(CAP_CATEGORIES).withMessage(`category는 ${CAP_CATEGORIES.join(', ')} 중 하나여야 합니다.`),
+
+    query('includeInactive')
+        .optional()
+        .isBoolean().withMessage('includeInactive는 true 또는 false여야 합니다.')
+        .toBoolean(),
+
+];
+
+module.exports = {
+    validateEventCodeList,
+};
@@ -0,0 +1,19 @@
+/**
+ * @file resourceValidator.js
+ * @description /resources API에 대한 요청 값 유효성 검사 규칙을 정의합니다.
+ * express-validator 라이브러리를 사용합니다.
+ */
+
+const { param } = require('express-validator');
+
+// GET /api/resources/:resourceId 요청에 대한 유효성 검사 규칙
+const validateResourceDownload = [
+
+    param('resourceId')
+        .isInt({ min: 1 }).withMessage('resourceId는 1 이상의 정수여야 합니다.'),
+
+];
+
+module.exports = {
+    validateResourceDownload,
+};
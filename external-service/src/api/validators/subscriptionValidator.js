@@ -0,0 +1,28 @@
+/**
+ * @file subscriptionValidator.js
+ * @description /subscriptions API에 대한 요청 값 유효성 검사 규칙을 정의합니다.
+ * express-validator 라이브러리를 사용합니다.
+ */
+
+const { body } = require('express-validator');
+const regionUtils = require('../../core/utils/regionUtils');
+
+// 한 시스템이 구독할 수 있는 최대 지역 수
+const MAX_REGION_CODES = 1000;
+
+// PUT /api/subscriptions/regions 요청에 대한 유효성 검사 규칙
+const validateRegionSubscriptionUpdate = [
+
+    body('regionCodes')
+        .isArray({ max: MAX_REGION_CODES }).withMessage(`regionCodes는 최대 ${MAX_REGION_CODES}개의 법정동 코드 배열이어야 합니다.`),
+
+    body('regionCodes.*')
+        .isString().withMessage('법정동 코드는 문자열이어야 합니다.')
+        .trim()
+        .custom((code) => Boolean(regionUtils.toRegionPrefix(code))).withMessage('법정동 코드는 2~10자리 숫자여야 합니다.'),
+
+];
+
+module.exports = {
+    validateRegionSubscriptionUpdate,
+};
@@ -6,6 +6,21 @@
 
 // .env 파일 로드는 애플리케이션의 메인 진입점(index.js)에서 처리됩니다.
 
+/**
+ * 쉼표로 구분된 환경 변수 값을 목록으로 변환합니다.
+ * @param {string | undefined} value - 환경 변수 값 (예: 'a, b,c')
+ * @param {string[]} [defaultValue=[]] - 값이 없을 때 사용할 목록
+ * @returns {string[]} 앞뒤 공백을 제거한 값 목록
+ */
+function parseList(value, defaultValue = []) {
+
+    if (!value) {
+        return defaultValue;
+    }
+    return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+
+}
+
 module.exports = {
 
     // --- 일반 설정 ---
@@ -38,8 +53,10 @@ module.exports = {
             DISASTER_EXCHANGE: 'disaster.topic',
             // 보고 메시지를 발행(발신)할 때 사용하는 Exchange
             REPORT_EXCHANGE: 'report.direct',
-            // 수신한 재난 정보를 담을 Queue
-            DISASTER_QUEUE: 'external_service_disaster_queue',
+            // 수신한 재난 정보를 담을 Queue (우선순위 큐)
+            DISASTER_QUEUE: 'external_service_disaster_priority_queue',
+            // 우선순위 큐 도입 이전의 재난 정보 Queue (남은 메시지를 모두 소비한 뒤 삭제)
+            LEGACY_DISASTER_QUEUE: 'external_service_disaster_queue',
             // 처리 실패한 재난 정보를 보낼 Dead Letter Exchange
             DISASTER_DLX: 'disaster_dlx',
             // 처리 실패한 재난 정보를 담을 Dead Letter Queue
@@ -49,9 +66,21 @@ module.exports = {
             // 재시도 할 메시지를 담을 Queue
             DISASTER_WAIT_QUEUE: 'disaster_wait',
             REPORT_ROUTING_KEY: 'report.external',
+            // central-service가 발행한 Event Code 카탈로그를 담을 Queue (최신 목록 1건만 유지)
+            CATALOG_QUEUE: 'external_service_catalog_queue',
+            // Event Code 카탈로그 라우팅 키 (DISASTER_EXCHANGE)
+            CATALOG_ROUTING_KEY: 'catalog.eventCode',
+            // 실제(Actual) 재난 정보 바인딩 키 ('disaster.<eventCode>')
+            DISASTER_BINDING_KEY: 'disaster.*',
+            // 훈련/시험(Exercise, System, Test, Draft) 재난 정보 바인딩 키 ('drill.<status 소문자>.<eventCode>')
+            DRILL_BINDING_KEY: 'drill.*.*',
         },
         RETRY_DELAY: 10000, // 10초
         MAX_RETRIES: 3,
+        // 재난 정보 Queue의 최대 우선순위 (central-service의 disasterPriority.MAX_PRIORITY와 같아야 함)
+        DISASTER_MAX_PRIORITY: 9,
+        // 확인(ACK) 전에 한 번에 받을 최대 메시지 수 (제한이 없으면 우선순위가 적용되지 않음)
+        PREFETCH_COUNT: 5,
     },
 
     // --- CORS 관련 설정 ---
@@ -60,6 +89,39 @@ module.exports = {
         CACHE_DURATION: 60000, // 1분
     },
 
+    // --- 재난 정보 전달 대상 판정 설정 ---
+    disasterTargeting: {
+        // true: 재난 정보 영역(polygon, circle) 안에 단말기가 있는 외부 시스템에만 전달
+        //       (위치(device_lat, device_lon)가 등록된 단말기가 없는 시스템은 판정할 수 없으므로 그대로 전달)
+        // false(기본값): 구독한 재난 코드(subscribed_event_codes)만으로 전달 대상 판정
+        // 영역에 geocode만 있는 재난 정보는 위치 판정이 불가능하므로 항상 구독 재난 코드로 판정합니다.
+        GEO_FILTER_ENABLED: process.env.DISASTER_GEO_FILTER_ENABLED === 'true',
+        // 법정동 코드로 해석할 CAP geocode의 valueName 목록 (지역 구독(subscribed_region_codes) 판정에 사용)
+        // 쉼표로 구분하여 지정합니다. (예: KR.bjdCode,KR.admCode)
+        REGION_GEOCODE_NAMES: parseList(process.env.DISASTER_REGION_GEOCODE_NAMES, ['KR.bjdCode']),
+    },
+
+    // --- 재난 정보 첨부 파일(CAP resource) 저장소 설정 ---
+    resourceStore: {
+        // 첨부 파일을 보관할 로컬 디렉터리 (external-service 기준 상대 경로 또는 절대 경로)
+        DIR: process.env.RESOURCE_STORE_DIR || 'storage/resources',
+        // 저장할 첨부 파일의 최대 크기 (단위: 바이트)
+        MAX_SIZE: 20 * 1024 * 1024, // 20MB
+        // 원격 uri 첨부 파일 다운로드 제한 시간 (단위: 밀리초)
+        FETCH_TIMEOUT: 10000, // 10초
+        // 원격 uri 첨부 파일을 내려받을 수 있는 scheme 목록 (쉼표 구분)
+        ALLOWED_URI_SCHEMES: parseList(process.env.RESOURCE_ALLOWED_URI_SCHEMES, ['https']),
+        // 원격 uri 첨부 파일을 내려받을 수 있는 호스트 목록 (쉼표 구분, '.'으로 시작하면 하위 도메인 모두 허용. 예: .go.kr)
+        // 내부망 접근(SSRF)을 막기 위해 목록에 없는 호스트는 내려받지 않으며, 비어 있으면(기본값) 원격 uri를 내려받지 않습니다.
+        ALLOWED_URI_HOSTS: parseList(process.env.RESOURCE_ALLOWED_URI_HOSTS),
+        // 첨부 파일 보관 기간. 기간이 지난 첨부 파일은 기록과 파일을 삭제합니다. (단위: 밀리초)
+        RETENTION: (parseInt(process.env.RESOURCE_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000, // 기본 30일
+        // 보관 기간이 지난 첨부 파일을 확인할 주기 (단위: 밀리초)
+        CLEANUP_INTERVAL: 3600000, // 1시간
+        // 외부 시스템이 첨부 파일을 내려받는 API 경로
+        DOWNLOAD_PATH: '/api/resources',
+    },
+
     // --- 재난 정보 발신 워커(Disaster Transmit Worker) 설정 ---
     disasterTransmitWorker: {
         // DB를 폴링하여 미처리 메시지를 확인할 주기 (단위: 밀리초)
@@ -72,6 +134,12 @@ module.exports = {
         CONCURRENCY_LIMIT: 5,
     },
 
+    // --- 재난 정보 만료(CAP info.expires) 처리 워커 설정 ---
+    alertExpiryWorker: {
+        // DB를 폴링하여 만료된 재난 정보를 확인할 주기 (단위: 밀리초)
+        POLLING_INTERVAL: 60000, // 1분
+    },
+
     // --- 보고 정보 발행 워커(Report Publish Worker) 설정 ---
     reportPublishWorker: {
         // DB를 폴링하여 미발 보고를 확인할 주기 (단위: 밀리초)
@@ -31,6 +31,7 @@ async function upsertDevices(externalSystemId, devices, client = pool) {
         device.device_model,
         device.device_lat,
         device.device_lon,
+        device.device_bjdong,
         device.device_address,
         device.note,
     ]);
@@ -47,6 +48,7 @@ async function upsertDevices(externalSystemId, devices, client = pool) {
             device_model,
             device_lat,
             device_lon,
+            device_bjdong,
             device_address,
             note
         )
@@ -60,6 +62,7 @@ async function upsertDevices(externalSystemId, devices, client = pool) {
             device_model = EXCLUDED.device_model,
             device_lat = EXCLUDED.device_lat,
             device_lon = EXCLUDED.device_lon,
+            device_bjdong = EXCLUDED.device_bjdong,
             device_address = EXCLUDED.device_address,
             note = EXCLUDED.note
     `, values);
@@ -68,6 +71,25 @@ async function upsertDevices(externalSystemId, devices, client = pool) {
 
 }
 
+/**
+ * 외부 시스템 ID 목록에 속한 단말기의 위치 정보를 조회합니다. (위치/지역 기반 재난 정보 대상 판정용)
+ * @param {Array<number | string>} externalSystemIds - 외부 시스템 ID 목록
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<Array<{external_system_id: string, device_id: string, device_lat: string, device_lon: string, device_bjdong: string}>>} 단말기 목록
+ */
+async function findLocationsBySystemIds(externalSystemIds, client = pool) {
+
+    const query = `
+        SELECT external_system_id, device_id, device_lat, device_lon, device_bjdong
+        FROM devices
+        WHERE external_system_id = ANY($1::bigint[]);
+    `;
+    const { rows } = await client.query(query, [externalSystemIds]);
+    return rows;
+
+}
+
 module.exports = {
     upsertDevices,
+    findLocationsBySystemIds,
 };
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * @file disasterResourceRepository.js
+ * @description disaster_resources 테이블(재난 정보 첨부 파일)과의 데이터베이스 상호작용을 담당합니다.
+ */
+
+const pool = require('./pool');
+
+/**
+ * 재난 정보 첨부 파일 정보를 기록합니다.
+ * 같은 재난 정보가 다시 수신되면(재전송, 재발행) 기존 기록을 최신 처리 결과로 갱신합니다.
+ * @param {object} resource - 첨부 파일 데이터 (resourceService.storeResources() 결과 항목)
+ * @param {number} mqReceiveLogId - 재난 정보를 수신한 인박스 로그 ID
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<number>} 첨부 파일 ID
+ */
+async function upsert(resource, mqReceiveLogId, client = pool) {
+
+    const query = `
+        INSERT INTO disaster_resources
+            (mq_receive_log_id, identifier, info_index, resource_index, resource_desc, mime_type, size, digest, source, uri, content_hash, status, error_message)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        ON CONFLICT (identifier, info_index, resource_index) DO UPDATE SET
+            size = COALESCE(EXCLUDED.size, disaster_resources.size),
+            content_hash = COALESCE(EXCLUDED.content_hash, disaster_resources.content_hash),
+            status = CASE WHEN EXCLUDED.status = 'STORED' THEN 'STORED' ELSE disaster_resources.status END,
+            error_message = CASE WHEN EXCLUDED.status = 'STORED' THEN NULL ELSE disaster_resources.error_message END
+        RETURNING id;
+    `;
+    const values = [
+        mqReceiveLogId,
+        resource.identifier,
+        resource.infoIndex,
+        resource.resourceIndex,
+        resource.resourceDesc,
+        resource.mimeType,
+        resource.size,
+        resource.digest,
+        resource.source,
+        resource.uri,
+        resource.contentHash,
+        resource.status,
+        resource.errorMessage,
+    ];
+    const { rows } = await client.query(query, values);
+    return rows[0].id;
+
+}
+
+/**
+ * 외부 시스템이 전달받은 재난 정보의 첨부 파일을 조회합니다. (다운로드 API용)
+ * 해당 재난 정보의 발신 로그가 없는 시스템은 조회할 수 없습니다.
+ * @param {number} resourceId - 첨부 파일 ID
+ * @param {number} externalSystemId - 요청한 외부 시스템 ID
+ * @returns {Promise<object | null>} 첨부 파일 정보 또는 null
+ */
+async function findByIdForSystem(resourceId, externalSystemId) {
+
+    const query = `
+        SELECT r.id, r.identifier, r.resource_desc, r.mime_type, r.size, r.content_hash, r.status
+        FROM disaster_resources r
+        WHERE r.id = $1
+            AND EXISTS (
+                SELECT 1
+                FROM disaster_transmit_logs t
+                WHERE t.identifier = r.identifier AND t.external_system_id = $2
+            );
+    `;
+    const { rows } = await pool.query(query, [resourceId, externalSystemId]);
+    return rows[0] || null;
+
+}
+
+/**
+ * 같은 digest(SHA-1)로 저장에 성공한 첨부 파일의 내용 해시를 조회합니다. (같은 첨부 파일을 다시 내려받지 않기 위해 사용)
+ * @param {string} digest - CAP resource의 digest (소문자)
+ * @returns {Promise<string | null>} 내용 해시 (SHA-256) 또는 null
+ */
+async function findContentHashByDigest(digest) {
+
+    const query = `
+        SELECT content_hash
+        FROM disaster_resources
+        WHERE digest = $1 AND status = 'STORED' AND content_hash IS NOT NULL
+        ORDER BY id DESC
+        LIMIT 1;
+    `;
+    const { rows } = await pool.query(query, [digest]);
+    return rows[0]?.content_hash || null;
+
+}
+
+/**
+ * 보관 기간이 지난 첨부 파일 기록을 삭제합니다.
+ * @param {number} retention - 보관 기간 (단위: 밀리초)
+ * @returns {Promise<string[]>} 삭제한 기록의 내용 해시 목록 (로컬 저장소 파일 정리용)
+ */
+async function deleteOlderThan(retention) {
+
+    const query = `
+        DELETE FROM disaster_resources
+        WHERE created_at < NOW() - ($1 * INTERVAL '1 millisecond')
+        RETURNING content_hash;
+    `;
+    const { rows } = await pool.query(query, [retention]);
+    return rows.map((row) => row.content_hash).filter(Boolean);
+
+}
+
+/**
+ * 지정한 내용 해시 중 아직 첨부 파일 기록이 참조하는 해시를 조회합니다.
+ * @param {string[]} contentHashes - 내용 해시 목록
+ * @returns {Promise<Set<string>>} 참조 중인 내용 해시 집합
+ */
+async function findReferencedContentHashes(contentHashes) {
+
+    if (contentHashes.length === 0) {
+        return new Set();
+    }
+
+    const query = `
+        SELECT DISTINCT content_hash
+        FROM disaster_resources
+        WHERE content_hash = ANY($1::text[]);
+    `;
+    const { rows } = await pool.query(query, [contentHashes]);
+    return new Set(rows.map((row) => row.content_hash));
+
+}
+
+module.exports = {
+    upsert,
+    findByIdForSystem,
+    findContentHashByDigest,
+    deleteOlderThan,
+    findReferencedContentHashes,
+};
@@ -9,6 +9,7 @@ const config = require('../../config');
 
 /**
  * 여러 재난 정보 발신 로그를 아웃박스에 일괄적으로 생성합니다.
+ * 같은 시스템에 같은 identifier의 발신 로그가 이미 있으면, revision이 더 큰(내용이 바뀌어 재발행된) 재난 정보인 경우에만 교체하여 다시 전송합니다.
  * @param {Array<object>} logs - 생성할 로그 데이터 객체의 배열
  * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
  * @returns {Promise<void>}
@@ -19,14 +20,18 @@ async function createBulk(logs, client = pool) {
         return [];
     }
 
-    const values = logs.map((log) => [log.mqReceiveLogId, log.externalSystemId, log.identifier, log.rawMessage]);
+    const values = logs.map((log) => [log.mqReceiveLogId, log.externalSystemId, log.identifier, log.rawMessage, log.expiresAt || null, log.alertStatus || 'Actual', log.priority ?? 0, log.revision ?? 0]);
 
-    // ON CONFLICT DO NOTHING: 이미 존재하는 데이터는 무시하고 새로 추가될 데이터만 처리합니다.
+    // ON CONFLICT: 같은 revision(중복 수신)은 무시하고, 더 큰 revision은 재전송 대상(PENDING)으로 교체합니다. (취소된 재난 정보는 교체하지 않음)
     const query = format(
         `
-            INSERT INTO disaster_transmit_logs (mq_receive_log_id, external_system_id, identifier, raw_message)
+            INSERT INTO disaster_transmit_logs (mq_receive_log_id, external_system_id, identifier, raw_message, expires_at, alert_status, priority, revision)
             VALUES %L
-            ON CONFLICT (external_system_id, identifier) DO NOTHING
+            ON CONFLICT (external_system_id, identifier) DO UPDATE
+            SET mq_receive_log_id = EXCLUDED.mq_receive_log_id, raw_message = EXCLUDED.raw_message, expires_at = EXCLUDED.expires_at,
+                alert_status = EXCLUDED.alert_status, priority = EXCLUDED.priority, revision = EXCLUDED.revision,
+                status = 'PENDING', retry_count = 0, expiry_notice_pending = false
+            WHERE disaster_transmit_logs.revision < EXCLUDED.revision AND disaster_transmit_logs.status <> 'CANCELLED'
         `, 
         values
     );
@@ -54,17 +59,108 @@ async function existsByIdentifier(identifier) {
 }
 
 /**
- * 아직 처리되지 않은 (재발신이 필요한) 발신 로그 목록을 조회합니다. (워커용)
+ * 지정한 재난 정보(identifier)의 발신 로그가 있는 외부 시스템 ID 목록을 조회합니다. (갱신/취소 전달 대상 확인용)
+ * @param {string[]} identifiers - 원본 재난 정보 identifier 목록
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<string[]>} 외부 시스템 ID 목록
+ */
+async function findSystemIdsByIdentifiers(identifiers, client = pool) {
+
+    const query = `
+        SELECT DISTINCT external_system_id
+        FROM disaster_transmit_logs
+        WHERE identifier = ANY($1::text[]);
+    `;
+    const { rows } = await client.query(query, [identifiers]);
+    return rows.map((row) => row.external_system_id);
+
+}
+
+/**
+ * 아직 전송되지 않은(PENDING) 원본 재난 정보 발신 로그를 CANCELLED로 변경합니다. (취소 수신 시)
+ * @param {string[]} identifiers - 취소된 재난 정보 identifier 목록
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<number>} 변경된 로그 수
+ */
+async function cancelPendingByIdentifiers(identifiers, client = pool) {
+
+    const query = `
+        UPDATE disaster_transmit_logs
+        SET status = 'CANCELLED'
+        WHERE identifier = ANY($1::text[]) AND status = 'PENDING';
+    `;
+    const { rowCount } = await client.query(query, [identifiers]);
+    return rowCount;
+
+}
+
+/**
+ * 만료 시각이 지난 발신 로그(PENDING, SENT, SUCCESS)를 EXPIRED로 변경합니다. (만료 처리 워커용)
+ * 이미 외부 시스템에 전달된(SENT, SUCCESS) 재난 정보는 만료 알림을 보내도록 expiry_notice_pending을 설정합니다.
+ * @returns {Promise<Array<{id: string, external_system_id: string, identifier: string, expires_at: Date, expiry_notice_pending: boolean}>>} EXPIRED로 변경된 로그 목록
+ */
+async function expireOverdueMessages() {
+
+    // SET 절의 status는 변경 전 값을 참조합니다.
+    const query = `
+        UPDATE disaster_transmit_logs
+        SET status = 'EXPIRED', expiry_notice_pending = status IN ('SENT', 'SUCCESS')
+        WHERE status IN ('PENDING', 'SENT', 'SUCCESS') AND expires_at <= NOW()
+        RETURNING id, external_system_id, identifier, expires_at, expiry_notice_pending;
+    `;
+    const { rows } = await pool.query(query);
+    return rows;
+
+}
+
+/**
+ * 만료 알림을 아직 외부 시스템에 전달하지 못한 발신 로그 목록을 조회합니다. (만료 처리 워커용)
+ * @returns {Promise<Array<{id: string, external_system_id: string, identifier: string, expires_at: Date}>>} 만료 알림 대상 로그 목록
+ */
+async function findPendingExpiryNotices() {
+
+    const query = `
+        SELECT id, external_system_id, identifier, expires_at
+        FROM disaster_transmit_logs
+        WHERE expiry_notice_pending
+        ORDER BY expires_at ASC;
+    `;
+    const { rows } = await pool.query(query);
+    return rows;
+
+}
+
+/**
+ * 만료 알림을 외부 시스템에 전달했음을 기록합니다.
+ * @param {string} logId - 발신 로그 ID
+ * @returns {Promise<void>}
+ */
+async function markExpiryNoticeDelivered(logId) {
+
+    const query = `
+        UPDATE disaster_transmit_logs
+        SET expiry_notice_pending = false
+        WHERE id = $1;
+    `;
+    await pool.query(query, [logId]);
+
+}
+
+/**
+ * 아직 처리되지 않은 (재발신이 필요한) 발신 로그 목록을 우선순위가 높은 순서로 조회합니다. (워커용)
+ * 만료 시각이 지난 로그는 조회하지 않습니다.
  * @returns {Promise<Array<object>>} 처리되지 않은 발신 로그 객체의 배열
  */
 async function findUnprocessedMessages() {
     
     const query = `
-        SELECT id
+        SELECT id, priority
         FROM disaster_transmit_logs
         WHERE
-            status = 'PENDING' OR
-            (status = 'SENT' AND updated_at < NOW() - ($1 * interval '1 milliseconds'));
+            (status = 'PENDING' OR
+            (status = 'SENT' AND updated_at < NOW() - ($1 * interval '1 milliseconds'))) AND
+            (expires_at IS NULL OR expires_at > NOW())
+        ORDER BY priority DESC, created_at ASC;
     `;
     const { rows } = await pool.query(query, [config.disasterTransmitWorker.TRANSMISSION_TIMEOUT]);
     return rows;
@@ -79,7 +175,7 @@ async function findUnprocessedMessages() {
 async function findById(logId) {
     
     const query = `
-        SELECT id, external_system_id, identifier, raw_message, retry_count, status
+        SELECT id, external_system_id, identifier, raw_message, retry_count, status, expires_at, alert_status, priority, revision
         FROM disaster_transmit_logs
         WHERE id = $1;
     `;
@@ -91,7 +187,7 @@ async function findById(logId) {
 /**
  * ID를 기준으로 발신 로그의 상태(status)를 업데이트합니다.
  * @param {number} logId - 업데이트할 로그의 ID
- * @param {string} status - 새로운 상태 ('SENT', 'SUCCESS', 'FAILED')
+ * @param {string} status - 새로운 상태 ('SENT', 'SUCCESS', 'FAILED', 'EXPIRED')
  * @returns {Promise<void>}
  */
 async function updateStatusById(logId, status) {
@@ -122,11 +218,41 @@ async function incrementRetryCount(logId) {
 
 }
 
+/**
+ * 외부 시스템의 훈련/시험 재난 정보 발신 이력을 최신순으로 조회합니다. (drill_transmit_history 뷰, 이력 조회 API용)
+ * @param {number} externalSystemId - 외부 시스템 ID
+ * @param {object} [options]
+ * @param {string} [options.alertStatus] - CAP status로 필터링 (Exercise, System, Test, Draft)
+ * @param {number} [options.limit=20] - 조회할 최대 건수
+ * @param {number} [options.offset=0] - 건너뛸 건수
+ * @returns {Promise<Array<object>>} 발신 이력 객체의 배열
+ */
+async function findDrillHistoryBySystemId(externalSystemId, { alertStatus, limit = 20, offset = 0 } = {}) {
+
+    const query = `
+        SELECT id, identifier, alert_status, event_code, msg_type, status, retry_count, created_at, updated_at
+        FROM drill_transmit_history
+        WHERE external_system_id = $1
+          AND ($2::text IS NULL OR alert_status = $2)
+        ORDER BY created_at DESC, id DESC
+        LIMIT $3 OFFSET $4;
+    `;
+    const { rows } = await pool.query(query, [externalSystemId, alertStatus ?? null, limit, offset]);
+    return rows;
+
+}
+
 module.exports = {
     createBulk,
     existsByIdentifier,
+    findSystemIdsByIdentifiers,
+    cancelPendingByIdentifiers,
+    expireOverdueMessages,
+    findPendingExpiryNotices,
+    markExpiryNoticeDelivered,
     findUnprocessedMessages,
     findById,
     updateStatusById,
     incrementRetryCount,
+    findDrillHistoryBySystemId,
 };
\ No newline at end of file
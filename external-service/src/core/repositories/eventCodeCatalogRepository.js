@@ -0,0 +1,82 @@
+/**
+ * @file eventCodeCatalogRepository.js
+ * @description event_code_catalog 테이블(central-service Event Code 카탈로그 사본)과의 데이터베이스 상호작용을 담당합니다.
+ */
+
+const pool = require('./pool');
+
+/**
+ * 마지막으로 반영한 카탈로그의 발행 시각을 조회합니다.
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<Date | null>} 마지막 발행 시각 (반영한 적이 없으면 null)
+ */
+async function findLatestSyncedAt(client = pool) {
+
+    const query = `
+        SELECT MAX(synced_at) AS synced_at
+        FROM event_code_catalog;
+    `;
+    const { rows } = await client.query(query);
+    return rows[0].synced_at;
+
+}
+
+/**
+ * central-service가 발행한 전체 카탈로그로 사본을 교체합니다.
+ * 목록에 있는 코드는 추가/갱신하고, 목록에 없는 코드는 삭제합니다.
+ * @param {object[]} eventCodes - 카탈로그 항목 배열 ({ code, nameKo, nameEn, category, defaultSeverity, isActive })
+ * @param {string} syncedAt - 카탈로그 발행 시각 (ISO 8601)
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<void>}
+ */
+async function replaceAll(eventCodes, syncedAt, client = pool) {
+
+    const upsertQuery = `
+        INSERT INTO event_code_catalog (code, name_ko, name_en, category, default_severity, is_active, synced_at)
+        SELECT code, "nameKo", "nameEn", category, "defaultSeverity", COALESCE("isActive", true), $2
+        FROM jsonb_to_recordset($1::jsonb)
+            AS entry(code text, "nameKo" text, "nameEn" text, category text, "defaultSeverity" text, "isActive" boolean)
+        ON CONFLICT (code) DO UPDATE SET
+            name_ko = EXCLUDED.name_ko,
+            name_en = EXCLUDED.name_en,
+            category = EXCLUDED.category,
+            default_severity = EXCLUDED.default_severity,
+            is_active = EXCLUDED.is_active,
+            synced_at = EXCLUDED.synced_at;
+    `;
+    await client.query(upsertQuery, [JSON.stringify(eventCodes), syncedAt]);
+
+    const deleteQuery = `
+        DELETE FROM event_code_catalog
+        WHERE code <> ALL($1::text[]);
+    `;
+    await client.query(deleteQuery, [eventCodes.map((entry) => entry.code)]);
+
+}
+
+/**
+ * Event Code 목록을 조회합니다. (조회 API용)
+ * @param {object} [options]
+ * @param {string} [options.category] - CAP info.category 값으로 필터링
+ * @param {boolean} [options.includeInactive=false] - 비활성 코드 포함 여부
+ * @returns {Promise<object[]>} Event Code 객체 배열 (code 순)
+ */
+async function findAll({ category, includeInactive = false } = {}) {
+
+    const query = `
+        SELECT code, name_ko, name_en, category, default_severity, is_active
+        FROM event_code_catalog
+        WHERE ($1::text IS NULL OR category = $1)
+          AND ($2 OR is_active = true)
+        ORDER BY code;
+    `;
+    const { rows } = await pool.query(query, [category ?? null, includeInactive]);
+    return rows;
+
+}
+
+module.exports = {
+    findLatestSyncedAt,
+    replaceAll,
+    findAll,
+};
@@ -14,7 +14,7 @@ const pool = require('./pool');
 async function findByNameAndApiKey(systemName, apiKey) {
     
     const query = `
-        SELECT id, system_name, api_key, origin_urls, subscribed_event_codes, is_active
+        SELECT id, system_name, api_key, origin_urls, subscribed_event_codes, subscribed_region_codes, is_active
         FROM external_systems
         WHERE system_name = $1 AND api_key = $2;
     `;
@@ -44,24 +44,67 @@ async function findAllActiveOrigins() {
 }
 
 /**
- * 특정 재난 이벤트 코드를 구독하고 있는 모든 활성 외부 시스템 목록을 조회합니다. (메시지 브로컹요)
- * @param {string} eventCode - 조회할 재난 이벤트 코드 (예: 'FLL')
+ * 재난 이벤트 코드 중 하나 이상을 구독하고 있는 모든 활성 외부 시스템 목록을 조회합니다. (메시지 브로커용)
+ * @param {string[]} eventCodes - 조회할 재난 이벤트 코드 목록 (예: ['FLL', 'HRW'])
  * @returns {Promise<Array<object>>} 외부 시스템 정보 객체의 배열
  */
-async function findBySubscribedEventCode(eventCode) {
+async function findBySubscribedEventCodes(eventCodes) {
     
     const query = `
-        SELECT id, system_name
+        SELECT id, system_name, subscribed_event_codes, subscribed_region_codes, accepted_statuses
         FROM external_systems
-        WHERE $1 = ANY(subscribed_event_codes) AND is_active = true;
+        WHERE subscribed_event_codes && $1::text[] AND is_active = true;
     `;
-    const { rows } = await pool.query(query, [eventCode]);
+    const { rows } = await pool.query(query, [eventCodes]);
     return rows;
 
 }
 
+/**
+ * 외부 시스템 ID 목록의 재난 정보 전달 설정(선호 언어, 전달 형식)을 조회합니다.
+ * @param {string[]} systemIds - 외부 시스템 ID 목록
+ * @param {import('pg').PoolClient} [client=pool] - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<Map<string, {preferredLanguages: string[], payloadFormat: string}>>} 외부 시스템 ID -> 우선순위 순서의 선호 언어 목록, 전달 형식(RAW, NORMALIZED, BOTH)
+ */
+async function findDeliveryPreferencesByIds(systemIds, client = pool) {
+
+    const query = `
+        SELECT id, preferred_languages, payload_format
+        FROM external_systems
+        WHERE id = ANY($1::bigint[]);
+    `;
+    const { rows } = await client.query(query, [systemIds]);
+    return new Map(rows.map((row) => [String(row.id), {
+        preferredLanguages: row.preferred_languages || [],
+        payloadFormat: row.payload_format,
+    }]));
+
+}
+
+/**
+ * 외부 시스템의 구독 지역(법정동 코드) 목록을 변경합니다.
+ * 빈 배열이면 지역과 관계없이 구독한 재난 코드의 재난 정보를 모두 전달받습니다.
+ * @param {string} systemId - 외부 시스템 ID
+ * @param {string[]} regionCodes - 구독 지역 법정동 코드 목록
+ * @returns {Promise<object|null>} 변경된 외부 시스템의 구독 정보 또는 null
+ */
+async function updateSubscribedRegionCodes(systemId, regionCodes) {
+
+    const query = `
+        UPDATE external_systems
+        SET subscribed_region_codes = $2::text[]
+        WHERE id = $1
+        RETURNING id, subscribed_event_codes, subscribed_region_codes;
+    `;
+    const { rows } = await pool.query(query, [systemId, regionCodes]);
+    return rows[0] || null;
+
+}
+
 module.exports = {
     findByNameAndApiKey,
     findAllActiveOrigins,
-    findBySubscribedEventCode,
+    findBySubscribedEventCodes,
+    findDeliveryPreferencesByIds,
+    updateSubscribedRegionCodes,
 };
\ No newline at end of file
@@ -0,0 +1,198 @@
+/**
+ * @file disasterTargetingService.js
+ * @description 수신한 재난 정보를 전달할 외부 시스템을 판정하고, 시스템별 발신 로그(아웃박스) 데이터를 만듭니다.
+ * 재난 코드/상태/지역 구독, 원본 재난 정보 보유 여부, 영역 내 단말기, 선호 언어와 전달 형식을 반영합니다.
+ */
+
+const logger = require('../utils/logger');
+const config = require('../../config');
+const externalSystemRepository = require('../repositories/externalSystemRepository');
+const disasterTransmitLogRepository = require('../repositories/disasterTransmitLogRepository');
+const deviceRepository = require('../repositories/deviceRepository');
+const geoUtils = require('../utils/geoUtils');
+const regionUtils = require('../utils/regionUtils');
+const languageUtils = require('../utils/languageUtils');
+
+const { GEO_FILTER_ENABLED } = config.disasterTargeting;
+
+/**
+ * 단말기의 위치가 재난 정보 영역과 비교 가능한지 확인합니다.
+ * 도형 영역은 좌표(device_lat, device_lon)로, 법정동 코드 영역은 단말기의 법정동 코드(device_bjdong)로 판정합니다.
+ * @param {object} device - 단말기 위치 정보
+ * @param {boolean} hasGeometry - 재난 정보 영역에 도형(polygon, circle)이 있는지 여부
+ * @returns {boolean}
+ */
+function _isLocatable(device, hasGeometry) {
+
+    if (hasGeometry) {
+        return Number.isFinite(parseFloat(device.device_lat)) && Number.isFinite(parseFloat(device.device_lon));
+    }
+    return Boolean(regionUtils.toRegionPrefix(device.device_bjdong));
+
+}
+
+/**
+ * 재난 정보 영역과 한 시스템의 단말기 위치를 비교하여 영역 내 단말기 ID 목록을 구합니다.
+ * @param {Array<object>} devices - 시스템의 단말기 위치 목록
+ * @param {Array<object>} areas - 재난 정보 영역 (capService.parseAreas() 결과)
+ * @param {string[]} regionCodes - 재난 정보의 법정동 코드 목록
+ * @returns {string[] | null} 영역 내 단말기 ID 목록 (영역 안에 단말기가 없으면 빈 배열, 위치를 비교할 수 있는 단말기가 없으면 null)
+ */
+function _matchDevices(devices, areas, regionCodes) {
+
+    const hasGeometry = geoUtils.hasGeometry(areas);
+    const locatableDevices = devices.filter((device) => _isLocatable(device, hasGeometry));
+    if (locatableDevices.length === 0) {
+        return null;
+    }
+
+    const devicesInArea = hasGeometry
+        ? geoUtils.findDevicesInAreas(locatableDevices, areas)
+        : locatableDevices.filter((device) => regionUtils.isAnyRegionOverlapped([device.device_bjdong], regionCodes));
+    return devicesInArea.map((device) => device.device_id);
+
+}
+
+/**
+ * 재난 정보에서 지정한 재난 코드의 info, 영역, 정규화 모델 info, 첨부 파일만 남깁니다.
+ * 한 재난 정보(CAP)에 여러 재난 코드의 info가 있으면, 시스템이 구독한 재난 코드의 내용만 전달하기 위해 사용합니다.
+ * 재난 코드 정보가 없는 영역(central-service 이전 버전이 발행)은 남깁니다.
+ * @param {object} messageContent - 재난 정보 메시지
+ * @param {string[]} eventCodes - 남길 재난 코드 목록
+ * @returns {object} 재난 코드를 골라낸 재난 정보 메시지
+ */
+function _selectByEventCodes(messageContent, eventCodes) {
+
+    const isSelected = (codes) => !codes || codes.some((code) => eventCodes.includes(code));
+    const alert = messageContent.alert && {
+        ...messageContent.alert,
+        infos: (messageContent.alert.infos || []).filter((info) => isSelected((info.eventCodes || []).map(({ value }) => value))),
+    };
+    const infoIndexes = alert && new Set(alert.infos.map((info) => info.infoIndex));
+
+    return {
+        ...messageContent,
+        eventCode: eventCodes.includes(messageContent.eventCode) ? messageContent.eventCode : eventCodes[0],
+        eventCodes,
+        infos: (messageContent.infos || []).filter((info) => isSelected(info.eventCodes)),
+        areas: (messageContent.areas || []).filter((area) => isSelected(area.eventCodes)),
+        alert,
+        resources: messageContent.resources && infoIndexes
+            ? messageContent.resources.filter((resource) => infoIndexes.has(resource.infoIndex))
+            : messageContent.resources,
+    };
+
+}
+
+/**
+ * 재난 정보를 전달할 외부 시스템을 판정하고 시스템별 발신 로그 데이터를 만듭니다.
+ * @param {object} messageContent - 첨부 파일 참조 정보로 바뀐 재난 정보 메시지
+ * @param {number} mqReceiveLogId - 인박스(mq_receive_logs) 로그 ID
+ * @param {import('pg').PoolClient} client - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<Array<object>>} disasterTransmitLogRepository.createBulk()에 전달할 발신 로그 데이터 목록
+ */
+async function buildTransmitLogs(messageContent, mqReceiveLogId, client) {
+
+    const { identifier } = messageContent;
+
+    // 1. 재난 정보의 재난 코드 중 하나 이상을 구독하는 활성 시스템을 조회하고, 시스템별로 구독한 재난 코드의 info/영역만 남깁니다.
+    // 구독 지역이 재난 정보 지역(구독한 재난 코드 영역의 법정동 코드 geocode)과 겹치는 시스템만 대상에 포함하며,
+    // 구독 지역이 없는 시스템, 또는 법정동 코드가 없는 재난 정보는 지역과 관계없이 대상에 포함합니다.
+    // 훈련/시험(Actual이 아닌 status) 재난 정보는 해당 status 수신을 선택(accepted_statuses)한 시스템에만 전달합니다.
+    // info가 없는 갱신/취소는 원본 재난 정보를 받은 시스템(2)에만 전달합니다.
+    const eventCodes = messageContent.eventCodes?.length > 0 ? messageContent.eventCodes : [messageContent.eventCode];
+    const alertStatus = messageContent.alertStatus || 'Actual';
+    const isInfoless = messageContent.msgType !== 'Alert' && (messageContent.infos || []).length === 0;
+    const contentBySystem = new Map();
+    const subscribedSystems = (isInfoless ? [] : await externalSystemRepository.findBySubscribedEventCodes(eventCodes))
+        .filter((system) => (system.accepted_statuses || ['Actual']).includes(alertStatus));
+    for (const system of subscribedSystems) {
+        const subscribedEventCodes = system.subscribed_event_codes || [];
+        const content = _selectByEventCodes(messageContent, eventCodes.filter((code) => subscribedEventCodes.includes(code)));
+        const regionCodes = regionUtils.extractRegionCodes(content.areas);
+        const subscribedRegionCodes = system.subscribed_region_codes || [];
+        if (subscribedRegionCodes.length === 0
+            || regionCodes.length === 0
+            || regionUtils.isAnyRegionOverlapped(subscribedRegionCodes, regionCodes)) {
+            contentBySystem.set(String(system.id), content);
+        }
+    }
+    logger.debug(`✅ [ExternalService][DisasterTargeting] 구독 시스템 조회 완료 (${contentBySystem.size}개, 재난 코드: ${eventCodes.join(', ')}, status: ${alertStatus}, 재난 지역: ${regionUtils.extractRegionCodes(messageContent.areas || []).join(', ') || '없음'}).`);
+
+    // 2. 갱신(Update)/취소(Cancel)는 원본 재난 정보를 이미 받은 시스템에도 전달하여 사이렌, 전광판 등을 갱신/중지할 수 있도록 합니다.
+    // 재난 코드를 구독하지 않는 원본 수신 시스템에는 모든 재난 코드의 내용을 전달합니다.
+    const msgType = messageContent.msgType || 'Alert';
+    const references = messageContent.references || [];
+    const holderSystemIds = new Set();
+    if (msgType !== 'Alert' && references.length > 0) {
+        const systemIds = await disasterTransmitLogRepository.findSystemIdsByIdentifiers(references, client);
+        systemIds.forEach((systemId) => {
+            holderSystemIds.add(String(systemId));
+            if (!contentBySystem.has(String(systemId))) {
+                contentBySystem.set(String(systemId), messageContent);
+            }
+        });
+        logger.info(`[ExternalService][DisasterTargeting] 재난 정보 ${msgType} 수신 (Identifier: ${identifier}, 원본: ${references.join(', ')}, 원본 수신 시스템: ${holderSystemIds.size}개).`);
+    }
+
+    // 3. 시스템별 재난 정보 영역(polygon, circle)과 단말기 위치를 비교하여 영역 내 단말기 ID 목록을 구합니다.
+    // 도형 없이 법정동 코드만 있으면 단말기의 법정동 코드(device_bjdong)로 판정하고,
+    // 둘 다 없어 판정이 불가능한 재난 정보, 또는 위치를 비교할 수 있는 단말기가 없는 시스템은 단말기 ID 목록을 null로 전달합니다.
+    const deviceIdsBySystem = new Map();
+    const locatableSystemIds = [...contentBySystem.keys()].filter((systemId) => {
+        const { areas } = contentBySystem.get(systemId);
+        return geoUtils.hasGeometry(areas) || regionUtils.extractRegionCodes(areas).length > 0;
+    });
+    if (locatableSystemIds.length > 0) {
+        const devices = await deviceRepository.findLocationsBySystemIds(locatableSystemIds, client);
+        for (const systemId of locatableSystemIds) {
+            const { areas } = contentBySystem.get(systemId);
+            const systemDevices = devices.filter((device) => String(device.external_system_id) === systemId);
+            const deviceIds = _matchDevices(systemDevices, areas, regionUtils.extractRegionCodes(areas));
+            deviceIdsBySystem.set(systemId, deviceIds);
+
+            // GEO_FILTER_ENABLED이면 도형 영역 안에 단말기가 하나도 없는 시스템은 제외합니다.
+            // 위치를 비교할 수 있는 단말기가 없는 시스템과 원본을 이미 받은 시스템(갱신/취소 수신 필요)은 유지합니다.
+            if (GEO_FILTER_ENABLED && geoUtils.hasGeometry(areas) && deviceIds?.length === 0 && !holderSystemIds.has(systemId)) {
+                contentBySystem.delete(systemId);
+            }
+        }
+        logger.info(`[ExternalService][DisasterTargeting] 위치 기반 대상 판정 완료 (Identifier: ${identifier}, 위치 판정 가능 시스템: ${[...deviceIdsBySystem.values()].filter(Boolean).length}개, 전달 대상: ${contentBySystem.size}개).`);
+    }
+
+    if (contentBySystem.size === 0) {
+        return [];
+    }
+
+    // 4. 각 시스템에 대한 발신 로그(아웃박스) 데이터를 준비합니다.
+    // 다국어 재난 정보는 시스템의 선호 언어(preferred_languages)에 맞는 info만 전달합니다. (정규화 모델의 info도 동일)
+    // payloadFormat은 시스템이 선택한 전달 형식(payload_format)이며, 전송 시 원본/정규화 모델 포함 여부를 결정합니다.
+    const preferencesBySystem = await externalSystemRepository.findDeliveryPreferencesByIds([...contentBySystem.keys()], client);
+    return [...contentBySystem].map(([externalSystemId, content]) => {
+        const { preferredLanguages, payloadFormat = 'RAW' } = preferencesBySystem.get(externalSystemId) || {};
+        return {
+            mqReceiveLogId,
+            externalSystemId,
+            identifier,
+            alertStatus,
+            priority: messageContent.priority ?? 0,
+            revision: messageContent.revision ?? 0,
+            expiresAt: messageContent.expiresAt,
+            rawMessage: {
+                ...content,
+                infos: languageUtils.selectInfos(content.infos || [], preferredLanguages),
+                alert: content.alert && {
+                    ...content.alert,
+                    infos: languageUtils.selectInfos(content.alert.infos, preferredLanguages),
+                },
+                payloadFormat,
+                targetDeviceIds: deviceIdsBySystem.get(externalSystemId) ?? null,
+            },
+        };
+    });
+
+}
+
+module.exports = {
+    buildTransmitLogs,
+};
@@ -7,9 +7,11 @@
 const amqp = require('amqplib');
 const logger = require('../utils/logger');
 const config = require('../../config');
-const externalSystemRepository = require('../repositories/externalSystemRepository');
 const disasterTransmitLogRepository = require('../repositories/disasterTransmitLogRepository');
 const mqReceiveLogRepository = require('../repositories/mqReceiveLogRepository');
+const eventCodeCatalogRepository = require('../repositories/eventCodeCatalogRepository');
+const resourceService = require('./resourceService');
+const disasterTargetingService = require('./disasterTargetingService');
 const pool = require('../repositories/pool');
 
 let connection = null;
@@ -20,14 +22,21 @@ const {
     NAMES: {
         DISASTER_EXCHANGE, 
         DISASTER_QUEUE, 
+        LEGACY_DISASTER_QUEUE,
         REPORT_EXCHANGE,
         DISASTER_DLQ,
         DISASTER_DLX,
         DISASTER_RETRY_EXCHANGE,
         DISASTER_WAIT_QUEUE,
+        CATALOG_QUEUE,
+        CATALOG_ROUTING_KEY,
+        DISASTER_BINDING_KEY,
+        DRILL_BINDING_KEY,
     },
     RETRY_DELAY,
     MAX_RETRIES,    
+    DISASTER_MAX_PRIORITY,
+    PREFETCH_COUNT,
 } = config.rabbitmq;
 
 /**
@@ -98,17 +107,43 @@ async function start() {
             arguments: {
                 // 이 큐에서 NACK(최종 실패) 처리된 메시지는 DISASTER_DLX 이동합니다.
                 'x-dead-letter-exchange': DISASTER_DLX,
+                // 인명 피해와 직결된 재난 정보(지진 등)가 먼저 소비되도록 우선순위 큐로 생성합니다.
+                'x-max-priority': DISASTER_MAX_PRIORITY,
             }
         });
         // 메인 Exchange와 메인 Queue를 바인딩합니다.
-        await channel.bindQueue(DISASTER_QUEUE, DISASTER_EXCHANGE, 'disaster.*');
-        logger.debug(`✅ [ExternalService][MessageBroker] Queue 생성/바인딩: ${DISASTER_QUEUE} -> ${DISASTER_EXCHANGE} (disaster.*).`);
+        // 훈련/시험 재난 정보도 같은 큐로 받되, 수신 여부는 외부 시스템별 accepted_statuses로 판정합니다.
+        for (const bindingKey of [DISASTER_BINDING_KEY, DRILL_BINDING_KEY]) {
+            await channel.bindQueue(DISASTER_QUEUE, DISASTER_EXCHANGE, bindingKey);
+            logger.debug(`✅ [ExternalService][MessageBroker] Queue 생성/바인딩: ${DISASTER_QUEUE} -> ${DISASTER_EXCHANGE} (${bindingKey}).`);
+        }
+
+        // --- 3. Event Code 카탈로그 수신(Inbound)용 Queue 설정 ---
+        // 카탈로그는 매번 전체 목록으로 발행되므로 가장 최근 메시지 1건만 유지합니다.
+        await channel.assertQueue(CATALOG_QUEUE, {
+            durable: true,
+            arguments: {
+                'x-max-length': 1,
+            }
+        });
+        await channel.bindQueue(CATALOG_QUEUE, DISASTER_EXCHANGE, CATALOG_ROUTING_KEY);
+        logger.debug(`✅ [ExternalService][MessageBroker] Queue 생성/바인딩: ${CATALOG_QUEUE} -> ${DISASTER_EXCHANGE} (${CATALOG_ROUTING_KEY}).`);
 
         logger.info('✅ [ExternalService][MessageBroker] Exchange/Queue 설정 완료.');
 
+        // 한 번에 받는 메시지 수를 제한해야 큐에 쌓인 메시지 중 우선순위가 높은 것부터 전달됩니다.
+        await channel.prefetch(PREFETCH_COUNT);
+
+        // 우선순위 큐 도입 이전의 재난 정보 큐 정리
+        await _drainLegacyDisasterQueue();
+
         // 재난 정보 수신 시작
         channel.consume(DISASTER_QUEUE, _consumeDisasterMessage, { noAck: false }); // 수동 ACK 모드
         logger.info(`🚀 [ExternalService][MessageBroker] "${DISASTER_QUEUE}" 큐 소비 시작...`);
+
+        // Event Code 카탈로그 수신 시작
+        channel.consume(CATALOG_QUEUE, _consumeCatalogMessage, { noAck: false }); // 수동 ACK 모드
+        logger.info(`🚀 [ExternalService][MessageBroker] "${CATALOG_QUEUE}" 큐 소비 시작...`);
  
     } catch (err) {
 
@@ -120,6 +155,47 @@ async function start() {
 
 }
 
+/**
+ * 우선순위 큐 도입 이전의 재난 정보 큐(LEGACY_DISASTER_QUEUE)를 정리합니다.
+ * RabbitMQ는 기존 큐의 x-max-priority를 변경할 수 없어 새 이름의 큐를 사용하므로,
+ * 이전 큐의 바인딩을 해제하여 더 이상 메시지가 쌓이지 않게 하고,
+ * 비어 있으면 삭제하고 남은 메시지가 있으면 모두 소비되도록 함께 구독합니다.
+ */
+async function _drainLegacyDisasterQueue() {
+
+    // 큐가 없거나 비어 있지 않으면 checkQueue/deleteQueue가 채널을 닫으므로 별도 채널에서 확인/삭제합니다.
+    const checkChannel = await connection.createChannel();
+    checkChannel.on('error', () => {});
+
+    try {
+
+        const { messageCount } = await checkChannel.checkQueue(LEGACY_DISASTER_QUEUE);
+        for (const bindingKey of [DISASTER_BINDING_KEY, DRILL_BINDING_KEY]) {
+            await checkChannel.unbindQueue(LEGACY_DISASTER_QUEUE, DISASTER_EXCHANGE, bindingKey);
+        }
+
+        if (messageCount === 0) {
+            await checkChannel.deleteQueue(LEGACY_DISASTER_QUEUE, { ifEmpty: true });
+            logger.info(`✅ [ExternalService][MessageBroker] 이전 재난 정보 큐 삭제 완료 (${LEGACY_DISASTER_QUEUE}).`);
+            return;
+        }
+
+        channel.consume(LEGACY_DISASTER_QUEUE, _consumeDisasterMessage, { noAck: false }); // 수동 ACK 모드
+        logger.warn(`🔔 [ExternalService][MessageBroker] 이전 재난 정보 큐에 남은 메시지 ${messageCount}건 소비 시작 (${LEGACY_DISASTER_QUEUE}). 비워진 뒤 다음 시작 시 삭제됩니다.`);
+
+    } catch (err) {
+
+        // 큐가 없으면(이미 삭제됨) 정리할 것이 없습니다.
+        logger.debug(`✅ [ExternalService][MessageBroker] 이전 재난 정보 큐 정리 생략 (${LEGACY_DISASTER_QUEUE}): ${err.message}`);
+
+    } finally {
+
+        await checkChannel.close().catch(() => {});
+
+    }
+
+}
+
 /**
  * 재난 정보 큐로부터 메시지를 받아 처리하는 소비자(consumer) 함수입니다. (인박스 패턴)
  * @param {import('amqplib').ConsumeMessage | null} msg - RabbitMQ로부터 받은 메시지 객체
@@ -144,40 +220,43 @@ async function _consumeDisasterMessage(msg) {
 
         // --- 1단계: 먼저 메시지 기록 (독립적인 작업) ---
         // 만약 이 단계에서 DB 오류가 발생하면, 외부 catch 블록으로 이동하여 메시지를 DLQ로 보냅니다.
-        mqReceiveLogId = await mqReceiveLogRepository.create(messageString);
+        // 첨부 파일 내용(derefUri)은 disaster_resources와 로컬 저장소에 따로 보관하므로 인박스에는 빼고 기록합니다.
+        mqReceiveLogId = await mqReceiveLogRepository.create(resourceService.omitContents(messageString));
         logger.debug(`✅ [ExternalService][MessageBroker] 메시지 인박스 기록 완료 (Tag: ${deliveryTag}, mq_receive_log ID: ${mqReceiveLogId}).`);
 
         // --- 2단계: 메시지 처리 (별도의 트랜잭션) ---
         // 이 단계부터는 메시지가 DB에 기록된 것이 보장됩니다.
         client = await pool.getClient();
         try {
-            
-            // 1.  트랜잭션을 시작합니다.
+
+            // 1. 메시지 내용을 파싱하고, 첨부 파일(resource)을 로컬 저장소에 기록합니다. (원격 다운로드가 트랜잭션을 잡고 있지 않도록 트랜잭션 전에 수행)
+            const receivedContent = JSON.parse(messageString);
+            identifier = receivedContent.identifier;
+            const storedResources = await resourceService.storeResources(receivedContent);
+
+            // 2. 트랜잭션을 시작하고, 첨부 파일을 기록하여 base64 내용을 참조 정보로 바꿉니다.
             await client.query('BEGIN');
             logger.debug(`🚀 [ExternalService][MessageBroker] DB 트랜잭션 시작 (mq_receive_log ID: ${mqReceiveLogId})...`);
-
-            // 2. 메시지 내용을 파싱하고 처리합니다.
-            const messageContent = JSON.parse(messageString);
-            identifier = messageContent.identifier;
+            const messageContent = await resourceService.attachResources(receivedContent, storedResources, mqReceiveLogId, client);
 
             logger.debug(`🚀 [ExternalService][MessageBroker] 재난 정보 처리 시작 (Identifier: ${identifier}, Event: ${messageContent.eventCode})...`);
 
-            // 3. 해당 재난 코드를 구독하는 활성 시스템 목록을 조회합니다.
-            const subscribedSystems = await externalSystemRepository.findBySubscribedEventCode(messageContent.eventCode);
-            logger.debug(`✅ [ExternalService][MessageBroker] 구독 시스템 조회 완료 (${subscribedSystems.length}개).`);
+            // 3. 전달 대상 외부 시스템을 판정하고 시스템별 발신 로그 데이터를 준비합니다. (재난 코드/지역/상태 구독, 원본 보유 시스템, 영역 내 단말기)
+            const logsToCreate = await disasterTargetingService.buildTransmitLogs(messageContent, mqReceiveLogId, client);
 
-            if (subscribedSystems.length > 0) {
-                // 4. 각 시스템에 대한 발신 로그(아웃박스) 데이터를 준비합니다.
-                const logsToCreate = subscribedSystems.map((system) => ({
-                    mqReceiveLogId,
-                    externalSystemId: system.id,
-                    identifier,
-                    rawMessage: messageContent,
-                }));
+            // 4. 취소된 원본 재난 정보 중 아직 전송되지 않은 것은 전송하지 않습니다.
+            const references = messageContent.references || [];
+            if (messageContent.msgType === 'Cancel' && references.length > 0) {
+                const cancelledCount = await disasterTransmitLogRepository.cancelPendingByIdentifiers(references, client);
+                if (cancelledCount > 0) {
+                    logger.warn(`🔔 [ExternalService][MessageBroker] 미전송 원본 재난 정보 ${cancelledCount}건 CANCELLED 처리 (원본: ${references.join(', ')}).`);
+                }
+            }
 
-                // 5. 재난 정보 아웃박스(disaster_transmit_logs)에 일괄 기록합니다.
+            // 5. 재난 정보 아웃박스(disaster_transmit_logs)에 일괄 기록합니다.
+            if (logsToCreate.length > 0) {
                 await disasterTransmitLogRepository.createBulk(logsToCreate, client);
-                logger.info(`✅ [ExternalService][MessageBroker] 재난 정보 [${identifier}] 발신 로그 ${subscribedSystems.length}개 생성 완료.`);
+                logger.info(`✅ [ExternalService][MessageBroker] 재난 정보 [${identifier}] 발신 로그 ${logsToCreate.length}개 생성 완료.`);
             }
 
             // 6. 인박스 로그 상태를 'SUCCESS'로 업데이트합니다.
@@ -225,7 +304,9 @@ async function _consumeDisasterMessage(msg) {
                     headers: {
                         'x-retry-count': retryCount + 1
                     },
-                    persistent: true
+                    persistent: true,
+                    // 재시도 후에도 원래 우선순위로 소비되도록 유지합니다.
+                    priority: msg.properties.priority,
                 });
                 // 2. 원본 메시지는 ACK 처리하여 큐에서 처리합니다.
                 channel.ack(msg);
@@ -257,6 +338,64 @@ async function _consumeDisasterMessage(msg) {
 
 }
 
+/**
+ * Event Code 카탈로그 큐로부터 전체 카탈로그 메시지를 받아 DB 사본을 교체하는 소비자(consumer) 함수입니다.
+ * 이미 더 최근에 발행된 카탈로그를 반영했다면 무시합니다.
+ * @param {import('amqplib').ConsumeMessage | null} msg - RabbitMQ로부터 받은 메시지 객체
+ */
+async function _consumeCatalogMessage(msg) {
+
+    if (msg === null) {
+        logger.warn('🔔 [ExternalService][MessageBroker] Consumer 취소됨 (null 메시지 수신).');
+        return;
+    }
+
+    let client;
+
+    try {
+
+        const { publishedAt, eventCodes } = JSON.parse(msg.content.toString());
+        logger.debug(`⬅️ [ExternalService][MessageBroker] Event Code 카탈로그 수신 (발행: ${publishedAt}, ${eventCodes.length}개).`);
+
+        client = await pool.getClient();
+        await client.query('BEGIN');
+        // 동시에 들어온 카탈로그가 서로 덮어쓰지 않도록 테이블을 잠급니다.
+        await client.query('LOCK TABLE event_code_catalog IN SHARE ROW EXCLUSIVE MODE');
+
+        const latestSyncedAt = await eventCodeCatalogRepository.findLatestSyncedAt(client);
+        if (latestSyncedAt && latestSyncedAt > new Date(publishedAt)) {
+            await client.query('ROLLBACK');
+            logger.warn(`🔔 [ExternalService][MessageBroker] 이전에 발행된 Event Code 카탈로그 무시 (발행: ${publishedAt}, 반영된 카탈로그: ${latestSyncedAt.toISOString()}).`);
+        } else {
+            await eventCodeCatalogRepository.replaceAll(eventCodes, publishedAt, client);
+            await client.query('COMMIT');
+            logger.info(`✅ [ExternalService][MessageBroker] Event Code 카탈로그 반영 완료 (발행: ${publishedAt}, ${eventCodes.length}개).`);
+        }
+
+        channel.ack(msg);
+
+    } catch (err) {
+
+        if (client) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        // 한 번은 다시 큐에 넣어 재시도하고, 재전달된 메시지도 실패하면 버립니다. (다음 카탈로그 발행 시 다시 동기화됩니다.)
+        const requeue = !msg.fields.redelivered;
+        logger.error(`🚨 [ExternalService][MessageBroker] Event Code 카탈로그 반영 오류: ${err.message}. NACK 처리 (재시도: ${requeue ? 'Y' : 'N'}).`);
+        if (channel) {
+            channel.nack(msg, false, requeue);
+        }
+
+    } finally {
+
+        if (client) {
+            client.release();
+        }
+
+    }
+
+}
+
 /**
  * 외부 시스템에서 수신한 보고 정보(를 RabbitMQ에 발행(publish)하여 central-service로 전달합니다. (reportPublishWorker에 의해 호출됨)
  * @param {object} payload - 발행할 보고 메시지 객체
@@ -10,6 +10,8 @@ const sessionManager = require('../../socket/sessionManager');
 
 const TRANSMISSION_TIMEOUT = config.disasterTransmitWorker.TRANSMISSION_TIMEOUT;
 const MAX_RETRIES = config.disasterTransmitWorker.MAX_RETRIES;
+// 더 이상 전송하지 않는 최종 상태 (CANCELLED: 전송 전에 취소(Cancel)된 재난 정보, EXPIRED: 만료된 재난 정보)
+const FINAL_STATUSES = ['SUCCESS', 'FAILED', 'CANCELLED', 'EXPIRED'];
 
 /**
  * 전송 실패 시 재시도 횟수를 증가시키거나 상태를 FAILED로 변경합니다.
@@ -27,7 +29,7 @@ async function _processFailure(logId, currentRetryCount) {
         return;
     }
 
-    if (!currentLog || currentLog.status === 'SUCCESS' || currentLog.status === 'FAILED') {
+    if (!currentLog || FINAL_STATUSES.includes(currentLog.status)) {
         logger.debug(`🚨 [ExternalService][ReliableTransmit] disaster_transmit_log ID [${logId}] 최종 상태(${currentLog?.status}) 확인. 실패 처리 건너뜀.`);
         return;
     }
@@ -68,8 +70,9 @@ async function _processAck(logId) {
             logger.debug(`🔔 [ExternalService][ReliableTransmit] disaster_transmit_log ID [${logId}] 이미 SUCCESS 상태. ACK 무시.`);
             return;
         }
-        if (currentLog?.status === 'FAILED') {
-            logger.warn(`🔔 [ExternalService][ReliableTransmit] disaster_transmit_log ID [${logId}] 이미 FAILED 상태. ACK 무시.`);
+        // ACK를 기다리는 동안 취소/만료된 경우 등 최종 상태면 상태를 바꾸지 않습니다. (만료 처리: alertExpiryWorker.js 참조)
+        if (FINAL_STATUSES.includes(currentLog?.status)) {
+            logger.warn(`🔔 [ExternalService][ReliableTransmit] disaster_transmit_log ID [${logId}] 이미 ${currentLog.status} 상태. ACK 무시.`);
             return;
         }
         await disasterTransmitLogRepository.updateStatusById(logId, 'SUCCESS');
@@ -95,7 +98,7 @@ async function _processMessage(logId) {
         return;
     } 
 
-    if (!currentLog || currentLog.status === 'SUCCESS' || currentLog.status === 'FAILED') {
+    if (!currentLog || FINAL_STATUSES.includes(currentLog.status)) {
         logger.debug(`🚨 [ExternalService][ReliableTransmit] disaster_transmit_log ID [${logId}] 최종 상태(${currentLog?.status}) 확인. 처리 건너뜀.`);
         return;
     }
@@ -104,7 +107,11 @@ async function _processMessage(logId) {
         external_system_id: externalSystemId,
         identifier,
         raw_message: rawMessage,
-        retry_count: currentRetryCount
+        retry_count: currentRetryCount,
+        expires_at: expiresAt,
+        alert_status: alertStatus,
+        priority,
+        revision,
     } = currentLog;
 
     const systemName = sessionManager.getSocketBySystemId(externalSystemId)?.system?.system_name || `external_system ID: ${externalSystemId}`; // 로그용 시스템 이름
@@ -131,11 +138,40 @@ async function _processMessage(logId) {
         }
 
         // 3. 메시지 페이로드를 구성합니다. (전송 로그 ID 포함)
+        // msgType이 Update/Cancel이면 외부 시스템은 references의 재난 정보를 갱신/취소해야 합니다.
+        // deviceIds는 재난 정보 영역 안에 있는 이 시스템의 단말기 ID 목록입니다. (null: 위치 판정 불가, 전체 단말기 대상)
+        // infos는 이 시스템의 선호 언어에 맞는 info 목록입니다. (eventCode는 이 메시지가 전달된 재난 코드)
+        // resources는 첨부 파일 참조 목록이며, 파일은 downloadPath(다운로드 API)로 내려받습니다.
+        // signature는 중앙 서비스의 CAP 전자서명 검증 결과입니다. (status: NOT_CHECKED, UNSIGNED, VALID, INVALID)
+        // alertStatus가 Actual이 아니면(isDrill: true) 훈련/시험 재난 정보이므로 외부 시스템은 실제 경보 장치를 동작시키지 않아야 합니다.
+        // priority는 긴급성/심각성에 따른 우선순위입니다. (0 ~ 9, 9: 지진 등 인명 피해와 직결된 재난)
+        // revision이 0보다 크면 같은 identifier의 내용이 바뀌어 다시 전송된 재난 정보이므로, 외부 시스템은 이전에 받은 내용을 교체해야 합니다.
+        // 시스템의 전달 형식(payloadFormat)에 따라 원본(rawMessage), 정규화 모델(alert, central-service capService.normalizeAlert 참고)을 포함합니다.
+        const payloadFormat = rawMessage.payloadFormat || 'RAW';
         const payload = {
             logId,
             identifier,
-            rawMessage,
+            eventCode: rawMessage.eventCode,
+            msgType: rawMessage.msgType || 'Alert',
+            alertStatus,
+            isDrill: alertStatus !== 'Actual',
+            priority: priority ?? 0,
+            revision: revision ?? 0,
+            references: rawMessage.references || [],
+            deviceIds: rawMessage.targetDeviceIds ?? null,
+            infos: rawMessage.infos || [],
+            resources: rawMessage.resources || [],
+            signature: rawMessage.signature ?? null,
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+            payloadFormat,
         };
+        if (payloadFormat !== 'RAW') {
+            payload.alert = rawMessage.alert ?? null;
+        }
+        // 정규화 모델이 없는 메시지(central-service 이전 버전이 발행)는 형식과 관계없이 원본을 포함합니다.
+        if (payloadFormat !== 'NORMALIZED' || !rawMessage.alert) {
+            payload.rawMessage = rawMessage;
+        }
 
         // 전송 시도 후 즉시 상태를 SENT로 업데이트
         await disasterTransmitLogRepository.updateStatusById(logId, 'SENT');
@@ -191,6 +227,46 @@ async function _processMessage(logId) {
     
 }
 
+/**
+ * 이미 전달된 재난 정보가 만료되었음을 외부 시스템에 알립니다. (만료 처리 워커가 호출)
+ * 외부 시스템은 해당 재난 정보로 동작 중인 경보 장치(사이렌, 전광판 등)를 중지해야 합니다.
+ * 활성 소켓이 없거나 ACK를 받지 못하면 만료 알림 대기 상태를 유지하여 다음 주기에 다시 알립니다.
+ * @param {object} log - 만료 알림 대상 발신 로그 (disasterTransmitLogRepository.findPendingExpiryNotices() 결과)
+ * @returns {Promise<void>}
+ */
+async function transmitExpiryNotice(log) {
+
+    const { id: logId, external_system_id: externalSystemId, identifier, expires_at: expiresAt } = log;
+
+    const targetSocket = sessionManager.getSocketBySystemId(externalSystemId);
+    if (!targetSocket) {
+        logger.debug(`🔔 [ExternalService][ReliableTransmit] disaster_transmit_log ID [${logId}] 만료 알림 대상(external_system ID: ${externalSystemId}) 활성 소켓 없음. 건너뜀.`);
+        return;
+    }
+
+    const systemName = targetSocket.system?.system_name || `external_system ID: ${externalSystemId}`;
+    const payload = { logId, identifier, expiresAt: new Date(expiresAt).toISOString() };
+
+    try {
+
+        logger.info(`➡️ [ExternalService][ReliableTransmit] disaster_transmit_log ID [${logId}] (${systemName}) 만료 알림 전송 (Identifier: ${identifier}).`);
+        const response = await targetSocket.timeout(TRANSMISSION_TIMEOUT).emitWithAck('disasterExpired', payload);
+
+        if (response?.status === 'ack' && response.logId === logId) {
+            await disasterTransmitLogRepository.markExpiryNoticeDelivered(logId);
+            logger.info(`⬅️ [ExternalService][ReliableTransmit] disaster_transmit_log ID [${logId}] 만료 알림 ACK 수신 (Socket: ${targetSocket.id}).`);
+        } else {
+            logger.warn(`🔔 [ExternalService][ReliableTransmit] disaster_transmit_log ID [${logId}] 만료 알림 응답 오류 (${JSON.stringify(response)}). 다음 주기에 재전송.`);
+        }
+
+    } catch (err) {
+
+        logger.warn(`🔔 [ExternalService][ReliableTransmit] disaster_transmit_log ID [${logId}] 만료 알림 전송 실패: ${err.message}. 다음 주기에 재전송.`);
+
+    }
+
+}
+
 /**
  * 전송할 메시지 로그 ID를 받아 전송을 시작합니다.
  * @param {bigint} logId - disaster_transmit_logs 행 ID (워커가 전달) 
@@ -201,4 +277,5 @@ async function transmitMessage(logId) {
 
 module.exports = {
     transmitMessage,
+    transmitExpiryNotice,
 };
\ No newline at end of file
@@ -0,0 +1,397 @@
+/**
+ * @file resourceService.js
+ * @description 재난 정보(CAP)의 첨부 파일(resource)을 추출하여 로컬 저장소에 보관합니다.
+ * derefUri(base64 내장) 또는 원격 uri의 내용을 CAP의 digest(SHA-1)와 대조한 뒤 내용 해시(SHA-256) 기준으로 저장하고,
+ * 외부 시스템에는 base64 내용 대신 다운로드 API 경로를 담은 참조 정보를 전달합니다.
+ * 같은 digest의 첨부 파일을 이미 저장했으면 다시 내려받지 않으며, 보관 기간(RETENTION)이 지난 첨부 파일은 삭제합니다.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const disasterResourceRepository = require('../repositories/disasterResourceRepository');
+
+const { DIR, MAX_SIZE, FETCH_TIMEOUT, ALLOWED_URI_SCHEMES, ALLOWED_URI_HOSTS, RETENTION, DOWNLOAD_PATH } = config.resourceStore;
+const STORE_DIR = path.resolve(DIR);
+
+/**
+ * xml2js 파싱 결과에서 반복 가능한 요소를 항상 배열로 반환합니다.
+ * @param {any} value
+ * @returns {Array<any>}
+ */
+function _toArray(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * 내용 해시(SHA-256)에 해당하는 로컬 저장소 파일 경로를 반환합니다.
+ * @param {string} contentHash - 파일 내용의 SHA-256 (hex)
+ * @returns {string} 절대 경로
+ */
+function getResourcePath(contentHash) {
+    return path.join(STORE_DIR, contentHash.slice(0, 2), contentHash);
+}
+
+/**
+ * 원격 uri가 내려받을 수 있는 scheme과 호스트인지 확인합니다. (내부망 접근(SSRF) 방지)
+ * 호스트 목록의 항목이 '.'으로 시작하면 해당 도메인의 하위 도메인을 모두 허용합니다.
+ * @param {string} uri - CAP resource의 uri
+ * @returns {URL} 파싱된 uri
+ */
+function _parseAllowedUri(uri) {
+
+    const url = new URL(uri);
+    const scheme = url.protocol.slice(0, -1);
+    if (!ALLOWED_URI_SCHEMES.includes(scheme)) {
+        throw new Error(`허용되지 않은 scheme (${scheme})`);
+    }
+
+    const host = url.hostname.toLowerCase();
+    const isAllowedHost = ALLOWED_URI_HOSTS.some((allowedHost) => {
+        const entry = allowedHost.toLowerCase();
+        return entry.startsWith('.') ? host.endsWith(entry) : host === entry;
+    });
+    if (!isAllowedHost) {
+        throw new Error(`허용되지 않은 호스트 (${host})`);
+    }
+    return url;
+
+}
+
+/**
+ * 원격 uri의 내용을 내려받습니다. (FETCH_TIMEOUT, MAX_SIZE 제한)
+ * 응답 본문을 스트림으로 읽으며 MAX_SIZE를 넘는 순간 다운로드를 중단합니다. (content-length가 없거나 거짓인 응답 대비)
+ * 허용 목록을 우회하지 않도록 리다이렉트는 따라가지 않습니다.
+ * @param {string} uri - CAP resource의 uri
+ * @returns {Promise<Buffer>}
+ */
+async function _fetchContent(uri) {
+
+    const url = _parseAllowedUri(uri);
+    const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT), redirect: 'error' });
+    if (!response.ok) {
+        throw new Error(`원격 파일 다운로드 실패 (HTTP ${response.status})`);
+    }
+    if (Number(response.headers.get('content-length')) > MAX_SIZE) {
+        await response.body?.cancel();
+        throw new Error(`최대 크기(${MAX_SIZE}바이트) 초과`);
+    }
+
+    const chunks = [];
+    let receivedSize = 0;
+    // 반복 중에 오류를 던지면 응답 스트림은 취소(cancel)됩니다.
+    for await (const chunk of response.body ?? []) {
+        receivedSize += chunk.length;
+        if (receivedSize > MAX_SIZE) {
+            throw new Error(`최대 크기(${MAX_SIZE}바이트) 초과`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+
+}
+
+/**
+ * 첨부 파일 내용을 CAP의 digest와 대조합니다.
+ * CAP 1.2의 size는 근사값이므로 참고로만 기록하고, 내용 검증은 digest(SHA-1)가 있을 때 digest로 합니다.
+ * @param {Buffer} content - 파일 내용
+ * @param {object} resource - CAP resource 객체
+ */
+function _verifyContent(content, resource) {
+
+    if (content.length > MAX_SIZE) {
+        throw new Error(`최대 크기(${MAX_SIZE}바이트) 초과 (${content.length}바이트)`);
+    }
+    if (resource.digest) {
+        const digest = crypto.createHash('sha1').update(content).digest('hex');
+        if (digest !== String(resource.digest).trim().toLowerCase()) {
+            throw new Error(`digest 불일치 (digest: ${resource.digest}, 실제: ${digest})`);
+        }
+    } else if (resource.size !== undefined && Number(resource.size) !== content.length) {
+        logger.debug(`[ExternalService][ResourceService] 첨부 파일 크기가 CAP size와 다름 (size: ${resource.size}, 실제: ${content.length}). digest가 없어 그대로 저장.`);
+    }
+
+}
+
+/**
+ * 같은 digest로 이미 저장한 첨부 파일이 로컬 저장소에 있으면 그 내용 해시(SHA-256)와 크기를 반환합니다.
+ * 저장된 파일을 다시 읽어 SHA-1이 digest와 같은 경우에만 재사용하며, 내용이 다르면(손상) 파일을 삭제하고 null을 반환하여 다시 내려받게 합니다.
+ * @param {string | undefined} digest - CAP resource의 digest (SHA-1)
+ * @returns {Promise<{contentHash: string, size: number} | null>} 저장된 첨부 파일 (없으면 null)
+ */
+async function _findStoredContent(digest) {
+
+    if (!digest) {
+        return null;
+    }
+
+    const normalizedDigest = String(digest).trim().toLowerCase();
+    const contentHash = await disasterResourceRepository.findContentHashByDigest(normalizedDigest);
+    if (!contentHash) {
+        return null;
+    }
+
+    const filePath = getResourcePath(contentHash);
+    let file;
+    try {
+        file = await fs.open(filePath);
+    } catch {
+        return null;
+    }
+
+    const hash = crypto.createHash('sha1');
+    let size = 0;
+    try {
+        for await (const chunk of file.createReadStream()) {
+            hash.update(chunk);
+            size += chunk.length;
+        }
+    } catch {
+        return null;
+    } finally {
+        await file.close().catch(() => {});
+    }
+
+    const storedDigest = hash.digest('hex');
+    if (storedDigest !== normalizedDigest) {
+        logger.warn(`🔔 [ExternalService][ResourceService] 저장된 첨부 파일 손상 (${contentHash}, digest: ${normalizedDigest}, 실제: ${storedDigest}). 파일 삭제 후 다시 저장.`);
+        await fs.unlink(filePath).catch(() => {});
+        return null;
+    }
+    return { contentHash, size };
+
+}
+
+/**
+ * 파일 내용을 로컬 저장소에 기록합니다. 같은 내용의 파일이 이미 있으면 다시 기록하지 않습니다.
+ * @param {Buffer} content - 파일 내용
+ * @returns {Promise<string>} 내용 해시(SHA-256)
+ */
+async function _writeContent(content) {
+
+    const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+    const filePath = getResourcePath(contentHash);
+
+    try {
+        await fs.access(filePath);
+        return contentHash;
+    } catch {
+        // 파일이 없으면 임시 파일에 기록한 뒤 이름을 바꿔, 기록 중인 파일이 내려받아지지 않도록 합니다.
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
+    return contentHash;
+
+}
+
+/**
+ * 첨부 파일 하나의 내용을 검증하여 로컬 저장소에 기록합니다.
+ * 검증이나 다운로드에 실패하면 FAILED로 반환합니다.
+ * @param {string} identifier - 재난 정보 identifier
+ * @param {number} infoIndex - CAP info 순번
+ * @param {number} resourceIndex - info 안의 resource 순번
+ * @param {object} resource - CAP resource 객체
+ * @returns {Promise<object>} 첨부 파일 처리 결과 (disasterResourceRepository.upsert() 입력)
+ */
+async function _storeResource(identifier, infoIndex, resourceIndex, resource) {
+
+    const source = resource.derefUri ? 'DEREF_URI' : 'URI';
+    const storedResource = {
+        identifier,
+        infoIndex,
+        resourceIndex,
+        resourceDesc: resource.resourceDesc,
+        mimeType: resource.mimeType,
+        size: resource.size !== undefined ? Number(resource.size) : null,
+        digest: resource.digest ? String(resource.digest).trim().toLowerCase() : null,
+        source,
+        uri: resource.uri || null,
+        contentHash: null,
+        status: 'STORED',
+        errorMessage: null,
+    };
+
+    try {
+        // 같은 digest의 첨부 파일을 이미 저장했으면 다시 내려받거나 기록하지 않습니다.
+        const storedContent = await _findStoredContent(storedResource.digest);
+        if (storedContent) {
+            storedResource.contentHash = storedContent.contentHash;
+            storedResource.size = storedContent.size;
+            logger.debug(`✅ [ExternalService][ResourceService] 같은 digest의 저장된 첨부 파일 사용 (Identifier: ${identifier}, info[${infoIndex}].resource[${resourceIndex}]).`);
+            return storedResource;
+        }
+
+        const content = source === 'DEREF_URI'
+            ? Buffer.from(String(resource.derefUri).replace(/\s+/g, ''), 'base64')
+            : await _fetchContent(resource.uri);
+        _verifyContent(content, resource);
+        storedResource.contentHash = await _writeContent(content);
+        storedResource.size = content.length;
+        logger.debug(`✅ [ExternalService][ResourceService] 첨부 파일 저장 완료 (Identifier: ${identifier}, info[${infoIndex}].resource[${resourceIndex}], ${content.length}바이트).`);
+    } catch (err) {
+        storedResource.status = 'FAILED';
+        storedResource.errorMessage = err.message;
+        logger.warn(`🔔 [ExternalService][ResourceService] 첨부 파일 저장 실패 (Identifier: ${identifier}, info[${infoIndex}].resource[${resourceIndex}], 출처: ${source}): ${err.message}`);
+    }
+
+    return storedResource;
+
+}
+
+/**
+ * 재난 정보의 모든 첨부 파일을 추출하여 로컬 저장소에 기록합니다. (DB 트랜잭션 전에 수행)
+ * 첨부 파일은 동시에 처리하며, 검증이나 다운로드에 실패한 첨부 파일은 FAILED로 반환하고 재난 정보 처리는 계속됩니다.
+ * @param {object} messageContent - 중앙 서비스가 발행한 재난 정보 메시지
+ * @returns {Promise<Array<object>>} 첨부 파일 처리 결과 목록 (disasterResourceRepository.upsert() 입력)
+ */
+async function storeResources(messageContent) {
+
+    const { identifier } = messageContent;
+    const infos = _toArray(messageContent.rawMessage?.capInfo?.alert?.info);
+    const tasks = [];
+
+    for (const [infoIndex, info] of infos.entries()) {
+        for (const [resourceIndex, resource] of _toArray(info?.resource).entries()) {
+            // 내용도 원격 위치도 없는 첨부 파일은 설명 정보만 그대로 전달합니다.
+            if (resource?.derefUri || resource?.uri) {
+                tasks.push(_storeResource(identifier, infoIndex, resourceIndex, resource));
+            }
+        }
+    }
+
+    return Promise.all(tasks);
+
+}
+
+/**
+ * 재난 정보 메시지 문자열에서 첨부 파일의 base64 내용(derefUri)을 뺀 기록용 문자열을 만듭니다. (인박스(mq_receive_logs) 기록용)
+ * 첨부 파일 내용은 로컬 저장소와 disaster_resources에 따로 보관합니다.
+ * @param {string} messageString - RabbitMQ로부터 수신한 메시지 문자열
+ * @returns {string} derefUri를 뺀 메시지 문자열 (JSON이 아니거나 첨부 파일 내용이 없으면 원본 그대로)
+ */
+function omitContents(messageString) {
+
+    let message;
+    try {
+        message = JSON.parse(messageString);
+    } catch {
+        return messageString;
+    }
+
+    let omitted = false;
+    for (const info of _toArray(message?.rawMessage?.capInfo?.alert?.info)) {
+        for (const resource of _toArray(info?.resource)) {
+            if (resource?.derefUri) {
+                delete resource.derefUri;
+                omitted = true;
+            }
+        }
+    }
+    return omitted ? JSON.stringify(message) : messageString;
+
+}
+
+/**
+ * 보관 기간(RETENTION)이 지난 첨부 파일 기록을 삭제하고, 더 이상 참조되지 않는 로컬 저장소 파일을 삭제합니다. (첨부 파일 정리 워커용)
+ * @returns {Promise<{deletedResources: number, deletedFiles: number}>} 삭제한 기록 수와 파일 수
+ */
+async function cleanupExpiredResources() {
+
+    const contentHashes = await disasterResourceRepository.deleteOlderThan(RETENTION);
+    const referencedHashes = await disasterResourceRepository.findReferencedContentHashes(contentHashes);
+
+    let deletedFiles = 0;
+    for (const contentHash of new Set(contentHashes)) {
+        if (referencedHashes.has(contentHash)) {
+            continue;
+        }
+        try {
+            await fs.unlink(getResourcePath(contentHash));
+            deletedFiles += 1;
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                logger.warn(`🔔 [ExternalService][ResourceService] 첨부 파일 삭제 실패 (content_hash: ${contentHash}): ${err.message}`);
+            }
+        }
+    }
+
+    return { deletedResources: contentHashes.length, deletedFiles };
+
+}
+
+/**
+ * 저장한 첨부 파일을 DB에 기록하고, 재난 정보 메시지의 base64 내용을 참조 정보로 바꿉니다.
+ * - rawMessage의 resource: derefUri를 제거하고 resourceId를 추가합니다.
+ * - alert(정규화 모델)의 resource: resourceId와 downloadPath를 추가합니다.
+ * - resources: 외부 시스템에 전달할 첨부 파일 참조 목록 (저장에 실패한 파일은 downloadPath가 null)
+ * @param {object} messageContent - 중앙 서비스가 발행한 재난 정보 메시지
+ * @param {Array<object>} storedResources - storeResources() 결과
+ * @param {number} mqReceiveLogId - 재난 정보를 수신한 인박스 로그 ID
+ * @param {import('pg').PoolClient} client - 데이터베이스 클라이언트 (트랜잭션용)
+ * @returns {Promise<object>} 참조 정보로 바뀐 재난 정보 메시지 (첨부 파일이 없으면 원본 그대로)
+ */
+async function attachResources(messageContent, storedResources, mqReceiveLogId, client) {
+
+    if (storedResources.length === 0) {
+        return messageContent;
+    }
+
+    const rawMessage = structuredClone(messageContent.rawMessage);
+    const infos = _toArray(rawMessage.capInfo.alert.info);
+    const alert = structuredClone(messageContent.alert);
+    const resources = [];
+
+    for (const storedResource of storedResources) {
+
+        const resourceId = await disasterResourceRepository.upsert(storedResource, mqReceiveLogId, client);
+        const { infoIndex, resourceIndex } = storedResource;
+
+        const capResources = _toArray(infos[infoIndex].resource);
+        const { derefUri, ...resourceWithoutContent } = capResources[resourceIndex];
+        capResources[resourceIndex] = { ...resourceWithoutContent, resourceId };
+        infos[infoIndex].resource = Array.isArray(infos[infoIndex].resource) ? capResources : capResources[0];
+
+        const downloadPath = storedResource.status === 'STORED' ? `${DOWNLOAD_PATH}/${resourceId}` : null;
+        resources.push({
+            resourceId,
+            infoIndex,
+            resourceIndex,
+            resourceDesc: storedResource.resourceDesc,
+            mimeType: storedResource.mimeType,
+            size: storedResource.size,
+            digest: storedResource.digest,
+            status: storedResource.status,
+            downloadPath,
+            uri: storedResource.uri,
+        });
+
+        // 정규화 모델의 info는 원본 CAP의 info 순서(infoIndex)로 찾습니다.
+        const normalizedResource = alert?.infos
+            .find((info) => info.infoIndex === infoIndex)
+            ?.resources.find((resource) => resource.resourceIndex === resourceIndex);
+        if (normalizedResource) {
+            Object.assign(normalizedResource, { resourceId, downloadPath });
+        }
+
+    }
+
+    logger.info(`✅ [ExternalService][ResourceService] 재난 정보 [${messageContent.identifier}] 첨부 파일 ${resources.length}개 기록 완료 (저장 실패: ${resources.filter((resource) => resource.status !== 'STORED').length}개).`);
+    return { ...messageContent, rawMessage, alert, resources };
+
+}
+
+module.exports = {
+    storeResources,
+    attachResources,
+    omitContents,
+    cleanupExpiredResources,
+    getResourcePath,
+};
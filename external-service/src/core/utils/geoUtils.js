@@ -0,0 +1,106 @@
+/**
+ * @file geoUtils.js
+ * @description 재난 정보(CAP)의 영역(polygon, circle)과 단말기 위치(device_lat, device_lon)를 비교하는 유틸리티입니다.
+ * 영역 데이터는 central-service의 capService.parseAreas() 형식을 따릅니다.
+ */
+
+// 지구 평균 반지름 (단위: km)
+const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * 두 좌표 사이의 거리를 하버사인(Haversine) 공식으로 계산합니다.
+ * @param {[number, number]} from - [위도, 경도]
+ * @param {[number, number]} to - [위도, 경도]
+ * @returns {number} 거리 (단위: km)
+ */
+function distanceKm([lat1, lon1], [lat2, lon2]) {
+
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+
+}
+
+/**
+ * 좌표가 다각형 내부(경계 포함)에 있는지 레이 캐스팅(Ray Casting) 방식으로 판정합니다.
+ * @param {[number, number]} point - [위도, 경도]
+ * @param {Array<[number, number]>} polygon - 닫힌 다각형 좌표 목록 [[위도, 경도], ...]
+ * @returns {boolean}
+ */
+function isPointInPolygon([lat, lon], polygon) {
+
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lonI] = polygon[i];
+        const [latJ, lonJ] = polygon[j];
+
+        // 꼭짓점 또는 변 위의 점은 내부로 간주합니다.
+        const cross = (lonJ - lonI) * (lat - latI) - (latJ - latI) * (lon - lonI);
+        const onSegment = cross === 0
+            && Math.min(lonI, lonJ) <= lon && lon <= Math.max(lonI, lonJ)
+            && Math.min(latI, latJ) <= lat && lat <= Math.max(latI, latJ);
+        if (onSegment) {
+            return true;
+        }
+
+        if ((latI > lat) !== (latJ > lat) && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+
+}
+
+/**
+ * 영역 목록에 위치 판정이 가능한 도형(polygon, circle)이 있는지 확인합니다.
+ * geocode만 있는 영역은 위치 기반으로 판정할 수 없습니다.
+ * @param {Array<object>} areas - capService.parseAreas() 결과
+ * @returns {boolean}
+ */
+function hasGeometry(areas) {
+    return (areas || []).some((area) => area.polygons?.length > 0 || area.circles?.length > 0);
+}
+
+/**
+ * 좌표가 영역 목록 중 하나라도 포함되는지 판정합니다.
+ * @param {[number, number]} point - [위도, 경도]
+ * @param {Array<object>} areas - capService.parseAreas() 결과
+ * @returns {boolean}
+ */
+function isPointInAreas(point, areas) {
+
+    return (areas || []).some((area) =>
+        (area.polygons || []).some((polygon) => isPointInPolygon(point, polygon))
+        || (area.circles || []).some(({ center, radiusKm }) => distanceKm(point, center) <= radiusKm)
+    );
+
+}
+
+/**
+ * 단말기 목록 중 영역 안에 있는 단말기를 반환합니다.
+ * 위치(device_lat, device_lon)가 없거나 숫자가 아닌 단말기는 판정할 수 없으므로 제외합니다.
+ * @param {Array<{device_id: string, device_lat: string, device_lon: string}>} devices - 단말기 목록
+ * @param {Array<object>} areas - capService.parseAreas() 결과
+ * @returns {Array<object>} 영역 안에 있는 단말기 목록
+ */
+function findDevicesInAreas(devices, areas) {
+
+    return devices.filter((device) => {
+        const lat = parseFloat(device.device_lat);
+        const lon = parseFloat(device.device_lon);
+        return Number.isFinite(lat) && Number.isFinite(lon) && isPointInAreas([lat, lon], areas);
+    });
+
+}
+
+module.exports = {
+    distanceKm,
+    isPointInPolygon,
+    hasGeometry,
+    isPointInAreas,
+    findDevicesInAreas,
+};
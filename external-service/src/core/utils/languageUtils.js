@@ -0,0 +1,44 @@
+/**
+ * @file languageUtils.js
+ * @description 다국어 재난 정보(여러 info 블록)에서 외부 시스템의 선호 언어에 맞는 info를 고르는 유틸리티입니다.
+ * 언어 태그는 대소문자를 구분하지 않으며, 'ko'처럼 기본 언어만 지정하면 'ko-KR' 등 모든 지역 변형과 일치합니다.
+ */
+
+/**
+ * info의 언어가 선호 언어와 일치하는지 판정합니다.
+ * 예: ('ko-KR', 'ko') -> true, ('ko-KR', 'ko-KR') -> true, ('en-US', 'en-GB') -> false
+ * @param {string} language - info의 언어 태그
+ * @param {string} preferred - 선호 언어 태그
+ * @returns {boolean}
+ */
+function isLanguageMatched(language, preferred) {
+
+    const lang = String(language || '').toLowerCase();
+    const pref = String(preferred || '').toLowerCase();
+    return Boolean(pref) && (lang === pref || lang.startsWith(`${pref}-`));
+
+}
+
+/**
+ * 선호 언어 우선순위에 따라 전달할 info 목록을 고릅니다.
+ * 첫 번째로 일치하는 선호 언어의 info만 반환하며, 선호 언어가 없거나 일치하는 info가 없으면 모든 info를 반환합니다.
+ * @param {Array<{language: string}>} infos - capService.parseInfos() 결과 또는 정규화 모델(alert)의 infos
+ * @param {string[]} preferredLanguages - 우선순위 순서의 선호 언어 목록
+ * @returns {Array<object>}
+ */
+function selectInfos(infos, preferredLanguages) {
+
+    for (const preferred of preferredLanguages || []) {
+        const matched = (infos || []).filter((info) => isLanguageMatched(info.language, preferred));
+        if (matched.length > 0) {
+            return matched;
+        }
+    }
+    return infos || [];
+
+}
+
+module.exports = {
+    isLanguageMatched,
+    selectInfos,
+};
@@ -0,0 +1,57 @@
+/**
+ * @file priorityLimit.js
+ * @description 동시 실행 수를 제한하면서, 대기 중인 작업은 우선순위가 높은 순서로 실행하는 작업 큐입니다.
+ * p-limit과 사용법이 같지만, 나중에 추가된 작업이라도 우선순위가 높으면 먼저 대기 중인 작업보다 먼저 실행됩니다.
+ * 같은 우선순위의 작업은 추가된 순서대로 실행됩니다.
+ */
+
+/**
+ * 우선순위 작업 큐를 생성합니다.
+ * @param {number} concurrency - 동시에 실행할 최대 작업 수
+ * @returns {{ (priority: number, fn: () => Promise<any>): Promise<any>, readonly activeCount: number, readonly pendingCount: number }}
+ *  priority(숫자가 클수록 먼저 실행)와 작업 함수를 받아 작업 결과를 반환하는 함수
+ */
+function createPriorityLimit(concurrency) {
+
+    // 우선순위 내림차순, 같은 우선순위는 추가 순서대로 정렬된 대기 작업 목록
+    const queue = [];
+    let activeCount = 0;
+
+    const next = () => {
+        if (activeCount >= concurrency || queue.length === 0) {
+            return;
+        }
+        const { fn, resolve, reject } = queue.shift();
+        activeCount++;
+        Promise.resolve()
+            .then(fn)
+            .then(resolve, reject)
+            .finally(() => {
+                activeCount--;
+                next();
+            });
+    };
+
+    const limit = (priority, fn) => new Promise((resolve, reject) => {
+        const index = queue.findIndex((task) => task.priority < priority);
+        const task = { priority, fn, resolve, reject };
+        if (index === -1) {
+            queue.push(task);
+        } else {
+            queue.splice(index, 0, task);
+        }
+        next();
+    });
+
+    Object.defineProperties(limit, {
+        activeCount: { get: () => activeCount },
+        pendingCount: { get: () => queue.length },
+    });
+
+    return limit;
+
+}
+
+module.exports = {
+    createPriorityLimit,
+};
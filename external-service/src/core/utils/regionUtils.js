@@ -0,0 +1,80 @@
+/**
+ * @file regionUtils.js
+ * @description 법정동 코드(10자리: 시도 2 + 시군구 3 + 읍면동 3 + 리 2)의 계층 비교 유틸리티입니다.
+ * 상위 지역 코드는 하위 자리가 0으로 채워져 있으므로, 유효 자리(prefix)를 비교하여 포함 관계를 판정합니다.
+ */
+
+const config = require('../../config');
+
+const { REGION_GEOCODE_NAMES } = config.disasterTargeting;
+
+// 법정동 코드 계층별 유효 자리 수 (시도, 시군구, 읍면동, 리)
+const LEVEL_LENGTHS = [2, 5, 8, 10];
+
+/**
+ * 법정동 코드를 계층 비교용 유효 자리(prefix)로 변환합니다.
+ * 예: '4700000000' -> '47', '4792000000' -> '47920', '47920' -> '47920'
+ * @param {string | number} code - 법정동 코드 (10자리 또는 상위 계층의 앞자리)
+ * @returns {string | null} 유효 자리 (숫자 코드가 아니면 null)
+ */
+function toRegionPrefix(code) {
+
+    const value = String(code ?? '').trim();
+    if (!/^\d{2,10}$/.test(value)) {
+        return null;
+    }
+
+    for (const length of LEVEL_LENGTHS) {
+        if (/^0*$/.test(value.slice(length))) {
+            return value.slice(0, length);
+        }
+    }
+    return value;
+
+}
+
+/**
+ * 두 법정동 코드의 지역이 겹치는지 판정합니다.
+ * 한쪽이 다른 쪽의 상위 지역이면 겹치는 것으로 봅니다. (예: 경상북도 ↔ 봉화군)
+ * @param {string} codeA
+ * @param {string} codeB
+ * @returns {boolean}
+ */
+function isRegionOverlapped(codeA, codeB) {
+
+    const a = toRegionPrefix(codeA);
+    const b = toRegionPrefix(codeB);
+    return Boolean(a && b) && (a.startsWith(b) || b.startsWith(a));
+
+}
+
+/**
+ * 재난 정보 영역의 geocode 중 법정동 코드를 추출합니다.
+ * @param {Array<object>} areas - capService.parseAreas() 결과
+ * @returns {string[]} 법정동 코드 목록
+ */
+function extractRegionCodes(areas) {
+
+    return (areas || [])
+        .flatMap((area) => area.geocodes || [])
+        .filter(({ valueName, value }) => REGION_GEOCODE_NAMES.includes(valueName) && toRegionPrefix(value))
+        .map(({ value }) => String(value).trim());
+
+}
+
+/**
+ * 구독 지역 코드 목록과 재난 정보의 법정동 코드 목록이 하나라도 겹치는지 판정합니다.
+ * @param {string[]} subscribedCodes - 구독 지역 코드 목록
+ * @param {string[]} regionCodes - 재난 정보의 법정동 코드 목록
+ * @returns {boolean}
+ */
+function isAnyRegionOverlapped(subscribedCodes, regionCodes) {
+    return subscribedCodes.some((subscribed) => regionCodes.some((code) => isRegionOverlapped(subscribed, code)));
+}
+
+module.exports = {
+    toRegionPrefix,
+    isRegionOverlapped,
+    extractRegionCodes,
+    isAnyRegionOverlapped,
+};
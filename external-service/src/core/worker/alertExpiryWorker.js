@@ -0,0 +1,95 @@
+/**
+ * @file alertExpiryWorker.js
+ * @description 주기적으로 DB를 폴링하여 만료 시각(CAP info.expires)이 지난 재난 정보를 EXPIRED로 처리하고,
+ * 이미 전달된 재난 정보는 외부 시스템에 만료 알림을 보내는 워커입니다.
+ *
+ * 재난 정보 만료 처리 구조:
+ * - 발신 로그의 EXPIRED 변경과 만료 알림은 이 워커에서만 수행합니다. 다른 워커와 서비스는 만료 시각을 판정하여 상태를 바꾸지 않습니다.
+ * - 전송 워커(disasterTransmitWorker)는 만료 시각이 지난 발신 로그를 조회하지 않으므로, 만료된 재난 정보는 이 워커가 EXPIRED로 바꿀 때까지 전송되지 않습니다.
+ * - EXPIRED는 최종 상태이므로 만료 후 도착한 ACK나 재시도는 상태를 바꾸지 않습니다. (reliableTransmitService)
+ * - central-service는 발행 전(PENDING)에 만료된 재난 정보만 발행 워커(disasterPublishWorker)가 EXPIRED로 처리하고,
+ *   발행된 재난 정보의 만료는 이 워커가 외부 시스템별로 처리합니다.
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const disasterTransmitLogRepository = require('../repositories/disasterTransmitLogRepository');
+const reliableTransmitService = require('../services/reliableTransmitService');
+
+/**
+ * setInterval의 타이머 ID를 저장하는 변수입니다.
+ * @type {NodeJS.Timeout | null}
+ */
+let workerInterval = null;
+const { POLLING_INTERVAL } = config.alertExpiryWorker;
+
+/**
+ * 워커가 주기적으로 실행할 작업입니다.
+ * 1. 만료 시각이 지난 발신 로그(PENDING, SENT, SUCCESS)를 EXPIRED로 변경하고, 처리 내역을 로그로 남깁니다.
+ * 2. 만료 알림을 전달하지 못한 발신 로그(이전 주기에 연결이 없던 시스템 포함)의 외부 시스템에 만료 알림을 보냅니다.
+ */
+async function _run() {
+
+    try {
+
+        const expiredLogs = await disasterTransmitLogRepository.expireOverdueMessages();
+
+        for (const log of expiredLogs) {
+            const detail = log.expiry_notice_pending ? '전달된 재난 정보 만료. 만료 알림 예정' : '전송 전 만료';
+            logger.warn(`🔔 [ExternalService][AlertExpiryWorker] 재난 정보 EXPIRED 처리 (${detail}, disaster_transmit_log ID: ${log.id}, external_system ID: ${log.external_system_id}, Identifier: ${log.identifier}, 만료: ${log.expires_at.toISOString()}).`);
+        }
+
+        if (expiredLogs.length === 0) {
+            logger.debug('[ExternalService][AlertExpiryWorker] 만료 처리 대상 재난 정보 없음.');
+        }
+
+        const pendingNotices = await disasterTransmitLogRepository.findPendingExpiryNotices();
+        if (pendingNotices.length > 0) {
+            logger.info(`🚀 [ExternalService][AlertExpiryWorker] 만료 알림 대상 ${pendingNotices.length}건 전송 시작...`);
+            await Promise.all(pendingNotices.map((log) => reliableTransmitService.transmitExpiryNotice(log)));
+        }
+
+    } catch (err) {
+
+        logger.error(`🚨 [ExternalService][AlertExpiryWorker] 재난 정보 만료 처리 중 오류 발생: ${err.stack}`);
+
+    }
+
+}
+
+/**
+ * 재난 정보 만료 처리 워커를 시작합니다.
+ */
+async function start() {
+
+    if (workerInterval) {
+        logger.warn('🔔 [ExternalService][AlertExpiryWorker] 워커 이미 실행 중.');
+        return;
+    }
+
+    logger.info(`🚀 [ExternalService][AlertExpiryWorker] 워커 시작 (주기: ${POLLING_INTERVAL / 1000}초).`);
+
+    _run();
+    workerInterval = setInterval(_run, POLLING_INTERVAL);
+
+}
+
+/**
+ * 재난 정보 만료 처리 워커를 중지합니다.
+ */
+function stop() {
+
+    if (workerInterval) {
+        clearInterval(workerInterval);
+        workerInterval = null;
+        logger.info('🔌 [ExternalService][AlertExpiryWorker] 워커 중지 완료.');
+    } else {
+        logger.debug('[ExternalService][AlertExpiryWorker] 워커 이미 중지된 상태.');
+    }
+
+}
+
+module.exports = {
+    start,
+    stop,
+};
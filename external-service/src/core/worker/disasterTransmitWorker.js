@@ -7,6 +7,7 @@ const config = require('../../config');
 const logger = require('../utils/logger');
 const disasterTransmitLogRepository = require('../repositories/disasterTransmitLogRepository');
 const reliableTransmitService = require('../services/reliableTransmitService');
+const { createPriorityLimit } = require('../utils/priorityLimit');
 
 /**
  * setInterval의 타이머 ID를 저장하는 변수입니다.
@@ -14,12 +15,18 @@ const reliableTransmitService = require('../services/reliableTransmitService');
  */
 let workerInterval = null;
 let limit;
+/**
+ * 작업 큐에 들어가 있거나 전송 중인 발신 로그 ID입니다. (다음 폴링에서 같은 메시지를 중복으로 넣지 않기 위함)
+ * @type {Set<string>}
+ */
+const queuedLogIds = new Set();
 const { CONCURRENCY_LIMIT, POLLING_INTERVAL } = config.disasterTransmitWorker;
 
 /**
  * 워커가 주기적으로 실행할 작업입니다.
- * 1. DB에서 미처리 메시지를 조회합니다.
- * 2. 각 메시지를 p-limit을 사용하여 제한된 병렬 방식으로 처리합니다.
+ * 1. DB에서 미처리 메시지를 조회합니다. (만료된 메시지는 제외)
+ * 2. 조회한 메시지를 우선순위 작업 큐로 제한된 병렬 방식으로 처리합니다.
+ *    이전 폴링에서 넣은 작업이 대기 중이어도 우선순위가 높은 메시지(지진 등)가 먼저 전송됩니다.
  */
 async function run() {
     
@@ -31,10 +38,15 @@ async function run() {
         if (upProcessedMessages.length > 0) {
             logger.info(`✅ [ExternalService][DisasterTransmitWorker] 미처리 ${upProcessedMessages.length}건 발견. 처리 시작 (동시 처리 제한: ${CONCURRENCY_LIMIT}).`);
 
-            // 조회된 모든 메시지에 대해 '제한된 병렬 처리' 방식으로 전송을 요청합니다.
-            const tasks = upProcessedMessages.map((message) => {
-                return limit(() => reliableTransmitService.transmitMessage(message.id));
-            });
+            // 조회된 메시지 중 아직 작업 큐에 없는 메시지만 '제한된 병렬 처리' 방식으로 전송을 요청합니다.
+            const tasks = upProcessedMessages
+                .filter((message) => !queuedLogIds.has(String(message.id)))
+                .map((message) => {
+                    const logId = String(message.id);
+                    queuedLogIds.add(logId);
+                    return limit(message.priority, () => reliableTransmitService.transmitMessage(message.id))
+                        .finally(() => queuedLogIds.delete(logId));
+                });
 
             // 생성된 모든 작업이 완료될 때까지 기다립니다.
             await Promise.all(tasks);
@@ -61,8 +73,7 @@ async function start() {
         return;
     }
 
-    const pLimit = (await import('p-limit')).default;
-    limit = pLimit(CONCURRENCY_LIMIT);
+    limit = createPriorityLimit(CONCURRENCY_LIMIT);
 
     workerInterval = setInterval(run, POLLING_INTERVAL);
     logger.info(`🚀 [ExternalService][DisasterTransmitWorker] 워커 시작 (주기: ${POLLING_INTERVAL / 1000}초).`);
@@ -0,0 +1,75 @@
+/**
+ * @file resourceCleanupWorker.js
+ * @description 주기적으로 보관 기간(RETENTION)이 지난 재난 정보 첨부 파일의 기록과 로컬 저장소 파일을 삭제하는 워커입니다.
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const resourceService = require('../services/resourceService');
+
+/**
+ * setInterval의 타이머 ID를 저장하는 변수입니다.
+ * @type {NodeJS.Timeout | null}
+ */
+let workerInterval = null;
+const { CLEANUP_INTERVAL } = config.resourceStore;
+
+/**
+ * 워커가 주기적으로 실행할 작업입니다.
+ * 보관 기간이 지난 첨부 파일 기록을 삭제하고, 다른 기록이 참조하지 않는 파일을 삭제합니다.
+ */
+async function _run() {
+
+    try {
+
+        const { deletedResources, deletedFiles } = await resourceService.cleanupExpiredResources();
+        if (deletedResources > 0) {
+            logger.info(`✅ [ExternalService][ResourceCleanupWorker] 보관 기간이 지난 첨부 파일 정리 완료 (기록: ${deletedResources}건, 파일: ${deletedFiles}개).`);
+        } else {
+            logger.debug('[ExternalService][ResourceCleanupWorker] 정리 대상 첨부 파일 없음.');
+        }
+
+    } catch (err) {
+
+        logger.error(`🚨 [ExternalService][ResourceCleanupWorker] 첨부 파일 정리 중 오류 발생: ${err.stack}`);
+
+    }
+
+}
+
+/**
+ * 첨부 파일 정리 워커를 시작합니다.
+ */
+async function start() {
+
+    if (workerInterval) {
+        logger.warn('🔔 [ExternalService][ResourceCleanupWorker] 워커 이미 실행 중.');
+        return;
+    }
+
+    logger.info(`🚀 [ExternalService][ResourceCleanupWorker] 워커 시작 (주기: ${CLEANUP_INTERVAL / 1000}초).`);
+
+    _run();
+    workerInterval = setInterval(_run, CLEANUP_INTERVAL);
+
+}
+
+/**
+ * 첨부 파일 정리 워커를 중지합니다.
+ */
+function stop() {
+
+    if (workerInterval) {
+        clearInterval(workerInterval);
+        workerInterval = null;
+        logger.info('🔌 [ExternalService][ResourceCleanupWorker] 워커 중지 완료.');
+    } else {
+        logger.debug('[ExternalService][ResourceCleanupWorker] 워커 이미 중지된 상태.');
+    }
+
+}
+
+module.exports = {
+    start,
+    stop,
+};
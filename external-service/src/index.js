@@ -16,6 +16,8 @@ const initializeSocket = require('./socket');
 const messageBrokerService = require('./core/services/messageBrokerService');
 const disasterTransmitWorker = require('./core/worker/disasterTransmitWorker');
 const reportPublishWorker = require('./core/worker/reportPublishWorker');
+const alertExpiryWorker = require('./core/worker/alertExpiryWorker');
+const resourceCleanupWorker = require('./core/worker/resourceCleanupWorker');
 const dbPool = require('./core/repositories/pool');
 const { initializeOriginManager } = require('./core/utils/originManager');
 
@@ -55,6 +57,14 @@ async function startServer() {
         // 4. 보고 정보 발행 워커를 시작합니다.
         await reportPublishWorker.start();
         logger.info('✅ [ExternalService][App] 보고 정보 발행 워커 시작.');
+
+        // 5. 재난 정보 만료 처리 워커를 시작합니다.
+        await alertExpiryWorker.start();
+        logger.info('✅ [ExternalService][App] 재난 정보 만료 처리 워커 시작.');
+
+        // 6. 재난 정보 첨부 파일 정리 워커를 시작합니다.
+        await resourceCleanupWorker.start();
+        logger.info('✅ [ExternalService][App] 재난 정보 첨부 파일 정리 워커 시작.');
         
         // 4. HTTP 서버가 클라이언트의 연결을 수신 대기하도록 시작합니다.
         httpServer.listen(config.http.PORT, () => {
@@ -91,6 +101,10 @@ const gracefulShutdown = async (signal) => {
         logger.info('✅ [ExternalService][App] 재난 정보 발신 워커 중지 완료.');
         reportPublishWorker.stop();
         logger.info('✅ [ExternalService][App] 보고 정보 발행 워커 중지 완료.');
+        alertExpiryWorker.stop();
+        logger.info('✅ [ExternalService][App] 재난 정보 만료 처리 워커 중지 완료.');
+        resourceCleanupWorker.stop();
+        logger.info('✅ [ExternalService][App] 재난 정보 첨부 파일 정리 워커 중지 완료.');
 
         // 2. API 서버를 먼저 종료하여 새로운 HTTP/Socket 연결을 차단합니다.
         if (httpServer) {
@@ -0,0 +1,64 @@
+/**
+ * @file disasterTargetingDefaults.test.js
+ * @description 위치 기반 대상 판정(DISASTER_GEO_FILTER_ENABLED)을 지정하지 않은 기본 설정에서
+ * 구독 지역이 없는 시스템이 영역 내 단말기 여부와 관계없이 재난 정보를 받는지 검증합니다.
+ * DB 조회는 저장소(repository) 함수를 대체하여 시험합니다.
+ */
+
+// 설정 모듈을 불러오기 전에 위치 기반 대상 판정 설정을 지웁니다.
+delete process.env.DISASTER_GEO_FILTER_ENABLED;
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config');
+const externalSystemRepository = require('../../src/core/repositories/externalSystemRepository');
+const disasterTransmitLogRepository = require('../../src/core/repositories/disasterTransmitLogRepository');
+const deviceRepository = require('../../src/core/repositories/deviceRepository');
+const disasterTargetingService = require('../../src/core/services/disasterTargetingService');
+
+// 경상북도 봉화군 일대를 덮는 사각형 영역 [위도, 경도]
+const POLYGON_AREA = {
+    areaDesc: '경상북도 봉화군',
+    eventCodes: ['HRW'],
+    polygons: [[[36.8, 128.6], [36.8, 129.0], [37.1, 129.0], [37.1, 128.6], [36.8, 128.6]]],
+    circles: [],
+    geocodes: [{ valueName: 'KR.bjdCode', value: '4792000000' }],
+};
+
+describe('disasterTargetingService.buildTransmitLogs 기본 설정', () => {
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('위치 기반 대상 판정은 기본으로 꺼져 있다', () => {
+        assert.equal(config.disasterTargeting.GEO_FILTER_ENABLED, false);
+    });
+
+    it('구독 지역이 없는 시스템은 영역 안에 단말기가 없어도 재난 정보를 받는다', async () => {
+        mock.method(externalSystemRepository, 'findBySubscribedEventCodes', async () => [
+            { id: 1, subscribed_event_codes: ['HRW'], subscribed_region_codes: [] },
+            { id: 2, subscribed_event_codes: ['HRW'], subscribed_region_codes: null },
+        ]);
+        mock.method(externalSystemRepository, 'findDeliveryPreferencesByIds', async () => new Map());
+        mock.method(disasterTransmitLogRepository, 'findSystemIdsByIdentifiers', async () => []);
+        mock.method(deviceRepository, 'findLocationsBySystemIds', async () => [
+            { external_system_id: 1, device_id: 'OUT', device_lat: '35.1', device_lon: '129.0' },
+        ]);
+
+        const message = {
+            identifier: 'KR.TEST.1',
+            eventCode: 'HRW',
+            eventCodes: ['HRW'],
+            msgType: 'Alert',
+            alertStatus: 'Actual',
+            references: [],
+            areas: [POLYGON_AREA],
+            infos: [{ language: 'ko-KR', eventCodes: ['HRW'], event: '호우경보' }],
+        };
+        const logs = await disasterTargetingService.buildTransmitLogs(message, 10, null);
+
+        assert.deepEqual(logs.map((log) => log.externalSystemId), ['1', '2']);
+    });
+
+});
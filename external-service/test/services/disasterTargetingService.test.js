@@ -0,0 +1,245 @@
+/**
+ * @file disasterTargetingService.test.js
+ * @description 재난 정보 전달 대상 판정(구독 시스템, 원본 보유 시스템, 영역 내 단말기)을 검증합니다.
+ * DB 조회는 저장소(repository) 함수를 대체하여 시험합니다.
+ */
+
+// 설정 모듈을 불러오기 전에 위치 기반 대상 판정을 켭니다.
+process.env.DISASTER_GEO_FILTER_ENABLED = 'true';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const externalSystemRepository = require('../../src/core/repositories/externalSystemRepository');
+const disasterTransmitLogRepository = require('../../src/core/repositories/disasterTransmitLogRepository');
+const deviceRepository = require('../../src/core/repositories/deviceRepository');
+const disasterTargetingService = require('../../src/core/services/disasterTargetingService');
+
+// 경상북도 봉화군 일대를 덮는 사각형 영역 [위도, 경도]
+const POLYGON_AREA = {
+    areaDesc: '경상북도 봉화군',
+    eventCodes: ['HRW'],
+    polygons: [[[36.8, 128.6], [36.8, 129.0], [37.1, 129.0], [37.1, 128.6], [36.8, 128.6]]],
+    circles: [],
+    geocodes: [{ valueName: 'KR.bjdCode', value: '4792000000' }],
+};
+
+// 부산광역시 일대를 덮는 사각형 영역 [위도, 경도]
+const BUSAN_AREA = {
+    areaDesc: '부산광역시',
+    eventCodes: ['TYW'],
+    polygons: [[[35.0, 128.9], [35.0, 129.3], [35.3, 129.3], [35.3, 128.9], [35.0, 128.9]]],
+    circles: [],
+    geocodes: [{ valueName: 'KR.bjdCode', value: '2600000000' }],
+};
+
+/**
+ * 테스트용 재난 정보 메시지를 만듭니다.
+ * @param {object} [overrides] - 덮어쓸 필드
+ * @returns {object}
+ */
+function buildMessage(overrides = {}) {
+    return {
+        identifier: 'KR.TEST.1',
+        eventCode: 'HRW',
+        eventCodes: ['HRW'],
+        msgType: 'Alert',
+        alertStatus: 'Actual',
+        references: [],
+        areas: [POLYGON_AREA],
+        infos: [{ language: 'ko-KR', eventCodes: ['HRW'], event: '호우경보' }],
+        priority: 4,
+        revision: 0,
+        ...overrides,
+    };
+}
+
+/**
+ * 저장소 조회 결과를 지정합니다.
+ * @param {object} fixtures
+ * @param {Array<object>} fixtures.systems - 재난 코드 구독 시스템 목록 (구독 재난 코드를 지정하지 않으면 HRW)
+ * @param {Array<object>} [fixtures.devices=[]] - 단말기 위치 목록
+ * @param {string[]} [fixtures.holders=[]] - 원본 재난 정보를 받은 시스템 ID 목록
+ */
+function givenRepositories({ systems, devices = [], holders = [] }) {
+    mock.method(externalSystemRepository, 'findBySubscribedEventCodes', async () =>
+        systems.map((system) => ({ subscribed_event_codes: ['HRW'], ...system })));
+    mock.method(externalSystemRepository, 'findDeliveryPreferencesByIds', async () => new Map());
+    mock.method(disasterTransmitLogRepository, 'findSystemIdsByIdentifiers', async () => holders);
+    mock.method(deviceRepository, 'findLocationsBySystemIds', async (systemIds) =>
+        devices.filter((device) => systemIds.includes(String(device.external_system_id))));
+}
+
+/**
+ * 발신 로그 목록을 외부 시스템 ID -> 단말기 ID 목록으로 변환합니다.
+ * @param {Array<object>} logs - buildTransmitLogs() 결과
+ * @returns {object}
+ */
+function targetDeviceIdsBySystem(logs) {
+    return Object.fromEntries(logs.map((log) => [log.externalSystemId, log.rawMessage.targetDeviceIds]));
+}
+
+describe('disasterTargetingService.buildTransmitLogs', () => {
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('위치 기반 대상 판정 (GEO_FILTER_ENABLED)', () => {
+
+        it('영역 안에 단말기가 있는 시스템에는 영역 내 단말기 ID 목록을 전달한다', async () => {
+            givenRepositories({
+                systems: [{ id: 1 }],
+                devices: [
+                    { external_system_id: 1, device_id: 'IN', device_lat: '36.9', device_lon: '128.7' },
+                    { external_system_id: 1, device_id: 'OUT', device_lat: '35.1', device_lon: '129.0' },
+                ],
+            });
+
+            const logs = await disasterTargetingService.buildTransmitLogs(buildMessage(), 10, null);
+
+            assert.deepEqual(targetDeviceIdsBySystem(logs), { 1: ['IN'] });
+        });
+
+        it('위치가 등록된 단말기가 모두 영역 밖인 시스템은 제외한다', async () => {
+            givenRepositories({
+                systems: [{ id: 1 }, { id: 2 }],
+                devices: [
+                    { external_system_id: 1, device_id: 'IN', device_lat: '36.9', device_lon: '128.7' },
+                    { external_system_id: 2, device_id: 'OUT', device_lat: '35.1', device_lon: '129.0' },
+                ],
+            });
+
+            const logs = await disasterTargetingService.buildTransmitLogs(buildMessage(), 10, null);
+
+            assert.deepEqual(targetDeviceIdsBySystem(logs), { 1: ['IN'] });
+        });
+
+        it('위치가 없는 단말기만 있거나 단말기가 없는 시스템은 유지하고 단말기 ID 목록을 null로 전달한다', async () => {
+            givenRepositories({
+                systems: [{ id: 1 }, { id: 2 }, { id: 3 }],
+                devices: [
+                    { external_system_id: 1, device_id: 'IN', device_lat: '36.9', device_lon: '128.7' },
+                    { external_system_id: 2, device_id: 'NO_LOCATION', device_lat: null, device_lon: '' },
+                ],
+            });
+
+            const logs = await disasterTargetingService.buildTransmitLogs(buildMessage(), 10, null);
+
+            assert.deepEqual(targetDeviceIdsBySystem(logs), { 1: ['IN'], 2: null, 3: null });
+        });
+
+        it('원본 재난 정보를 받은 시스템은 영역 밖이어도 갱신(Update)을 전달한다', async () => {
+            givenRepositories({
+                systems: [{ id: 2 }],
+                devices: [{ external_system_id: 2, device_id: 'OUT', device_lat: '35.1', device_lon: '129.0' }],
+                holders: ['2'],
+            });
+
+            const logs = await disasterTargetingService.buildTransmitLogs(buildMessage({ msgType: 'Update', references: ['KR.TEST.0'] }), 10, null);
+
+            assert.deepEqual(targetDeviceIdsBySystem(logs), { 2: [] });
+        });
+
+        it('도형 없이 법정동 코드만 있으면 단말기의 법정동 코드로 판정하고 시스템을 제외하지 않는다', async () => {
+            givenRepositories({
+                systems: [{ id: 1 }, { id: 2 }],
+                devices: [
+                    { external_system_id: 1, device_id: 'BONGHWA', device_bjdong: '4792025000' },
+                    { external_system_id: 2, device_id: 'SEOUL', device_bjdong: '1111010100' },
+                ],
+            });
+
+            const message = buildMessage({ areas: [{ ...POLYGON_AREA, polygons: [] }] });
+            const logs = await disasterTargetingService.buildTransmitLogs(message, 10, null);
+
+            assert.deepEqual(targetDeviceIdsBySystem(logs), { 1: ['BONGHWA'], 2: [] });
+        });
+
+        it('영역 정보가 없는 재난 정보는 모든 구독 시스템에 단말기 ID 목록 null로 전달한다', async () => {
+            givenRepositories({ systems: [{ id: 1 }, { id: 2 }] });
+
+            const logs = await disasterTargetingService.buildTransmitLogs(buildMessage({ areas: [] }), 10, null);
+
+            assert.deepEqual(targetDeviceIdsBySystem(logs), { 1: null, 2: null });
+            assert.equal(deviceRepository.findLocationsBySystemIds.mock.callCount(), 0);
+        });
+
+    });
+
+    describe('여러 재난 코드의 재난 정보', () => {
+
+        /**
+         * 호우경보(HRW)와 태풍경보(TYW) info가 함께 있는 재난 정보 메시지를 만듭니다.
+         * @returns {object}
+         */
+        function buildTwoCodeMessage() {
+            return buildMessage({
+                eventCodes: ['HRW', 'TYW'],
+                areas: [POLYGON_AREA, BUSAN_AREA],
+                infos: [
+                    { language: 'ko-KR', eventCodes: ['HRW'], event: '호우경보' },
+                    { language: 'ko-KR', eventCodes: ['TYW'], event: '태풍경보' },
+                ],
+            });
+        }
+
+        const DEVICES = [
+            { external_system_id: 1, device_id: 'BONGHWA', device_lat: '36.9', device_lon: '128.7' },
+            { external_system_id: 1, device_id: 'BUSAN', device_lat: '35.1', device_lon: '129.0' },
+            { external_system_id: 2, device_id: 'BONGHWA', device_lat: '36.9', device_lon: '128.7' },
+            { external_system_id: 2, device_id: 'BUSAN', device_lat: '35.1', device_lon: '129.0' },
+        ];
+
+        it('두 재난 코드를 모두 구독한 시스템에는 발신 로그 하나로 두 재난 코드의 info와 영역 내 단말기를 모두 전달한다', async () => {
+            givenRepositories({ systems: [{ id: 1, subscribed_event_codes: ['HRW', 'TYW'] }], devices: DEVICES });
+
+            const logs = await disasterTargetingService.buildTransmitLogs(buildTwoCodeMessage(), 10, null);
+
+            assert.equal(logs.length, 1);
+            assert.deepEqual(logs[0].rawMessage.infos.map((info) => info.event), ['호우경보', '태풍경보']);
+            assert.deepEqual(logs[0].rawMessage.eventCodes, ['HRW', 'TYW']);
+            assert.deepEqual(logs[0].rawMessage.targetDeviceIds, ['BONGHWA', 'BUSAN']);
+        });
+
+        it('한 재난 코드만 구독한 시스템에는 해당 재난 코드의 info와 영역만 전달한다', async () => {
+            givenRepositories({ systems: [{ id: 2, subscribed_event_codes: ['TYW'] }], devices: DEVICES });
+
+            const logs = await disasterTargetingService.buildTransmitLogs(buildTwoCodeMessage(), 10, null);
+
+            const [{ rawMessage }] = logs;
+            assert.equal(rawMessage.eventCode, 'TYW');
+            assert.deepEqual(rawMessage.infos.map((info) => info.event), ['태풍경보']);
+            assert.deepEqual(rawMessage.areas.map((area) => area.areaDesc), ['부산광역시']);
+            assert.deepEqual(rawMessage.targetDeviceIds, ['BUSAN']);
+        });
+
+        it('구독 지역은 구독한 재난 코드의 영역으로 판정한다', async () => {
+            givenRepositories({
+                systems: [
+                    { id: 1, subscribed_event_codes: ['HRW'], subscribed_region_codes: ['2600000000'] },
+                    { id: 2, subscribed_event_codes: ['TYW'], subscribed_region_codes: ['2600000000'] },
+                ],
+            });
+
+            const logs = await disasterTargetingService.buildTransmitLogs(buildTwoCodeMessage(), 10, null);
+
+            assert.deepEqual(logs.map((log) => log.externalSystemId), ['2']);
+        });
+
+    });
+
+    describe('info가 없는 갱신/취소', () => {
+
+        it('원본 재난 정보를 받은 시스템에만 전달한다', async () => {
+            givenRepositories({ systems: [{ id: 1 }, { id: 2 }], holders: ['2'] });
+
+            const message = buildMessage({ msgType: 'Cancel', references: ['KR.TEST.0'], infos: [], areas: [] });
+            const logs = await disasterTargetingService.buildTransmitLogs(message, 10, null);
+
+            assert.deepEqual(logs.map((log) => log.externalSystemId), ['2']);
+            assert.equal(externalSystemRepository.findBySubscribedEventCodes.mock.callCount(), 0);
+        });
+
+    });
+
+});
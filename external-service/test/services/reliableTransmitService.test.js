@@ -0,0 +1,77 @@
+/**
+ * @file reliableTransmitService.test.js
+ * @description 전달 후 만료된 재난 정보의 만료 알림(disasterExpired) 전송과 ACK 처리를 검증합니다.
+ * 소켓 세션과 DB 저장소(repository) 함수는 대체하여 시험합니다.
+ */
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const disasterTransmitLogRepository = require('../../src/core/repositories/disasterTransmitLogRepository');
+const sessionManager = require('../../src/socket/sessionManager');
+const reliableTransmitService = require('../../src/core/services/reliableTransmitService');
+
+const EXPIRED_LOG = {
+    id: '7',
+    external_system_id: '1',
+    identifier: 'KR.TEST.1',
+    expires_at: new Date('2026-10-19T00:00:00Z'),
+};
+
+/**
+ * 만료 알림에 지정한 응답을 돌려주는 테스트용 소켓을 만듭니다.
+ * @param {Function} respond - (event, payload) => 응답
+ * @returns {object}
+ */
+function createSocket(respond) {
+    const socket = {
+        id: 'socket-1',
+        system: { system_name: 'TEST_SYSTEM' },
+        timeout: () => socket,
+        emitWithAck: mock.fn(async (event, payload) => respond(event, payload)),
+    };
+    return socket;
+}
+
+describe('reliableTransmitService.transmitExpiryNotice', () => {
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('만료 알림을 보내고 ACK를 받으면 알림 전달을 기록한다', async () => {
+        const socket = createSocket((event, payload) => ({ status: 'ack', logId: payload.logId }));
+        mock.method(sessionManager, 'getSocketBySystemId', () => socket);
+        mock.method(disasterTransmitLogRepository, 'markExpiryNoticeDelivered', async () => {});
+
+        await reliableTransmitService.transmitExpiryNotice(EXPIRED_LOG);
+
+        const [event, payload] = socket.emitWithAck.mock.calls[0].arguments;
+        assert.equal(event, 'disasterExpired');
+        assert.deepEqual(payload, { logId: '7', identifier: 'KR.TEST.1', expiresAt: '2026-10-19T00:00:00.000Z' });
+        assert.deepEqual(disasterTransmitLogRepository.markExpiryNoticeDelivered.mock.calls[0].arguments, ['7']);
+    });
+
+    it('NACK 또는 응답 시간 초과면 다음 주기에 다시 보내도록 알림 대기 상태를 유지한다', async () => {
+        mock.method(disasterTransmitLogRepository, 'markExpiryNoticeDelivered', async () => {});
+
+        mock.method(sessionManager, 'getSocketBySystemId', () => createSocket(() => ({ status: 'nack' })));
+        await reliableTransmitService.transmitExpiryNotice(EXPIRED_LOG);
+
+        sessionManager.getSocketBySystemId.mock.mockImplementation(() => createSocket(() => {
+            throw new Error('operation has timed out');
+        }));
+        await reliableTransmitService.transmitExpiryNotice(EXPIRED_LOG);
+
+        assert.equal(disasterTransmitLogRepository.markExpiryNoticeDelivered.mock.callCount(), 0);
+    });
+
+    it('활성 소켓이 없으면 전송하지 않는다', async () => {
+        mock.method(sessionManager, 'getSocketBySystemId', () => undefined);
+        mock.method(disasterTransmitLogRepository, 'markExpiryNoticeDelivered', async () => {});
+
+        await reliableTransmitService.transmitExpiryNotice(EXPIRED_LOG);
+
+        assert.equal(disasterTransmitLogRepository.markExpiryNoticeDelivered.mock.callCount(), 0);
+    });
+
+});
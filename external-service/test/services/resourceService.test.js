@@ -0,0 +1,164 @@
+/**
+ * @file resourceService.test.js
+ * @description 재난 정보 첨부 파일 저장(허용 목록, 다운로드 크기 제한, digest 검증, 같은 digest 재사용과 손상 파일 재저장)과
+ * 인박스 기록용 첨부 파일 내용 제거를 검증합니다. 원격 다운로드(fetch)와 DB 조회는 대체하여 시험합니다.
+ */
+
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// 설정 모듈을 불러오기 전에 첨부 파일 저장소와 원격 다운로드 허용 호스트를 지정합니다.
+process.env.RESOURCE_STORE_DIR = path.join(os.tmpdir(), `resource-service-test-${process.pid}`);
+process.env.RESOURCE_ALLOWED_URI_HOSTS = 'files.example.go.kr,.safekorea.go.kr';
+
+const { describe, it, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const config = require('../../src/config');
+const disasterResourceRepository = require('../../src/core/repositories/disasterResourceRepository');
+const resourceService = require('../../src/core/services/resourceService');
+
+const { MAX_SIZE } = config.resourceStore;
+const CONTENT = Buffer.from('재난 정보 첨부 파일');
+const CONTENT_DIGEST = crypto.createHash('sha1').update(CONTENT).digest('hex');
+
+/**
+ * 첨부 파일 하나가 있는 테스트용 재난 정보 메시지를 만듭니다.
+ * @param {object} resource - CAP resource 필드
+ * @returns {object}
+ */
+function buildMessage(resource) {
+    return {
+        identifier: 'KR.TEST.1',
+        rawMessage: {
+            capInfo: {
+                alert: {
+                    identifier: 'KR.TEST.1',
+                    info: { event: '호우경보', resource: { resourceDesc: '대피 안내', mimeType: 'text/plain', ...resource } },
+                },
+            },
+        },
+    };
+}
+
+/**
+ * 원격 다운로드 응답을 지정합니다.
+ * @param {Array<Buffer>} chunks - 응답 본문 조각 목록
+ * @param {object} [headers] - 응답 헤더
+ */
+function givenFetchResponse(chunks, headers = {}) {
+    mock.method(globalThis, 'fetch', async () => new Response(new ReadableStream({
+        pull(controller) {
+            const chunk = chunks.shift();
+            chunk ? controller.enqueue(chunk) : controller.close();
+        },
+    }), { headers }));
+}
+
+describe('resourceService.storeResources', () => {
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    after(async () => {
+        await fs.rm(process.env.RESOURCE_STORE_DIR, { recursive: true, force: true });
+    });
+
+    it('허용 목록에 없는 호스트나 scheme의 원격 uri는 내려받지 않는다', async () => {
+        mock.method(disasterResourceRepository, 'findContentHashByDigest', async () => null);
+        mock.method(globalThis, 'fetch', async () => assert.fail('허용되지 않은 uri를 내려받음'));
+
+        const [internalHost] = await resourceService.storeResources(buildMessage({ uri: 'https://169.254.169.254/latest/meta-data' }));
+        const [httpScheme] = await resourceService.storeResources(buildMessage({ uri: 'http://files.example.go.kr/a.txt' }));
+
+        assert.equal(internalHost.status, 'FAILED');
+        assert.match(internalHost.errorMessage, /허용되지 않은 호스트/);
+        assert.equal(httpScheme.status, 'FAILED');
+        assert.match(httpScheme.errorMessage, /허용되지 않은 scheme/);
+    });
+
+    it('content-length 없이 최대 크기를 넘는 응답은 내려받는 도중 중단한다', async () => {
+        mock.method(disasterResourceRepository, 'findContentHashByDigest', async () => null);
+        const chunk = Buffer.alloc(1024 * 1024);
+        givenFetchResponse(Array.from({ length: MAX_SIZE / chunk.length + 5 }, () => chunk));
+
+        const [stored] = await resourceService.storeResources(buildMessage({ uri: 'https://www.safekorea.go.kr/big.bin' }));
+
+        assert.equal(stored.status, 'FAILED');
+        assert.match(stored.errorMessage, /최대 크기/);
+    });
+
+    it('digest가 있으면 digest로 검증하고 size는 참고로만 사용한다', async () => {
+        mock.method(disasterResourceRepository, 'findContentHashByDigest', async () => null);
+        givenFetchResponse([CONTENT]);
+
+        const [stored] = await resourceService.storeResources(buildMessage({
+            uri: 'https://files.example.go.kr/a.txt', size: CONTENT.length + 100, digest: CONTENT_DIGEST.toUpperCase(),
+        }));
+
+        assert.equal(stored.status, 'STORED');
+        assert.equal(stored.size, CONTENT.length);
+        assert.deepEqual(await fs.readFile(resourceService.getResourcePath(stored.contentHash)), CONTENT);
+    });
+
+    it('digest가 다르면 저장하지 않는다', async () => {
+        mock.method(disasterResourceRepository, 'findContentHashByDigest', async () => null);
+
+        const [stored] = await resourceService.storeResources(buildMessage({
+            derefUri: CONTENT.toString('base64'), digest: '0'.repeat(40),
+        }));
+
+        assert.equal(stored.status, 'FAILED');
+        assert.match(stored.errorMessage, /digest 불일치/);
+    });
+
+    it('같은 digest로 저장한 첨부 파일이 있으면 다시 내려받지 않는다', async () => {
+        mock.method(disasterResourceRepository, 'findContentHashByDigest', async () => null);
+        const [first] = await resourceService.storeResources(buildMessage({ derefUri: CONTENT.toString('base64'), digest: CONTENT_DIGEST }));
+        mock.method(disasterResourceRepository, 'findContentHashByDigest', async () => first.contentHash);
+        mock.method(globalThis, 'fetch', async () => assert.fail('저장된 첨부 파일을 다시 내려받음'));
+
+        const [stored] = await resourceService.storeResources(buildMessage({ uri: 'https://files.example.go.kr/a.txt', digest: CONTENT_DIGEST }));
+
+        assert.equal(stored.status, 'STORED');
+        assert.equal(stored.contentHash, first.contentHash);
+        assert.equal(stored.size, CONTENT.length);
+    });
+
+    it('같은 digest로 저장한 첨부 파일이 손상되었으면 다시 내려받아 저장한다', async () => {
+        mock.method(disasterResourceRepository, 'findContentHashByDigest', async () => null);
+        const [first] = await resourceService.storeResources(buildMessage({ derefUri: CONTENT.toString('base64'), digest: CONTENT_DIGEST }));
+        await fs.writeFile(resourceService.getResourcePath(first.contentHash), '손상된 내용');
+        mock.method(disasterResourceRepository, 'findContentHashByDigest', async () => first.contentHash);
+        givenFetchResponse([CONTENT]);
+
+        const [stored] = await resourceService.storeResources(buildMessage({ uri: 'https://files.example.go.kr/a.txt', digest: CONTENT_DIGEST }));
+
+        assert.equal(globalThis.fetch.mock.callCount(), 1);
+        assert.equal(stored.status, 'STORED');
+        assert.equal(stored.contentHash, first.contentHash);
+        assert.deepEqual(await fs.readFile(resourceService.getResourcePath(stored.contentHash)), CONTENT);
+    });
+
+});
+
+describe('resourceService.omitContents', () => {
+
+    it('첨부 파일의 base64 내용(derefUri)만 빼고 나머지는 그대로 둔다', () => {
+        const message = buildMessage({ derefUri: CONTENT.toString('base64'), digest: CONTENT_DIGEST });
+
+        const omitted = JSON.parse(resourceService.omitContents(JSON.stringify(message)));
+
+        const { resource } = omitted.rawMessage.capInfo.alert.info;
+        assert.equal(resource.derefUri, undefined);
+        assert.equal(resource.digest, CONTENT_DIGEST);
+        assert.equal(resource.resourceDesc, '대피 안내');
+    });
+
+    it('JSON이 아닌 메시지는 원본 그대로 반환한다', () => {
+        assert.equal(resourceService.omitContents('not json'), 'not json');
+    });
+
+});